@@ -1,4 +1,5 @@
 const TimeoutError = require('./lib/Errors')
+const { AbortError } = require('./lib/Errors')
 const Events = require('./lib/Events')
 const Audits = require('./lib/Audits')
 const ConsoleMessage = require('./lib/ConsoleMessage')
@@ -9,32 +10,62 @@ const EmulationManager = require('./lib/EmulationManager')
 const { createJSHandle, ElementHandle, JSHandle } = require('./lib/JSHandle')
 const LifecycleWatcher = require('./lib/LifecycleWatcher')
 const Multimap = require('./lib/Multimap')
+const QueryWaitTask = require('./lib/QueryWaitTask')
 const Target = require('./lib/Target')
 const TaskQueue = require('./lib/TaskQueue')
 const TimeoutSettings = require('./lib/TimeoutSettings')
+const TraceModel = require('./lib/TraceModel')
 const Tracing = require('./lib/Tracing')
 const WaitTask = require('./lib/WaitTask')
-const { Accessibility, AXNode } = require('./lib/accessibility')
+const {
+  Accessibility,
+  AccessibilityWatcher,
+  AuditReport,
+  AuditRules,
+  AuditViolation,
+  AXNode,
+  AXQueryWaitTask
+} = require('./lib/accessibility')
 const { Animation, AnimationManager } = require('./lib/animations')
-const { Browser, BrowserContext } = require('./lib/browser')
+const { Browser, BrowserContext, Launcher } = require('./lib/browser')
 const CRIExtra = require('./lib/chromeRemoteInterfaceExtra')
 const {
   adaptChromeRemoteInterfaceClient,
   CDPSession,
+  CommandStats,
   CRIClientPatched,
-  CRIConnection
+  CRIConnection,
+  DomainClient,
+  PipeTransport,
+  ProtocolRecorder,
+  ReplayTransport,
+  WebSocketTransport
 } = require('./lib/connection')
-const { Coverage, CSSCoverage, JSCoverage } = require('./lib/coverage')
+const {
+  Coverage,
+  CSSCoverage,
+  JSCoverage,
+  SourceMap
+} = require('./lib/coverage')
 const { Database, DatabaseManager } = require('./lib/database')
 const {
   EVALUATION_SCRIPT_URL,
   ExecutionContext
 } = require('./lib/executionContext')
+const {
+  compareScreenshots,
+  decodePNG,
+  diffImages,
+  encodeGIF,
+  encodePNG,
+  encodeWebP
+} = require('./lib/image')
 const {
   Frame,
   FrameManager,
   FrameResource,
-  FrameResourceTree
+  FrameResourceTree,
+  Locator
 } = require('./lib/frames')
 const {
   Keyboard,
@@ -43,34 +74,68 @@ const {
   USKeyboardLayout
 } = require('./lib/input')
 const {
+  ArchiveReplayer,
   Cookie,
+  HARRecorder,
   NetIdleWatcher,
   NetworkManager,
   Request,
   Response,
-  SecurityDetails
+  SecurityDetails,
+  WARCReader,
+  WARCWriter
 } = require('./lib/network')
-const { LogEntry, Page } = require('./lib/page')
+const { LogEntry, Page, Screencast } = require('./lib/page')
+const {
+  HeapProfiler,
+  HeapSnapshot,
+  Profile,
+  Profiler
+} = require('./lib/profiler')
 const { ServiceWorker, Worker, WorkerManager } = require('./lib/workers')
 
+exports.AbortError = AbortError
+
 exports.Accessibility = Accessibility
 
+exports.AccessibilityWatcher = AccessibilityWatcher
+
 exports.adaptChromeRemoteInterfaceClient = adaptChromeRemoteInterfaceClient
 
 exports.Animation = Animation
 
 exports.AnimationManager = AnimationManager
 
+exports.ArchiveReplayer = ArchiveReplayer
+
+exports.AuditReport = AuditReport
+
+exports.AuditRules = AuditRules
+
 exports.Audits = Audits
 
+exports.AuditViolation = AuditViolation
+
 exports.AXNode = AXNode
 
+exports.AXQueryWaitTask = AXQueryWaitTask
+
 exports.Browser = Browser
 
 exports.BrowserContext = BrowserContext
 
 exports.CDPSession = CDPSession
 
+/**
+ * @type {CommandStats}
+ */
+exports.CommandStats = CommandStats
+
+/**
+ * @type {function(string|Buffer, Buffer, ScreenshotComparisonOptions=): Promise<ScreenshotComparison>}
+ */
+exports.compareScreenshots = compareScreenshots
+
 exports.ConsoleMessage = ConsoleMessage
 
 /**
@@ -112,6 +177,11 @@ exports.Database = Database
  */
 exports.DatabaseManager = DatabaseManager
 
+/**
+ * @type {function(Buffer): RGBAImage}
+ */
+exports.decodePNG = decodePNG
+
 /**
  * @type {Object}
  */
@@ -122,6 +192,16 @@ exports.DeviceDescriptors = DeviceDescriptors
  */
 exports.Dialog = Dialog
 
+/**
+ * @type {function(RGBAImage, RGBAImage, ImageDiffOptions=): ImageDiff}
+ */
+exports.diffImages = diffImages
+
+/**
+ * @type {DomainClient}
+ */
+exports.DomainClient = DomainClient
+
 /**
  * @type {DOMWorld}
  */
@@ -137,6 +217,21 @@ exports.ElementHandle = ElementHandle
  */
 exports.EmulationManager = EmulationManager
 
+/**
+ * @type {function(Array<AnimationFrame>, {loop?: number}=): Buffer}
+ */
+exports.encodeGIF = encodeGIF
+
+/**
+ * @type {function(RGBAImage): Buffer}
+ */
+exports.encodePNG = encodePNG
+
+/**
+ * @type {function(Array<AnimationFrame>, {loop?: number}=): Buffer}
+ */
+exports.encodeWebP = encodeWebP
+
 /**
  * @type {string}
  */
@@ -172,6 +267,21 @@ exports.FrameResource = FrameResource
  */
 exports.FrameResourceTree = FrameResourceTree
 
+/**
+ * @type {HARRecorder}
+ */
+exports.HARRecorder = HARRecorder
+
+/**
+ * @type {HeapProfiler}
+ */
+exports.HeapProfiler = HeapProfiler
+
+/**
+ * @type {HeapSnapshot}
+ */
+exports.HeapSnapshot = HeapSnapshot
+
 /**
  * @type {JSCoverage}
  */
@@ -187,11 +297,21 @@ exports.JSHandle = JSHandle
  */
 exports.Keyboard = Keyboard
 
+/**
+ * @type {Launcher}
+ */
+exports.Launcher = Launcher
+
 /**
  * @type {LifecycleWatcher}
  */
 exports.LifecycleWatcher = LifecycleWatcher
 
+/**
+ * @type {Locator}
+ */
+exports.Locator = Locator
+
 /**
  * @type {LogEntry}
  */
@@ -222,6 +342,36 @@ exports.NetworkManager = NetworkManager
  */
 exports.Page = Page
 
+/**
+ * @type {PipeTransport}
+ */
+exports.PipeTransport = PipeTransport
+
+/**
+ * @type {Profile}
+ */
+exports.Profile = Profile
+
+/**
+ * @type {Profiler}
+ */
+exports.Profiler = Profiler
+
+/**
+ * @type {ProtocolRecorder}
+ */
+exports.ProtocolRecorder = ProtocolRecorder
+
+/**
+ * @type {QueryWaitTask}
+ */
+exports.QueryWaitTask = QueryWaitTask
+
+/**
+ * @type {ReplayTransport}
+ */
+exports.ReplayTransport = ReplayTransport
+
 /**
  * @type {Request}
  */
@@ -232,6 +382,11 @@ exports.Request = Request
  */
 exports.Response = Response
 
+/**
+ * @type {Screencast}
+ */
+exports.Screencast = Screencast
+
 /**
  * @type {SecurityDetails}
  */
@@ -242,6 +397,11 @@ exports.SecurityDetails = SecurityDetails
  */
 exports.ServiceWorker = ServiceWorker
 
+/**
+ * @type {SourceMap}
+ */
+exports.SourceMap = SourceMap
+
 /**
  * @type {Target}
  */
@@ -267,6 +427,11 @@ exports.TimeoutSettings = TimeoutSettings
  */
 exports.Touchscreen = Touchscreen
 
+/**
+ * @type {TraceModel}
+ */
+exports.TraceModel = TraceModel
+
 /**
  * @type {Tracing}
  */
@@ -282,6 +447,21 @@ exports.USKeyboardLayout = USKeyboardLayout
  */
 exports.WaitTask = WaitTask
 
+/**
+ * @type {WARCReader}
+ */
+exports.WARCReader = WARCReader
+
+/**
+ * @type {WARCWriter}
+ */
+exports.WARCWriter = WARCWriter
+
+/**
+ * @type {WebSocketTransport}
+ */
+exports.WebSocketTransport = WebSocketTransport
+
 /**
  * @type {Worker}
  */
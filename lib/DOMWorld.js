@@ -3,6 +3,13 @@ const fs = require('fs-extra')
 const { helper, assert } = require('./helper')
 const LifecycleWatcher = require('./LifecycleWatcher')
 const WaitTask = require('./WaitTask')
+const QueryWaitTask = require('./QueryWaitTask')
+const { isPiercingSelector } = require('./selectors/piercingSelector')
+const {
+  parseEngineSelector,
+  selectorEngineSource
+} = require('./selectors/selectorEngines')
+const { AXQueryWaitTask, queryAXTree } = require('./accessibility/AXQuery')
 
 /**
  * @unrestricted
@@ -79,18 +86,20 @@ class DOMWorld {
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle>}
    */
-  querySelector (selector) {
-    return this.$(selector)
+  querySelector (selector, options) {
+    return this.$(selector, options)
   }
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  querySelectorAll (selector) {
-    return this.$$(selector)
+  querySelectorAll (selector, options) {
+    return this.$$(selector, options)
   }
 
   /**
@@ -177,8 +186,10 @@ class DOMWorld {
   }
 
   /**
+   * Wait for the selector. Shadow roots, including closed shadow roots, are crossed
+   * when the selector contains the >>> combinator or the pierce option is true
    * @param {string} selector
-   * @param {!{visible?: boolean, hidden?: boolean, timeout?: number}=} options
+   * @param {!{visible?: boolean, hidden?: boolean, pierce?: boolean, timeout?: number}=} options
    * @return {Promise<ElementHandle>}
    */
   waitForSelector (selector, options) {
@@ -215,6 +226,94 @@ class DOMWorld {
     ).promise
   }
 
+  /**
+   * Find the first element with the supplied role, and optionally accessible name, in the accessibility tree
+   * @param {string} role - The ARIA role of the element, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<?ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  async getByRole (role, options = {}) {
+    const handles = await this._queryAXTree({
+      role,
+      name: options.name,
+      exact: options.exact,
+      limit: 1
+    })
+    return handles.length ? handles[0] : null
+  }
+
+  /**
+   * Find every element with the supplied role, and optionally accessible name, in the accessibility tree
+   * @param {string} role - The ARIA role of the elements, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<Array<ElementHandle>>}
+   * @since chrome-remote-interface-extra
+   */
+  getAllByRole (role, options = {}) {
+    return this._queryAXTree({ role, name: options.name, exact: options.exact })
+  }
+
+  /**
+   * Find the first element labelled by the supplied text, using a label element, aria-labelledby or aria-label
+   * @param {string|RegExp} text
+   * @param {{exact?: boolean}} [options]
+   * @return {Promise<?ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  async getByLabel (text, options = {}) {
+    const handles = await this._queryAXTree({
+      label: text,
+      exact: options.exact,
+      limit: 1
+    })
+    return handles.length ? handles[0] : null
+  }
+
+  /**
+   * Find every element labelled by the supplied text, using a label element, aria-labelledby or aria-label
+   * @param {string|RegExp} text
+   * @param {{exact?: boolean}} [options]
+   * @return {Promise<Array<ElementHandle>>}
+   * @since chrome-remote-interface-extra
+   */
+  getAllByLabel (text, options = {}) {
+    return this._queryAXTree({ label: text, exact: options.exact })
+  }
+
+  /**
+   * Wait for an element with the supplied role, and optionally accessible name, to be in the accessibility tree
+   * @param {string} role - The ARIA role of the element, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  waitForRole (role, options = {}) {
+    const title = `role "${role}"${
+      options.name != null ? ` named "${options.name}"` : ''
+    }`
+    return this._waitForAXQuery(
+      { role, name: options.name, exact: options.exact, limit: 1 },
+      title,
+      options
+    )
+  }
+
+  /**
+   * Wait for an element labelled by the supplied text to be in the accessibility tree
+   * @param {string|RegExp} text
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  waitForLabel (text, options = {}) {
+    return this._waitForAXQuery(
+      { label: text, exact: options.exact, limit: 1 },
+      `label "${text}"`,
+      options
+    )
+  }
+
   /**
    * @param {string} elemId
    * @return {Promise<ElementHandle|undefined>}
@@ -268,11 +367,12 @@ class DOMWorld {
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle>}
    */
-  async $ (selector) {
+  async $ (selector, options) {
     const document = await this.document()
-    return document.$(selector)
+    return document.$(selector, options)
   }
 
   /**
@@ -285,7 +385,7 @@ class DOMWorld {
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector
    * @param {Function|string} pageFunction
    * @param {...*} args
    * @return {Promise<Object>}
@@ -296,7 +396,7 @@ class DOMWorld {
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector
    * @param {Function|string} pageFunction
    * @param {...*} args
    * @return {Promise<Object>}
@@ -308,11 +408,12 @@ class DOMWorld {
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  async $$ (selector) {
+  async $$ (selector, options) {
     const document = await this.document()
-    return document.$$(selector)
+    return document.$$(selector, options)
   }
 
   /**
@@ -555,6 +656,51 @@ class DOMWorld {
     return this.evaluate(() => document.title)
   }
 
+  /**
+   * @param {AXQuery} query
+   * @return {Promise<Array<ElementHandle>>}
+   * @private
+   */
+  async _queryAXTree (query) {
+    const context = await this.executionContext()
+    return queryAXTree(
+      this._frameManager._client,
+      context,
+      this._axFrameId(),
+      query
+    )
+  }
+
+  /**
+   * @param {AXQuery} query
+   * @param {string} title
+   * @param {{polling?: number, timeout?: number}} options
+   * @return {Promise<ElementHandle>}
+   * @private
+   */
+  _waitForAXQuery (query, title, options) {
+    const { polling = 100, timeout = this._timeoutSettings.timeout() } = options
+    const frameId = this._axFrameId()
+    return new AXQueryWaitTask(
+      this,
+      context =>
+        queryAXTree(this._frameManager._client, context, frameId, query),
+      title,
+      polling,
+      timeout
+    ).promise
+  }
+
+  /**
+   * The accessibility tree of the main frame is retrieved without a frame id,
+   * supporting browsers whose Accessibility.getFullAXTree does not accept one
+   * @return {?string}
+   * @private
+   */
+  _axFrameId () {
+    return this._frame.parentFrame() ? this._frame._id : null
+  }
+
   /**
    * @param {?ExecutionContext} context
    */
@@ -587,6 +733,52 @@ class DOMWorld {
     }
   }
 
+  /**
+   * Closed shadow roots can not be reached by a predicate evaluated in the page,
+   * so the selector is polled for using the protocol
+   * @param {string} selector
+   * @param {!{visible?: boolean, hidden?: boolean, pierce?: boolean, timeout?: number}} options
+   * @return {Promise<ElementHandle>}
+   * @private
+   */
+  async _waitForPiercingSelector (selector, options) {
+    const {
+      visible: waitForVisible = false,
+      hidden: waitForHidden = false,
+      pierce = false,
+      timeout = this._timeoutSettings.timeout()
+    } = options
+    const title = `selector "${selector}"${
+      waitForHidden ? ' to be hidden' : ''
+    }`
+    const query = async context => {
+      const document = (await context.evaluateHandle('document')).asElement()
+      const elements = await document._pierceQuery(selector, pierce, true)
+      await document.dispose()
+      if (!waitForVisible && !waitForHidden) return elements
+      const visibleElements = []
+      for (const element of elements) {
+        if (await context.evaluate(isElementVisible, element)) {
+          visibleElements.push(element)
+        } else {
+          await element.dispose()
+        }
+      }
+      if (waitForVisible) return visibleElements
+      // waiting for hidden resolves with a truthy non element once no element is visible
+      await Promise.all(visibleElements.map(element => element.dispose()))
+      if (visibleElements.length) return []
+      return [await context.evaluateHandle(() => true)]
+    }
+    const handle = await new QueryWaitTask(this, query, title, 100, timeout)
+      .promise
+    if (!handle.asElement()) {
+      await handle.dispose()
+      return null
+    }
+    return handle.asElement()
+  }
+
   /**
    * @param {string} selectorOrXPath
    * @param {boolean} isXPath
@@ -594,6 +786,9 @@ class DOMWorld {
    * @return {Promise<ElementHandle>}
    */
   async _waitForSelectorOrXPath (selectorOrXPath, isXPath, options = {}) {
+    if (!isXPath && (options.pierce || isPiercingSelector(selectorOrXPath))) {
+      return this._waitForPiercingSelector(selectorOrXPath, options)
+    }
     const {
       visible: waitForVisible = false,
       hidden: waitForHidden = false,
@@ -603,16 +798,18 @@ class DOMWorld {
     const title = `${isXPath ? 'XPath' : 'selector'} "${selectorOrXPath}"${
       waitForHidden ? ' to be hidden' : ''
     }`
+    const engineSelector = isXPath ? null : parseEngineSelector(selectorOrXPath)
     const waitTask = new WaitTask(
       this,
       predicate,
       title,
       polling,
       timeout,
-      selectorOrXPath,
+      engineSelector ? engineSelector.body : selectorOrXPath,
       isXPath,
       waitForVisible,
-      waitForHidden
+      waitForHidden,
+      engineSelector ? selectorEngineSource(engineSelector.name) : null
     )
     const handle = await waitTask.promise
     if (!handle.asElement()) {
@@ -627,24 +824,40 @@ class DOMWorld {
      * @param {boolean} isXPath
      * @param {boolean} waitForVisible
      * @param {boolean} waitForHidden
+     * @param {?{query: string, queryAll: string}} engineSource - The sources of the query functions of the selector engine used
      * @return {?Node|boolean}
      */
     function predicate (
       selectorOrXPath,
       isXPath,
       waitForVisible,
-      waitForHidden
+      waitForHidden,
+      engineSource
     ) {
+      // eslint-disable-next-line no-new-func
+      const evaluateSource = source => new Function(`return (${source})`)()
+      let engine = null
+      if (engineSource) {
+        engine = {
+          query: evaluateSource(engineSource.query),
+          queryAll: evaluateSource(engineSource.queryAll)
+        }
+      }
       if (!waitForVisible) {
-        const node = isXPath
-          ? document.evaluate(
-              selectorOrXPath,
-              document,
-              null,
-              XPathResult.FIRST_ORDERED_NODE_TYPE,
-              null
-            ).singleNodeValue
-          : document.querySelector(selectorOrXPath)
+        let node
+        if (engine) {
+          node = engine.query(document, selectorOrXPath)
+        } else if (isXPath) {
+          node = document.evaluate(
+            selectorOrXPath,
+            document,
+            null,
+            XPathResult.FIRST_ORDERED_NODE_TYPE,
+            null
+          ).singleNodeValue
+        } else {
+          node = document.querySelector(selectorOrXPath)
+        }
 
         if (!node) return waitForHidden
         if (!waitForHidden) return node
@@ -665,9 +878,10 @@ class DOMWorld {
           node = nodeIterator.iterateNext()
         }
       } else {
-        for (const node of Array.from(
-          document.querySelectorAll(selectorOrXPath)
-        )) {
+        const nodes = engine
+          ? engine.queryAll(document, selectorOrXPath)
+          : Array.from(document.querySelectorAll(selectorOrXPath))
+        for (const node of nodes) {
           if (testNode(node)) return node
         }
       }
@@ -705,4 +919,27 @@ class DOMWorld {
   }
 }
 
+/**
+ * Determines if the element is visible, evaluated in the page
+ * @param {Element} element
+ * @return {boolean}
+ */
+function isElementVisible (element) {
+  const style = window.getComputedStyle(element)
+  const rect = element.getBoundingClientRect()
+  return (
+    !!style &&
+    style.visibility !== 'hidden' &&
+    !!(rect.top || rect.bottom || rect.width || rect.height)
+  )
+}
+
 module.exports = DOMWorld
+
+/**
+ * @typedef {Object} AXQueryOptions
+ * @property {string|RegExp} [name] - The accessible name of the element
+ * @property {boolean} [exact = false] - Match the name exactly rather than case-insensitively and by substring
+ * @property {number} [polling = 100] - When waiting, the interval in milliseconds the accessibility tree is queried at
+ * @property {number} [timeout] - When waiting, the maximum time to wait for in milliseconds. Defaults to the default timeout
+ */
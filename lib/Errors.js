@@ -7,3 +7,5 @@ class CustomError extends Error {
 }
 
 exports.TimeoutError = class TimeoutError extends CustomError {}
+
+exports.AbortError = class AbortError extends CustomError {}
@@ -1,4 +1,7 @@
 module.exports = {
+  AccessibilityWatcher: {
+    Changed: 'Events.AccessibilityWatcher.Changed'
+  },
   Animations: {
     canceled: 'Animation.animationCanceled',
     created: 'Animation.animationCreated',
@@ -27,6 +30,7 @@ module.exports = {
     WorkerCreated: 'workercreated',
     WorkerDestroyed: 'workerdestroyed',
     Crashed: 'Page.crashed',
+    ScreencastFrame: 'Page.screencastFrame',
     AnimationCanceled: 'Page.Animation.animationCanceled',
     AnimationCreated: 'Page.Animation.animationCreated',
     AnimationStarted: 'Page.Animation.animationStarted',
@@ -76,7 +80,11 @@ module.exports = {
   },
 
   CRIConnection: {
+    Command: 'command',
+    CommandComplete: 'commandComplete',
     Disconnected: 'Events.CRIConnection.Disconnected',
+    Reconnecting: 'Events.CRIConnection.Reconnecting',
+    Reconnected: 'Events.CRIConnection.Reconnected',
     Verbose: 'Events.CRIConnection.Verbose'
   },
 
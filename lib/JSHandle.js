@@ -2,6 +2,11 @@
 const Path = require('path')
 const util = require('util')
 const { helper, assert, debugError } = require('./helper')
+const {
+  isPiercingSelector,
+  pierceQuerySelector
+} = require('./selectors/piercingSelector')
+const { parseEngineSelector } = require('./selectors/selectorEngines')
 
 /**
  *
@@ -336,18 +341,20 @@ class ElementHandle extends JSHandle {
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle|undefined>}
    */
-  querySelector (selector) {
-    return this.$(selector)
+  querySelector (selector, options) {
+    return this.$(selector, options)
   }
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  querySelectorAll (selector) {
-    return this.$$(selector)
+  querySelectorAll (selector, options) {
+    return this.$$(selector, options)
   }
 
   /**
@@ -622,6 +629,28 @@ class ElementHandle extends JSHandle {
     return imageData
   }
 
+  /**
+   * Take a PNG screenshot of the element and compare it pixel by pixel with a baseline PNG
+   * @param {string|Buffer} baseline - The baseline PNG or the path of its file
+   * @param {!CompareScreenshotOptions=} options
+   * @return {Promise<ScreenshotComparison>}
+   * @since chrome-remote-interface-extra
+   */
+  async compareScreenshot (baseline, options = {}) {
+    const boundingBox = await this.boundingBox()
+    assert(boundingBox, 'Node is either not visible or not an HTMLElement')
+    const {
+      layoutViewport: { pageX, pageY }
+    } = await this._client.send('Page.getLayoutMetrics')
+    const origin = { x: boundingBox.x + pageX, y: boundingBox.y + pageY }
+    return this._page._compareScreenshot(
+      baseline,
+      options,
+      origin,
+      screenshotOptions => this.screenshot(screenshotOptions)
+    )
+  }
+
   /**
    * @param {string} elemId
    * @return {Promise<ElementHandle|undefined>}
@@ -640,15 +669,17 @@ class ElementHandle extends JSHandle {
   }
 
   /**
+   * Query the first element matching the selector. Shadow roots, including closed shadow roots,
+   * are crossed when the selector contains the >>> combinator or the pierce option is true
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle|undefined>}
    */
-  async $ (selector) {
-    const handle = await this.executionContext().evaluateHandle(
-      (element, selector) => element.querySelector(selector),
-      this,
-      selector
-    )
+  async $ (selector, options = {}) {
+    if (options.pierce || isPiercingSelector(selector)) {
+      return this._pierceQuery(selector, !!options.pierce, false)
+    }
+    const handle = await this._selectorQuery(selector, false)
     const element = handle.asElement()
     if (element) return element
     await handle.dispose()
@@ -656,29 +687,32 @@ class ElementHandle extends JSHandle {
   }
 
   /**
+   * Query every element matching the selector. Shadow roots, including closed shadow roots,
+   * are crossed when the selector contains the >>> combinator or the pierce option is true
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  async $$ (selector) {
-    const arrayHandle = await this.executionContext().evaluateHandle(
-      (element, selector) => element.querySelectorAll(selector),
-      this,
-      selector
-    )
+  async $$ (selector, options = {}) {
+    if (options.pierce || isPiercingSelector(selector)) {
+      return this._pierceQuery(selector, !!options.pierce, true)
+    }
+    const arrayHandle = await this._selectorQuery(selector, true)
     return arrayHandle.asElementArray()
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector - The selector, or the selector and whether to cross shadow roots
    * @param {Function|String} pageFunction
    * @param {...*} args
    * @return {Promise<Object|undefined>}
    */
   async $eval (selector, pageFunction, ...args) {
-    const elementHandle = await this.$(selector)
+    const query = selectorQuery(selector)
+    const elementHandle = await this.$(query.selector, query)
     if (!elementHandle) {
       throw new Error(
-        `Error: failed to find element matching selector "${selector}"`
+        `Error: failed to find element matching selector "${query.selector}"`
       )
     }
     const result = await this.executionContext().evaluate(
@@ -691,17 +725,23 @@ class ElementHandle extends JSHandle {
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector - The selector, or the selector and whether to cross shadow roots
    * @param {Function|String} pageFunction
    * @param {...*} args
    * @return {Promise<Object|undefined>}
    */
   async $$eval (selector, pageFunction, ...args) {
-    const arrayHandle = await this.executionContext().evaluateHandle(
-      (element, selector) => Array.from(element.querySelectorAll(selector)),
-      this,
-      selector
-    )
+    const query = selectorQuery(selector)
+    let arrayHandle
+    if (query.pierce || isPiercingSelector(query.selector)) {
+      arrayHandle = await this._pierceQueryHandle(
+        query.selector,
+        !!query.pierce,
+        true
+      )
+    } else {
+      arrayHandle = await this._selectorQuery(query.selector, true)
+    }
 
     const result = await this.executionContext().evaluate(
       pageFunction,
@@ -835,6 +875,106 @@ class ElementHandle extends JSHandle {
     if (error) throw new Error(error)
   }
 
+  /**
+   * Query the elements matching the selector, using the registered selector engine
+   * the selector is prefixed with, see {@link registerSelectorEngine}, otherwise as a CSS selector
+   * @param {string} selector
+   * @param {boolean} all
+   * @return {Promise<JSHandle>} - The first element, or an array of every element when all is true
+   * @private
+   */
+  async _selectorQuery (selector, all) {
+    const engineSelector = parseEngineSelector(selector)
+    if (!engineSelector) {
+      return this.executionContext().evaluateHandle(
+        (element, selector, all) =>
+          all
+            ? Array.from(element.querySelectorAll(selector))
+            : element.querySelector(selector),
+        this,
+        selector,
+        all
+      )
+    }
+    const engines = await this._context._injectedSelectorEngines()
+    return this.executionContext().evaluateHandle(
+      (element, engines, name, selector, all) =>
+        all
+          ? engines[name].queryAll(element, selector)
+          : engines[name].query(element, selector),
+      this,
+      engines,
+      engineSelector.name,
+      engineSelector.body,
+      all
+    )
+  }
+
+  /**
+   * @param {string} selector
+   * @param {boolean} pierce
+   * @param {boolean} all
+   * @return {Promise<Array<ElementHandle>|?ElementHandle>}
+   * @private
+   */
+  async _pierceQuery (selector, pierce, all) {
+    const handle = await this._pierceQueryHandle(selector, pierce, all)
+    if (all) {
+      const elements = await handle.asElementArray()
+      await handle.dispose()
+      return elements
+    }
+    const element = handle.asElement()
+    if (element) return element
+    await handle.dispose()
+    return null
+  }
+
+  /**
+   * @param {string} selector
+   * @param {boolean} pierce
+   * @param {boolean} all
+   * @return {Promise<JSHandle>} - The first element, or an array of every element when all is true
+   * @private
+   */
+  async _pierceQueryHandle (selector, pierce, all) {
+    const closedShadowRoots = await this._closedShadowRoots()
+    const handle = await this.executionContext().evaluateHandle(
+      pierceQuerySelector,
+      this,
+      selector,
+      pierce,
+      all,
+      ...closedShadowRoots
+    )
+    await Promise.all(closedShadowRoots.map(shadowRoot => shadowRoot.dispose()))
+    return handle
+  }
+
+  /**
+   * Closed shadow roots are not reachable from the page, they are found by the frame manager
+   * and resolved into the execution context of this element
+   * @return {Promise<Array<JSHandle>>}
+   * @private
+   */
+  async _closedShadowRoots () {
+    const backendNodeIds = await this._frameManager._closedShadowRootIds()
+    const shadowRoots = []
+    for (const backendNodeId of backendNodeIds) {
+      try {
+        const { object } = await this._client.send('DOM.resolveNode', {
+          backendNodeId,
+          executionContextId: this._context._contextId
+        })
+        shadowRoots.push(createJSHandle(this._context, object))
+      } catch (e) {
+        // the shadow root belongs to another frame
+        debugError(e)
+      }
+    }
+    return shadowRoots
+  }
+
   /**
    * @return {Promise<{x: number, y: number}>}
    */
@@ -897,6 +1037,14 @@ class ElementHandle extends JSHandle {
 
 exports.ElementHandle = ElementHandle
 
+/**
+ * @param {string|SelectorQuery} selector
+ * @return {SelectorQuery}
+ */
+function selectorQuery (selector) {
+  return helper.isString(selector) ? { selector } : selector
+}
+
 function computeQuadArea (quad) {
   // Compute sum of all directed areas of adjacent triangles
   // https://en.wikipedia.org/wiki/Polygon#Simple_polygons
@@ -949,3 +1097,14 @@ function intersectQuadWithViewport (quad, width, height) {
  * @property {number} width
  * @property {number} height
  */
+
+/**
+ * @typedef {Object} SelectorQuery
+ * @property {string} selector
+ * @property {boolean} [pierce = false] - Cross shadow roots, including closed shadow roots, when matching the selector
+ */
+
+/**
+ * @typedef {Object} SelectorOptions
+ * @property {boolean} [pierce = false] - Cross shadow roots, including closed shadow roots, when matching the selector
+ */
@@ -0,0 +1,45 @@
+const WaitTask = require('./WaitTask')
+const { helper } = require('./helper')
+
+/**
+ * A {@link WaitTask} that polls a query made using the protocol, rather than a predicate evaluated in the page,
+ * until it finds a match
+ * @since chrome-remote-interface-extra
+ */
+class QueryWaitTask extends WaitTask {
+  /**
+   * @param {!DOMWorld} domWorld
+   * @param {function(context: ExecutionContext): Promise<Array<JSHandle>>} query
+   * @param {string} title
+   * @param {number} polling - The interval in milliseconds the query is made at
+   * @param {number} timeout
+   */
+  constructor (domWorld, query, title, polling, timeout) {
+    super(domWorld, 'true', title, polling, timeout)
+    // the first run of the task waits for the execution context before using the query
+    /**
+     * @type {function(context: ExecutionContext): Promise<Array<JSHandle>>}
+     * @private
+     */
+    this._query = query
+  }
+
+  /**
+   * @param {ExecutionContext} executionContext
+   * @param {number} runCount
+   * @return {Promise<?JSHandle>}
+   */
+  async _runPredicate (executionContext, runCount) {
+    while (!this._terminated && runCount === this._runCount) {
+      const handles = await this._query(executionContext)
+      if (handles.length) {
+        await Promise.all(handles.slice(1).map(handle => handle.dispose()))
+        return handles[0]
+      }
+      await helper.delay(this._polling)
+    }
+    return null
+  }
+}
+
+module.exports = QueryWaitTask
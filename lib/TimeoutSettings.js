@@ -16,6 +16,13 @@ class TimeoutSettings {
      * @private
      */
     this._defaultNavigationTimeout = null
+
+    /**
+     * The default timeout used for protocol commands
+     * @type {?number}
+     * @private
+     */
+    this._defaultProtocolTimeout = null
   }
 
   /**
@@ -34,6 +41,15 @@ class TimeoutSettings {
     this._defaultNavigationTimeout = timeout
   }
 
+  /**
+   * Set the default timeout used for protocol commands, 0 disables the timeout
+   * @param {number} timeout
+   * @since chrome-remote-interface-extra
+   */
+  setDefaultProtocolTimeout (timeout) {
+    this._defaultProtocolTimeout = timeout
+  }
+
   /**
    * Retrieve the timeout amount used for navigation
    * @return {number}
@@ -59,6 +75,15 @@ class TimeoutSettings {
     return DEFAULT_TIMEOUT
   }
 
+  /**
+   * Retrieve the timeout amount used for protocol commands, null when it was not set
+   * @return {?number}
+   * @since chrome-remote-interface-extra
+   */
+  protocolTimeout () {
+    return this._defaultProtocolTimeout
+  }
+
   /** @ignore */
   // eslint-disable-next-line space-before-function-paren
   [util.inspect.custom](depth, options) {
@@ -72,6 +97,7 @@ class TimeoutSettings {
     const inner = util.inspect(
       {
         navigationTimeout: this.navigationTimeout(),
+        protocolTimeout: this.protocolTimeout(),
         timeout: this.timeout()
       },
       newOptions
@@ -0,0 +1,578 @@
+const { helper } = require('./helper')
+
+/**
+ * The names of the events of the main thread wrapping each task run by its event loop
+ * @type {Set<string>}
+ */
+const TaskEventNames = new Set([
+  'RunTask',
+  'ThreadControllerImpl::RunTask',
+  'ThreadControllerImpl::DoWork',
+  'TaskQueueManager::ProcessTaskFromWorkQueue',
+  'MessageLoop::RunTask'
+])
+
+/**
+ * The categories of the activity of the main thread, shown by the summary of the DevTools Performance panel,
+ * keyed by the names of the events
+ * @type {Object<string, string>}
+ */
+const ActivityCategories = {
+  ParseHTML: 'loading',
+  ParseAuthorStyleSheet: 'loading',
+  ResourceSendRequest: 'loading',
+  ResourceReceiveResponse: 'loading',
+  ResourceReceivedData: 'loading',
+  ResourceFinish: 'loading',
+  EvaluateScript: 'scripting',
+  'v8.evaluateModule': 'scripting',
+  'v8.compile': 'scripting',
+  'v8.compileModule': 'scripting',
+  'V8.CompileCode': 'scripting',
+  FunctionCall: 'scripting',
+  TimerFire: 'scripting',
+  EventDispatch: 'scripting',
+  FireAnimationFrame: 'scripting',
+  FireIdleCallback: 'scripting',
+  XHRReadyStateChange: 'scripting',
+  XHRLoad: 'scripting',
+  RunMicrotasks: 'scripting',
+  MinorGC: 'scripting',
+  MajorGC: 'scripting',
+  'BlinkGC.AtomicPhase': 'scripting',
+  'ThreadState::performIdleLazySweep': 'scripting',
+  'ThreadState::completeSweep': 'scripting',
+  Layout: 'rendering',
+  UpdateLayoutTree: 'rendering',
+  RecalculateStyles: 'rendering',
+  UpdateLayerTree: 'rendering',
+  HitTest: 'rendering',
+  ScheduleStyleRecalculation: 'rendering',
+  InvalidateLayout: 'rendering',
+  Paint: 'painting',
+  PaintImage: 'painting',
+  PaintSetup: 'painting',
+  CompositeLayers: 'painting',
+  RasterTask: 'painting',
+  'Decode Image': 'painting',
+  'Draw LazyPixelRef': 'painting',
+  'Decode LazyPixelRef': 'painting',
+  UpdateLayer: 'painting'
+}
+
+/**
+ * The names of the events of the rendering work measured by {@link TraceModel#renderingDurations}
+ * @type {Object<string, Array<string>>}
+ */
+const RenderingEvents = {
+  style: ['UpdateLayoutTree', 'RecalculateStyles'],
+  layout: ['Layout'],
+  paint: ['Paint'],
+  composite: ['CompositeLayers']
+}
+
+/**
+ * The navigation timing marks of the main frame, recorded by the blink.user_timing and loading categories
+ * @type {Array<string>}
+ */
+const NavigationMarks = [
+  'navigationStart',
+  'fetchStart',
+  'redirectStart',
+  'redirectEnd',
+  'domainLookupStart',
+  'domainLookupEnd',
+  'connectStart',
+  'connectEnd',
+  'requestStart',
+  'responseStart',
+  'responseEnd',
+  'domLoading',
+  'domInteractive',
+  'domContentLoadedEventStart',
+  'domContentLoadedEventEnd',
+  'domComplete',
+  'loadEventStart',
+  'loadEventEnd',
+  'firstPaint',
+  'firstContentfulPaint',
+  'firstMeaningfulPaint',
+  'largestContentfulPaint::Candidate'
+]
+
+/**
+ * The phases of the events of marks, which are mark, instant or async instant events depending on the version of Chrome
+ * @type {Set<string>}
+ */
+const MarkPhases = new Set(['R', 'I', 'i', 'n'])
+
+/**
+ * The duration above which a task blocks the main thread, in milliseconds
+ * @type {number}
+ */
+const LongTaskThreshold = 50
+
+/**
+ * A parsed trace, as returned by {@link Tracing#stop}, exposing the activity of the main thread of the page
+ * and the marks recorded during the trace. All times are in milliseconds relative to the start of the trace
+ * @since chrome-remote-interface-extra
+ */
+class TraceModel {
+  /**
+   * @param {Buffer|string|Object|Array<TraceEvent>} trace - The trace, as JSON or parsed
+   * @return {TraceModel}
+   */
+  static parse (trace) {
+    if (Buffer.isBuffer(trace)) trace = trace.toString('utf8')
+    if (helper.isString(trace)) trace = JSON.parse(trace)
+    const events = Array.isArray(trace) ? trace : trace.traceEvents
+    if (!Array.isArray(events)) {
+      throw new Error('The trace does not contain trace events')
+    }
+    return new TraceModel(events)
+  }
+
+  /**
+   * @param {Array<TraceEvent>} events
+   */
+  constructor (events) {
+    /**
+     * @type {Array<TraceEvent>}
+     * @private
+     */
+    this._events = events
+      .filter(event => event.ph === 'M' || typeof event.ts === 'number')
+      .sort((a, b) => (a.ts || 0) - (b.ts || 0))
+    let startTime = Infinity
+    let endTime = -Infinity
+    for (const event of this._events) {
+      if (event.ph === 'M' || !event.ts) continue
+      startTime = Math.min(startTime, event.ts)
+      endTime = Math.max(endTime, event.ts + (event.dur || 0))
+    }
+    /**
+     * The timestamp of the first event, in microseconds
+     * @type {number}
+     */
+    this._startTime = Number.isFinite(startTime) ? startTime : 0
+    this._endTime = Number.isFinite(endTime) ? endTime : 0
+    const { pid, tid, frameId } = this._findMainThread()
+    this._pid = pid
+    this._tid = tid
+    this._mainFrameId = frameId
+    /** @type {Array<TraceTask>} */
+    this._tasks = this._buildMainThreadTree()
+  }
+
+  /**
+   * @return {Array<TraceEvent>}
+   */
+  get events () {
+    return this._events
+  }
+
+  /**
+   * @return {number} - The duration of the trace
+   */
+  get duration () {
+    return (this._endTime - this._startTime) / 1000
+  }
+
+  /**
+   * @return {{pid: number, tid: number}} - The process and thread of the main thread of the page
+   */
+  get mainThread () {
+    return { pid: this._pid, tid: this._tid }
+  }
+
+  /**
+   * @return {?string} - The id of the main frame of the page
+   */
+  get mainFrameId () {
+    return this._mainFrameId
+  }
+
+  /**
+   * The tasks run by the main thread, each holding the tree of the events nested in it
+   * @return {Array<TraceTask>}
+   */
+  tasks () {
+    return this._tasks
+  }
+
+  /**
+   * The tasks of the main thread lasting longer than the threshold
+   * @param {number} [threshold = 50]
+   * @return {Array<TraceTask>}
+   */
+  longTasks (threshold = LongTaskThreshold) {
+    return this._tasks.filter(task => task.duration > threshold)
+  }
+
+  /**
+   * The time the main thread was blocked by long tasks, the sum of the durations of the tasks over 50ms
+   * @return {number}
+   */
+  totalBlockingTime () {
+    let blockingTime = 0
+    for (const task of this._tasks) {
+      blockingTime += Math.max(0, task.duration - LongTaskThreshold)
+    }
+    return blockingTime
+  }
+
+  /**
+   * The total duration and count of the style recalculations, layouts, paints and compositing of the main thread
+   * @return {Object<string, {duration: number, count: number}>}
+   */
+  renderingDurations () {
+    const durations = {}
+    const categories = {}
+    for (const name of Object.keys(RenderingEvents)) {
+      durations[name] = { duration: 0, count: 0 }
+      for (const eventName of RenderingEvents[name]) {
+        categories[eventName] = name
+      }
+    }
+    this._visit((node, parent) => {
+      const category = categories[node.name]
+      // nested events of the same kind are measured once
+      if (!category || (parent && categories[parent.name] === category)) return
+      durations[category].duration += node.duration
+      durations[category].count++
+    })
+    return durations
+  }
+
+  /**
+   * The navigation timing marks of the last navigation of the main frame, relative to its navigationStart
+   * @return {Object<string, number>}
+   */
+  navigationTiming () {
+    const marks = this._events.filter(
+      event =>
+        event.ph !== 'M' &&
+        NavigationMarks.includes(event.name) &&
+        (!this._mainFrameId ||
+          !event.args ||
+          !event.args.frame ||
+          event.args.frame === this._mainFrameId)
+    )
+    const navigationStart = marks
+      .filter(event => event.name === 'navigationStart')
+      .pop()
+    if (!navigationStart) return {}
+    const timing = {}
+    for (const event of marks) {
+      if (event.ts < navigationStart.ts) continue
+      const name =
+        event.name === 'largestContentfulPaint::Candidate'
+          ? 'largestContentfulPaint'
+          : event.name
+      // the last candidate is the largest contentful paint, the first occurrence of the other marks is kept
+      if (name in timing && name !== 'largestContentfulPaint') continue
+      timing[name] = (event.ts - navigationStart.ts) / 1000
+    }
+    return timing
+  }
+
+  /**
+   * The marks and measures of the User Timing API recorded by the page
+   * @return {{marks: Array<TraceMark>, measures: Array<TraceMeasure>}}
+   */
+  userTiming () {
+    const marks = []
+    const measures = []
+    const openMeasures = new Map()
+    for (const event of this._events) {
+      if (!event.cat || !event.cat.split(',').includes('blink.user_timing')) {
+        continue
+      }
+      if (NavigationMarks.includes(event.name)) continue
+      if (MarkPhases.has(event.ph)) {
+        marks.push({ name: event.name, startTime: this._time(event.ts) })
+      } else if (event.ph === 'b') {
+        openMeasures.set(measureKey(event), event)
+      } else if (event.ph === 'e') {
+        const begin = openMeasures.get(measureKey(event))
+        if (!begin) continue
+        openMeasures.delete(measureKey(event))
+        measures.push({
+          name: event.name,
+          startTime: this._time(begin.ts),
+          duration: (event.ts - begin.ts) / 1000
+        })
+      }
+    }
+    measures.sort((a, b) => a.startTime - b.startTime)
+    return { marks, measures }
+  }
+
+  /**
+   * The screenshots recorded using the disabled-by-default-devtools.screenshot category,
+   * e.g. by tracing.start({screenshots: true})
+   * @return {Array<TraceScreenshot>}
+   */
+  screenshots () {
+    const screenshots = []
+    for (const event of this._events) {
+      if (event.name !== 'Screenshot' || !event.args || !event.args.snapshot) {
+        continue
+      }
+      screenshots.push({
+        timestamp: this._time(event.ts),
+        data: Buffer.from(event.args.snapshot, 'base64')
+      })
+    }
+    return screenshots
+  }
+
+  /**
+   * The time spent by the main thread in each category of activity, as summarized by the DevTools Performance
+   * panel. The self time of each event is attributed to its category, events without a category inherit the
+   * category of the event they are nested in, the remaining time of tasks is attributed to system
+   * @return {TraceSummary}
+   */
+  summary () {
+    const categories = {
+      loading: 0,
+      scripting: 0,
+      rendering: 0,
+      painting: 0,
+      system: 0,
+      idle: 0
+    }
+    const visit = (node, inherited) => {
+      const category = ActivityCategories[node.name] || inherited
+      let selfTime = node.duration
+      for (const child of node.children) {
+        selfTime -= child.duration
+        visit(child, category)
+      }
+      categories[category] += Math.max(0, selfTime)
+    }
+    let busyTime = 0
+    for (const task of this._tasks) {
+      visit(task, 'system')
+      busyTime += task.duration
+    }
+    categories.idle = Math.max(0, this.duration - busyTime)
+    const longTasks = this.longTasks()
+    return {
+      duration: this.duration,
+      categories,
+      taskCount: this._tasks.length,
+      longTaskCount: longTasks.length,
+      longestTask: this._tasks.reduce(
+        (longest, task) => Math.max(longest, task.duration),
+        0
+      ),
+      totalBlockingTime: this.totalBlockingTime(),
+      rendering: this.renderingDurations(),
+      navigationTiming: this.navigationTiming()
+    }
+  }
+
+  /**
+   * @param {number} ts
+   * @return {number}
+   */
+  _time (ts) {
+    return (ts - this._startTime) / 1000
+  }
+
+  /**
+   * Find the main thread of the page traced, the renderer main thread of the process of its main frame
+   * @return {{pid: ?number, tid: ?number, frameId: ?string}}
+   */
+  _findMainThread () {
+    let pid = null
+    let tid = null
+    let frameId = null
+    for (const event of this._events) {
+      if (event.name === 'TracingStartedInBrowser') {
+        const frames = (event.args.data && event.args.data.frames) || []
+        const mainFrame = frames.find(frame => !frame.parent)
+        if (mainFrame) {
+          pid = mainFrame.processId
+          frameId = mainFrame.frame
+        }
+        break
+      }
+      if (event.name === 'TracingStartedInPage') {
+        pid = event.pid
+        tid = event.tid
+        frameId = event.args.data && event.args.data.page
+        break
+      }
+    }
+    if (tid == null) {
+      const rendererThreads = this._events.filter(
+        event =>
+          event.ph === 'M' &&
+          event.name === 'thread_name' &&
+          event.args.name === 'CrRendererMain' &&
+          (pid == null || event.pid === pid)
+      )
+      if (rendererThreads.length === 1) {
+        pid = rendererThreads[0].pid
+        tid = rendererThreads[0].tid
+      } else if (rendererThreads.length > 1) {
+        // the renderer main thread with the most activity
+        const counts = new Map()
+        for (const event of this._events) {
+          const key = `${event.pid}:${event.tid}`
+          counts.set(key, (counts.get(key) || 0) + 1)
+        }
+        const busiest = rendererThreads.reduce((a, b) =>
+          (counts.get(`${b.pid}:${b.tid}`) || 0) >
+          (counts.get(`${a.pid}:${a.tid}`) || 0)
+            ? b
+            : a
+        )
+        pid = busiest.pid
+        tid = busiest.tid
+      }
+    }
+    return { pid, tid, frameId }
+  }
+
+  /**
+   * Nest the complete and duration events of the main thread into the tasks they are run by
+   * @return {Array<TraceTask>}
+   */
+  _buildMainThreadTree () {
+    const records = []
+    const openEvents = []
+    for (const event of this._events) {
+      if (event.pid !== this._pid || event.tid !== this._tid) continue
+      if (event.ph === 'X') {
+        records.push(this._record(event, event.ts, event.dur || 0))
+      } else if (event.ph === 'B') {
+        openEvents.push(event)
+      } else if (event.ph === 'E') {
+        const begin = openEvents.pop()
+        if (!begin) continue
+        records.push(this._record(begin, begin.ts, event.ts - begin.ts))
+      }
+    }
+    // parents sort before their children, which start at the same time or later and end earlier
+    records.sort(
+      (a, b) =>
+        a.ts - b.ts ||
+        b.end - a.end ||
+        TaskEventNames.has(b.node.name) - TaskEventNames.has(a.node.name)
+    )
+    const tasks = []
+    const stack = []
+    for (const record of records) {
+      while (stack.length && stack[stack.length - 1].end <= record.ts) {
+        stack.pop()
+      }
+      const parent = stack[stack.length - 1]
+      if (parent && record.end <= parent.end) {
+        parent.node.children.push(record.node)
+      } else if (TaskEventNames.has(record.node.name)) {
+        tasks.push(record.node)
+      } else {
+        // events outside of a task, or overlapping the end of their parent, are not part of the task tree
+        continue
+      }
+      stack.push(record)
+    }
+    return tasks
+  }
+
+  /**
+   * @param {TraceEvent} event
+   * @param {number} ts
+   * @param {number} dur
+   * @return {{node: TraceTask, ts: number, end: number}}
+   */
+  _record (event, ts, dur) {
+    const node = {
+      name: event.name,
+      startTime: this._time(ts),
+      duration: dur / 1000,
+      children: [],
+      event
+    }
+    return { node, ts, end: ts + dur }
+  }
+
+  /**
+   * Visit the events of the tasks depth first
+   * @param {function(TraceTask, ?TraceTask)} visitor
+   */
+  _visit (visitor) {
+    const visit = (node, parent) => {
+      visitor(node, parent)
+      for (const child of node.children) visit(child, node)
+    }
+    for (const task of this._tasks) visit(task, null)
+  }
+}
+
+/**
+ * @param {TraceEvent} event
+ * @return {string} - The key pairing the begin and end events of a measure
+ */
+function measureKey (event) {
+  const id = event.id2 ? event.id2.local || event.id2.global : event.id
+  return `${event.name}:${id}`
+}
+
+module.exports = TraceModel
+
+/**
+ * @typedef {Object} TraceEvent
+ * @property {string} name
+ * @property {string} cat
+ * @property {string} ph - The phase of the event, e.g. X for complete events
+ * @property {number} ts - The timestamp of the event in microseconds
+ * @property {number} [dur] - The duration of complete events in microseconds
+ * @property {number} pid
+ * @property {number} tid
+ * @property {Object} [args]
+ * @see https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+ */
+
+/**
+ * @typedef {Object} TraceTask
+ * @property {string} name
+ * @property {number} startTime
+ * @property {number} duration
+ * @property {Array<TraceTask>} children - The events nested in the event
+ * @property {TraceEvent} event
+ */
+
+/**
+ * @typedef {Object} TraceMark
+ * @property {string} name
+ * @property {number} startTime
+ */
+
+/**
+ * @typedef {Object} TraceMeasure
+ * @property {string} name
+ * @property {number} startTime
+ * @property {number} duration
+ */
+
+/**
+ * @typedef {Object} TraceScreenshot
+ * @property {number} timestamp
+ * @property {Buffer} data - The jpeg screenshot
+ */
+
+/**
+ * @typedef {Object} TraceSummary
+ * @property {number} duration
+ * @property {{loading: number, scripting: number, rendering: number, painting: number, system: number, idle: number}} categories
+ * @property {number} taskCount
+ * @property {number} longTaskCount
+ * @property {number} longestTask
+ * @property {number} totalBlockingTime
+ * @property {Object<string, {duration: number, count: number}>} rendering - See {@link TraceModel#renderingDurations}
+ * @property {Object<string, number>} navigationTiming - See {@link TraceModel#navigationTiming}
+ */
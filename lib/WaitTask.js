@@ -67,13 +67,7 @@ class WaitTask {
     let error = null
     try {
       let executionContext = await this._domWorld.executionContext()
-      success = await executionContext.evaluateHandle(
-        waitForPredicatePageFunction,
-        this._predicateBody,
-        this._polling,
-        this._timeout,
-        ...this._args
-      )
+      success = await this._runPredicate(executionContext, runCount)
     } catch (e) {
       error = e
     }
@@ -120,6 +114,22 @@ class WaitTask {
     this._cleanup()
   }
 
+  /**
+   * Resolves with the result of the predicate once it is truthy
+   * @param {ExecutionContext} executionContext
+   * @param {number} runCount
+   * @return {Promise<?JSHandle>}
+   */
+  _runPredicate (executionContext, runCount) {
+    return executionContext.evaluateHandle(
+      waitForPredicatePageFunction,
+      this._predicateBody,
+      this._polling,
+      this._timeout,
+      ...this._args
+    )
+  }
+
   _cleanup () {
     clearTimeout(this._timeoutTimer)
     this._domWorld._waitTasks.delete(this)
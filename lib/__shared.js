@@ -1,4 +1,5 @@
 const { helper, assert } = require('./helper')
+const { AbortError, TimeoutError } = require('./Errors')
 const Cookie = require('./network/Cookie')
 
 /**
@@ -136,6 +137,80 @@ exports.createProtocolError = function createProtocolError (
 /** @ignore */
 exports.rewriteError = rewriteError
 
+/**
+ * @ignore
+ * Sends a command and registers the callback for its response. The returned promise is rejected
+ * with a {@link TimeoutError} when no response was received within the timeout, or with an
+ * {@link AbortError} when the signal is aborted, after which the response is ignored
+ * @param {Map<number, Object>} callbacks - The callbacks of the connection or session sending the command
+ * @param {string} method - The method of the command
+ * @param {string} sender - Describes what sent the command, used in the error messages
+ * @param {CommandOptions} options
+ * @param {function(function(id: number)): number} send - Sends the command, calling its argument with the id
+ * of the command before sending it
+ * @return {Promise<Object>}
+ */
+exports.sendCommand = function sendCommand (
+  callbacks,
+  method,
+  sender,
+  { timeout, signal },
+  send
+) {
+  const abortError = () =>
+    new AbortError(
+      `Protocol error (${method}): The command sent using ${sender} was aborted`
+    )
+  if (signal && signal.aborted) return Promise.reject(abortError())
+  return new Promise((resolve, reject) => {
+    let id = null
+    let timeoutTimer = null
+    const onAbort = () => {
+      callbacks.delete(id)
+      cleanup()
+      reject(abortError())
+    }
+    const cleanup = () => {
+      clearTimeout(timeoutTimer)
+      if (signal) signal.removeEventListener('abort', onAbort)
+    }
+    // the callback is registered before sending, a response can not arrive before it
+    try {
+      send(commandId => {
+        id = commandId
+        callbacks.set(id, {
+          resolve (result) {
+            cleanup()
+            resolve(result)
+          },
+          reject (error) {
+            cleanup()
+            reject(error)
+          },
+          error: new Error(),
+          method
+        })
+      })
+    } catch (error) {
+      if (id !== null) callbacks.delete(id)
+      reject(error)
+      return
+    }
+    if (timeout) {
+      timeoutTimer = setTimeout(() => {
+        callbacks.delete(id)
+        cleanup()
+        reject(
+          new TimeoutError(
+            `Protocol error (${method}): Timed out after ${timeout}ms waiting for the response to the command sent using ${sender}`
+          )
+        )
+      }, timeout)
+    }
+    if (signal) signal.addEventListener('abort', onAbort)
+  })
+}
+
 /**
  * @param {Array<{startOffset:number, endOffset:number, count:number}>} nestedRanges
  * @return {Array<{start:number, end:number}>}
@@ -251,3 +326,62 @@ exports.ensureCookie = function ensureCookie (cookie, url, setURLIfMissing) {
 }
 
 exports.findTarget = function findTarget (connection) {}
+
+/**
+ * The number of users of the domains enabled using {@link enableSharedDomain}, by client
+ * @type {WeakMap<Object, Map<string, number>>}
+ */
+const sharedDomainUsers = new WeakMap()
+
+/**
+ * @ignore
+ * Enable a domain used by more than one class for the same client, e.g. the Profiler domain
+ * used by JSCoverage and Profiler, so that it stays enabled until its last user disables it
+ * @param {Chrome|CDPSession|CRIConnection} client
+ * @param {string} domain
+ * @return {Promise<void>}
+ */
+exports.enableSharedDomain = async function enableSharedDomain (
+  client,
+  domain
+) {
+  let users = sharedDomainUsers.get(client)
+  if (!users) {
+    users = new Map()
+    sharedDomainUsers.set(client, users)
+  }
+  users.set(domain, (users.get(domain) || 0) + 1)
+  try {
+    await client.send(`${domain}.enable`)
+  } catch (error) {
+    users.set(domain, users.get(domain) - 1)
+    throw error
+  }
+}
+
+/**
+ * @ignore
+ * Disable a domain enabled using {@link enableSharedDomain} unless it is still used
+ * @param {Chrome|CDPSession|CRIConnection} client
+ * @param {string} domain
+ * @return {Promise<void>}
+ */
+exports.disableSharedDomain = async function disableSharedDomain (
+  client,
+  domain
+) {
+  const users = sharedDomainUsers.get(client)
+  const count = (users && users.get(domain)) || 0
+  if (count > 1) {
+    users.set(domain, count - 1)
+    return
+  }
+  if (users) users.delete(domain)
+  await client.send(`${domain}.disable`)
+}
+
+/**
+ * @typedef {Object} CommandOptions
+ * @property {number} [timeout] - Maximum time in milliseconds to wait for the response, 0 disables the timeout. Defaults to the protocol timeout of the timeout settings
+ * @property {AbortSignal} [signal] - Signal that when aborted rejects the command with an {@link AbortError}
+ */
@@ -46,12 +46,29 @@
  * @property {string} type
  * @property {string} path
  * @property {boolean} fullPage
+ * @property {boolean} [stitch] - Capture a full page screenshot by scrolling the page and stitching the captures together rather than resizing the viewport, png only
+ * @property {boolean} [hideFixedElements] - Hide the fixed and sticky elements after the first capture of a stitched screenshot
  * @property {{x: number, y: number, width: number, height: number}} clip
  * @property {number} quality
  * @property {boolean} omitBackground
  * @property {string} encoding
  */
 
+/**
+ * @typedef {Object} CompareScreenshotOptions
+ * @property {string} [path] - The path to save the screenshot to
+ * @property {boolean} [fullPage]
+ * @property {boolean} [stitch]
+ * @property {boolean} [hideFixedElements]
+ * @property {{x: number, y: number, width: number, height: number}} [clip]
+ * @property {boolean} [omitBackground]
+ * @property {number} [threshold = 0.1] - The perceived color difference, from 0 to 1, above which pixels are mismatched
+ * @property {boolean} [includeAA = false] - Count the anti-aliased pixels as mismatched rather than tolerating them
+ * @property {Array<string>} [mask] - The selectors of the elements ignored by the comparison
+ * @property {number} [regionGap = 5] - The distance in pixels under which mismatched pixels belong to the same changed region
+ * @property {string} [diffPath] - The path to save the diff image to
+ */
+
 /**
  * @typedef {Object} SerializedAXNode
  * @property {string} role
@@ -149,6 +166,12 @@
  * @property {string} url
  * @property {string} text
  * @property {Array<{start: number, end: number}>} ranges
+ * @property {string} [scriptId] - The id of the script, detailed JavaScript coverage only
+ * @property {?string} [sourceMapURL] - The source map URL of the script, detailed JavaScript coverage only
+ * @property {Array<Object>} [functions] - The functions of the script reported by Profiler.takePreciseCoverage,
+ * with the number of times each of their blocks was executed, detailed JavaScript coverage only
+ * @property {Array<{startOffset: number, endOffset: number, used: boolean}>} [rules] - The rules of the style sheet,
+ * detailed CSS coverage only
  */
 
 /**
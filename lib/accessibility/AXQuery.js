@@ -0,0 +1,127 @@
+const AXNode = require('./AXNode')
+const QueryWaitTask = require('../QueryWaitTask')
+const { createJSHandle } = require('../JSHandle')
+
+/**
+ * The attributes an accessible name is taken from when it is a label
+ * @type {Set<string>}
+ */
+const LabelAttributes = new Set(['aria-label', 'aria-labelledby'])
+
+/**
+ * The native sources, reported by Chrome, of accessible names taken from a label element
+ * @type {Set<string>}
+ */
+const LabelNativeSources = new Set(['label', 'labelfor', 'labelwrapped'])
+
+/**
+ * @param {string} text
+ * @return {string}
+ */
+function normalizeWhitespace (text) {
+  return text.replace(/\s+/g, ' ').trim()
+}
+
+/**
+ * @param {string} actual
+ * @param {string|RegExp} expected
+ * @param {boolean} [exact = false] - When false strings match case-insensitively and by substring
+ * @return {boolean}
+ */
+function matchesText (actual, expected, exact = false) {
+  if (expected instanceof RegExp) return expected.test(actual)
+  const normalizedActual = normalizeWhitespace(actual)
+  const normalizedExpected = normalizeWhitespace(`${expected}`)
+  if (exact) return normalizedActual === normalizedExpected
+  return normalizedActual
+    .toLowerCase()
+    .includes(normalizedExpected.toLowerCase())
+}
+
+/**
+ * Determines if the accessible name of the node was taken from a label,
+ * i.e. a label element, aria-labelledby or aria-label
+ * @param {AXNode} node
+ * @return {boolean}
+ */
+function isLabelled (node) {
+  const name = node._payload.name
+  // without the sources of the name only controls are considered labelled
+  if (!name || !name.sources) return node.isControl()
+  for (const source of name.sources) {
+    if (source.superseded || !source.value) continue
+    return (
+      LabelAttributes.has(source.attribute) ||
+      LabelNativeSources.has(source.nativeSource)
+    )
+  }
+  return false
+}
+
+/**
+ * Find the elements of the nodes in the accessibility tree of a frame matching the query
+ * @param {Chrome|CRIConnection|CDPSession|Object} client
+ * @param {ExecutionContext} context - The execution context the element handles are created in
+ * @param {?string} frameId - The id of the frame whose tree is queried, null for the main frame
+ * @param {AXQuery} query
+ * @return {Promise<Array<ElementHandle>>}
+ */
+async function queryAXTree (client, context, frameId, query) {
+  const { nodes } = await client.send(
+    'Accessibility.getFullAXTree',
+    frameId ? { frameId } : {}
+  )
+  const handles = []
+  for (const payload of nodes) {
+    if (payload.ignored || !payload.backendDOMNodeId) continue
+    const node = new AXNode(payload)
+    if (query.role && node._role !== query.role) continue
+    if (
+      query.name != null &&
+      !matchesText(node._name, query.name, query.exact)
+    ) {
+      continue
+    }
+    if (
+      query.label != null &&
+      !(matchesText(node._name, query.label, query.exact) && isLabelled(node))
+    ) {
+      continue
+    }
+    let object
+    try {
+      object = (await client.send('DOM.resolveNode', {
+        backendNodeId: payload.backendDOMNodeId,
+        executionContextId: context._contextId
+      })).object
+    } catch (e) {
+      // the node was removed from the DOM after the tree was retrieved
+      continue
+    }
+    const handle = createJSHandle(context, object)
+    if (!handle.asElement()) {
+      await handle.dispose()
+      continue
+    }
+    handles.push(handle.asElement())
+    if (query.limit && handles.length >= query.limit) break
+  }
+  return handles
+}
+
+/**
+ * A {@link QueryWaitTask} that polls the accessibility tree until an element matching the query is found
+ * @since chrome-remote-interface-extra
+ */
+class AXQueryWaitTask extends QueryWaitTask {}
+
+module.exports = { AXQueryWaitTask, queryAXTree }
+
+/**
+ * @typedef {Object} AXQuery
+ * @property {string} [role] - The role of the nodes
+ * @property {string|RegExp} [name] - The accessible name of the nodes
+ * @property {string|RegExp} [label] - The label of the nodes, an accessible name taken from a label element, aria-labelledby or aria-label
+ * @property {boolean} [exact = false] - Match the name or label exactly rather than case-insensitively and by substring
+ * @property {number} [limit] - The maximum number of elements to be returned
+ */
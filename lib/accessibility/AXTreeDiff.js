@@ -0,0 +1,113 @@
+/**
+ * Index the nodes of a serialized tree by their backendDOMNodeId, when present, otherwise by their path.
+ * The path of a node is the roles of its ancestors and itself, each with the index of the node amongst
+ * its siblings with the same role, e.g. /WebArea:0/main:0/button:1
+ * @param {?SerializedAXNode} node
+ * @param {string} [parentPath = '']
+ * @param {Map<string, {path: string, node: SerializedAXNode}>} [index]
+ * @param {number} [position = 0] - The index of the node amongst its siblings with the same role
+ * @return {Map<string, {path: string, node: SerializedAXNode}>}
+ */
+function indexSnapshot (
+  node,
+  parentPath = '',
+  index = new Map(),
+  position = 0
+) {
+  if (!node) return index
+  const path = `${parentPath}/${node.role}:${position}`
+  const key = node.backendDOMNodeId ? `backend:${node.backendDOMNodeId}` : path
+  index.set(key, { path, node })
+  const positions = new Map()
+  for (const child of node.children || []) {
+    const childPosition = positions.get(child.role) || 0
+    positions.set(child.role, childPosition + 1)
+    indexSnapshot(child, path, index, childPosition)
+  }
+  return index
+}
+
+/**
+ * @param {SerializedAXNode} node
+ * @return {Object} - The node without its children and backendDOMNodeId
+ */
+function nodeProperties (node) {
+  const properties = {}
+  for (const name of Object.keys(node)) {
+    if (name !== 'children' && name !== 'backendDOMNodeId') {
+      properties[name] = node[name]
+    }
+  }
+  return properties
+}
+
+/**
+ * Compare two serialized accessibility trees, see {@link Accessibility.diff}
+ * @param {?SerializedAXNode} snapshotA - The earlier snapshot
+ * @param {?SerializedAXNode} snapshotB - The later snapshot
+ * @return {AXTreeDiff}
+ */
+function diffSnapshots (snapshotA, snapshotB) {
+  const before = indexSnapshot(snapshotA)
+  const after = indexSnapshot(snapshotB)
+  /** @type {AXTreeDiff} */
+  const diff = { equal: true, added: [], removed: [], changed: [] }
+  for (const [key, entry] of before) {
+    if (!after.has(key)) {
+      diff.removed.push({
+        key,
+        path: entry.path,
+        node: nodeProperties(entry.node)
+      })
+    }
+  }
+  for (const [key, entry] of after) {
+    const previous = before.get(key)
+    if (!previous) {
+      diff.added.push({
+        key,
+        path: entry.path,
+        node: nodeProperties(entry.node)
+      })
+      continue
+    }
+    const beforeProperties = nodeProperties(previous.node)
+    const afterProperties = nodeProperties(entry.node)
+    const names = new Set(
+      Object.keys(beforeProperties).concat(Object.keys(afterProperties))
+    )
+    const changes = {}
+    let changed = false
+    for (const name of names) {
+      if (beforeProperties[name] !== afterProperties[name]) {
+        changes[name] = {
+          before: beforeProperties[name],
+          after: afterProperties[name]
+        }
+        changed = true
+      }
+    }
+    if (changed) {
+      diff.changed.push({
+        key,
+        path: entry.path,
+        before: beforeProperties,
+        after: afterProperties,
+        changes
+      })
+    }
+  }
+  diff.equal =
+    !diff.added.length && !diff.removed.length && !diff.changed.length
+  return diff
+}
+
+module.exports = { diffSnapshots, indexSnapshot }
+
+/**
+ * @typedef {Object} AXTreeDiff
+ * @property {boolean} equal - True when no node was added, removed or changed
+ * @property {Array<{key: string, path: string, node: Object}>} added - The nodes only in the later snapshot
+ * @property {Array<{key: string, path: string, node: Object}>} removed - The nodes only in the earlier snapshot
+ * @property {Array<{key: string, path: string, before: Object, after: Object, changes: Object<string, {before: *, after: *}>}>} changed - The nodes whose role, name or state changed
+ */
@@ -1,5 +1,11 @@
 const util = require('util')
 const AXNode = require('./AXNode')
+const AccessibilityWatcher = require('./AccessibilityWatcher')
+const AuditRules = require('./AuditRules')
+const { diffSnapshots } = require('./AXTreeDiff')
+const { AuditReport, AuditViolation } = require('./AuditReport')
+const { createJSHandle } = require('../JSHandle')
+const { helper, assert, debugError } = require('../helper')
 
 /**
  * @param {!Set<AXNode>} collection
@@ -18,42 +24,77 @@ function collectInterestingNodes (collection, node, insideControl) {
 /**
  * @param {!AXNode} node
  * @param {!Set<AXNode>=} whitelistedNodes
+ * @param {boolean} [backendNodeIds = false] - Include the backendDOMNodeId of the nodes
  * @return {Array<SerializedAXNode>}
  */
-function serializeTree (node, whitelistedNodes) {
+function serializeTree (node, whitelistedNodes, backendNodeIds = false) {
   /** @type {Array<SerializedAXNode>} */
   const children = []
   for (const child of node._children) {
-    children.push(...serializeTree(child, whitelistedNodes))
+    children.push(...serializeTree(child, whitelistedNodes, backendNodeIds))
   }
   if (whitelistedNodes && !whitelistedNodes.has(node)) return children
   const serializedNode = node.serialize()
+  if (backendNodeIds && node._payload.backendDOMNodeId) {
+    serializedNode.backendDOMNodeId = node._payload.backendDOMNodeId
+  }
   if (children.length) serializedNode.children = children
   return [serializedNode]
 }
 
+/**
+ * @param {!AXNode} node
+ * @param {Array<AXNode>} nodes
+ * @return {Array<AXNode>} - The nodes of the tree in document order
+ */
+function flattenTree (node, nodes = []) {
+  nodes.push(node)
+  for (const child of node._children) {
+    if (child) flattenTree(child, nodes)
+  }
+  return nodes
+}
+
 class Accessibility {
+  /**
+   * Compare two snapshots, see {@link Accessibility#snapshot}, reporting the nodes added, removed and changed.
+   * Nodes are matched by their backendDOMNodeId, included in snapshots taken using the backendNodeIds option,
+   * otherwise by their path in the tree
+   * @param {?SerializedAXNode} snapshotA - The earlier snapshot
+   * @param {?SerializedAXNode} snapshotB - The later snapshot
+   * @return {AXTreeDiff}
+   * @since chrome-remote-interface-extra
+   */
+  static diff (snapshotA, snapshotB) {
+    return diffSnapshots(snapshotA, snapshotB)
+  }
+
   /**
    * @param {Chrome|CRIConnection|CDPSession|Object} client
+   * @param {FrameManager} [frameManager] - Used to resolve the elements of the nodes violating audit rules
    */
-  constructor (client) {
+  constructor (client, frameManager) {
     this._client = client
+
+    /**
+     * @type {?FrameManager}
+     * @private
+     */
+    this._frameManager = frameManager || null
   }
 
   /**
-   * @param {{interestingOnly?: boolean, root?: ?ElementHandle}=} [options]
+   * @param {{interestingOnly?: boolean, root?: ?ElementHandle, backendNodeIds?: boolean}=} [options]
    * @return {Promise<SerializedAXNode>}
    */
   async snapshot (options = {}) {
-    const { interestingOnly = true, root = null } = options
+    const {
+      interestingOnly = true,
+      root = null,
+      backendNodeIds = false
+    } = options
     const { nodes } = await this._client.send('Accessibility.getFullAXTree')
-    let backendNodeId = null
-    if (root) {
-      const { node } = await this._client.send('DOM.describeNode', {
-        objectId: root._remoteObject.objectId
-      })
-      backendNodeId = node.backendNodeId
-    }
+    const backendNodeId = root ? await this._backendNodeId(root) : null
     const defaultRoot = AXNode.createTree(nodes)
     let needle = defaultRoot
     if (backendNodeId) {
@@ -63,13 +104,130 @@ class Accessibility {
       if (!needle) return null
     }
 
-    if (!interestingOnly) return serializeTree(needle)[0]
+    if (!interestingOnly) return serializeTree(needle, null, backendNodeIds)[0]
 
     /** @type {!Set<!AXNode>} */
     const interestingNodes = new Set()
     collectInterestingNodes(interestingNodes, defaultRoot, false)
     if (!interestingNodes.has(needle)) return null
-    return serializeTree(needle, interestingNodes)[0]
+    return serializeTree(needle, interestingNodes, backendNodeIds)[0]
+  }
+
+  /**
+   * Start watching the accessibility tree of the page. The changes made to it can then be retrieved
+   * using {@link AccessibilityWatcher#diff}, or when polling is enabled, listened for
+   * @param {AccessibilityWatchOptions} [options]
+   * @return {Promise<AccessibilityWatcher>}
+   * @since chrome-remote-interface-extra
+   */
+  async watch (options = {}) {
+    const watcher = new AccessibilityWatcher(this, options)
+    await watcher.start()
+    return watcher
+  }
+
+  /**
+   * Audit the accessibility tree of the page, reporting the nodes that violate the supplied rules.
+   *
+   * Rules are either the id of one of the built in {@link AuditRules}:
+   *  * button-name - Buttons must have an accessible name
+   *  * link-name - Links must have an accessible name
+   *  * image-alt - Images must have alternate text
+   *  * label - Form controls must be labeled
+   *  * empty-heading - Headings must not be empty
+   *  * heading-order - Heading levels must only increase by one
+   *  * landmark-unique - Landmarks with the same role must have unique accessible names
+   *  * focusable-hidden - Elements hidden using aria-hidden must not be focusable
+   *
+   * or an {@link AuditRule} object
+   * @param {AuditOptions} [options]
+   * @return {Promise<AuditReport>}
+   * @since chrome-remote-interface-extra
+   */
+  async audit (options = {}) {
+    const {
+      rules = Object.keys(AuditRules),
+      root = null,
+      resolveElements = true
+    } = options
+    const auditRules = rules.map(rule => {
+      if (helper.isString(rule)) {
+        assert(AuditRules[rule], `Unknown accessibility audit rule "${rule}"`)
+        return AuditRules[rule]
+      }
+      assert(
+        rule && helper.isString(rule.id) && typeof rule.check === 'function',
+        'Accessibility audit rules must have an id and a check function'
+      )
+      return rule
+    })
+    const { nodes } = await this._client.send('Accessibility.getFullAXTree')
+    let needle = AXNode.createTree(nodes)
+    if (root) {
+      const backendNodeId = await this._backendNodeId(root)
+      needle = needle.find(
+        node => node._payload.backendDOMNodeId === backendNodeId
+      )
+    }
+    const auditNodes = needle ? flattenTree(needle) : []
+    const context = { client: this._client }
+    const elements = new Map()
+    const violations = []
+    for (const rule of auditRules) {
+      const results = await rule.check(auditNodes, context)
+      for (const result of results) {
+        const backendNodeId = result.node._payload.backendDOMNodeId
+        let element = null
+        if (resolveElements && backendNodeId) {
+          if (!elements.has(backendNodeId)) {
+            elements.set(
+              backendNodeId,
+              await this._resolveElement(backendNodeId)
+            )
+          }
+          element = elements.get(backendNodeId)
+        }
+        violations.push(new AuditViolation(rule, result, element))
+      }
+    }
+    return new AuditReport({
+      url: this._frameManager ? this._frameManager.mainFrame().url() : '',
+      rules: auditRules,
+      violations
+    })
+  }
+
+  /**
+   * @param {ElementHandle} element
+   * @return {Promise<number>}
+   * @private
+   */
+  async _backendNodeId (element) {
+    const { node } = await this._client.send('DOM.describeNode', {
+      objectId: element._remoteObject.objectId
+    })
+    return node.backendNodeId
+  }
+
+  /**
+   * @param {number} backendNodeId
+   * @return {Promise<?ElementHandle>}
+   * @private
+   */
+  async _resolveElement (backendNodeId) {
+    if (!this._frameManager) return null
+    try {
+      const context = await this._frameManager.mainFrame().executionContext()
+      const { object } = await this._client.send('DOM.resolveNode', {
+        backendNodeId,
+        executionContextId: context._contextId
+      })
+      return /** @type {ElementHandle} */ (createJSHandle(context, object))
+    } catch (e) {
+      // the node is no longer in the DOM or belongs to another frame
+      debugError(e)
+      return null
+    }
   }
 
   /**
@@ -87,3 +245,10 @@ class Accessibility {
 }
 
 module.exports = Accessibility
+
+/**
+ * @typedef {Object} AuditOptions
+ * @property {Array<string|AuditRule>} [rules] - The rules to check, defaults to every rule of {@link AuditRules}
+ * @property {?ElementHandle} [root] - Only audit the accessibility tree of this element
+ * @property {boolean} [resolveElements = true] - Resolve the element of each node violating a rule to an {@link ElementHandle}
+ */
@@ -0,0 +1,176 @@
+const util = require('util')
+const EventEmitter = require('eventemitter3')
+const Events = require('../Events')
+const { diffSnapshots } = require('./AXTreeDiff')
+const { debugError } = require('../helper')
+
+/**
+ * Reports the changes made to the accessibility tree of a page between two points in time,
+ * created using {@link Accessibility#watch}.
+ *
+ * Each call to {@link AccessibilityWatcher#diff} compares the current accessibility tree to the tree
+ * as it was when the watcher started, or when diff was last called. When polling is enabled, the tree
+ * is compared every polling milliseconds and the Events.AccessibilityWatcher.Changed event is emitted
+ * with the {@link AXTreeDiff} when it changed
+ * @since chrome-remote-interface-extra
+ */
+class AccessibilityWatcher extends EventEmitter {
+  /**
+   * @param {Accessibility} accessibility
+   * @param {AccessibilityWatchOptions} [options]
+   */
+  constructor (accessibility, options = {}) {
+    super()
+    /**
+     * @type {Accessibility}
+     * @private
+     */
+    this._accessibility = accessibility
+
+    /**
+     * @type {{interestingOnly: boolean, root: ?ElementHandle, backendNodeIds: boolean}}
+     * @private
+     */
+    this._snapshotOptions = {
+      interestingOnly: options.interestingOnly !== false,
+      root: options.root || null,
+      backendNodeIds: true
+    }
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._polling = options.polling || 0
+
+    /**
+     * @type {?SerializedAXNode}
+     * @private
+     */
+    this._snapshot = null
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._watching = false
+
+    /**
+     * @type {?number}
+     * @private
+     */
+    this._pollingTimer = null
+
+    /**
+     * Serializes the snapshots taken so that each diff continues from the last
+     * @type {Promise<*>}
+     * @private
+     */
+    this._pending = Promise.resolve()
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get watching () {
+    return this._watching
+  }
+
+  /**
+   * @return {?SerializedAXNode} - The snapshot the next diff is made against
+   */
+  snapshot () {
+    return this._snapshot
+  }
+
+  /**
+   * Take the initial snapshot and, when polling is enabled, start polling
+   * @return {Promise<void>}
+   */
+  async start () {
+    if (this._watching) return
+    this._snapshot = await this._accessibility.snapshot(this._snapshotOptions)
+    this._watching = true
+    this._schedulePoll()
+  }
+
+  /**
+   * Compare the current accessibility tree to the tree when the watcher started or diff was last called
+   * @return {Promise<AXTreeDiff>}
+   */
+  diff () {
+    const diff = this._pending.then(async () => {
+      const snapshot = await this._accessibility.snapshot(this._snapshotOptions)
+      const diff = diffSnapshots(this._snapshot, snapshot)
+      this._snapshot = snapshot
+      return diff
+    })
+    this._pending = diff.catch(() => {})
+    return diff
+  }
+
+  /**
+   * Stop polling
+   */
+  stop () {
+    this._watching = false
+    clearTimeout(this._pollingTimer)
+    this._pollingTimer = null
+  }
+
+  /**
+   * @private
+   */
+  _schedulePoll () {
+    if (!this._polling || !this._watching) return
+    this._pollingTimer = setTimeout(() => this._poll(), this._polling)
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async _poll () {
+    try {
+      const diff = await this.diff()
+      if (!diff.equal && this._watching) {
+        this.emit(Events.AccessibilityWatcher.Changed, diff)
+      }
+    } catch (e) {
+      // the page was closed or navigated
+      debugError(e)
+      this.stop()
+      return
+    }
+    this._schedulePoll()
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[AccessibilityWatcher]', 'special')
+    }
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(
+      {
+        watching: this._watching,
+        polling: this._polling,
+        interestingOnly: this._snapshotOptions.interestingOnly
+      },
+      newOptions
+    )
+    return `${options.stylize('AccessibilityWatcher', 'special')} ${inner}`
+  }
+}
+
+module.exports = AccessibilityWatcher
+
+/**
+ * @typedef {Object} AccessibilityWatchOptions
+ * @property {boolean} [interestingOnly = true] - Only watch the interesting nodes, see {@link Accessibility#snapshot}
+ * @property {?ElementHandle} [root] - Only watch the accessibility tree of this element
+ * @property {number} [polling = 0] - Compare the accessibility tree every polling milliseconds emitting Events.AccessibilityWatcher.Changed when it changed, 0 disables polling
+ */
@@ -0,0 +1,257 @@
+const util = require('util')
+
+/**
+ * A node of the accessibility tree that violates an accessibility audit rule
+ * @since chrome-remote-interface-extra
+ */
+class AuditViolation {
+  /**
+   * @param {AuditRule} rule - The rule violated
+   * @param {AuditRuleResult} result
+   * @param {?ElementHandle} element - The element of the node violating the rule
+   */
+  constructor (rule, result, element) {
+    /**
+     * @type {AuditRule}
+     * @private
+     */
+    this._rule = rule
+
+    /**
+     * @type {AXNode}
+     * @private
+     */
+    this._node = result.node
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._message = result.message
+
+    /**
+     * @type {?ElementHandle}
+     * @private
+     */
+    this._element = element
+  }
+
+  /**
+   * @return {string} - The id of the rule violated
+   */
+  get rule () {
+    return this._rule.id
+  }
+
+  /**
+   * @return {string}
+   */
+  get impact () {
+    return this._rule.impact
+  }
+
+  /**
+   * @return {string}
+   */
+  get message () {
+    return this._message
+  }
+
+  /**
+   * @return {string}
+   */
+  get role () {
+    return this._node._role
+  }
+
+  /**
+   * @return {string}
+   */
+  get name () {
+    return this._node._name
+  }
+
+  /**
+   * @return {?number}
+   */
+  get backendDOMNodeId () {
+    return this._node._payload.backendDOMNodeId || null
+  }
+
+  /**
+   * @return {AXNode}
+   */
+  get node () {
+    return this._node
+  }
+
+  /**
+   * @return {?ElementHandle} - The element of the node violating the rule, null if it could not be resolved
+   */
+  get element () {
+    return this._element
+  }
+
+  /**
+   * @return {{rule: string, impact: string, description: string, message: string, role: string, name: string, backendDOMNodeId: ?number}}
+   */
+  toJSON () {
+    return {
+      rule: this.rule,
+      impact: this.impact,
+      description: this._rule.description,
+      message: this.message,
+      role: this.role,
+      name: this.name,
+      backendDOMNodeId: this.backendDOMNodeId
+    }
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[AuditViolation]', 'special')
+    }
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(this.toJSON(), newOptions)
+    return `${options.stylize('AuditViolation', 'special')} ${inner}`
+  }
+}
+
+/**
+ * The results of an accessibility audit, see {@link Accessibility#audit}
+ * @since chrome-remote-interface-extra
+ */
+class AuditReport {
+  /**
+   * @param {{url: string, rules: Array<AuditRule>, violations: Array<AuditViolation>}} init
+   */
+  constructor ({ url, rules, violations }) {
+    /**
+     * @type {string}
+     * @private
+     */
+    this._url = url
+
+    /**
+     * @type {Array<AuditRule>}
+     * @private
+     */
+    this._rules = rules
+
+    /**
+     * @type {Array<AuditViolation>}
+     * @private
+     */
+    this._violations = violations
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._timestamp = Date.now()
+  }
+
+  /**
+   * @return {string} - The URL of the page audited
+   */
+  get url () {
+    return this._url
+  }
+
+  /**
+   * @return {boolean} - True when no rule was violated
+   */
+  get passed () {
+    return this._violations.length === 0
+  }
+
+  /**
+   * @return {Array<string>} - The ids of the rules checked
+   */
+  rules () {
+    return this._rules.map(rule => rule.id)
+  }
+
+  /**
+   * @param {string} [rule] - Only the violations of this rule
+   * @return {Array<AuditViolation>}
+   */
+  violations (rule) {
+    if (!rule) return this._violations.slice()
+    return this._violations.filter(violation => violation.rule === rule)
+  }
+
+  /**
+   * Dispose the element handles of the violations
+   * @return {Promise<void>}
+   */
+  async dispose () {
+    await Promise.all(
+      this._violations.map(violation =>
+        violation.element ? violation.element.dispose() : null
+      )
+    )
+  }
+
+  /**
+   * @return {AuditReportJSON}
+   */
+  toJSON () {
+    const byRule = {}
+    const byImpact = {}
+    for (const rule of this._rules) byRule[rule.id] = 0
+    for (const violation of this._violations) {
+      byRule[violation.rule] += 1
+      byImpact[violation.impact] = (byImpact[violation.impact] || 0) + 1
+    }
+    return {
+      url: this._url,
+      timestamp: this._timestamp,
+      passed: this.passed,
+      rules: this.rules(),
+      summary: {
+        violations: this._violations.length,
+        byRule,
+        byImpact
+      },
+      violations: this._violations.map(violation => violation.toJSON())
+    }
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[AuditReport]', 'special')
+    }
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(
+      {
+        url: this._url,
+        passed: this.passed,
+        rules: this.rules(),
+        violations: this._violations
+      },
+      newOptions
+    )
+    return `${options.stylize('AuditReport', 'special')} ${inner}`
+  }
+}
+
+module.exports = { AuditReport, AuditViolation }
+
+/**
+ * @typedef {Object} AuditReportJSON
+ * @property {string} url - The URL of the page audited
+ * @property {number} timestamp - When the audit was made
+ * @property {boolean} passed - True when no rule was violated
+ * @property {Array<string>} rules - The ids of the rules checked
+ * @property {{violations: number, byRule: Object<string, number>, byImpact: Object<string, number>}} summary
+ * @property {Array<Object>} violations
+ */
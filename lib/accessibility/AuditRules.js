@@ -0,0 +1,258 @@
+const { debugError, helper } = require('../helper')
+
+/**
+ * Roles of the form controls that must have an accessible name, their label
+ * @type {Set<string>}
+ */
+const FormControlRoles = new Set([
+  'checkbox',
+  'combobox',
+  'ComboBox',
+  'listbox',
+  'radio',
+  'searchbox',
+  'slider',
+  'spinbutton',
+  'switch',
+  'textbox'
+])
+
+/**
+ * @type {Set<string>}
+ */
+const LandmarkRoles = new Set([
+  'banner',
+  'complementary',
+  'contentinfo',
+  'form',
+  'main',
+  'navigation',
+  'region',
+  'search'
+])
+
+/**
+ * The reasons, reported by Chrome, a node is hidden from the accessibility tree using aria-hidden
+ * @type {Set<string>}
+ */
+const AriaHiddenReasons = new Set(['ariaHiddenElement', 'ariaHiddenSubtree'])
+
+/**
+ * @param {AXNode} node
+ * @param {string} name
+ * @return {*}
+ */
+function propertyValue (node, name) {
+  for (const property of node._payload.properties || []) {
+    if (property.name === name) return property.value.value
+  }
+  return undefined
+}
+
+/**
+ * @param {AXNode} node
+ * @return {boolean}
+ */
+function hasName (node) {
+  return node._name.trim() !== ''
+}
+
+/**
+ * @param {AXNode} node
+ * @return {boolean}
+ */
+function isIgnored (node) {
+  return !!node._payload.ignored
+}
+
+/**
+ * @param {Set<string>|Array<string>} roles
+ * @param {string} message
+ * @return {function(nodes: Array<AXNode>): Array<AuditRuleResult>}
+ */
+function requireName (roles, message) {
+  const roleSet = new Set(roles)
+  return nodes => {
+    const results = []
+    for (let i = 0; i < nodes.length; i++) {
+      const node = nodes[i]
+      if (!isIgnored(node) && roleSet.has(node._role) && !hasName(node)) {
+        results.push({ node, message })
+      }
+    }
+    return results
+  }
+}
+
+/**
+ * Determines if the element is focusable by the user, evaluated in the page
+ * @return {boolean}
+ */
+function isFocusableElement () {
+  // only elements, Node.ELEMENT_NODE, can be focusable
+  if (this.nodeType !== 1) return false
+  const focusable =
+    'a[href], area[href], button, input:not([type="hidden"]), select, textarea, iframe, summary, [tabindex], [contenteditable=""], [contenteditable="true"]'
+  if (!this.matches(focusable) || this.disabled || this.tabIndex < 0) {
+    return false
+  }
+  const style = window.getComputedStyle(this)
+  return (
+    style.visibility !== 'hidden' &&
+    style.display !== 'none' &&
+    this.getClientRects().length > 0
+  )
+}
+
+/**
+ * The rules used by {@link Accessibility#audit}. Each rule checks the nodes of the full accessibility tree,
+ * in document order, returning the nodes that violate it
+ * @type {Object<string, AuditRule>}
+ * @since chrome-remote-interface-extra
+ */
+const AuditRules = {
+  'button-name': {
+    id: 'button-name',
+    impact: 'critical',
+    description: 'Buttons must have an accessible name',
+    check: requireName(['button'], 'Button has no accessible name')
+  },
+  'link-name': {
+    id: 'link-name',
+    impact: 'serious',
+    description: 'Links must have an accessible name',
+    check: requireName(['link'], 'Link has no accessible name')
+  },
+  'image-alt': {
+    id: 'image-alt',
+    impact: 'critical',
+    description:
+      'Images must have alternate text, or be marked as decorative using alt=""',
+    check: requireName(['img', 'image'], 'Image has no alternate text')
+  },
+  label: {
+    id: 'label',
+    impact: 'critical',
+    description: 'Form controls must be labeled',
+    check: requireName(FormControlRoles, 'Form control has no label')
+  },
+  'empty-heading': {
+    id: 'empty-heading',
+    impact: 'minor',
+    description: 'Headings must not be empty',
+    check: requireName(['heading'], 'Heading has no text content')
+  },
+  'heading-order': {
+    id: 'heading-order',
+    impact: 'moderate',
+    description: 'Heading levels must only increase by one',
+    check (nodes) {
+      const results = []
+      let previousLevel = 0
+      for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i]
+        if (isIgnored(node) || node._role !== 'heading') continue
+        const level = propertyValue(node, 'level')
+        if (typeof level !== 'number') continue
+        if (previousLevel && level > previousLevel + 1) {
+          results.push({
+            node,
+            message: `Heading level ${level} follows a heading of level ${previousLevel}`
+          })
+        }
+        previousLevel = level
+      }
+      return results
+    }
+  },
+  'landmark-unique': {
+    id: 'landmark-unique',
+    impact: 'moderate',
+    description:
+      'Landmarks with the same role must have unique accessible names',
+    check (nodes) {
+      const results = []
+      const seen = new Set()
+      for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i]
+        if (isIgnored(node) || !LandmarkRoles.has(node._role)) continue
+        const name = node._name.trim()
+        const key = `${node._role}\n${name}`
+        if (seen.has(key)) {
+          results.push({
+            node,
+            message: name
+              ? `Another ${node._role} landmark is named "${name}"`
+              : `Another ${node._role} landmark has no accessible name`
+          })
+        }
+        seen.add(key)
+      }
+      return results
+    }
+  },
+  'focusable-hidden': {
+    id: 'focusable-hidden',
+    impact: 'serious',
+    description:
+      'Elements hidden from the accessibility tree using aria-hidden must not be focusable',
+    async check (nodes, { client }) {
+      const results = []
+      for (let i = 0; i < nodes.length; i++) {
+        const node = nodes[i]
+        const backendNodeId = node._payload.backendDOMNodeId
+        if (!isIgnored(node) || !backendNodeId) continue
+        const reasons = node._payload.ignoredReasons || []
+        if (!reasons.some(reason => AriaHiddenReasons.has(reason.name))) {
+          continue
+        }
+        let focusable = false
+        let object = null
+        try {
+          object = (await client.send('DOM.resolveNode', {
+            backendNodeId
+          })).object
+          const { result } = await client.send('Runtime.callFunctionOn', {
+            objectId: object.objectId,
+            functionDeclaration: isFocusableElement.toString(),
+            returnByValue: true
+          })
+          focusable = result.value === true
+        } catch (e) {
+          // the node is no longer in the DOM
+          debugError(e)
+        } finally {
+          if (object) await helper.releaseObject(client, object)
+        }
+        if (focusable) {
+          results.push({
+            node,
+            message: 'Focusable element is hidden from the accessibility tree'
+          })
+        }
+      }
+      return results
+    }
+  }
+}
+
+module.exports = AuditRules
+
+/**
+ * @typedef {Object} AuditRule
+ * @property {string} id - The id of the rule, used in the report
+ * @property {string} impact - One of critical, serious, moderate or minor
+ * @property {string} description
+ * @property {function(nodes: Array<AXNode>, context: AuditRuleContext): (Array<AuditRuleResult>|Promise<Array<AuditRuleResult>>)} check
+ */
+
+/**
+ * @typedef {Object} AuditRuleContext
+ * @property {Chrome|CRIConnection|CDPSession|Object} client - The client of the page being audited
+ */
+
+/**
+ * @typedef {Object} AuditRuleResult
+ * @property {AXNode} node - The node that violates the rule
+ * @property {string} message - Why the node violates the rule
+ */
@@ -1,3 +1,13 @@
 exports.Accessibility = require('./Accessibility')
 
+exports.AccessibilityWatcher = require('./AccessibilityWatcher')
+
+exports.AuditReport = require('./AuditReport').AuditReport
+
+exports.AuditRules = require('./AuditRules')
+
+exports.AuditViolation = require('./AuditReport').AuditViolation
+
 exports.AXNode = require('./AXNode')
+
+exports.AXQueryWaitTask = require('./AXQuery').AXQueryWaitTask
@@ -1,7 +1,7 @@
 const util = require('util')
 const { URL } = require('url')
 const EventEmitter = require('eventemitter3')
-const { helper, assert } = require('../helper')
+const { helper, assert, debugError } = require('../helper')
 const Events = require('../Events')
 const BrowserContext = require('./BrowserContext')
 const Target = require('../Target')
@@ -30,6 +30,8 @@ async function dummyCloseCB () {}
  * @property {?EnabledExtras} [additionalDomains]
  * @property {?string} [browserWSEndpoint]
  * @property {number} [slowMo = 0] - An optional delay to be applied before emitting events
+ * @property {?(boolean|ReconnectPolicy)} [reconnect] - Re-establish the connection to the browser if it closes unexpectedly
+ * @property {?number} [protocolTimeout] - Maximum time in milliseconds to wait for the response to a protocol command, 0 or not set disables the timeout
  */
 
 /**
@@ -64,8 +66,22 @@ class Browser extends EventEmitter {
       host: url.host,
       port: port,
       target: browserWSEndpoint,
-      delay: initOpts.slowMo || 0
+      delay: initOpts.slowMo || 0,
+      reconnect: initOpts.reconnect,
+      protocolTimeout: initOpts.protocolTimeout
     })
+    return Browser.fromConnection(connection, initOpts)
+  }
+
+  /**
+   * Create a new Browser using an established connection to the browser target
+   * that includes the browsers existing contexts
+   * @param {CRIConnection} connection
+   * @param {BrowserInitOptions} [initOpts = {}]
+   * @return {Promise<Browser>}
+   * @since chrome-remote-interface-extra
+   */
+  static async fromConnection (connection, initOpts = {}) {
     const { browserContextIds } = await connection.send(
       'Target.getBrowserContexts',
       {}
@@ -200,6 +216,9 @@ class Browser extends EventEmitter {
       'Target.targetInfoChanged',
       this._targetInfoChanged.bind(this)
     )
+    this._connection.on(Events.CRIConnection.Reconnected, () =>
+      this._reconcileTargets().catch(debugError)
+    )
   }
 
   /**
@@ -542,6 +561,11 @@ class Browser extends EventEmitter {
    */
   async _targetCreated (event) {
     const targetInfo = event.targetInfo
+    // re-enabling target discovery after reconnecting re-announces the live targets
+    if (this._targets.has(targetInfo.targetId)) {
+      this._targetInfoChanged(event)
+      return
+    }
     const { browserContextId } = targetInfo
     const context =
       browserContextId && this._contexts.has(browserContextId)
@@ -571,6 +595,21 @@ class Browser extends EventEmitter {
     }
   }
 
+  /**
+   * Destroys the targets which were closed while the connection was being re-established
+   * @return {Promise<void>}
+   * @private
+   */
+  async _reconcileTargets () {
+    const { targetInfos } = await this._connection.send('Target.getTargets')
+    const liveTargetIds = new Set(targetInfos.map(info => info.targetId))
+    for (const targetId of Array.from(this._targets.keys())) {
+      if (!liveTargetIds.has(targetId)) {
+        await this._targetDestroyed({ targetId })
+      }
+    }
+  }
+
   /**
    * @param {{targetId: string}} event
    */
@@ -0,0 +1,470 @@
+const cp = require('child_process')
+const os = require('os')
+const path = require('path')
+const readline = require('readline')
+const fs = require('fs-extra')
+const Browser = require('./Browser')
+const { CRIConnection, PipeTransport } = require('../connection')
+const { TimeoutError } = require('../Errors')
+const { helper, debugError } = require('../helper')
+
+/**
+ * @type {string}
+ * @ignore
+ */
+const CHROME_PROFILE_PATH = path.join(os.tmpdir(), 'criextra_profile-')
+
+/**
+ * The arguments Chrome is launched with unless ignoreDefaultArgs is true
+ * @type {Array<string>}
+ */
+const DefaultArgs = [
+  '--force-color-profile=srgb',
+  '--disable-background-networking',
+  '--disable-background-timer-throttling',
+  '--disable-renderer-backgrounding',
+  '--disable-backgrounding-occluded-windows',
+  '--disable-ipc-flooding-protection',
+  '--enable-features=NetworkService,NetworkServiceInProcess',
+  '--disable-client-side-phishing-detection',
+  '--disable-default-apps',
+  '--disable-extensions',
+  '--disable-popup-blocking',
+  '--disable-hang-monitor',
+  '--disable-prompt-on-repost',
+  '--disable-sync',
+  '--disable-domain-reliability',
+  '--disable-infobars',
+  '--disable-features=site-per-process,TranslateUI,BlinkGenPropertyTrees',
+  '--disable-breakpad',
+  '--disable-backing-store-limit',
+  '--metrics-recording-only',
+  '--no-first-run',
+  '--safebrowsing-disable-auto-update',
+  '--mute-audio',
+  '--autoplay-policy=no-user-gesture-required'
+]
+
+/**
+ * @type {Array<string>}
+ * @ignore
+ */
+const HeadlessArgs = ['--headless', '--hide-scrollbars']
+
+/**
+ * @ignore
+ * @param {string} executable
+ * @return {Promise<boolean>}
+ */
+async function isExecutable (executable) {
+  try {
+    await fs.access(executable, fs.constants.X_OK)
+    return true
+  } catch (e) {
+    return false
+  }
+}
+
+/**
+ * @ignore
+ * @return {Array<string>}
+ */
+function executableCandidates () {
+  switch (process.platform) {
+    case 'darwin':
+      return [
+        '/Applications/Google Chrome Canary.app/Contents/MacOS/Google Chrome Canary',
+        '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+        '/Applications/Chromium.app/Contents/MacOS/Chromium'
+      ]
+    case 'win32': {
+      const suffix = path.join('Google', 'Chrome', 'Application', 'chrome.exe')
+      return [
+        process.env.LOCALAPPDATA,
+        process.env.PROGRAMFILES,
+        process.env['PROGRAMFILES(X86)']
+      ]
+        .filter(Boolean)
+        .map(prefix => path.join(prefix, suffix))
+    }
+    default: {
+      const names = [
+        'google-chrome-unstable',
+        'google-chrome-beta',
+        'google-chrome-stable',
+        'google-chrome',
+        'chromium-browser',
+        'chromium'
+      ]
+      const dirs = (process.env.PATH || '').split(path.delimiter)
+      const candidates = []
+      for (let i = 0; i < names.length; i++) {
+        for (let j = 0; j < dirs.length; j++) {
+          if (dirs[j]) candidates.push(path.join(dirs[j], names[i]))
+        }
+      }
+      return candidates
+    }
+  }
+}
+
+/**
+ * Launches a local Chrome and connects to it
+ * @since chrome-remote-interface-extra
+ */
+class Launcher {
+  /**
+   * Returns the path to the first Chrome or Chromium found on this machine.
+   * The CHROME_PATH environment variable takes precedence when set
+   * @return {Promise<string>}
+   */
+  static async executablePath () {
+    if (
+      process.env.CHROME_PATH &&
+      (await isExecutable(process.env.CHROME_PATH))
+    ) {
+      return process.env.CHROME_PATH
+    }
+    const candidates = executableCandidates()
+    for (let i = 0; i < candidates.length; i++) {
+      if (await isExecutable(candidates[i])) return candidates[i]
+    }
+    throw new Error(
+      'No Chrome installations found, please supply the executablePath option'
+    )
+  }
+
+  /**
+   * Returns the arguments Chrome would be launched with
+   * @param {LaunchOptions} [options]
+   * @return {Array<string>}
+   */
+  static defaultArgs ({ args = [], headless = true, userDataDir } = {}) {
+    const chromeArguments = DefaultArgs.slice()
+    if (userDataDir) chromeArguments.push(`--user-data-dir=${userDataDir}`)
+    if (headless) chromeArguments.push(...HeadlessArgs)
+    if (args.every(arg => arg.startsWith('-'))) {
+      chromeArguments.push('about:blank')
+    }
+    chromeArguments.push(...args)
+    return chromeArguments
+  }
+
+  /**
+   * Spawn a Chrome and return a {@link Browser} connected to it.
+   * Unless a user data dir was supplied, Chrome is launched using a temporary profile
+   * that is removed once the browser is closed
+   * @param {LaunchOptions} [options]
+   * @return {Promise<Browser>}
+   */
+  static async launch (options = {}) {
+    const {
+      ignoreDefaultArgs = false,
+      args = [],
+      dumpio = false,
+      env = process.env,
+      handleSIGINT = true,
+      handleSIGTERM = true,
+      handleSIGHUP = true,
+      timeout = 30000,
+      pipe = false,
+      ignoreHTTPSErrors = false,
+      defaultViewport = null,
+      slowMo = 0,
+      protocolTimeout,
+      additionalDomains
+    } = options
+    const chromeArguments = ignoreDefaultArgs
+      ? args.slice()
+      : Launcher.defaultArgs(Object.assign({}, options, { userDataDir: null }))
+
+    // resolved before the temporary profile is created so that it is not left behind when no Chrome is found
+    const executable =
+      options.executablePath || (await Launcher.executablePath())
+
+    let temporaryUserDataDir = null
+    if (options.userDataDir) {
+      chromeArguments.push(`--user-data-dir=${options.userDataDir}`)
+    } else if (
+      !chromeArguments.some(arg => arg.startsWith('--user-data-dir'))
+    ) {
+      temporaryUserDataDir = await fs.mkdtemp(CHROME_PROFILE_PATH)
+      chromeArguments.push(`--user-data-dir=${temporaryUserDataDir}`)
+    }
+
+    if (!chromeArguments.some(arg => arg.startsWith('--remote-debugging-'))) {
+      chromeArguments.push(
+        pipe ? '--remote-debugging-pipe' : '--remote-debugging-port=0'
+      )
+    }
+
+    const output = dumpio ? 'pipe' : 'ignore'
+    const chromeProcess = cp.spawn(executable, chromeArguments, {
+      // On non-windows platforms, `detached: true` makes child process a leader of a new
+      // process group, making it possible to kill child process tree with `.kill(-pid)` command.
+      detached: process.platform !== 'win32',
+      env,
+      // stderr is only read for the WebSocket endpoint or when dumpio is set, an unread pipe would block Chrome once full
+      stdio: pipe
+        ? ['ignore', output, output, 'pipe', 'pipe']
+        : ['ignore', output, 'pipe']
+    })
+
+    if (dumpio) {
+      chromeProcess.stderr.pipe(process.stderr)
+      chromeProcess.stdout.pipe(process.stdout)
+    }
+
+    let chromeClosed = false
+    const waitForChromeToClose = new Promise(resolve => {
+      chromeProcess.once('exit', () => {
+        chromeClosed = true
+        if (temporaryUserDataDir) {
+          fs.remove(temporaryUserDataDir)
+            .catch(debugError)
+            .then(resolve)
+        } else {
+          resolve()
+        }
+      })
+    })
+
+    const listeners = [helper.addEventListener(process, 'exit', killChrome)]
+    if (handleSIGINT) {
+      listeners.push(
+        helper.addEventListener(process, 'SIGINT', () => {
+          killChrome()
+          process.exit(130)
+        })
+      )
+    }
+    if (handleSIGTERM) {
+      listeners.push(
+        helper.addEventListener(process, 'SIGTERM', gracefullyCloseChrome)
+      )
+    }
+    if (handleSIGHUP) {
+      listeners.push(
+        helper.addEventListener(process, 'SIGHUP', gracefullyCloseChrome)
+      )
+    }
+
+    /** @type {?CRIConnection} */
+    let connection = null
+
+    /**
+     * @return {Promise<void>}
+     */
+    function gracefullyCloseChrome () {
+      helper.removeEventListeners(listeners)
+      if (temporaryUserDataDir) {
+        killChrome()
+      } else if (connection) {
+        // Attempt to close chrome gracefully
+        connection.send('Browser.close').catch(error => {
+          debugError(error)
+          killChrome()
+        })
+      }
+      return waitForChromeToClose
+    }
+
+    // This method has to be sync to be used as 'exit' event handler.
+    function killChrome () {
+      helper.removeEventListeners(listeners)
+      if (chromeProcess.pid && !chromeClosed) {
+        try {
+          if (process.platform === 'win32') {
+            cp.execSync(`taskkill /pid ${chromeProcess.pid} /T /F`)
+          } else {
+            process.kill(-chromeProcess.pid, 'SIGKILL')
+          }
+        } catch (e) {
+          // the process might have already stopped
+        }
+      }
+      // Attempt to remove temporary profile directory to avoid littering.
+      try {
+        if (temporaryUserDataDir) fs.removeSync(temporaryUserDataDir)
+      } catch (e) {}
+    }
+
+    const initOpts = {
+      ignoreHTTPSErrors,
+      defaultViewport,
+      additionalDomains,
+      slowMo,
+      protocolTimeout,
+      process: chromeProcess,
+      closeCallback: gracefullyCloseChrome
+    }
+    try {
+      let browser
+      if (pipe) {
+        const transport = new PipeTransport(
+          chromeProcess.stdio[3],
+          chromeProcess.stdio[4]
+        )
+        browser = await Launcher.waitForPipeConnection(
+          chromeProcess,
+          CRIConnection.fromTransport(transport, {
+            delay: slowMo,
+            protocolTimeout
+          }).then(connection => Browser.fromConnection(connection, initOpts)),
+          timeout
+        )
+      } else {
+        const browserWSEndpoint = await Launcher.waitForWSEndpoint(
+          chromeProcess,
+          timeout
+        )
+        browser = await Browser.connect(browserWSEndpoint, initOpts)
+      }
+      connection = browser._connection
+      await browser.waitForTarget(target => target.type() === 'page')
+      return browser
+    } catch (e) {
+      killChrome()
+      throw e
+    }
+  }
+
+  /**
+   * Resolves with the browsers DevTools websocket URL once Chrome reports it on stderr
+   * @param {ChildProcess} chromeProcess
+   * @param {number} timeout
+   * @return {Promise<string>}
+   */
+  static waitForWSEndpoint (chromeProcess, timeout) {
+    return new Promise((resolve, reject) => {
+      const rl = readline.createInterface({ input: chromeProcess.stderr })
+      let stderr = ''
+      const listeners = [
+        helper.addEventListener(rl, 'line', onLine),
+        helper.addEventListener(rl, 'close', () => onClose()),
+        helper.addEventListener(chromeProcess, 'exit', () => onClose()),
+        helper.addEventListener(chromeProcess, 'error', error => onClose(error))
+      ]
+      const timeoutId = timeout ? setTimeout(onTimeout, timeout) : 0
+
+      /**
+       * @param {Error} [error]
+       */
+      function onClose (error) {
+        cleanup()
+        reject(
+          new Error(
+            [
+              'Failed to launch chrome!' + (error ? ' ' + error.message : ''),
+              stderr
+            ].join('\n')
+          )
+        )
+      }
+
+      function onTimeout () {
+        cleanup()
+        reject(
+          new TimeoutError(
+            `Timed out after ${timeout} ms while trying to connect to Chrome!`
+          )
+        )
+      }
+
+      /**
+       * @param {string} line
+       */
+      function onLine (line) {
+        stderr += line + '\n'
+        const match = line.match(/^DevTools listening on (ws:\/\/.*)$/)
+        if (!match) return
+        cleanup()
+        resolve(match[1])
+      }
+
+      function cleanup () {
+        if (timeoutId) clearTimeout(timeoutId)
+        helper.removeEventListeners(listeners)
+      }
+    })
+  }
+
+  /**
+   * Resolves with the browser connected to over the pipe, rejecting if Chrome fails to start,
+   * exits or does not answer within the timeout
+   * @param {ChildProcess} chromeProcess
+   * @param {Promise<Browser>} browserPromise
+   * @param {number} timeout
+   * @return {Promise<Browser>}
+   */
+  static waitForPipeConnection (chromeProcess, browserPromise, timeout) {
+    return new Promise((resolve, reject) => {
+      const listeners = [
+        helper.addEventListener(chromeProcess, 'exit', () => onClose()),
+        helper.addEventListener(chromeProcess, 'error', error => onClose(error))
+      ]
+      const timeoutId = timeout ? setTimeout(onTimeout, timeout) : 0
+      browserPromise.then(
+        browser => {
+          cleanup()
+          resolve(browser)
+        },
+        error => {
+          cleanup()
+          reject(error)
+        }
+      )
+
+      /**
+       * @param {Error} [error]
+       */
+      function onClose (error) {
+        cleanup()
+        reject(
+          new Error(
+            'Failed to launch chrome!' + (error ? ' ' + error.message : '')
+          )
+        )
+      }
+
+      function onTimeout () {
+        cleanup()
+        reject(
+          new TimeoutError(
+            `Timed out after ${timeout} ms while trying to connect to Chrome!`
+          )
+        )
+      }
+
+      function cleanup () {
+        if (timeoutId) clearTimeout(timeoutId)
+        helper.removeEventListeners(listeners)
+      }
+    })
+  }
+}
+
+Launcher.DefaultArgs = DefaultArgs
+
+module.exports = Launcher
+
+/**
+ * @typedef {Object} LaunchOptions
+ * @property {string} [executablePath] - Path to the Chrome executable to be launched, defaults to the first Chrome found
+ * @property {Array<string>} [args = []] - Additional arguments to launch Chrome with
+ * @property {boolean} [ignoreDefaultArgs = false] - Launch Chrome using only the supplied args
+ * @property {string} [userDataDir] - Path to the user data dir (profile) to be used. Defaults to a temporary profile that is removed on close
+ * @property {boolean} [headless = true] - Should Chrome be launched in headless mode
+ * @property {boolean} [pipe = false] - Connect to Chrome using a pipe rather than a WebSocket
+ * @property {number} [timeout = 30000] - Maximum time in milliseconds to wait for Chrome to start, 0 disables the timeout
+ * @property {boolean} [dumpio = false] - Pipe Chromes stdout and stderr into process.stdout and process.stderr
+ * @property {Object} [env = process.env] - The environment Chrome is launched with
+ * @property {boolean} [handleSIGINT = true] - Close Chrome on Ctrl-C
+ * @property {boolean} [handleSIGTERM = true] - Close Chrome on SIGTERM
+ * @property {boolean} [handleSIGHUP = true] - Close Chrome on SIGHUP
+ * @property {boolean} [ignoreHTTPSErrors = false]
+ * @property {?Object} [defaultViewport]
+ * @property {number} [slowMo = 0] - An optional delay to be applied before emitting events
+ * @property {number} [protocolTimeout] - Maximum time in milliseconds to wait for the response to a protocol command, 0 or not set disables the timeout
+ * @property {?EnabledExtras} [additionalDomains]
+ */
@@ -1,3 +1,5 @@
 exports.Browser = require('./Browser')
 
 exports.BrowserContext = require('./BrowserContext')
+
+exports.Launcher = require('./Launcher')
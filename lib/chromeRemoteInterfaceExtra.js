@@ -1,5 +1,9 @@
 const ChromeRemoteInterface = require('chrome-remote-interface')
 const CRIConnection = require('./connection/CRIConnection')
+const {
+  registerSelectorEngine,
+  unregisterSelectorEngine
+} = require('./selectors/selectorEngines')
 
 /**
  * @typedef {Object} CRIOptions
@@ -17,6 +21,9 @@ const CRIConnection = require('./connection/CRIConnection')
  * @property {?Object} [protocol] - Chrome Debugging Protocol descriptor object. Defaults to use the protocol chosen according to the local option
  * @property {?boolean} [local] -  boolean indicating whether the protocol must be fetched remotely or if the local version must be used. It has no effect if the protocol option is set. Defaults to false
  * @property {?number} [delay] - An optional delay to be applied before emitting events (CRIExtra only option)
+ * @property {?(WebSocketTransport|PipeTransport|Object)} [transport] - An already connected transport to be used rather than a WebSocket (CRIExtra only option)
+ * @property {?(boolean|ReconnectPolicy)} [reconnect] - Re-establish the connection if it closes unexpectedly, true uses the default policy (CRIExtra only option)
+ * @property {?number} [protocolTimeout] - Maximum time in milliseconds to wait for the response to a command, 0 or not set disables the timeout (CRIExtra only option)
  */
 
 /**
@@ -38,4 +45,38 @@ CRIExtra.Activate = ChromeRemoteInterface.Activate
 CRIExtra.Close = ChromeRemoteInterface.Close
 CRIExtra.Version = ChromeRemoteInterface.Version
 
+/**
+ * Launch a local Chrome and connect to it
+ * @param {LaunchOptions} [options]
+ * @return {Promise<Browser>}
+ * @since chrome-remote-interface-extra
+ */
+CRIExtra.launch = function launch (options) {
+  // required lazily, Browser depends on this module
+  const Launcher = require('./browser/Launcher')
+  return Launcher.launch(options)
+}
+
+/**
+ * Register a selector engine, usable by querySelector, querySelectorAll and waitForSelector
+ * of pages, frames and elements by prefixing the selector with the name of the engine, e.g. text=Sign in.
+ *
+ * The css, text and data-test engines are built in
+ * @example
+ * CRIExtra.registerSelectorEngine('component', {
+ *   queryAll: (root, name) => Array.from(root.querySelectorAll('[data-component]'))
+ *     .filter(element => element.dataset.component === name)
+ * })
+ * const element = await page.$('component=LoginForm')
+ * @type {function(name: string, engine: SelectorEngine)}
+ * @since chrome-remote-interface-extra
+ */
+CRIExtra.registerSelectorEngine = registerSelectorEngine
+
+/**
+ * @type {function(name: string): boolean}
+ * @since chrome-remote-interface-extra
+ */
+CRIExtra.unregisterSelectorEngine = unregisterSelectorEngine
+
 module.exports = CRIExtra
@@ -1,16 +1,24 @@
 const util = require('util')
 const EventEmitter = require('eventemitter3')
 const Events = require('../Events')
-const { assert } = require('../helper')
-const { createProtocolError, rewriteError } = require('../__shared')
+const { debugError } = require('../helper')
+const TimeoutSettings = require('../TimeoutSettings')
+const {
+  createProtocolError,
+  rewriteError,
+  sendCommand
+} = require('../__shared')
+const SessionState = require('./SessionState')
+const { createDomainClients, installDomainClients } = require('./DomainClient')
 
 class CDPSession extends EventEmitter {
   /**
    * @param {CRIConnection|Chrome|Object} connection
    * @param {string} targetType
    * @param {string} sessionId
+   * @param {string} [targetId]
    */
-  constructor (connection, targetType, sessionId) {
+  constructor (connection, targetType, sessionId, targetId) {
     super()
 
     /**
@@ -35,6 +43,70 @@ class CDPSession extends EventEmitter {
      * @private
      */
     this._sessionId = sessionId
+
+    /**
+     * @type {?string}
+     * @private
+     */
+    this._targetId = targetId || null
+
+    /**
+     * @type {SessionState}
+     * @private
+     */
+    this._state = new SessionState()
+
+    /**
+     * Created once first used
+     * @type {?DomainClients}
+     * @private
+     */
+    this._domains = null
+
+    /**
+     * The connection the protocol of the domain clients is taken from, kept once the session is closed
+     * @type {CRIConnection|Object}
+     * @private
+     */
+    this._protocolConnection = connection
+    installDomainClients(CDPSession.prototype, connection)
+
+    /**
+     * When no protocol timeout was set for this session the protocol timeout of the connection is used
+     * @type {TimeoutSettings}
+     * @private
+     */
+    this._timeoutSettings = new TimeoutSettings()
+  }
+
+  /**
+   * The per domain clients generated from the protocol, e.g. session.cdp.DOM.getDocument().
+   * Each domain is also available directly on the session, e.g. session.DOM.getDocument()
+   * @return {DomainClients}
+   * @since chrome-remote-interface-extra
+   */
+  get cdp () {
+    if (!this._domains) {
+      this._domains = createDomainClients(this, this._protocolConnection)
+    }
+    return this._domains
+  }
+
+  /**
+   * Set the default timeout used for the commands sent using this session, 0 disables the timeout
+   * @param {number} timeout
+   * @since chrome-remote-interface-extra
+   */
+  setDefaultProtocolTimeout (timeout) {
+    this._timeoutSettings.setDefaultProtocolTimeout(timeout)
+  }
+
+  /**
+   * @return {?string}
+   * @since chrome-remote-interface-extra
+   */
+  targetId () {
+    return this._targetId
   }
 
   /**
@@ -48,9 +120,10 @@ class CDPSession extends EventEmitter {
   /**
    * @param {string} method - protocol method name
    * @param {!Object} [params = {}] - Optional method parameters
+   * @param {CommandOptions} [options] - Optional timeout and abort signal for the command
    * @return {Promise<Object>}
    */
-  send (method, params = {}) {
+  send (method, params = {}, options = {}) {
     if (!this._connection) {
       return Promise.reject(
         new Error(
@@ -61,14 +134,46 @@ class CDPSession extends EventEmitter {
       )
     }
 
-    const id = this._connection._rawSend({
-      sessionId: this._sessionId,
-      method,
-      params
-    })
-    return new Promise((resolve, reject) => {
-      this._callbacks.set(id, { resolve, reject, error: new Error(), method })
-    })
+    const { timeout = this._protocolTimeout(), signal } = options
+    const send = () =>
+      sendCommand(
+        this._callbacks,
+        method,
+        `session ${this._sessionId}`,
+        { timeout, signal },
+        beforeSend => {
+          this._state.record(method, params)
+          return this._connection._rawSend(
+            {
+              sessionId: this._sessionId,
+              method,
+              params
+            },
+            beforeSend
+          )
+        }
+      )
+    if (typeof this._connection._instrumentCommand === 'function') {
+      return this._connection._instrumentCommand(
+        method,
+        params,
+        this._sessionId,
+        send
+      )
+    }
+    return send()
+  }
+
+  /**
+   * @return {number}
+   * @private
+   */
+  _protocolTimeout () {
+    let timeout = this._timeoutSettings.protocolTimeout()
+    if (timeout == null && this._connection._timeoutSettings) {
+      timeout = this._connection._timeoutSettings.protocolTimeout()
+    }
+    return timeout || 0
   }
 
   /**
@@ -111,22 +216,44 @@ class CDPSession extends EventEmitter {
       } else {
         callback.resolve(object.result)
       }
+    } else if (object.id) {
+      // the command timed out or was aborted, its response is ignored
     } else {
-      assert(!object.id)
       this.emit(object.method, object.params)
     }
   }
 
-  _onClosed () {
+  /**
+   * Re-issues the domain enables and stateful commands sent using this session,
+   * used once the session was re-attached after reconnecting
+   * @return {Promise<void>}
+   */
+  async _restoreState () {
+    const commands = this._state.commands()
+    for (let i = 0; i < commands.length; i++) {
+      await this._connection
+        ._restoreSend(commands[i].method, commands[i].params, this)
+        .catch(debugError)
+    }
+  }
+
+  /**
+   * @param {string} reason
+   */
+  _rejectPending (reason) {
     for (const callback of this._callbacks.values()) {
       callback.reject(
         rewriteError(
           callback.error,
-          `Protocol error (${callback.method}): Target closed.`
+          `Protocol error (${callback.method}): ${reason}`
         )
       )
     }
     this._callbacks.clear()
+  }
+
+  _onClosed () {
+    this._rejectPending('Target closed.')
     this._connection = null
     this.emit(Events.CDPSession.Disconnected)
   }
@@ -150,7 +277,8 @@ class CDPSession extends EventEmitter {
     const inner = util.inspect(
       {
         targetType: this._targetType,
-        sessionId: this._sessionId
+        sessionId: this._sessionId,
+        targetId: this._targetId
       },
       newOptions
     )
@@ -1,11 +1,37 @@
 const util = require('util')
 const Chrome = require('chrome-remote-interface/lib/chrome')
+const api = require('chrome-remote-interface/lib/api')
+const devtools = require('chrome-remote-interface/lib/devtools')
 const EventEmitter = require('eventemitter3')
-const WebSocket = require('ws')
 const Events = require('../Events')
 const CDPSession = require('./CDPSession')
-const { createProtocolError, interopCRIApi } = require('../__shared')
-const { helper } = require('../helper')
+const CommandStats = require('./CommandStats')
+const ProtocolRecorder = require('./ProtocolRecorder')
+const { createDomainClients } = require('./DomainClient')
+const ReplayTransport = require('./ReplayTransport')
+const SessionState = require('./SessionState')
+const TimeoutSettings = require('../TimeoutSettings')
+const WebSocketTransport = require('./WebSocketTransport')
+const {
+  createProtocolError,
+  interopCRIApi,
+  rewriteError,
+  sendCommand
+} = require('../__shared')
+const { helper, assert, debugError } = require('../helper')
+
+/**
+ * @type {ReconnectPolicy}
+ * @ignore
+ */
+const DefaultReconnectPolicy = {
+  maxAttempts: 5,
+  initialDelay: 100,
+  maxDelay: 5000,
+  factor: 2,
+  handshakeTimeout: 30000,
+  createTransport: null
+}
 
 /**
  * An exact replica of puppeteer's Connection class that simply re-uses the prior art
@@ -28,6 +54,33 @@ class CRIConnection extends Chrome {
     return connection
   }
 
+  /**
+   * Create a new CRIConnection that communicates with the remote browser using the supplied transport
+   * rather than connecting to it using a WebSocket
+   * @param {WebSocketTransport|PipeTransport|Object} transport - A connected transport
+   * @param {CRIOptions} [options]
+   * @return {Promise<CRIConnection>}
+   * @since chrome-remote-interface-extra
+   */
+  static fromTransport (transport, options) {
+    return CRIConnection.connect(Object.assign({}, options, { transport }))
+  }
+
+  /**
+   * Create a new CRIConnection that plays back a protocol recording rather than
+   * communicating with a browser
+   * @param {string|Array<ProtocolRecordingEntry>} recording - The path to, or the entries of, a protocol recording
+   * @param {ReplayTransportOptions} [options]
+   * @return {Promise<CRIConnection>}
+   * @since chrome-remote-interface-extra
+   */
+  static async fromRecording (recording, options) {
+    const transport = helper.isString(recording)
+      ? await ReplayTransport.fromFile(recording, options)
+      : new ReplayTransport(recording, options)
+    return CRIConnection.fromTransport(transport)
+  }
+
   /**
    * @param {CDPSession|Chrome|Object} session
    * @return {CRIConnection|Chrome|Object}
@@ -57,8 +110,181 @@ class CRIConnection extends Chrome {
      * @type {number}
      * @private
      */
-    this._delay =
-      options && helper.isNumber(options.delay) ? options.delay : 0
+    this._delay = options && helper.isNumber(options.delay) ? options.delay : 0
+
+    /**
+     * The transport messages are exchanged over, when not supplied via the options
+     * a WebSocketTransport is created once the WebSocket URL is known
+     * @type {?(WebSocketTransport|PipeTransport|Object)}
+     * @private
+     */
+    this._transport = (options && options.transport) || null
+
+    /**
+     * Opt-in policy for re-establishing the connection when the transport closes unexpectedly
+     * @type {?ReconnectPolicy}
+     * @private
+     */
+    this._reconnectPolicy = null
+    if (options && options.reconnect) {
+      this._reconnectPolicy = Object.assign(
+        {},
+        DefaultReconnectPolicy,
+        options.reconnect === true ? {} : options.reconnect
+      )
+    }
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._reconnecting = false
+
+    /**
+     * Whether the transport in use has closed
+     * @type {boolean}
+     * @private
+     */
+    this._transportClosed = false
+
+    /**
+     * The callbacks, keyed by command id, of the commands restoring the state after reconnecting
+     * @type {Map<number, Map<number, Object>>}
+     * @private
+     */
+    this._restoreCallbacks = new Map()
+
+    /**
+     * Messages sent while reconnecting, sent once the connection has been restored
+     * @type {Array<Object>}
+     * @private
+     */
+    this._queuedMessages = []
+
+    /**
+     * Sessions being re-attached keyed by their target id
+     * @type {Map<string, CDPSession>}
+     * @private
+     */
+    this._reattaching = new Map()
+
+    /**
+     * Maps the ids of sessions from before reconnecting to the ids of the re-attached sessions
+     * @type {Map<string, string>}
+     * @private
+     */
+    this._sessionIdRemap = new Map()
+
+    /**
+     * @type {SessionState}
+     * @private
+     */
+    this._state = new SessionState()
+
+    /**
+     * @type {?ProtocolRecorder}
+     * @private
+     */
+    this._recorder = null
+
+    /**
+     * @type {?Object<string, DomainClient>}
+     * @private
+     */
+    this._domains = null
+
+    /**
+     * @type {TimeoutSettings}
+     * @private
+     */
+    this._timeoutSettings = new TimeoutSettings()
+    if (options && helper.isNumber(options.protocolTimeout)) {
+      this._timeoutSettings.setDefaultProtocolTimeout(options.protocolTimeout)
+    }
+
+    /**
+     * @type {CommandStats}
+     * @private
+     */
+    this._commandStats = new CommandStats()
+  }
+
+  /**
+   * The per method stats of the commands sent using this connection and its sessions
+   * @return {CommandStats}
+   * @since chrome-remote-interface-extra
+   */
+  get commandStats () {
+    return this._commandStats
+  }
+
+  /**
+   * The per domain clients generated from the protocol, e.g. connection.cdp.Target.getTargets(),
+   * which unlike the chrome-remote-interface domain API validate the parameters of the commands sent
+   * @return {DomainClients}
+   * @since chrome-remote-interface-extra
+   */
+  get cdp () {
+    if (!this._domains) this._domains = createDomainClients(this, this)
+    return this._domains
+  }
+
+  /**
+   * Set the default timeout used for the commands sent using this connection, and the sessions
+   * of this connection without a protocol timeout of their own. 0 disables the timeout
+   * @param {number} timeout
+   * @since chrome-remote-interface-extra
+   */
+  setDefaultProtocolTimeout (timeout) {
+    this._timeoutSettings.setDefaultProtocolTimeout(timeout)
+  }
+
+  /**
+   * Start recording every message sent and received by this connection to a JSONL file,
+   * rejecting if the file cannot be opened
+   * @param {string} path - Path to the JSONL file the messages are written to
+   * @return {Promise<ProtocolRecorder>}
+   * @since chrome-remote-interface-extra
+   */
+  async startRecording (path) {
+    assert(!this._recorder, 'Already recording the protocol traffic')
+    const recorder = new ProtocolRecorder(path)
+    this._recorder = recorder
+    try {
+      await recorder.opened()
+    } catch (error) {
+      if (this._recorder === recorder) this._recorder = null
+      throw error
+    }
+    return recorder
+  }
+
+  /**
+   * Stop recording the messages sent and received by this connection
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  stopRecording () {
+    assert(this._recorder, 'Cannot stop recording, not recording')
+    const recorder = this._recorder
+    this._recorder = null
+    return recorder.end()
+  }
+
+  /**
+   * @return {boolean}
+   * @since chrome-remote-interface-extra
+   */
+  get reconnecting () {
+    return this._reconnecting
+  }
+
+  /**
+   * @return {?(WebSocketTransport|PipeTransport|Object)}
+   * @since chrome-remote-interface-extra
+   */
+  get transport () {
+    return this._transport
   }
 
   /**
@@ -111,28 +337,278 @@ class CRIConnection extends Chrome {
   /**
    * @param {string} method - protocol method name
    * @param {!Object} [params = {}] - Optional method parameters
+   * @param {CommandOptions} [options] - Optional timeout and abort signal for the command
    * @return {Promise<Object>}
    */
-  send (method, params = {}) {
-    const id = this._rawSend({ method, params })
-    return new Promise((resolve, reject) => {
-      this._crieCallbacks.set(id, {
-        resolve,
-        reject,
-        error: new Error(),
-        method
+  send (method, params = {}, options = {}) {
+    const {
+      timeout = this._timeoutSettings.protocolTimeout() || 0,
+      signal
+    } = options
+    return this._instrumentCommand(method, params, null, () =>
+      sendCommand(
+        this._crieCallbacks,
+        method,
+        'the connection',
+        { timeout, signal },
+        beforeSend => {
+          this._state.record(method, params)
+          return this._rawSend({ method, params }, beforeSend)
+        }
+      )
+    )
+  }
+
+  /**
+   * Emits the Command event, sends the command and once it has completed records its duration
+   * in the command stats and emits the CommandComplete event
+   * @param {string} method
+   * @param {Object} params
+   * @param {?string} sessionId - The id of the session sending the command, null for the connection
+   * @param {function(): Promise<Object>} send
+   * @return {Promise<Object>}
+   */
+  _instrumentCommand (method, params, sessionId, send) {
+    this.emit(Events.CRIConnection.Command, { method, params, sessionId })
+    const start = process.hrtime()
+    const complete = error => {
+      const [seconds, nanoseconds] = process.hrtime(start)
+      const durationMs = seconds * 1e3 + nanoseconds / 1e6
+      this._commandStats.record(method, durationMs, error)
+      this.emit(Events.CRIConnection.CommandComplete, {
+        method,
+        durationMs,
+        sessionId,
+        error
       })
-    })
+    }
+    const promise = send()
+    promise.then(() => complete(null), complete)
+    return promise
   }
 
   _onClose () {
     if (this._closed) return
     this._closed = true
+    this._rejectPending('Target closed.')
+    this._queuedMessages = []
     for (const session of this._sessions.values()) {
       session._onClosed()
     }
     this._sessions.clear()
-    this.emit(Events.CRIClient.Disconnected)
+    this.emit(Events.CRIConnection.Disconnected)
+  }
+
+  /**
+   * @param {string} reason
+   * @private
+   */
+  _rejectPending (reason) {
+    for (const callback of this._crieCallbacks.values()) {
+      callback.reject(
+        rewriteError(
+          callback.error,
+          `Protocol error (${callback.method}): ${reason}`
+        )
+      )
+    }
+    this._crieCallbacks.clear()
+    const interopCallbacks = this._callbacks
+    this._callbacks = {}
+    for (const id in interopCallbacks) {
+      interopCallbacks[id](new Error(`Protocol error: ${reason}`))
+    }
+  }
+
+  /**
+   * Called when the transport closed without being asked to. When a reconnect policy was supplied,
+   * the connection is re-established otherwise the connection is considered closed
+   * @private
+   */
+  _onTransportClose () {
+    this._transportClosed = true
+    if (this._reconnectPolicy && !this._closed) {
+      if (this._reconnecting) {
+        // closed while restoring the state, the attempt fails once the commands restoring it are rejected
+        this._rejectRestoring('Connection lost.')
+      } else {
+        this._reconnect().catch(debugError)
+      }
+      return
+    }
+    this.emit('disconnect')
+    this._onClose()
+  }
+
+  /**
+   * Re-establishes the connection using the reconnect policy, re-attaching to the targets
+   * of the existing sessions and re-issuing the commands they enabled domains with
+   * @return {Promise<void>}
+   * @private
+   */
+  async _reconnect () {
+    if (this._reconnecting) return
+    this._reconnecting = true
+    // commands in flight when the transport closed will never receive a response
+    this._rejectAllPending('Connection lost.')
+    const {
+      maxAttempts,
+      initialDelay,
+      maxDelay,
+      factor
+    } = this._reconnectPolicy
+    let delay = initialDelay
+    for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+      this.emit(Events.CRIConnection.Reconnecting, { attempt, delay })
+      await helper.delay(delay)
+      if (this._closed) break
+      try {
+        this._useTransport(await this._createTransport())
+        await this._restoreState()
+      } catch (error) {
+        debugError(error)
+        delay = Math.min(delay * factor, maxDelay)
+        continue
+      }
+      this._reconnecting = false
+      const queuedMessages = this._queuedMessages
+      this._queuedMessages = []
+      for (let i = 0; i < queuedMessages.length; i++) {
+        this._sendMessage(queuedMessages[i])
+      }
+      this._sessionIdRemap.clear()
+      this.emit(Events.CRIConnection.Reconnected, { attempt })
+      return
+    }
+    this._reconnecting = false
+    this.emit('disconnect')
+    this._onClose()
+  }
+
+  /**
+   * Rejects the commands awaiting a response using the connection and its sessions
+   * @param {string} reason
+   * @private
+   */
+  _rejectAllPending (reason) {
+    this._rejectPending(reason)
+    for (const session of this._sessions.values()) {
+      session._rejectPending(reason)
+    }
+  }
+
+  /**
+   * Rejects the commands, sent by _restoreSend, awaiting a response. The commands queued while reconnecting are kept
+   * @param {string} reason
+   * @private
+   */
+  _rejectRestoring (reason) {
+    for (const [id, callbacks] of this._restoreCallbacks) {
+      const callback = callbacks.get(id)
+      if (!callback) continue
+      callbacks.delete(id)
+      callback.reject(
+        rewriteError(
+          callback.error,
+          `Protocol error (${callback.method}): ${reason}`
+        )
+      )
+    }
+    this._restoreCallbacks.clear()
+  }
+
+  /**
+   * @return {Promise<WebSocketTransport|PipeTransport|Object>}
+   * @private
+   */
+  _createTransport () {
+    if (this._reconnectPolicy.createTransport) {
+      return this._reconnectPolicy.createTransport(this)
+    }
+    if (!this.webSocketUrl) {
+      return Promise.reject(
+        new Error('Unable to reconnect, the connection has no WebSocket URL')
+      )
+    }
+    return WebSocketTransport.create(this.webSocketUrl, {
+      handshakeTimeout: this._reconnectPolicy.handshakeTimeout
+    })
+  }
+
+  /**
+   * @return {Promise<void>}
+   * @private
+   */
+  async _restoreState () {
+    const sessions = Array.from(this._sessions.values())
+    // known before Target.setAutoAttach is replayed so that the sessions it re-attaches are reused
+    for (let i = 0; i < sessions.length; i++) {
+      if (sessions[i]._targetId) {
+        this._reattaching.set(sessions[i]._targetId, sessions[i])
+      }
+    }
+    try {
+      const commands = this._state.commands()
+      for (let i = 0; i < commands.length; i++) {
+        await this._restoreSend(commands[i].method, commands[i].params).catch(
+          debugError
+        )
+        this._assertTransportOpen()
+      }
+      for (let i = 0; i < sessions.length; i++) {
+        const session = sessions[i]
+        const targetId = session._targetId
+        try {
+          // unless re-attached by the replayed auto attach of its parent session
+          if (!targetId || this._reattaching.has(targetId)) {
+            assert(targetId, 'The sessions target is unknown')
+            await this._restoreSend('Target.attachToTarget', {
+              targetId,
+              flatten: true
+            })
+          }
+          await session._restoreState()
+          this._assertTransportOpen()
+        } catch (error) {
+          if (this._transportClosed) throw error
+          debugError(error)
+          this._reattaching.delete(targetId)
+          this._sessions.delete(session._sessionId)
+          session._onClosed()
+        }
+      }
+    } finally {
+      this._reattaching.clear()
+      this._restoreCallbacks.clear()
+    }
+  }
+
+  /**
+   * @private
+   */
+  _assertTransportOpen () {
+    if (this._transportClosed) {
+      throw new Error('The connection was lost while restoring its state')
+    }
+  }
+
+  /**
+   * Sends a command bypassing the messages queued while reconnecting
+   * @param {string} method
+   * @param {Object} [params]
+   * @param {CDPSession} [session]
+   * @return {Promise<Object>}
+   */
+  _restoreSend (method, params, session) {
+    const id = this._nextCommandId++
+    const message = { id, method, params: params || {} }
+    if (session) message.sessionId = session._sessionId
+    const callbacks = session ? session._callbacks : this._crieCallbacks
+    return new Promise((resolve, reject) => {
+      callbacks.set(id, { resolve, reject, error: new Error(), method })
+      this._restoreCallbacks.set(id, callbacks)
+      this._transportSend(message)
+    })
   }
 
   /**
@@ -150,15 +626,105 @@ class CRIConnection extends Chrome {
    * In order to have CDP sessions and allow them to operate as they do in Puppeteer we need to provide them a special
    * method for them to send their messages and this is it :)
    * @param {Object} message
+   * @param {function(id: number)} [beforeSend] - Called with the id of the message before it is sent
    * @return {number}
    */
-  _rawSend (message) {
+  _rawSend (message, beforeSend) {
     const id = this._nextCommandId++
-    const msg = JSON.stringify(Object.assign({}, message, { id }))
-    this._ws.send(msg)
+    if (beforeSend) beforeSend(id)
+    this._sendMessage(Object.assign({}, message, { id }))
     return id
   }
 
+  /**
+   * @param {Object} message
+   * @private
+   */
+  _sendMessage (message) {
+    if (this._reconnecting) {
+      this._queuedMessages.push(message)
+      return
+    }
+    if (message.sessionId && this._sessionIdRemap.has(message.sessionId)) {
+      message.sessionId = this._sessionIdRemap.get(message.sessionId)
+    }
+    this._transportSend(message)
+  }
+
+  /**
+   * @param {Object} message
+   * @private
+   */
+  _transportSend (message) {
+    if (this._recorder) {
+      this._recorder.record(ProtocolRecorder.EntryTypes.send, message)
+    }
+    this.emit(Events.CRIConnection.Verbose, {
+      type: ProtocolRecorder.EntryTypes.send,
+      message
+    })
+    this._transport.send(JSON.stringify(message))
+  }
+
+  /**
+   * Override of the original _enqueueCommand function, used by the original CRI API, so that
+   * commands are sent using the transport
+   * @param {string} method
+   * @param {Object} [params]
+   * @param {function(error: *, response: *)} callback
+   * @private
+   */
+  _enqueueCommand (method, params, callback) {
+    const id = this._nextCommandId++
+    this._callbacks[id] = callback
+    try {
+      this._sendMessage({ id, method, params: params || {} })
+    } catch (err) {
+      delete this._callbacks[id]
+      callback(err)
+    }
+  }
+
+  /**
+   * Close the underlying transport
+   * @param {function()} [callback]
+   * @return {Promise<void>|undefined}
+   */
+  close (callback) {
+    let closed = Promise.resolve()
+    if (this._transport) {
+      // don't notify on user-initiated shutdown ('disconnect' event)
+      this._transport.removeAllListeners('close')
+      closed = this._transport.close()
+    }
+    if (typeof callback === 'function') {
+      closed.then(() => callback())
+      return undefined
+    }
+    return closed
+  }
+
+  /**
+   * @param {WebSocketTransport|PipeTransport|Object} transport
+   * @private
+   */
+  _useTransport (transport) {
+    this._transport = transport
+    this._transportClosed = false
+    this._transport.on('message', message => {
+      const object = JSON.parse(message)
+      if (this._recorder) {
+        this._recorder.record(ProtocolRecorder.EntryTypes.receive, object)
+      }
+      this.emit(Events.CRIConnection.Verbose, {
+        type: ProtocolRecorder.EntryTypes.receive,
+        message: object
+      })
+      this._handleMessage(object)
+    })
+    this._transport.on('close', this._onTransportClose.bind(this))
+  }
+
   /**
    * A very simple override of the original _handleMessage function that adds the handling both the puppeteer
    * API and the original CRI API (minus direct sends)
@@ -178,10 +744,28 @@ class CRIConnection extends Chrome {
     }
     if (object.method === 'Target.attachedToTarget') {
       const sessionId = object.params.sessionId
-      const session = new CDPSession(
+      const targetInfo = object.params.targetInfo
+      let session = this._reattaching.get(targetInfo.targetId)
+      if (session) {
+        // re-attached after reconnecting, keep using the existing session
+        this._reattaching.delete(targetInfo.targetId)
+        // the session may have been re-attached by an attempt which failed
+        for (const [originalId, remappedId] of this._sessionIdRemap) {
+          if (remappedId === session._sessionId) {
+            this._sessionIdRemap.set(originalId, sessionId)
+          }
+        }
+        this._sessionIdRemap.set(session._sessionId, sessionId)
+        this._sessions.delete(session._sessionId)
+        session._sessionId = sessionId
+        this._sessions.set(sessionId, session)
+        return
+      }
+      session = new CDPSession(
         this,
-        object.params.targetInfo.type,
-        sessionId
+        targetInfo.type,
+        sessionId,
+        targetInfo.targetId
       )
       this._sessions.set(sessionId, session)
     } else if (object.method === 'Target.detachedFromTarget') {
@@ -212,46 +796,49 @@ class CRIConnection extends Chrome {
   }
 
   /**
-   * This override really on exists to turn off perMessageDeflate when creating the web socket
-   * @return {Promise<*>}
+   * This override really only exists to connect using a {@link WebSocketTransport}, which
+   * turns off perMessageDeflate when creating the web socket
+   * @return {Promise<void>}
    * @private
    */
-  _connectToWebSocket () {
-    return new Promise((resolve, reject) => {
-      // create the WebSocket
-      try {
-        if (this.secure) {
-          this.webSocketUrl = this.webSocketUrl.replace(/^ws:/i, 'wss:')
-        }
-        this._ws = new WebSocket(this.webSocketUrl, [], {
-          perMessageDeflate: false
-        })
-      } catch (err) {
-        // handles bad URLs
-        reject(err)
-        return
-      }
-      // set up event handlers
-      this._ws.on('open', () => {
-        resolve()
-      })
-      this._ws.on('message', data => {
-        const message = JSON.parse(data)
-        this._handleMessage(message)
-      })
-      this._ws.on('close', () => {
-        this.emit('disconnect')
-      })
-      this._ws.on('error', err => {
-        reject(err)
+  async _connectToWebSocket () {
+    if (this.secure) {
+      this.webSocketUrl = this.webSocketUrl.replace(/^ws:/i, 'wss:')
+    }
+    this._useTransport(await WebSocketTransport.create(this.webSocketUrl))
+  }
+
+  /**
+   * Starts the connection using the transport supplied via the options. Since the remote browser
+   * is not reachable over HTTP the protocol is either the one supplied via the options or the local one
+   * @return {Promise<void>}
+   * @private
+   */
+  async _startWithTransport () {
+    try {
+      // the parameters of commands are not strictly validated using the local protocol, see DomainClient
+      if (!this.protocol) this.local = true
+      const protocol =
+        this.protocol || (await devtools.Protocol({ local: true }))
+      api.prepare(this, protocol)
+      this._useTransport(this._transport)
+      process.nextTick(() => {
+        this._notifier.emit('connect', this)
       })
-    })
+    } catch (err) {
+      this._notifier.emit('error', err)
+    }
   }
 
   _start () {
-    return super._start().then(() => {
-      interopCRIApi(this)
-    })
+    // _start is called by the super constructor, defer until our constructor has finished
+    return Promise.resolve()
+      .then(() =>
+        this._transport ? this._startWithTransport() : super._start()
+      )
+      .then(() => {
+        interopCRIApi(this)
+      })
   }
 
   /**
@@ -279,6 +866,7 @@ class CRIConnection extends Chrome {
         secure: this.secure,
         useHostName: this.useHostName,
         target: this.target,
+        transport: this._transport && this._transport.constructor.name,
         sessions: this._sessions
       },
       newOptions
@@ -288,3 +876,13 @@ class CRIConnection extends Chrome {
 }
 
 module.exports = CRIConnection
+
+/**
+ * @typedef {Object} ReconnectPolicy
+ * @property {number} [maxAttempts = 5] - Maximum number of reconnection attempts before the connection is considered closed
+ * @property {number} [initialDelay = 100] - Milliseconds to wait before the first attempt
+ * @property {number} [maxDelay = 5000] - Maximum number of milliseconds to wait between attempts
+ * @property {number} [factor = 2] - The factor the delay is multiplied by after each failed attempt
+ * @property {number} [handshakeTimeout = 30000] - Maximum time in milliseconds to wait for the WebSocket handshake of an attempt, 0 disables the timeout
+ * @property {?function(connection: CRIConnection): Promise<WebSocketTransport|PipeTransport|Object>} [createTransport] - Function creating the transport used to reconnect, defaults to connecting to the connections WebSocket URL
+ */
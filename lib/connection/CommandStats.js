@@ -0,0 +1,101 @@
+const util = require('util')
+
+/**
+ * Aggregates the durations and outcomes of the protocol commands sent using a {@link CRIConnection},
+ * and the sessions of the connection, per method
+ * @since chrome-remote-interface-extra
+ */
+class CommandStats {
+  constructor () {
+    /**
+     * @type {Map<string, CommandMethodStats>}
+     * @private
+     */
+    this._methods = new Map()
+  }
+
+  /**
+   * @param {string} method - The method of the command
+   * @param {number} durationMs - Milliseconds from sending the command until it completed
+   * @param {?Error} [error] - The error the command failed with, if it did
+   */
+  record (method, durationMs, error) {
+    let stats = this._methods.get(method)
+    if (!stats) {
+      stats = {
+        method,
+        count: 0,
+        errors: 0,
+        totalMs: 0,
+        meanMs: 0,
+        minMs: Infinity,
+        maxMs: 0
+      }
+      this._methods.set(method, stats)
+    }
+    stats.count += 1
+    if (error) stats.errors += 1
+    stats.totalMs += durationMs
+    stats.meanMs = stats.totalMs / stats.count
+    if (durationMs < stats.minMs) stats.minMs = durationMs
+    if (durationMs > stats.maxMs) stats.maxMs = durationMs
+  }
+
+  /**
+   * @param {string} method
+   * @return {?CommandMethodStats}
+   */
+  get (method) {
+    const stats = this._methods.get(method)
+    return stats ? Object.assign({}, stats) : null
+  }
+
+  /**
+   * The stats of every method sent, the methods that took the longest in total first
+   * @return {Array<CommandMethodStats>}
+   */
+  report () {
+    const report = []
+    for (const stats of this._methods.values()) {
+      report.push(Object.assign({}, stats))
+    }
+    return report.sort((a, b) => b.totalMs - a.totalMs)
+  }
+
+  reset () {
+    this._methods.clear()
+  }
+
+  /**
+   * @return {Array<CommandMethodStats>}
+   */
+  toJSON () {
+    return this.report()
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[CommandStats]', 'special')
+    }
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(this.report(), newOptions)
+    return `${options.stylize('CommandStats', 'special')} ${inner}`
+  }
+}
+
+module.exports = CommandStats
+
+/**
+ * @typedef {Object} CommandMethodStats
+ * @property {string} method - The method of the commands
+ * @property {number} count - The number of commands that completed
+ * @property {number} errors - The number of commands that failed, including those that timed out or were aborted
+ * @property {number} totalMs - The combined duration of the commands in milliseconds
+ * @property {number} meanMs
+ * @property {number} minMs
+ * @property {number} maxMs
+ */
@@ -0,0 +1,451 @@
+const util = require('util')
+
+/**
+ * Descriptions of the protocols seen, keyed by the protocol object
+ * @type {WeakMap<Object, Map<string, DomainDescription>>}
+ * @ignore
+ */
+const ProtocolDescriptions = new WeakMap()
+
+/**
+ * The generated domain client classes of the protocols seen, keyed by the protocol object
+ * @type {WeakMap<Object, Map<string, function(new: DomainClient)>>}
+ * @ignore
+ */
+const GeneratedClasses = new WeakMap()
+
+/**
+ * The protocols whose domains have been installed on each prototype, see {@link installDomainClients}
+ * @type {WeakMap<Object, WeakSet<Object>>}
+ * @ignore
+ */
+const InstalledProtocols = new WeakMap()
+
+/**
+ * chrome-remote-interface decorates the connection with one function per command, event and type,
+ * converting the parameters of each into an object keyed by name (removing the name from the protocol's
+ * own parameter descriptions as it does so). Prefer the decorated version, falling back to the protocol
+ * descriptor when the connection was not decorated
+ * @ignore
+ * @param {?Array<Object>} parameters - The parameters from the protocol descriptor
+ * @param {?Object} decorated - The decorated command, event or type
+ * @param {string} field - Either parameters or properties
+ * @return {Map<string, Object>}
+ */
+function byName (parameters, decorated, field) {
+  const named = new Map()
+  if (decorated && decorated[field] && !Array.isArray(decorated[field])) {
+    for (const name of Object.keys(decorated[field])) {
+      named.set(name, decorated[field][name])
+    }
+  } else if (parameters) {
+    for (let i = 0; i < parameters.length; i++) {
+      if (parameters[i].name) named.set(parameters[i].name, parameters[i])
+    }
+  }
+  return named
+}
+
+/**
+ * @ignore
+ * @param {Object} connection - A connection decorated by chrome-remote-interface
+ * @return {?Map<string, DomainDescription>}
+ */
+function describeProtocol (connection) {
+  const protocol = connection && connection.protocol
+  if (!protocol || !protocol.domains) return null
+  let description = ProtocolDescriptions.get(protocol)
+  if (description) return description
+  description = new Map()
+  for (let i = 0; i < protocol.domains.length; i++) {
+    const domain = protocol.domains[i]
+    const decorated = connection[domain.domain] || {}
+    const commands = new Map()
+    const events = new Set()
+    const types = new Map()
+    for (const command of domain.commands || []) {
+      commands.set(command.name, {
+        name: command.name,
+        parameters: byName(
+          command.parameters,
+          decorated[command.name],
+          'parameters'
+        )
+      })
+    }
+    for (const event of domain.events || []) {
+      if (!commands.has(event.name)) events.add(event.name)
+    }
+    for (const type of domain.types || []) {
+      types.set(type.id, type)
+    }
+    description.set(domain.domain, {
+      name: domain.domain,
+      commands,
+      events,
+      types
+    })
+  }
+  ProtocolDescriptions.set(protocol, description)
+  return description
+}
+
+/**
+ * @ignore
+ * @param {*} value
+ * @return {string}
+ */
+function typeOf (value) {
+  if (value === null) return 'null'
+  if (Array.isArray(value)) return 'array'
+  return typeof value
+}
+
+/**
+ * @ignore
+ * @param {*} value - The value of the parameter
+ * @param {Object} def - The description of the parameter
+ * @param {string} domainName - The domain the parameter is described in
+ * @param {Map<string, DomainDescription>} description
+ * @param {string} path - The path to the parameter, used in the error message
+ * @return {?string} - The reason the value is invalid, if it is
+ */
+function checkValue (value, def, domainName, description, path) {
+  if (def.$ref) {
+    const ref = def.$ref.includes('.')
+      ? def.$ref.split('.')
+      : [domainName, def.$ref]
+    const refDomain = description.get(ref[0])
+    const type = refDomain && refDomain.types.get(ref[1])
+    // types we do not know about are not validated
+    if (!type) return null
+    return checkValue(value, type, ref[0], description, path)
+  }
+  const actual = typeOf(value)
+  switch (def.type) {
+    case 'string':
+    case 'binary':
+      if (actual !== 'string') {
+        return `"${path}" must be a string, received ${actual}`
+      }
+      if (def.enum && !def.enum.includes(value)) {
+        return `"${path}" must be one of ${def.enum.join(
+          ', '
+        )}, received "${value}"`
+      }
+      return null
+    case 'integer':
+      if (!Number.isInteger(value)) {
+        return `"${path}" must be an integer, received ${
+          actual === 'number' ? value : actual
+        }`
+      }
+      return null
+    case 'number':
+      if (actual !== 'number') {
+        return `"${path}" must be a number, received ${actual}`
+      }
+      return null
+    case 'boolean':
+      if (actual !== 'boolean') {
+        return `"${path}" must be a boolean, received ${actual}`
+      }
+      return null
+    case 'array':
+      if (actual !== 'array') {
+        return `"${path}" must be an array, received ${actual}`
+      }
+      if (def.items) {
+        for (let i = 0; i < value.length; i++) {
+          const reason = checkValue(
+            value[i],
+            def.items,
+            domainName,
+            description,
+            `${path}[${i}]`
+          )
+          if (reason) return reason
+        }
+      }
+      return null
+    case 'object':
+      if (actual !== 'object') {
+        return `"${path}" must be an object, received ${actual}`
+      }
+      return null
+    default:
+      return null
+  }
+}
+
+/**
+ * Validates the parameters of a command against its description in the protocol
+ * @param {string} domainName
+ * @param {CommandDescription} command
+ * @param {?Object} params
+ * @param {Map<string, DomainDescription>} description
+ * @param {boolean} [strict = true] - Reject the parameters not described by the protocol
+ * @return {?string} - The reason the parameters are invalid, if they are
+ */
+function validateParams (
+  domainName,
+  command,
+  params,
+  description,
+  strict = true
+) {
+  if (params == null) params = {}
+  if (typeOf(params) !== 'object') {
+    return `the parameters must be an object, received ${typeOf(params)}`
+  }
+  for (const [name, def] of command.parameters) {
+    if (params[name] === undefined) {
+      if (!def.optional) return `"${name}" is required`
+      continue
+    }
+    const reason = checkValue(params[name], def, domainName, description, name)
+    if (reason) return reason
+  }
+  if (!strict) return null
+  for (const name of Object.keys(params)) {
+    if (!command.parameters.has(name)) {
+      return `"${name}" is not a parameter of ${domainName}.${command.name}`
+    }
+  }
+  return null
+}
+
+/**
+ * Base class of the per domain clients generated from the protocol. Each generated class has one method
+ * per command of the domain, which validates its parameters before sending it with the optional
+ * {@link CommandOptions} supplied as its second argument, and one method per
+ * event of the domain that, like chrome-remote-interface, registers the supplied listener returning
+ * a function to remove it, or when no listener was supplied returns a promise resolved the next time
+ * the event is emitted.
+ *
+ * Parameters not described by the protocol are only rejected when the protocol was fetched from the browser,
+ * the local protocol bundled with chrome-remote-interface, used by connections made using a transport, can be
+ * older than the browser
+ * @since chrome-remote-interface-extra
+ */
+class DomainClient {
+  /**
+   * @param {CDPSession|CRIConnection|Object} client - The client commands are sent using
+   * @param {DomainDescription} domain
+   * @param {Map<string, DomainDescription>} description
+   * @param {{strict?: boolean}} [options] - strict, defaulting to true, rejects the parameters not described by the protocol
+   */
+  constructor (client, domain, description, { strict = true } = {}) {
+    /**
+     * @type {CDPSession|CRIConnection|Object}
+     * @private
+     */
+    this._client = client
+
+    /**
+     * @type {DomainDescription}
+     * @private
+     */
+    this._domain = domain
+
+    /**
+     * @type {Map<string, DomainDescription>}
+     * @private
+     */
+    this._description = description
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._strict = strict
+  }
+
+  /**
+   * @return {string}
+   */
+  get domain () {
+    return this._domain.name
+  }
+
+  /**
+   * @return {Array<string>}
+   */
+  commands () {
+    return Array.from(this._domain.commands.keys())
+  }
+
+  /**
+   * @return {Array<string>}
+   */
+  events () {
+    return Array.from(this._domain.events)
+  }
+
+  /**
+   * @param {CommandDescription} command
+   * @param {?Object} [params]
+   * @param {CommandOptions} [options]
+   * @return {Promise<Object>}
+   * @private
+   */
+  _sendCommand (command, params, options) {
+    const method = `${this._domain.name}.${command.name}`
+    const reason = validateParams(
+      this._domain.name,
+      command,
+      params,
+      this._description,
+      this._strict
+    )
+    if (reason) {
+      return Promise.reject(
+        new Error(`Invalid parameters for ${method}: ${reason}`)
+      )
+    }
+    return this._client.send(method, params || {}, options)
+  }
+
+  /**
+   * @param {string} event
+   * @param {function(params: Object)} [listener]
+   * @return {function()|Promise<Object>}
+   * @private
+   */
+  _subscribe (event, listener) {
+    const eventName = `${this._domain.name}.${event}`
+    if (typeof listener === 'function') {
+      this._client.on(eventName, listener)
+      return () => this._client.removeListener(eventName, listener)
+    }
+    return new Promise(resolve => this._client.once(eventName, resolve))
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize(`[${this.constructor.name}]`, 'special')
+    }
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(
+      { commands: this.commands(), events: this.events() },
+      newOptions
+    )
+    return `${options.stylize(this.constructor.name, 'special')} ${inner}`
+  }
+}
+
+/**
+ * @ignore
+ * @param {Object} protocol
+ * @param {DomainDescription} domain
+ * @return {function(new: DomainClient)}
+ */
+function domainClass (protocol, domain) {
+  let classes = GeneratedClasses.get(protocol)
+  if (!classes) {
+    classes = new Map()
+    GeneratedClasses.set(protocol, classes)
+  }
+  let GeneratedClass = classes.get(domain.name)
+  if (GeneratedClass) return GeneratedClass
+  GeneratedClass = class extends DomainClient {}
+  Object.defineProperty(GeneratedClass, 'name', {
+    value: `${domain.name}Client`
+  })
+  for (const command of domain.commands.values()) {
+    GeneratedClass.prototype[command.name] = function (params, options) {
+      return this._sendCommand(command, params, options)
+    }
+  }
+  for (const event of domain.events) {
+    GeneratedClass.prototype[event] = function (listener) {
+      return this._subscribe(event, listener)
+    }
+  }
+  classes.set(domain.name, GeneratedClass)
+  return GeneratedClass
+}
+
+/**
+ * Create the domain clients for a client. The returned object has one lazily created
+ * {@link DomainClient} per domain of the protocol, e.g. domains.Network.enable()
+ * @param {CDPSession|CRIConnection|Object} client - The client commands are sent using
+ * @param {CRIConnection|Chrome|Object} connection - The connection the protocol is taken from
+ * @return {DomainClients}
+ */
+function createDomainClients (client, connection) {
+  const domains = {}
+  const description = describeProtocol(connection)
+  if (!description) return domains
+  // the local protocol can be older than the browser
+  const options = { strict: !connection.local }
+  for (const domain of description.values()) {
+    let instance = null
+    Object.defineProperty(domains, domain.name, {
+      enumerable: true,
+      get () {
+        if (!instance) {
+          const GeneratedClass = domainClass(connection.protocol, domain)
+          instance = new GeneratedClass(client, domain, description, options)
+        }
+        return instance
+      }
+    })
+  }
+  return domains
+}
+
+/**
+ * Defines a getter on the prototype for each domain of the protocol, returning the domain client
+ * of the cdp property of the instance, so that client.Network.enable() works as it does for
+ * chrome-remote-interface clients. The domains of a protocol are only installed once per prototype
+ * @param {Object} prototype - The prototype of clients with a cdp property, e.g. CDPSession.prototype
+ * @param {CRIConnection|Chrome|Object} connection - The connection the protocol is taken from
+ */
+function installDomainClients (prototype, connection) {
+  const protocol = connection && connection.protocol
+  if (!protocol) return
+  let installed = InstalledProtocols.get(prototype)
+  if (!installed) {
+    installed = new WeakSet()
+    InstalledProtocols.set(prototype, installed)
+  }
+  if (installed.has(protocol)) return
+  installed.add(protocol)
+  const description = describeProtocol(connection)
+  if (!description) return
+  for (const name of description.keys()) {
+    if (name in prototype) continue
+    Object.defineProperty(prototype, name, {
+      configurable: true,
+      get () {
+        return this.cdp[name]
+      }
+    })
+  }
+}
+
+module.exports = {
+  DomainClient,
+  createDomainClients,
+  installDomainClients,
+  validateParams
+}
+
+/**
+ * @typedef {Object} CommandDescription
+ * @property {string} name
+ * @property {Map<string, Object>} parameters
+ */
+
+/**
+ * @typedef {Object} DomainDescription
+ * @property {string} name
+ * @property {Map<string, CommandDescription>} commands
+ * @property {Set<string>} events
+ * @property {Map<string, Object>} types
+ */
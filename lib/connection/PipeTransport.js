@@ -0,0 +1,98 @@
+const EventEmitter = require('eventemitter3')
+const { helper, debugError } = require('../helper')
+
+/**
+ * Transport for CDP messages over the pipes Chrome opens when launched with
+ * --remote-debugging-pipe, file descriptors 3 (read by Chrome) and 4 (written by Chrome).
+ * Each message is JSON terminated by a NUL byte
+ * @since chrome-remote-interface-extra
+ */
+class PipeTransport extends EventEmitter {
+  /**
+   * @param {Writable} pipeWrite - The pipe Chrome reads from (fd 3)
+   * @param {Readable} pipeRead - The pipe Chrome writes to (fd 4)
+   */
+  constructor (pipeWrite, pipeRead) {
+    super()
+    /**
+     * @type {?Writable}
+     * @private
+     */
+    this._pipeWrite = pipeWrite
+
+    /**
+     * Chunks of a message not yet terminated by a NUL byte
+     * @type {Array<Buffer>}
+     * @private
+     */
+    this._pendingChunks = []
+
+    /**
+     * @type {Array<Object>}
+     * @private
+     */
+    this._eventListeners = [
+      helper.addEventListener(pipeRead, 'data', buffer =>
+        this._dispatch(buffer)
+      ),
+      helper.addEventListener(pipeRead, 'close', () => this._onClose()),
+      helper.addEventListener(pipeRead, 'error', debugError),
+      helper.addEventListener(pipeWrite, 'error', debugError)
+    ]
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get closed () {
+    return this._pipeWrite == null
+  }
+
+  /**
+   * @param {string} message
+   */
+  send (message) {
+    if (this.closed) throw new Error('The pipe transport has been closed')
+    this._pipeWrite.write(message)
+    this._pipeWrite.write('\0')
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  close () {
+    this._onClose()
+    return Promise.resolve()
+  }
+
+  /**
+   * @param {Buffer} buffer
+   * @private
+   */
+  _dispatch (buffer) {
+    let start = 0
+    let end = buffer.indexOf(0)
+    while (end !== -1) {
+      this._pendingChunks.push(buffer.slice(start, end))
+      const message = Buffer.concat(this._pendingChunks).toString()
+      this._pendingChunks = []
+      this.emit('message', message)
+      start = end + 1
+      end = buffer.indexOf(0, start)
+    }
+    if (start < buffer.length) this._pendingChunks.push(buffer.slice(start))
+  }
+
+  /**
+   * @private
+   */
+  _onClose () {
+    if (this.closed) return
+    this._pipeWrite = null
+    this._pendingChunks = []
+    helper.removeEventListeners(this._eventListeners)
+    this.emit('close')
+  }
+}
+
+module.exports = PipeTransport
@@ -0,0 +1,162 @@
+const fs = require('fs-extra')
+const { debugError, helper } = require('../helper')
+
+/**
+ * Enumeration of the types of entries in a protocol recording
+ * @type {{send: string, receive: string}}
+ */
+const EntryTypes = {
+  send: 'send',
+  receive: 'receive'
+}
+
+/**
+ * Records the CDP messages sent and received by a {@link CRIConnection} to a JSONL file,
+ * one {@link ProtocolRecordingEntry} per line, which can be replayed using a {@link ReplayTransport}
+ * @since chrome-remote-interface-extra
+ */
+class ProtocolRecorder {
+  /**
+   * Read the entries of a protocol recording
+   * @param {string} path - Path to the JSONL file
+   * @return {Promise<Array<ProtocolRecordingEntry>>}
+   */
+  static async readFile (path) {
+    const contents = await fs.readFile(path, 'utf8')
+    return ProtocolRecorder.parse(contents)
+  }
+
+  /**
+   * @param {string} contents - The contents of a JSONL protocol recording
+   * @return {Array<ProtocolRecordingEntry>}
+   */
+  static parse (contents) {
+    const entries = []
+    const lines = contents.split('\n')
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].trim()
+      if (line) entries.push(JSON.parse(line))
+    }
+    return entries
+  }
+
+  /**
+   * @param {string} path - Path to the JSONL file the messages are written to
+   */
+  constructor (path) {
+    /**
+     * @type {string}
+     * @private
+     */
+    this._path = path
+
+    /**
+     * @type {WriteStream}
+     * @private
+     */
+    this._stream = fs.createWriteStream(path)
+
+    /**
+     * The error the file failed with, which is reported by {@link end}
+     * @type {?Error}
+     * @private
+     */
+    this._error = null
+    this._stream.on('error', error => {
+      if (!this._error) this._error = error
+      debugError(error)
+    })
+
+    /**
+     * @type {Promise<void>}
+     * @private
+     */
+    this._openPromise = new Promise((resolve, reject) => {
+      this._stream.once('open', () => resolve())
+      this._stream.once('error', reject)
+    })
+    // failures to open are also reported by end, do not leave them unhandled
+    this._openPromise.catch(helper.noop)
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._startTime = Date.now()
+
+    /**
+     * @type {number}
+     * @private
+     */
+    this._count = 0
+  }
+
+  /**
+   * @return {string}
+   */
+  get path () {
+    return this._path
+  }
+
+  /**
+   * @return {number} - The number of messages recorded
+   */
+  get count () {
+    return this._count
+  }
+
+  /**
+   * @return {Promise<void>} - Resolves once the file is opened, rejecting when it cannot be
+   */
+  opened () {
+    return this._openPromise
+  }
+
+  /**
+   * @param {string} type - The type of the entry, send or receive
+   * @param {Object} message - The CDP message
+   */
+  record (type, message) {
+    const timestamp = Date.now()
+    /** @type {ProtocolRecordingEntry} */
+    const entry = {
+      type,
+      timestamp,
+      elapsed: timestamp - this._startTime,
+      sessionId: message.sessionId || null,
+      message
+    }
+    this._count += 1
+    if (!this._error) this._stream.write(`${JSON.stringify(entry)}\n`)
+  }
+
+  /**
+   * Flushes the recorded messages and closes the file, rejecting if writing the file failed
+   * @return {Promise<void>}
+   */
+  end () {
+    return new Promise((resolve, reject) => {
+      if (this._error) {
+        reject(this._error)
+        return
+      }
+      this._stream.end(() => {
+        if (this._error) reject(this._error)
+        else resolve()
+      })
+    })
+  }
+}
+
+ProtocolRecorder.EntryTypes = EntryTypes
+
+module.exports = ProtocolRecorder
+
+/**
+ * @typedef {Object} ProtocolRecordingEntry
+ * @property {string} type - Either send, for commands, or receive, for responses and events
+ * @property {number} timestamp - The wall time in milliseconds the message was sent or received
+ * @property {number} elapsed - Milliseconds since the recording was started
+ * @property {?string} sessionId - The id of the session the message was sent or received using
+ * @property {Object} message - The CDP message
+ */
@@ -0,0 +1,206 @@
+const EventEmitter = require('eventemitter3')
+const ProtocolRecorder = require('./ProtocolRecorder')
+
+/**
+ * Transport that plays back a protocol recording made using a {@link ProtocolRecorder}, allowing
+ * a {@link CRIConnection} and everything built on top of it to be used without a browser.
+ *
+ * Every command sent is matched to the first not yet matched recorded command with the same method
+ * and session. The recorded responses and events are then emitted in the order they were recorded,
+ * with the ids of the responses rewritten to the ids of the commands they were matched to. Playback pauses
+ * at a recorded command until it has been sent, or at a response to a command not yet matched
+ * @since chrome-remote-interface-extra
+ */
+class ReplayTransport extends EventEmitter {
+  /**
+   * @param {string} path - Path to the JSONL protocol recording
+   * @param {ReplayTransportOptions} [options]
+   * @return {Promise<ReplayTransport>}
+   */
+  static async fromFile (path, options) {
+    return new ReplayTransport(await ProtocolRecorder.readFile(path), options)
+  }
+
+  /**
+   * @param {Array<ProtocolRecordingEntry>} entries
+   * @param {ReplayTransportOptions} [options]
+   */
+  constructor (entries, { strict = true } = {}) {
+    super()
+    /**
+     * @type {Array<ProtocolRecordingEntry>}
+     * @private
+     */
+    this._entries = entries
+
+    /**
+     * When true commands not in the recording are responded to with an error,
+     * otherwise with an empty result
+     * @type {boolean}
+     * @private
+     */
+    this._strict = strict
+
+    /**
+     * Index of the next entry to be played back
+     * @type {number}
+     * @private
+     */
+    this._cursor = 0
+
+    /**
+     * Indexes of the recorded commands that were matched
+     * @type {Set<number>}
+     * @private
+     */
+    this._matched = new Set()
+
+    /**
+     * Maps the ids of recorded commands to the ids of the commands they were matched to
+     * @type {Map<number, number>}
+     * @private
+     */
+    this._idMap = new Map()
+
+    /**
+     * @type {Array<Object>}
+     * @private
+     */
+    this._unmatched = []
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._closed = false
+
+    this._schedulePlayback()
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get closed () {
+    return this._closed
+  }
+
+  /**
+   * @return {boolean} - True once every recorded entry was played back
+   */
+  get done () {
+    return this._cursor >= this._entries.length
+  }
+
+  /**
+   * @return {Array<Object>} - The commands sent that were not found in the recording
+   */
+  unmatched () {
+    return this._unmatched.slice()
+  }
+
+  /**
+   * @param {string} message
+   */
+  send (message) {
+    if (this._closed) throw new Error('The replay transport has been closed')
+    const command = JSON.parse(message)
+    const recordedIdx = this._findRecordedCommand(command)
+    if (recordedIdx === -1) {
+      this._unmatched.push(command)
+      const response = { id: command.id }
+      if (command.sessionId) response.sessionId = command.sessionId
+      if (this._strict) {
+        response.error = {
+          code: -32601,
+          message: `No recorded response for '${command.method}'`
+        }
+      } else {
+        response.result = {}
+      }
+      setImmediate(() => this._emitMessage(response))
+      return
+    }
+    this._matched.add(recordedIdx)
+    this._idMap.set(this._entries[recordedIdx].message.id, command.id)
+    this._schedulePlayback()
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  close () {
+    if (!this._closed) {
+      this._closed = true
+      this.emit('close')
+    }
+    return Promise.resolve()
+  }
+
+  /**
+   * @param {Object} command
+   * @return {number}
+   * @private
+   */
+  _findRecordedCommand (command) {
+    const sessionId = command.sessionId || null
+    for (let i = this._cursor; i < this._entries.length; i++) {
+      const entry = this._entries[i]
+      if (
+        entry.type === ProtocolRecorder.EntryTypes.send &&
+        !this._matched.has(i) &&
+        entry.message.method === command.method &&
+        (entry.message.sessionId || null) === sessionId
+      ) {
+        return i
+      }
+    }
+    return -1
+  }
+
+  /**
+   * @private
+   */
+  _schedulePlayback () {
+    setImmediate(() => this._playback())
+  }
+
+  /**
+   * @private
+   */
+  _playback () {
+    while (!this._closed && this._cursor < this._entries.length) {
+      const entry = this._entries[this._cursor]
+      if (entry.type === ProtocolRecorder.EntryTypes.send) {
+        if (!this._matched.has(this._cursor)) return
+        this._cursor += 1
+        continue
+      }
+      let message = entry.message
+      if (message.id != null) {
+        if (!this._idMap.has(message.id)) return
+        message = Object.assign({}, message, {
+          id: this._idMap.get(message.id)
+        })
+        this._idMap.delete(entry.message.id)
+      }
+      this._cursor += 1
+      this._emitMessage(message)
+    }
+  }
+
+  /**
+   * @param {Object} message
+   * @private
+   */
+  _emitMessage (message) {
+    if (this._closed) return
+    this.emit('message', JSON.stringify(message))
+  }
+}
+
+module.exports = ReplayTransport
+
+/**
+ * @typedef {Object} ReplayTransportOptions
+ * @property {boolean} [strict = true] - Respond to commands not in the recording with an error rather than an empty result
+ */
@@ -0,0 +1,62 @@
+/**
+ * Commands, besides the Domain.enable commands, whose effect lasts for the lifetime of
+ * a session and must be re-issued when a session is re-attached
+ * @type {Set<string>}
+ */
+const StatefulCommands = new Set([
+  'Target.setDiscoverTargets',
+  'Target.setAutoAttach',
+  'Page.setLifecycleEventsEnabled',
+  'Network.setCacheDisabled',
+  'Network.setExtraHTTPHeaders',
+  'Network.setRequestInterception',
+  'Runtime.setAsyncCallStackDepth',
+  'Security.setIgnoreCertificateErrors'
+])
+
+/**
+ * Keeps track of the domains enabled, and stateful commands sent, using a connection or session
+ * so that they can be re-issued after reconnecting
+ * @since chrome-remote-interface-extra
+ */
+class SessionState {
+  constructor () {
+    /**
+     * @type {Map<string, {method: string, params: Object}>}
+     * @private
+     */
+    this._commands = new Map()
+  }
+
+  /**
+   * @param {string} method
+   * @param {Object} [params]
+   */
+  record (method, params) {
+    const dotIdx = method.indexOf('.')
+    const domain = method.substring(0, dotIdx)
+    const command = method.substring(dotIdx + 1)
+    if (command === 'enable') {
+      this._commands.set(domain, { method, params })
+    } else if (command === 'disable') {
+      this._commands.delete(domain)
+    } else if (StatefulCommands.has(method)) {
+      this._commands.set(method, { method, params })
+    }
+  }
+
+  /**
+   * @return {Array<{method: string, params: Object}>} - The commands to be re-issued, in the order they were first sent
+   */
+  commands () {
+    return Array.from(this._commands.values())
+  }
+
+  clear () {
+    this._commands.clear()
+  }
+}
+
+SessionState.StatefulCommands = StatefulCommands
+
+module.exports = SessionState
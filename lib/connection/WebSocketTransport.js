@@ -0,0 +1,75 @@
+const EventEmitter = require('eventemitter3')
+const WebSocket = require('ws')
+const { debugError } = require('../helper')
+
+/**
+ * Transport for CDP messages over a WebSocket, the default for {@link CRIConnection}
+ * @since chrome-remote-interface-extra
+ */
+class WebSocketTransport extends EventEmitter {
+  /**
+   * @param {string} url - The WebSocket URL to connect to
+   * @param {{handshakeTimeout?: number}} [options] - handshakeTimeout is the maximum time in milliseconds to wait for the WebSocket handshake, 0 or not set disables the timeout
+   * @return {Promise<WebSocketTransport>}
+   */
+  static create (url, { handshakeTimeout } = {}) {
+    return new Promise((resolve, reject) => {
+      let ws
+      try {
+        ws = new WebSocket(url, [], {
+          perMessageDeflate: false,
+          handshakeTimeout: handshakeTimeout || undefined
+        })
+      } catch (err) {
+        // handles bad URLs
+        reject(err)
+        return
+      }
+      ws.once('open', () => resolve(new WebSocketTransport(ws)))
+      ws.once('error', reject)
+    })
+  }
+
+  /**
+   * @param {WebSocket} ws
+   */
+  constructor (ws) {
+    super()
+    /**
+     * @type {WebSocket}
+     * @private
+     */
+    this._ws = ws
+    this._ws.removeAllListeners('error')
+    this._ws.on('message', message => this.emit('message', message))
+    this._ws.on('close', () => this.emit('close'))
+    this._ws.on('error', debugError)
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get closed () {
+    return this._ws.readyState === WebSocket.CLOSED
+  }
+
+  /**
+   * @param {string} message
+   */
+  send (message) {
+    this._ws.send(message)
+  }
+
+  /**
+   * @return {Promise<void>}
+   */
+  close () {
+    if (this.closed) return Promise.resolve()
+    return new Promise(resolve => {
+      this._ws.once('close', () => resolve())
+      this._ws.close()
+    })
+  }
+}
+
+module.exports = WebSocketTransport
@@ -0,0 +1,2650 @@
+// Generated by scripts/generateDomainClientTypeDefs.js from the protocol 1.3 of chrome-remote-interface, do not edit
+
+/**
+ * The domain clients of a connection or session, see {@link createDomainClients}
+ * @typedef {Object} DomainClients
+ * @property {AccessibilityClient} Accessibility - EXPERIMENTAL
+ * @property {AnimationClient} Animation - EXPERIMENTAL
+ * @property {ApplicationCacheClient} ApplicationCache - EXPERIMENTAL
+ * @property {AuditsClient} Audits - Audits domain allows investigation of page violations and possible improvements. EXPERIMENTAL
+ * @property {BrowserClient} Browser - The Browser domain defines methods and events for browser managing.
+ * @property {CSSClient} CSS - This domain exposes CSS read/write operations. All CSS objects (stylesheets, rules, and styles) have an associated `id` used in subsequent operations on the related object. Each object type has a specific `id` structure, and those are not interchangeable between objects of different kinds. CSS objects can be loaded using the `get*ForNode()` calls (which accept a DOM node id). A client can also keep track of stylesheets via the `styleSheetAdded`/`styleSheetRemoved` events and subsequently load the required stylesheet contents using the `getStyleSheet[Text]()` methods. EXPERIMENTAL
+ * @property {CacheStorageClient} CacheStorage - EXPERIMENTAL
+ * @property {DOMClient} DOM - This domain exposes DOM read/write operations. Each DOM Node is represented with its mirror object that has an `id`. This `id` can be used to get additional information on the Node, resolve it into the JavaScript object wrapper, etc. It is important that client receives DOM events only for the nodes that are known to the client. Backend keeps track of the nodes that were sent to the client and never sends the same node twice. It is client's responsibility to collect information about the nodes that were sent to the client.<p>Note that `iframe` owner elements will return corresponding document elements as their child nodes.</p>
+ * @property {DOMDebuggerClient} DOMDebugger - DOM debugging allows setting breakpoints on particular DOM operations and events. JavaScript execution will stop on these operations as if there was a regular breakpoint set.
+ * @property {DOMSnapshotClient} DOMSnapshot - This domain facilitates obtaining document snapshots with DOM, layout, and style information. EXPERIMENTAL
+ * @property {DOMStorageClient} DOMStorage - Query and modify DOM storage. EXPERIMENTAL
+ * @property {DatabaseClient} Database - EXPERIMENTAL
+ * @property {DeviceOrientationClient} DeviceOrientation - EXPERIMENTAL
+ * @property {EmulationClient} Emulation - This domain emulates different environments for the page.
+ * @property {HeadlessExperimentalClient} HeadlessExperimental - This domain provides experimental commands only supported in headless mode. EXPERIMENTAL
+ * @property {IOClient} IO - Input/Output operations for streams produced by DevTools.
+ * @property {IndexedDBClient} IndexedDB - EXPERIMENTAL
+ * @property {InputClient} Input
+ * @property {InspectorClient} Inspector - EXPERIMENTAL
+ * @property {LayerTreeClient} LayerTree - EXPERIMENTAL
+ * @property {LogClient} Log - Provides access to log entries.
+ * @property {MemoryClient} Memory - EXPERIMENTAL
+ * @property {NetworkClient} Network - Network domain allows tracking network activities of the page. It exposes information about http, file, data and other requests and responses, their headers, bodies, timing, etc.
+ * @property {OverlayClient} Overlay - This domain provides various functionality related to drawing atop the inspected page. EXPERIMENTAL
+ * @property {PageClient} Page - Actions and events related to the inspected page belong to the page domain.
+ * @property {PerformanceClient} Performance
+ * @property {SecurityClient} Security - Security
+ * @property {ServiceWorkerClient} ServiceWorker - EXPERIMENTAL
+ * @property {StorageClient} Storage - EXPERIMENTAL
+ * @property {SystemInfoClient} SystemInfo - The SystemInfo domain defines methods and events for querying low-level system information. EXPERIMENTAL
+ * @property {TargetClient} Target - Supports additional targets discovery and allows to attach to them.
+ * @property {TetheringClient} Tethering - The Tethering domain defines methods and events for browser port binding. EXPERIMENTAL
+ * @property {TracingClient} Tracing - EXPERIMENTAL
+ * @property {TestingClient} Testing - Testing domain is a dumping ground for the capabilities requires for browser or app testing that do not fit other domains. EXPERIMENTAL
+ * @property {FetchClient} Fetch - A domain for letting clients substitute browser's network layer with client code. EXPERIMENTAL
+ * @property {ConsoleClient} Console - This domain is deprecated - use Runtime or Log instead. DEPRECATED
+ * @property {DebuggerClient} Debugger - Debugger domain exposes JavaScript debugging capabilities. It allows setting and removing breakpoints, stepping through execution, exploring stack traces, etc.
+ * @property {HeapProfilerClient} HeapProfiler - EXPERIMENTAL
+ * @property {ProfilerClient} Profiler
+ * @property {RuntimeClient} Runtime - Runtime domain exposes JavaScript runtime by means of remote evaluation and mirror objects. Evaluation results are returned as mirror object that expose object type, string representation and unique identifier that can be used for further object reference. Original objects are maintained in memory unless they are either explicitly released or are released along with the other objects in their object group.
+ * @property {SchemaClient} Schema - This domain is deprecated. DEPRECATED
+ */
+
+/**
+ * @typedef {Object} AccessibilityGetPartialAXTreeParams
+ * @property {number} [nodeId] - Identifier of the node to get the partial accessibility tree for.
+ * @property {number} [backendNodeId] - Identifier of the backend node to get the partial accessibility tree for.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper to get the partial accessibility tree for.
+ * @property {boolean} [fetchRelatives] - Whether to fetch this nodes ancestors, siblings and children. Defaults to true.
+ */
+
+/**
+ * @typedef {DomainClient} AccessibilityClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Accessibility
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables the accessibility domain.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables the accessibility domain which causes `AXNodeId`s to remain consistent between method calls. This turns on accessibility for the page, which can impact performance until accessibility is disabled.
+ * @property {function(AccessibilityGetPartialAXTreeParams=, CommandOptions=): Promise<Object>} getPartialAXTree - Fetches the accessibility node and partial accessibility tree for this DOM node, if it exists. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getFullAXTree - Fetches the entire accessibility tree EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} AnimationGetCurrentTimeParams
+ * @property {string} id - Id of animation.
+ */
+
+/**
+ * @typedef {Object} AnimationReleaseAnimationsParams
+ * @property {Array<string>} animations - List of animation ids to seek.
+ */
+
+/**
+ * @typedef {Object} AnimationResolveAnimationParams
+ * @property {string} animationId - Animation id.
+ */
+
+/**
+ * @typedef {Object} AnimationSeekAnimationsParams
+ * @property {Array<string>} animations - List of animation ids to seek.
+ * @property {number} currentTime - Set the current time of each animation.
+ */
+
+/**
+ * @typedef {Object} AnimationSetPausedParams
+ * @property {Array<string>} animations - Animations to set the pause state of.
+ * @property {boolean} paused - Paused state to set to.
+ */
+
+/**
+ * @typedef {Object} AnimationSetPlaybackRateParams
+ * @property {number} playbackRate - Playback rate for animations on page
+ */
+
+/**
+ * @typedef {Object} AnimationSetTimingParams
+ * @property {string} animationId - Animation id.
+ * @property {number} duration - Duration of the animation.
+ * @property {number} delay - Delay of the animation.
+ */
+
+/**
+ * @typedef {DomainClient} AnimationClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Animation
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables animation domain notifications.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables animation domain notifications.
+ * @property {function(AnimationGetCurrentTimeParams, CommandOptions=): Promise<Object>} getCurrentTime - Returns the current time of the an animation.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getPlaybackRate - Gets the playback rate of the document timeline.
+ * @property {function(AnimationReleaseAnimationsParams, CommandOptions=): Promise<Object>} releaseAnimations - Releases a set of animations to no longer be manipulated.
+ * @property {function(AnimationResolveAnimationParams, CommandOptions=): Promise<Object>} resolveAnimation - Gets the remote object of the Animation.
+ * @property {function(AnimationSeekAnimationsParams, CommandOptions=): Promise<Object>} seekAnimations - Seek a set of animations to a particular time within each animation.
+ * @property {function(AnimationSetPausedParams, CommandOptions=): Promise<Object>} setPaused - Sets the paused state of a set of animations.
+ * @property {function(AnimationSetPlaybackRateParams, CommandOptions=): Promise<Object>} setPlaybackRate - Sets the playback rate of the document timeline.
+ * @property {function(AnimationSetTimingParams, CommandOptions=): Promise<Object>} setTiming - Sets the timing of an animation node.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} animationCanceled - Event for when an animation has been cancelled.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} animationCreated - Event for each animation that has been created.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} animationStarted - Event for animation that has been started.
+ */
+
+/**
+ * @typedef {Object} ApplicationCacheGetApplicationCacheForFrameParams
+ * @property {string} frameId - Identifier of the frame containing document whose application cache is retrieved.
+ */
+
+/**
+ * @typedef {Object} ApplicationCacheGetManifestForFrameParams
+ * @property {string} frameId - Identifier of the frame containing document whose manifest is retrieved.
+ */
+
+/**
+ * @typedef {DomainClient} ApplicationCacheClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/ApplicationCache
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables application cache domain notifications.
+ * @property {function(ApplicationCacheGetApplicationCacheForFrameParams, CommandOptions=): Promise<Object>} getApplicationCacheForFrame - Returns relevant application cache data for the document in given frame.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getFramesWithManifests - Returns array of frame identifiers with manifest urls for each frame containing a document associated with some application cache.
+ * @property {function(ApplicationCacheGetManifestForFrameParams, CommandOptions=): Promise<Object>} getManifestForFrame - Returns manifest URL for document in the given frame.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} applicationCacheStatusUpdated
+ * @property {function(function(Object)=): (function()|Promise<Object>)} networkStateUpdated
+ */
+
+/**
+ * @typedef {Object} AuditsGetEncodedResponseParams
+ * @property {string} requestId - Identifier of the network request to get content for.
+ * @property {string} encoding - The encoding to use. values: webp, jpeg, png
+ * @property {number} [quality] - The quality of the encoding (0-1). (defaults to 1)
+ * @property {boolean} [sizeOnly] - Whether to only return the size information (defaults to false).
+ */
+
+/**
+ * @typedef {DomainClient} AuditsClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Audits
+ * @property {function(AuditsGetEncodedResponseParams, CommandOptions=): Promise<Object>} getEncodedResponse - Returns the response body and size if it were re-encoded with the specified settings. Only applies to images.
+ */
+
+/**
+ * @typedef {Object} BrowserGrantPermissionsParams
+ * @property {string} origin
+ * @property {Array<string>} permissions
+ * @property {string} [browserContextId] - BrowserContext to override permissions. When omitted, default browser context is used.
+ */
+
+/**
+ * @typedef {Object} BrowserResetPermissionsParams
+ * @property {string} [browserContextId] - BrowserContext to reset permissions. When omitted, default browser context is used.
+ */
+
+/**
+ * @typedef {Object} BrowserGetHistogramsParams
+ * @property {string} [query] - Requested substring in name. Only histograms which have query as a substring in their name are extracted. An empty or absent query returns all histograms.
+ * @property {boolean} [delta] - If true, retrieve delta since last call.
+ */
+
+/**
+ * @typedef {Object} BrowserGetHistogramParams
+ * @property {string} name - Requested histogram name.
+ * @property {boolean} [delta] - If true, retrieve delta since last call.
+ */
+
+/**
+ * @typedef {Object} BrowserGetWindowBoundsParams
+ * @property {number} windowId - Browser window id.
+ */
+
+/**
+ * @typedef {Object} BrowserGetWindowForTargetParams
+ * @property {string} [targetId] - Devtools agent host id. If called as a part of the session, associated targetId is used.
+ */
+
+/**
+ * @typedef {Object} BrowserSetWindowBoundsParams
+ * @property {number} windowId - Browser window id.
+ * @property {Object} bounds - New window bounds. The 'minimized', 'maximized' and 'fullscreen' states cannot be combined with 'left', 'top', 'width' or 'height'. Leaves unspecified fields unchanged.
+ */
+
+/**
+ * @typedef {Object} BrowserSetDockTileParams
+ * @property {string} [badgeLabel]
+ * @property {string} [image] - Png encoded image.
+ */
+
+/**
+ * @typedef {DomainClient} BrowserClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Browser
+ * @property {function(BrowserGrantPermissionsParams, CommandOptions=): Promise<Object>} grantPermissions - Grant specific permissions to the given origin and reject all others. EXPERIMENTAL
+ * @property {function(BrowserResetPermissionsParams=, CommandOptions=): Promise<Object>} resetPermissions - Reset all permission management for all origins. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} close - Close browser gracefully.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} crash - Crashes browser on the main thread. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getVersion - Returns version information.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getBrowserCommandLine - Returns the command line switches for the browser process if, and only if --enable-automation is on the commandline. EXPERIMENTAL
+ * @property {function(BrowserGetHistogramsParams=, CommandOptions=): Promise<Object>} getHistograms - Get Chrome histograms. EXPERIMENTAL
+ * @property {function(BrowserGetHistogramParams, CommandOptions=): Promise<Object>} getHistogram - Get a Chrome histogram by name. EXPERIMENTAL
+ * @property {function(BrowserGetWindowBoundsParams, CommandOptions=): Promise<Object>} getWindowBounds - Get position and size of the browser window. EXPERIMENTAL
+ * @property {function(BrowserGetWindowForTargetParams=, CommandOptions=): Promise<Object>} getWindowForTarget - Get the browser window that contains the devtools target. EXPERIMENTAL
+ * @property {function(BrowserSetWindowBoundsParams, CommandOptions=): Promise<Object>} setWindowBounds - Set position and/or size of the browser window. EXPERIMENTAL
+ * @property {function(BrowserSetDockTileParams=, CommandOptions=): Promise<Object>} setDockTile - Set dock tile details, platform-specific. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} CSSAddRuleParams
+ * @property {string} styleSheetId - The css style sheet identifier where a new rule should be inserted.
+ * @property {string} ruleText - The text of a new rule.
+ * @property {Object} location - Text position of a new rule in the target style sheet.
+ */
+
+/**
+ * @typedef {Object} CSSCollectClassNamesParams
+ * @property {string} styleSheetId
+ */
+
+/**
+ * @typedef {Object} CSSCreateStyleSheetParams
+ * @property {string} frameId - Identifier of the frame where "via-inspector" stylesheet should be created.
+ */
+
+/**
+ * @typedef {Object} CSSForcePseudoStateParams
+ * @property {number} nodeId - The element id for which to force the pseudo state.
+ * @property {Array<string>} forcedPseudoClasses - Element pseudo classes to force when computing the element's style.
+ */
+
+/**
+ * @typedef {Object} CSSGetBackgroundColorsParams
+ * @property {number} nodeId - Id of the node to get background colors for.
+ */
+
+/**
+ * @typedef {Object} CSSGetComputedStyleForNodeParams
+ * @property {number} nodeId
+ */
+
+/**
+ * @typedef {Object} CSSGetInlineStylesForNodeParams
+ * @property {number} nodeId
+ */
+
+/**
+ * @typedef {Object} CSSGetMatchedStylesForNodeParams
+ * @property {number} nodeId
+ */
+
+/**
+ * @typedef {Object} CSSGetPlatformFontsForNodeParams
+ * @property {number} nodeId
+ */
+
+/**
+ * @typedef {Object} CSSGetStyleSheetTextParams
+ * @property {string} styleSheetId
+ */
+
+/**
+ * @typedef {Object} CSSSetEffectivePropertyValueForNodeParams
+ * @property {number} nodeId - The element id for which to set property.
+ * @property {string} propertyName
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} CSSSetKeyframeKeyParams
+ * @property {string} styleSheetId
+ * @property {Object} range
+ * @property {string} keyText
+ */
+
+/**
+ * @typedef {Object} CSSSetMediaTextParams
+ * @property {string} styleSheetId
+ * @property {Object} range
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} CSSSetRuleSelectorParams
+ * @property {string} styleSheetId
+ * @property {Object} range
+ * @property {string} selector
+ */
+
+/**
+ * @typedef {Object} CSSSetStyleSheetTextParams
+ * @property {string} styleSheetId
+ * @property {string} text
+ */
+
+/**
+ * @typedef {Object} CSSSetStyleTextsParams
+ * @property {Array<Object>} edits
+ */
+
+/**
+ * @typedef {DomainClient} CSSClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/CSS
+ * @property {function(CSSAddRuleParams, CommandOptions=): Promise<Object>} addRule - Inserts a new rule with the given `ruleText` in a stylesheet with given `styleSheetId`, at the position specified by `location`.
+ * @property {function(CSSCollectClassNamesParams, CommandOptions=): Promise<Object>} collectClassNames - Returns all class names from specified stylesheet.
+ * @property {function(CSSCreateStyleSheetParams, CommandOptions=): Promise<Object>} createStyleSheet - Creates a new special "via-inspector" stylesheet in the frame with given `frameId`.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables the CSS agent for the given page.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables the CSS agent for the given page. Clients should not assume that the CSS agent has been enabled until the result of this command is received.
+ * @property {function(CSSForcePseudoStateParams, CommandOptions=): Promise<Object>} forcePseudoState - Ensures that the given node will have specified pseudo-classes whenever its style is computed by the browser.
+ * @property {function(CSSGetBackgroundColorsParams, CommandOptions=): Promise<Object>} getBackgroundColors
+ * @property {function(CSSGetComputedStyleForNodeParams, CommandOptions=): Promise<Object>} getComputedStyleForNode - Returns the computed style for a DOM node identified by `nodeId`.
+ * @property {function(CSSGetInlineStylesForNodeParams, CommandOptions=): Promise<Object>} getInlineStylesForNode - Returns the styles defined inline (explicitly in the "style" attribute and implicitly, using DOM attributes) for a DOM node identified by `nodeId`.
+ * @property {function(CSSGetMatchedStylesForNodeParams, CommandOptions=): Promise<Object>} getMatchedStylesForNode - Returns requested styles for a DOM node identified by `nodeId`.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getMediaQueries - Returns all media queries parsed by the rendering engine.
+ * @property {function(CSSGetPlatformFontsForNodeParams, CommandOptions=): Promise<Object>} getPlatformFontsForNode - Requests information about platform fonts which we used to render child TextNodes in the given node.
+ * @property {function(CSSGetStyleSheetTextParams, CommandOptions=): Promise<Object>} getStyleSheetText - Returns the current textual content for a stylesheet.
+ * @property {function(CSSSetEffectivePropertyValueForNodeParams, CommandOptions=): Promise<Object>} setEffectivePropertyValueForNode - Find a rule with the given active property for the given node and set the new value for this property
+ * @property {function(CSSSetKeyframeKeyParams, CommandOptions=): Promise<Object>} setKeyframeKey - Modifies the keyframe rule key text.
+ * @property {function(CSSSetMediaTextParams, CommandOptions=): Promise<Object>} setMediaText - Modifies the rule selector.
+ * @property {function(CSSSetRuleSelectorParams, CommandOptions=): Promise<Object>} setRuleSelector - Modifies the rule selector.
+ * @property {function(CSSSetStyleSheetTextParams, CommandOptions=): Promise<Object>} setStyleSheetText - Sets the new stylesheet text.
+ * @property {function(CSSSetStyleTextsParams, CommandOptions=): Promise<Object>} setStyleTexts - Applies specified style edits one after another in the given order.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} startRuleUsageTracking - Enables the selector recording.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopRuleUsageTracking - Stop tracking rule usage and return the list of rules that were used since last call to `takeCoverageDelta` (or since start of coverage instrumentation)
+ * @property {function(Object=, CommandOptions=): Promise<Object>} takeCoverageDelta - Obtain list of rules that became used since last call to this method (or since start of coverage instrumentation)
+ * @property {function(function(Object)=): (function()|Promise<Object>)} fontsUpdated - Fires whenever a web font is updated. A non-empty font parameter indicates a successfully loaded web font
+ * @property {function(function(Object)=): (function()|Promise<Object>)} mediaQueryResultChanged - Fires whenever a MediaQuery result changes (for example, after a browser window has been resized.) The current implementation considers only viewport-dependent media features.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} styleSheetAdded - Fired whenever an active document stylesheet is added.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} styleSheetChanged - Fired whenever a stylesheet is changed as a result of the client operation.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} styleSheetRemoved - Fired whenever an active document stylesheet is removed.
+ */
+
+/**
+ * @typedef {Object} CacheStorageDeleteCacheParams
+ * @property {string} cacheId - Id of cache for deletion.
+ */
+
+/**
+ * @typedef {Object} CacheStorageDeleteEntryParams
+ * @property {string} cacheId - Id of cache where the entry will be deleted.
+ * @property {string} request - URL spec of the request.
+ */
+
+/**
+ * @typedef {Object} CacheStorageRequestCacheNamesParams
+ * @property {string} securityOrigin - Security origin.
+ */
+
+/**
+ * @typedef {Object} CacheStorageRequestCachedResponseParams
+ * @property {string} cacheId - Id of cache that contains the enty.
+ * @property {string} requestURL - URL spec of the request.
+ */
+
+/**
+ * @typedef {Object} CacheStorageRequestEntriesParams
+ * @property {string} cacheId - ID of cache to get entries from.
+ * @property {number} skipCount - Number of records to skip.
+ * @property {number} pageSize - Number of records to fetch.
+ */
+
+/**
+ * @typedef {DomainClient} CacheStorageClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/CacheStorage
+ * @property {function(CacheStorageDeleteCacheParams, CommandOptions=): Promise<Object>} deleteCache - Deletes a cache.
+ * @property {function(CacheStorageDeleteEntryParams, CommandOptions=): Promise<Object>} deleteEntry - Deletes a cache entry.
+ * @property {function(CacheStorageRequestCacheNamesParams, CommandOptions=): Promise<Object>} requestCacheNames - Requests cache names.
+ * @property {function(CacheStorageRequestCachedResponseParams, CommandOptions=): Promise<Object>} requestCachedResponse - Fetches cache entry.
+ * @property {function(CacheStorageRequestEntriesParams, CommandOptions=): Promise<Object>} requestEntries - Requests data from cache.
+ */
+
+/**
+ * @typedef {Object} DOMCollectClassNamesFromSubtreeParams
+ * @property {number} nodeId - Id of the node to collect class names.
+ */
+
+/**
+ * @typedef {Object} DOMCopyToParams
+ * @property {number} nodeId - Id of the node to copy.
+ * @property {number} targetNodeId - Id of the element to drop the copy into.
+ * @property {number} [insertBeforeNodeId] - Drop the copy before this node (if absent, the copy becomes the last child of `targetNodeId`).
+ */
+
+/**
+ * @typedef {Object} DOMDescribeNodeParams
+ * @property {number} [nodeId] - Identifier of the node.
+ * @property {number} [backendNodeId] - Identifier of the backend node.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper.
+ * @property {number} [depth] - The maximum depth at which children should be retrieved, defaults to 1. Use -1 for the entire subtree or provide an integer larger than 0.
+ * @property {boolean} [pierce] - Whether or not iframes and shadow roots should be traversed when returning the subtree (default is false).
+ */
+
+/**
+ * @typedef {Object} DOMDiscardSearchResultsParams
+ * @property {string} searchId - Unique search session identifier.
+ */
+
+/**
+ * @typedef {Object} DOMFocusParams
+ * @property {number} [nodeId] - Identifier of the node.
+ * @property {number} [backendNodeId] - Identifier of the backend node.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper.
+ */
+
+/**
+ * @typedef {Object} DOMGetAttributesParams
+ * @property {number} nodeId - Id of the node to retrieve attibutes for.
+ */
+
+/**
+ * @typedef {Object} DOMGetBoxModelParams
+ * @property {number} [nodeId] - Identifier of the node.
+ * @property {number} [backendNodeId] - Identifier of the backend node.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper.
+ */
+
+/**
+ * @typedef {Object} DOMGetContentQuadsParams
+ * @property {number} [nodeId] - Identifier of the node.
+ * @property {number} [backendNodeId] - Identifier of the backend node.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper.
+ */
+
+/**
+ * @typedef {Object} DOMGetDocumentParams
+ * @property {number} [depth] - The maximum depth at which children should be retrieved, defaults to 1. Use -1 for the entire subtree or provide an integer larger than 0.
+ * @property {boolean} [pierce] - Whether or not iframes and shadow roots should be traversed when returning the subtree (default is false).
+ */
+
+/**
+ * @typedef {Object} DOMGetFlattenedDocumentParams
+ * @property {number} [depth] - The maximum depth at which children should be retrieved, defaults to 1. Use -1 for the entire subtree or provide an integer larger than 0.
+ * @property {boolean} [pierce] - Whether or not iframes and shadow roots should be traversed when returning the subtree (default is false).
+ */
+
+/**
+ * @typedef {Object} DOMGetNodeForLocationParams
+ * @property {number} x - X coordinate.
+ * @property {number} y - Y coordinate.
+ * @property {boolean} [includeUserAgentShadowDOM] - False to skip to the nearest non-UA shadow root ancestor (default: false).
+ */
+
+/**
+ * @typedef {Object} DOMGetOuterHTMLParams
+ * @property {number} [nodeId] - Identifier of the node.
+ * @property {number} [backendNodeId] - Identifier of the backend node.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper.
+ */
+
+/**
+ * @typedef {Object} DOMGetRelayoutBoundaryParams
+ * @property {number} nodeId - Id of the node.
+ */
+
+/**
+ * @typedef {Object} DOMGetSearchResultsParams
+ * @property {string} searchId - Unique search session identifier.
+ * @property {number} fromIndex - Start index of the search result to be returned.
+ * @property {number} toIndex - End index of the search result to be returned.
+ */
+
+/**
+ * @typedef {Object} DOMMoveToParams
+ * @property {number} nodeId - Id of the node to move.
+ * @property {number} targetNodeId - Id of the element to drop the moved node into.
+ * @property {number} [insertBeforeNodeId] - Drop node before this one (if absent, the moved node becomes the last child of `targetNodeId`).
+ */
+
+/**
+ * @typedef {Object} DOMPerformSearchParams
+ * @property {string} query - Plain text or query selector or XPath search query.
+ * @property {boolean} [includeUserAgentShadowDOM] - True to search in user agent shadow DOM.
+ */
+
+/**
+ * @typedef {Object} DOMPushNodeByPathToFrontendParams
+ * @property {string} path - Path to node in the proprietary format.
+ */
+
+/**
+ * @typedef {Object} DOMPushNodesByBackendIdsToFrontendParams
+ * @property {Array<number>} backendNodeIds - The array of backend node ids.
+ */
+
+/**
+ * @typedef {Object} DOMQuerySelectorParams
+ * @property {number} nodeId - Id of the node to query upon.
+ * @property {string} selector - Selector string.
+ */
+
+/**
+ * @typedef {Object} DOMQuerySelectorAllParams
+ * @property {number} nodeId - Id of the node to query upon.
+ * @property {string} selector - Selector string.
+ */
+
+/**
+ * @typedef {Object} DOMRemoveAttributeParams
+ * @property {number} nodeId - Id of the element to remove attribute from.
+ * @property {string} name - Name of the attribute to remove.
+ */
+
+/**
+ * @typedef {Object} DOMRemoveNodeParams
+ * @property {number} nodeId - Id of the node to remove.
+ */
+
+/**
+ * @typedef {Object} DOMRequestChildNodesParams
+ * @property {number} nodeId - Id of the node to get children for.
+ * @property {number} [depth] - The maximum depth at which children should be retrieved, defaults to 1. Use -1 for the entire subtree or provide an integer larger than 0.
+ * @property {boolean} [pierce] - Whether or not iframes and shadow roots should be traversed when returning the sub-tree (default is false).
+ */
+
+/**
+ * @typedef {Object} DOMRequestNodeParams
+ * @property {string} objectId - JavaScript object id to convert into node.
+ */
+
+/**
+ * @typedef {Object} DOMResolveNodeParams
+ * @property {number} [nodeId] - Id of the node to resolve.
+ * @property {number} [backendNodeId] - Backend identifier of the node to resolve.
+ * @property {string} [objectGroup] - Symbolic group name that can be used to release multiple objects.
+ */
+
+/**
+ * @typedef {Object} DOMSetAttributeValueParams
+ * @property {number} nodeId - Id of the element to set attribute for.
+ * @property {string} name - Attribute name.
+ * @property {string} value - Attribute value.
+ */
+
+/**
+ * @typedef {Object} DOMSetAttributesAsTextParams
+ * @property {number} nodeId - Id of the element to set attributes for.
+ * @property {string} text - Text with a number of attributes. Will parse this text using HTML parser.
+ * @property {string} [name] - Attribute name to replace with new attributes derived from text in case text parsed successfully.
+ */
+
+/**
+ * @typedef {Object} DOMSetFileInputFilesParams
+ * @property {Array<string>} files - Array of file paths to set.
+ * @property {number} [nodeId] - Identifier of the node.
+ * @property {number} [backendNodeId] - Identifier of the backend node.
+ * @property {string} [objectId] - JavaScript object id of the node wrapper.
+ */
+
+/**
+ * @typedef {Object} DOMSetInspectedNodeParams
+ * @property {number} nodeId - DOM node id to be accessible by means of $x command line API.
+ */
+
+/**
+ * @typedef {Object} DOMSetNodeNameParams
+ * @property {number} nodeId - Id of the node to set name for.
+ * @property {string} name - New node's name.
+ */
+
+/**
+ * @typedef {Object} DOMSetNodeValueParams
+ * @property {number} nodeId - Id of the node to set value for.
+ * @property {string} value - New node's value.
+ */
+
+/**
+ * @typedef {Object} DOMSetOuterHTMLParams
+ * @property {number} nodeId - Id of the node to set markup for.
+ * @property {string} outerHTML - Outer HTML markup to set.
+ */
+
+/**
+ * @typedef {Object} DOMGetFrameOwnerParams
+ * @property {string} frameId
+ */
+
+/**
+ * @typedef {DomainClient} DOMClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/DOM
+ * @property {function(DOMCollectClassNamesFromSubtreeParams, CommandOptions=): Promise<Object>} collectClassNamesFromSubtree - Collects class names for the node with given id and all of it's child nodes. EXPERIMENTAL
+ * @property {function(DOMCopyToParams, CommandOptions=): Promise<Object>} copyTo - Creates a deep copy of the specified node and places it into the target container before the given anchor. EXPERIMENTAL
+ * @property {function(DOMDescribeNodeParams=, CommandOptions=): Promise<Object>} describeNode - Describes node given its id, does not require domain to be enabled. Does not start tracking any objects, can be used for automation.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables DOM agent for the given page.
+ * @property {function(DOMDiscardSearchResultsParams, CommandOptions=): Promise<Object>} discardSearchResults - Discards search results from the session with the given id. `getSearchResults` should no longer be called for that search. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables DOM agent for the given page.
+ * @property {function(DOMFocusParams=, CommandOptions=): Promise<Object>} focus - Focuses the given element.
+ * @property {function(DOMGetAttributesParams, CommandOptions=): Promise<Object>} getAttributes - Returns attributes for the specified node.
+ * @property {function(DOMGetBoxModelParams=, CommandOptions=): Promise<Object>} getBoxModel - Returns boxes for the given node.
+ * @property {function(DOMGetContentQuadsParams=, CommandOptions=): Promise<Object>} getContentQuads - Returns quads that describe node position on the page. This method might return multiple quads for inline nodes. EXPERIMENTAL
+ * @property {function(DOMGetDocumentParams=, CommandOptions=): Promise<Object>} getDocument - Returns the root DOM node (and optionally the subtree) to the caller.
+ * @property {function(DOMGetFlattenedDocumentParams=, CommandOptions=): Promise<Object>} getFlattenedDocument - Returns the root DOM node (and optionally the subtree) to the caller.
+ * @property {function(DOMGetNodeForLocationParams, CommandOptions=): Promise<Object>} getNodeForLocation - Returns node id at given location. Depending on whether DOM domain is enabled, nodeId is either returned or not. EXPERIMENTAL
+ * @property {function(DOMGetOuterHTMLParams=, CommandOptions=): Promise<Object>} getOuterHTML - Returns node's HTML markup.
+ * @property {function(DOMGetRelayoutBoundaryParams, CommandOptions=): Promise<Object>} getRelayoutBoundary - Returns the id of the nearest ancestor that is a relayout boundary. EXPERIMENTAL
+ * @property {function(DOMGetSearchResultsParams, CommandOptions=): Promise<Object>} getSearchResults - Returns search results from given `fromIndex` to given `toIndex` from the search with the given identifier. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} hideHighlight - Hides any highlight.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} highlightNode - Highlights DOM node.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} highlightRect - Highlights given rectangle.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} markUndoableState - Marks last undoable state. EXPERIMENTAL
+ * @property {function(DOMMoveToParams, CommandOptions=): Promise<Object>} moveTo - Moves node into the new container, places it before the given anchor.
+ * @property {function(DOMPerformSearchParams, CommandOptions=): Promise<Object>} performSearch - Searches for a given string in the DOM tree. Use `getSearchResults` to access search results or `cancelSearch` to end this search session. EXPERIMENTAL
+ * @property {function(DOMPushNodeByPathToFrontendParams, CommandOptions=): Promise<Object>} pushNodeByPathToFrontend - Requests that the node is sent to the caller given its path. // FIXME, use XPath EXPERIMENTAL
+ * @property {function(DOMPushNodesByBackendIdsToFrontendParams, CommandOptions=): Promise<Object>} pushNodesByBackendIdsToFrontend - Requests that a batch of nodes is sent to the caller given their backend node ids. EXPERIMENTAL
+ * @property {function(DOMQuerySelectorParams, CommandOptions=): Promise<Object>} querySelector - Executes `querySelector` on a given node.
+ * @property {function(DOMQuerySelectorAllParams, CommandOptions=): Promise<Object>} querySelectorAll - Executes `querySelectorAll` on a given node.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} redo - Re-does the last undone action. EXPERIMENTAL
+ * @property {function(DOMRemoveAttributeParams, CommandOptions=): Promise<Object>} removeAttribute - Removes attribute with given name from an element with given id.
+ * @property {function(DOMRemoveNodeParams, CommandOptions=): Promise<Object>} removeNode - Removes node with given id.
+ * @property {function(DOMRequestChildNodesParams, CommandOptions=): Promise<Object>} requestChildNodes - Requests that children of the node with given id are returned to the caller in form of `setChildNodes` events where not only immediate children are retrieved, but all children down to the specified depth.
+ * @property {function(DOMRequestNodeParams, CommandOptions=): Promise<Object>} requestNode - Requests that the node is sent to the caller given the JavaScript node object reference. All nodes that form the path from the node to the root are also sent to the client as a series of `setChildNodes` notifications.
+ * @property {function(DOMResolveNodeParams=, CommandOptions=): Promise<Object>} resolveNode - Resolves the JavaScript node object for a given NodeId or BackendNodeId.
+ * @property {function(DOMSetAttributeValueParams, CommandOptions=): Promise<Object>} setAttributeValue - Sets attribute for an element with given id.
+ * @property {function(DOMSetAttributesAsTextParams, CommandOptions=): Promise<Object>} setAttributesAsText - Sets attributes on element with given id. This method is useful when user edits some existing attribute value and types in several attribute name/value pairs.
+ * @property {function(DOMSetFileInputFilesParams, CommandOptions=): Promise<Object>} setFileInputFiles - Sets files for the given file input element.
+ * @property {function(DOMSetInspectedNodeParams, CommandOptions=): Promise<Object>} setInspectedNode - Enables console to refer to the node with given id via $x (see Command Line API for more details $x functions). EXPERIMENTAL
+ * @property {function(DOMSetNodeNameParams, CommandOptions=): Promise<Object>} setNodeName - Sets node name for a node with given id.
+ * @property {function(DOMSetNodeValueParams, CommandOptions=): Promise<Object>} setNodeValue - Sets node value for a node with given id.
+ * @property {function(DOMSetOuterHTMLParams, CommandOptions=): Promise<Object>} setOuterHTML - Sets node HTML markup, returns new node id.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} undo - Undoes the last performed action. EXPERIMENTAL
+ * @property {function(DOMGetFrameOwnerParams, CommandOptions=): Promise<Object>} getFrameOwner - Returns iframe node that owns iframe with the given domain. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} attributeModified - Fired when `Element`'s attribute is modified.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} attributeRemoved - Fired when `Element`'s attribute is removed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} characterDataModified - Mirrors `DOMCharacterDataModified` event.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} childNodeCountUpdated - Fired when `Container`'s child node count has changed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} childNodeInserted - Mirrors `DOMNodeInserted` event.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} childNodeRemoved - Mirrors `DOMNodeRemoved` event.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} distributedNodesUpdated - Called when distrubution is changed. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} documentUpdated - Fired when `Document` has been totally updated. Node ids are no longer valid.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} inlineStyleInvalidated - Fired when `Element`'s inline style is modified via a CSS property modification. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} pseudoElementAdded - Called when a pseudo element is added to an element. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} pseudoElementRemoved - Called when a pseudo element is removed from an element. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} setChildNodes - Fired when backend wants to provide client with the missing DOM structure. This happens upon most of the calls requesting node ids.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} shadowRootPopped - Called when shadow root is popped from the element. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} shadowRootPushed - Called when shadow root is pushed into the element. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerGetEventListenersParams
+ * @property {string} objectId - Identifier of the object to return listeners for.
+ * @property {number} [depth] - The maximum depth at which Node children should be retrieved, defaults to 1. Use -1 for the entire subtree or provide an integer larger than 0.
+ * @property {boolean} [pierce] - Whether or not iframes and shadow roots should be traversed when returning the subtree (default is false). Reports listeners for all contexts if pierce is enabled.
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerRemoveDOMBreakpointParams
+ * @property {number} nodeId - Identifier of the node to remove breakpoint from.
+ * @property {string} type - Type of the breakpoint to remove.
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerRemoveEventListenerBreakpointParams
+ * @property {string} eventName - Event name.
+ * @property {string} [targetName] - EventTarget interface name. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerRemoveInstrumentationBreakpointParams
+ * @property {string} eventName - Instrumentation name to stop on.
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerRemoveXHRBreakpointParams
+ * @property {string} url - Resource URL substring.
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerSetDOMBreakpointParams
+ * @property {number} nodeId - Identifier of the node to set breakpoint on.
+ * @property {string} type - Type of the operation to stop upon.
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerSetEventListenerBreakpointParams
+ * @property {string} eventName - DOM Event name to stop on (any DOM event will do).
+ * @property {string} [targetName] - EventTarget interface name to stop on. If equal to `"*"` or not provided, will stop on any EventTarget. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerSetInstrumentationBreakpointParams
+ * @property {string} eventName - Instrumentation name to stop on.
+ */
+
+/**
+ * @typedef {Object} DOMDebuggerSetXHRBreakpointParams
+ * @property {string} url - Resource URL substring. All XHRs having this substring in the URL will get stopped upon.
+ */
+
+/**
+ * @typedef {DomainClient} DOMDebuggerClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/DOMDebugger
+ * @property {function(DOMDebuggerGetEventListenersParams, CommandOptions=): Promise<Object>} getEventListeners - Returns event listeners of the given object.
+ * @property {function(DOMDebuggerRemoveDOMBreakpointParams, CommandOptions=): Promise<Object>} removeDOMBreakpoint - Removes DOM breakpoint that was set using `setDOMBreakpoint`.
+ * @property {function(DOMDebuggerRemoveEventListenerBreakpointParams, CommandOptions=): Promise<Object>} removeEventListenerBreakpoint - Removes breakpoint on particular DOM event.
+ * @property {function(DOMDebuggerRemoveInstrumentationBreakpointParams, CommandOptions=): Promise<Object>} removeInstrumentationBreakpoint - Removes breakpoint on particular native event. EXPERIMENTAL
+ * @property {function(DOMDebuggerRemoveXHRBreakpointParams, CommandOptions=): Promise<Object>} removeXHRBreakpoint - Removes breakpoint from XMLHttpRequest.
+ * @property {function(DOMDebuggerSetDOMBreakpointParams, CommandOptions=): Promise<Object>} setDOMBreakpoint - Sets breakpoint on particular operation with DOM.
+ * @property {function(DOMDebuggerSetEventListenerBreakpointParams, CommandOptions=): Promise<Object>} setEventListenerBreakpoint - Sets breakpoint on particular DOM event.
+ * @property {function(DOMDebuggerSetInstrumentationBreakpointParams, CommandOptions=): Promise<Object>} setInstrumentationBreakpoint - Sets breakpoint on particular native event. EXPERIMENTAL
+ * @property {function(DOMDebuggerSetXHRBreakpointParams, CommandOptions=): Promise<Object>} setXHRBreakpoint - Sets breakpoint on XMLHttpRequest.
+ */
+
+/**
+ * @typedef {Object} DOMSnapshotGetSnapshotParams
+ * @property {Array<string>} computedStyleWhitelist - Whitelist of computed styles to return.
+ * @property {boolean} [includeEventListeners] - Whether or not to retrieve details of DOM listeners (default false).
+ * @property {boolean} [includePaintOrder] - Whether to determine and include the paint order index of LayoutTreeNodes (default false).
+ * @property {boolean} [includeUserAgentShadowTree] - Whether to include UA shadow tree in the snapshot (default false).
+ */
+
+/**
+ * @typedef {Object} DOMSnapshotCaptureSnapshotParams
+ * @property {Array<string>} computedStyles - Whitelist of computed styles to return.
+ */
+
+/**
+ * @typedef {DomainClient} DOMSnapshotClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/DOMSnapshot
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables DOM snapshot agent for the given page.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables DOM snapshot agent for the given page.
+ * @property {function(DOMSnapshotGetSnapshotParams, CommandOptions=): Promise<Object>} getSnapshot - Returns a document snapshot, including the full DOM tree of the root node (including iframes, template contents, and imported documents) in a flattened array, as well as layout and white-listed computed style information for the nodes. Shadow DOM in the returned DOM tree is flattened. DEPRECATED
+ * @property {function(DOMSnapshotCaptureSnapshotParams, CommandOptions=): Promise<Object>} captureSnapshot - Returns a document snapshot, including the full DOM tree of the root node (including iframes, template contents, and imported documents) in a flattened array, as well as layout and white-listed computed style information for the nodes. Shadow DOM in the returned DOM tree is flattened.
+ */
+
+/**
+ * @typedef {Object} DOMStorageClearParams
+ * @property {Object} storageId
+ */
+
+/**
+ * @typedef {Object} DOMStorageGetDOMStorageItemsParams
+ * @property {Object} storageId
+ */
+
+/**
+ * @typedef {Object} DOMStorageRemoveDOMStorageItemParams
+ * @property {Object} storageId
+ * @property {string} key
+ */
+
+/**
+ * @typedef {Object} DOMStorageSetDOMStorageItemParams
+ * @property {Object} storageId
+ * @property {string} key
+ * @property {string} value
+ */
+
+/**
+ * @typedef {DomainClient} DOMStorageClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/DOMStorage
+ * @property {function(DOMStorageClearParams, CommandOptions=): Promise<Object>} clear
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables storage tracking, prevents storage events from being sent to the client.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables storage tracking, storage events will now be delivered to the client.
+ * @property {function(DOMStorageGetDOMStorageItemsParams, CommandOptions=): Promise<Object>} getDOMStorageItems
+ * @property {function(DOMStorageRemoveDOMStorageItemParams, CommandOptions=): Promise<Object>} removeDOMStorageItem
+ * @property {function(DOMStorageSetDOMStorageItemParams, CommandOptions=): Promise<Object>} setDOMStorageItem
+ * @property {function(function(Object)=): (function()|Promise<Object>)} domStorageItemAdded
+ * @property {function(function(Object)=): (function()|Promise<Object>)} domStorageItemRemoved
+ * @property {function(function(Object)=): (function()|Promise<Object>)} domStorageItemUpdated
+ * @property {function(function(Object)=): (function()|Promise<Object>)} domStorageItemsCleared
+ */
+
+/**
+ * @typedef {Object} DatabaseExecuteSQLParams
+ * @property {string} databaseId
+ * @property {string} query
+ */
+
+/**
+ * @typedef {Object} DatabaseGetDatabaseTableNamesParams
+ * @property {string} databaseId
+ */
+
+/**
+ * @typedef {DomainClient} DatabaseClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Database
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables database tracking, prevents database events from being sent to the client.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables database tracking, database events will now be delivered to the client.
+ * @property {function(DatabaseExecuteSQLParams, CommandOptions=): Promise<Object>} executeSQL
+ * @property {function(DatabaseGetDatabaseTableNamesParams, CommandOptions=): Promise<Object>} getDatabaseTableNames
+ * @property {function(function(Object)=): (function()|Promise<Object>)} addDatabase
+ */
+
+/**
+ * @typedef {Object} DeviceOrientationSetDeviceOrientationOverrideParams
+ * @property {number} alpha - Mock alpha
+ * @property {number} beta - Mock beta
+ * @property {number} gamma - Mock gamma
+ */
+
+/**
+ * @typedef {DomainClient} DeviceOrientationClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/DeviceOrientation
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearDeviceOrientationOverride - Clears the overridden Device Orientation.
+ * @property {function(DeviceOrientationSetDeviceOrientationOverrideParams, CommandOptions=): Promise<Object>} setDeviceOrientationOverride - Overrides the Device Orientation.
+ */
+
+/**
+ * @typedef {Object} EmulationSetFocusEmulationEnabledParams
+ * @property {boolean} enabled - Whether to enable to disable focus emulation.
+ */
+
+/**
+ * @typedef {Object} EmulationSetCPUThrottlingRateParams
+ * @property {number} rate - Throttling rate as a slowdown factor (1 is no throttle, 2 is 2x slowdown, etc).
+ */
+
+/**
+ * @typedef {Object} EmulationSetDefaultBackgroundColorOverrideParams
+ * @property {Object} [color] - RGBA of the default background color. If not specified, any existing override will be cleared.
+ */
+
+/**
+ * @typedef {Object} EmulationSetDeviceMetricsOverrideParams
+ * @property {number} width - Overriding width value in pixels (minimum 0, maximum 10000000). 0 disables the override.
+ * @property {number} height - Overriding height value in pixels (minimum 0, maximum 10000000). 0 disables the override.
+ * @property {number} deviceScaleFactor - Overriding device scale factor value. 0 disables the override.
+ * @property {boolean} mobile - Whether to emulate mobile device. This includes viewport meta tag, overlay scrollbars, text autosizing and more.
+ * @property {number} [scale] - Scale to apply to resulting view image. EXPERIMENTAL
+ * @property {number} [screenWidth] - Overriding screen width value in pixels (minimum 0, maximum 10000000). EXPERIMENTAL
+ * @property {number} [screenHeight] - Overriding screen height value in pixels (minimum 0, maximum 10000000). EXPERIMENTAL
+ * @property {number} [positionX] - Overriding view X position on screen in pixels (minimum 0, maximum 10000000). EXPERIMENTAL
+ * @property {number} [positionY] - Overriding view Y position on screen in pixels (minimum 0, maximum 10000000). EXPERIMENTAL
+ * @property {boolean} [dontSetVisibleSize] - Do not set visible view size, rely upon explicit setVisibleSize call. EXPERIMENTAL
+ * @property {Object} [screenOrientation] - Screen orientation override.
+ * @property {Object} [viewport] - If set, the visible area of the page will be overridden to this viewport. This viewport change is not observed by the page, e.g. viewport-relative elements do not change positions. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} EmulationSetScrollbarsHiddenParams
+ * @property {boolean} hidden - Whether scrollbars should be always hidden.
+ */
+
+/**
+ * @typedef {Object} EmulationSetDocumentCookieDisabledParams
+ * @property {boolean} disabled - Whether document.coookie API should be disabled.
+ */
+
+/**
+ * @typedef {Object} EmulationSetEmitTouchEventsForMouseParams
+ * @property {boolean} enabled - Whether touch emulation based on mouse input should be enabled.
+ * @property {string} [configuration] - Touch/gesture events configuration. Default: current platform. values: mobile, desktop
+ */
+
+/**
+ * @typedef {Object} EmulationSetEmulatedMediaParams
+ * @property {string} media - Media type to emulate. Empty string disables the override.
+ */
+
+/**
+ * @typedef {Object} EmulationSetGeolocationOverrideParams
+ * @property {number} [latitude] - Mock latitude
+ * @property {number} [longitude] - Mock longitude
+ * @property {number} [accuracy] - Mock accuracy
+ */
+
+/**
+ * @typedef {Object} EmulationSetNavigatorOverridesParams
+ * @property {string} platform - The platform navigator.platform should return.
+ */
+
+/**
+ * @typedef {Object} EmulationSetPageScaleFactorParams
+ * @property {number} pageScaleFactor - Page scale factor.
+ */
+
+/**
+ * @typedef {Object} EmulationSetScriptExecutionDisabledParams
+ * @property {boolean} value - Whether script execution should be disabled in the page.
+ */
+
+/**
+ * @typedef {Object} EmulationSetTouchEmulationEnabledParams
+ * @property {boolean} enabled - Whether the touch event emulation should be enabled.
+ * @property {number} [maxTouchPoints] - Maximum touch points supported. Defaults to one.
+ */
+
+/**
+ * @typedef {Object} EmulationSetVirtualTimePolicyParams
+ * @property {string} policy
+ * @property {number} [budget] - If set, after this many virtual milliseconds have elapsed virtual time will be paused and a virtualTimeBudgetExpired event is sent.
+ * @property {number} [maxVirtualTimeTaskStarvationCount] - If set this specifies the maximum number of tasks that can be run before virtual is forced forwards to prevent deadlock.
+ * @property {boolean} [waitForNavigation] - If set the virtual time policy change should be deferred until any frame starts navigating. Note any previous deferred policy change is superseded.
+ * @property {number} [initialVirtualTime] - If set, base::Time::Now will be overriden to initially return this value.
+ */
+
+/**
+ * @typedef {Object} EmulationSetVisibleSizeParams
+ * @property {number} width - Frame width (DIP).
+ * @property {number} height - Frame height (DIP).
+ */
+
+/**
+ * @typedef {Object} EmulationSetUserAgentOverrideParams
+ * @property {string} userAgent - User agent to use.
+ * @property {string} [acceptLanguage] - Browser langugage to emulate.
+ * @property {string} [platform] - The platform navigator.platform should return.
+ */
+
+/**
+ * @typedef {DomainClient} EmulationClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Emulation
+ * @property {function(Object=, CommandOptions=): Promise<Object>} canEmulate - Tells whether emulation is supported.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearDeviceMetricsOverride - Clears the overriden device metrics.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearGeolocationOverride - Clears the overriden Geolocation Position and Error.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} resetPageScaleFactor - Requests that page scale factor is reset to initial values. EXPERIMENTAL
+ * @property {function(EmulationSetFocusEmulationEnabledParams, CommandOptions=): Promise<Object>} setFocusEmulationEnabled - Enables or disables simulating a focused and active page. EXPERIMENTAL
+ * @property {function(EmulationSetCPUThrottlingRateParams, CommandOptions=): Promise<Object>} setCPUThrottlingRate - Enables CPU throttling to emulate slow CPUs. EXPERIMENTAL
+ * @property {function(EmulationSetDefaultBackgroundColorOverrideParams=, CommandOptions=): Promise<Object>} setDefaultBackgroundColorOverride - Sets or clears an override of the default background color of the frame. This override is used if the content does not specify one.
+ * @property {function(EmulationSetDeviceMetricsOverrideParams, CommandOptions=): Promise<Object>} setDeviceMetricsOverride - Overrides the values of device screen dimensions (window.screen.width, window.screen.height, window.innerWidth, window.innerHeight, and "device-width"/"device-height"-related CSS media query results).
+ * @property {function(EmulationSetScrollbarsHiddenParams, CommandOptions=): Promise<Object>} setScrollbarsHidden - EXPERIMENTAL
+ * @property {function(EmulationSetDocumentCookieDisabledParams, CommandOptions=): Promise<Object>} setDocumentCookieDisabled - EXPERIMENTAL
+ * @property {function(EmulationSetEmitTouchEventsForMouseParams, CommandOptions=): Promise<Object>} setEmitTouchEventsForMouse - EXPERIMENTAL
+ * @property {function(EmulationSetEmulatedMediaParams, CommandOptions=): Promise<Object>} setEmulatedMedia - Emulates the given media for CSS media queries.
+ * @property {function(EmulationSetGeolocationOverrideParams=, CommandOptions=): Promise<Object>} setGeolocationOverride - Overrides the Geolocation Position or Error. Omitting any of the parameters emulates position unavailable.
+ * @property {function(EmulationSetNavigatorOverridesParams, CommandOptions=): Promise<Object>} setNavigatorOverrides - Overrides value returned by the javascript navigator object. EXPERIMENTAL DEPRECATED
+ * @property {function(EmulationSetPageScaleFactorParams, CommandOptions=): Promise<Object>} setPageScaleFactor - Sets a specified page scale factor. EXPERIMENTAL
+ * @property {function(EmulationSetScriptExecutionDisabledParams, CommandOptions=): Promise<Object>} setScriptExecutionDisabled - Switches script execution in the page.
+ * @property {function(EmulationSetTouchEmulationEnabledParams, CommandOptions=): Promise<Object>} setTouchEmulationEnabled - Enables touch on platforms which do not support them.
+ * @property {function(EmulationSetVirtualTimePolicyParams, CommandOptions=): Promise<Object>} setVirtualTimePolicy - Turns on virtual time for all frames (replacing real-time with a synthetic time source) and sets the current virtual time policy. Note this supersedes any previous time budget. EXPERIMENTAL
+ * @property {function(EmulationSetVisibleSizeParams, CommandOptions=): Promise<Object>} setVisibleSize - Resizes the frame/viewport of the page. Note that this does not affect the frame's container (e.g. browser window). Can be used to produce screenshots of the specified size. Not supported on Android. EXPERIMENTAL DEPRECATED
+ * @property {function(EmulationSetUserAgentOverrideParams, CommandOptions=): Promise<Object>} setUserAgentOverride - Allows overriding user agent with the given string.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} virtualTimeAdvanced - Notification sent after the virtual time has advanced. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} virtualTimeBudgetExpired - Notification sent after the virtual time budget for the current VirtualTimePolicy has run out. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} virtualTimePaused - Notification sent after the virtual time has paused. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} HeadlessExperimentalBeginFrameParams
+ * @property {number} [frameTimeTicks] - Timestamp of this BeginFrame in Renderer TimeTicks (milliseconds of uptime). If not set, the current time will be used.
+ * @property {number} [interval] - The interval between BeginFrames that is reported to the compositor, in milliseconds. Defaults to a 60 frames/second interval, i.e. about 16.666 milliseconds.
+ * @property {boolean} [noDisplayUpdates] - Whether updates should not be committed and drawn onto the display. False by default. If true, only side effects of the BeginFrame will be run, such as layout and animations, but any visual updates may not be visible on the display or in screenshots.
+ * @property {Object} [screenshot] - If set, a screenshot of the frame will be captured and returned in the response. Otherwise, no screenshot will be captured. Note that capturing a screenshot can fail, for example, during renderer initialization. In such a case, no screenshot data will be returned.
+ */
+
+/**
+ * @typedef {DomainClient} HeadlessExperimentalClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/HeadlessExperimental
+ * @property {function(HeadlessExperimentalBeginFrameParams=, CommandOptions=): Promise<Object>} beginFrame - Sends a BeginFrame to the target and returns when the frame was completed. Optionally captures a screenshot from the resulting frame. Requires that the target was created with enabled BeginFrameControl. Designed for use with --run-all-compositor-stages-before-draw, see also https://goo.gl/3zHXhB for more background.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables headless events for the target.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables headless events for the target.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} needsBeginFramesChanged - Issued when the target starts or stops needing BeginFrames.
+ */
+
+/**
+ * @typedef {Object} IOCloseParams
+ * @property {string} handle - Handle of the stream to close.
+ */
+
+/**
+ * @typedef {Object} IOReadParams
+ * @property {string} handle - Handle of the stream to read.
+ * @property {number} [offset] - Seek to the specified offset before reading (if not specificed, proceed with offset following the last read). Some types of streams may only support sequential reads.
+ * @property {number} [size] - Maximum number of bytes to read (left upon the agent discretion if not specified).
+ */
+
+/**
+ * @typedef {Object} IOResolveBlobParams
+ * @property {string} objectId - Object id of a Blob object wrapper.
+ */
+
+/**
+ * @typedef {DomainClient} IOClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/IO
+ * @property {function(IOCloseParams, CommandOptions=): Promise<Object>} close - Close the stream, discard any temporary backing storage.
+ * @property {function(IOReadParams, CommandOptions=): Promise<Object>} read - Read a chunk of the stream
+ * @property {function(IOResolveBlobParams, CommandOptions=): Promise<Object>} resolveBlob - Return UUID of Blob object specified by a remote object id.
+ */
+
+/**
+ * @typedef {Object} IndexedDBClearObjectStoreParams
+ * @property {string} securityOrigin - Security origin.
+ * @property {string} databaseName - Database name.
+ * @property {string} objectStoreName - Object store name.
+ */
+
+/**
+ * @typedef {Object} IndexedDBDeleteDatabaseParams
+ * @property {string} securityOrigin - Security origin.
+ * @property {string} databaseName - Database name.
+ */
+
+/**
+ * @typedef {Object} IndexedDBDeleteObjectStoreEntriesParams
+ * @property {string} securityOrigin
+ * @property {string} databaseName
+ * @property {string} objectStoreName
+ * @property {Object} keyRange - Range of entry keys to delete
+ */
+
+/**
+ * @typedef {Object} IndexedDBRequestDataParams
+ * @property {string} securityOrigin - Security origin.
+ * @property {string} databaseName - Database name.
+ * @property {string} objectStoreName - Object store name.
+ * @property {string} indexName - Index name, empty string for object store data requests.
+ * @property {number} skipCount - Number of records to skip.
+ * @property {number} pageSize - Number of records to fetch.
+ * @property {Object} [keyRange] - Key range.
+ */
+
+/**
+ * @typedef {Object} IndexedDBRequestDatabaseParams
+ * @property {string} securityOrigin - Security origin.
+ * @property {string} databaseName - Database name.
+ */
+
+/**
+ * @typedef {Object} IndexedDBRequestDatabaseNamesParams
+ * @property {string} securityOrigin - Security origin.
+ */
+
+/**
+ * @typedef {DomainClient} IndexedDBClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/IndexedDB
+ * @property {function(IndexedDBClearObjectStoreParams, CommandOptions=): Promise<Object>} clearObjectStore - Clears all entries from an object store.
+ * @property {function(IndexedDBDeleteDatabaseParams, CommandOptions=): Promise<Object>} deleteDatabase - Deletes a database.
+ * @property {function(IndexedDBDeleteObjectStoreEntriesParams, CommandOptions=): Promise<Object>} deleteObjectStoreEntries - Delete a range of entries from an object store
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables events from backend.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables events from backend.
+ * @property {function(IndexedDBRequestDataParams, CommandOptions=): Promise<Object>} requestData - Requests data from object store or index.
+ * @property {function(IndexedDBRequestDatabaseParams, CommandOptions=): Promise<Object>} requestDatabase - Requests database with given name in given frame.
+ * @property {function(IndexedDBRequestDatabaseNamesParams, CommandOptions=): Promise<Object>} requestDatabaseNames - Requests database names for given security origin.
+ */
+
+/**
+ * @typedef {Object} InputDispatchKeyEventParams
+ * @property {string} type - Type of the key event. values: keyDown, keyUp, rawKeyDown, char
+ * @property {number} [modifiers] - Bit field representing pressed modifier keys. Alt=1, Ctrl=2, Meta/Command=4, Shift=8 (default: 0).
+ * @property {number} [timestamp] - Time at which the event occurred.
+ * @property {string} [text] - Text as generated by processing a virtual key code with a keyboard layout. Not needed for for `keyUp` and `rawKeyDown` events (default: "")
+ * @property {string} [unmodifiedText] - Text that would have been generated by the keyboard if no modifiers were pressed (except for shift). Useful for shortcut (accelerator) key handling (default: "").
+ * @property {string} [keyIdentifier] - Unique key identifier (e.g., 'U+0041') (default: "").
+ * @property {string} [code] - Unique DOM defined string value for each physical key (e.g., 'KeyA') (default: "").
+ * @property {string} [key] - Unique DOM defined string value describing the meaning of the key in the context of active modifiers, keyboard layout, etc (e.g., 'AltGr') (default: "").
+ * @property {number} [windowsVirtualKeyCode] - Windows virtual key code (default: 0).
+ * @property {number} [nativeVirtualKeyCode] - Native virtual key code (default: 0).
+ * @property {boolean} [autoRepeat] - Whether the event was generated from auto repeat (default: false).
+ * @property {boolean} [isKeypad] - Whether the event was generated from the keypad (default: false).
+ * @property {boolean} [isSystemKey] - Whether the event was a system key event (default: false).
+ * @property {number} [location] - Whether the event was from the left or right side of the keyboard. 1=Left, 2=Right (default: 0).
+ */
+
+/**
+ * @typedef {Object} InputInsertTextParams
+ * @property {string} text - The text to insert.
+ */
+
+/**
+ * @typedef {Object} InputDispatchMouseEventParams
+ * @property {string} type - Type of the mouse event. values: mousePressed, mouseReleased, mouseMoved, mouseWheel
+ * @property {number} x - X coordinate of the event relative to the main frame's viewport in CSS pixels.
+ * @property {number} y - Y coordinate of the event relative to the main frame's viewport in CSS pixels. 0 refers to the top of the viewport and Y increases as it proceeds towards the bottom of the viewport.
+ * @property {number} [modifiers] - Bit field representing pressed modifier keys. Alt=1, Ctrl=2, Meta/Command=4, Shift=8 (default: 0).
+ * @property {number} [timestamp] - Time at which the event occurred.
+ * @property {string} [button] - Mouse button (default: "none"). values: none, left, middle, right
+ * @property {number} [clickCount] - Number of times the mouse button was clicked (default: 0).
+ * @property {number} [deltaX] - X delta in CSS pixels for mouse wheel event (default: 0).
+ * @property {number} [deltaY] - Y delta in CSS pixels for mouse wheel event (default: 0).
+ */
+
+/**
+ * @typedef {Object} InputDispatchTouchEventParams
+ * @property {string} type - Type of the touch event. TouchEnd and TouchCancel must not contain any touch points, while TouchStart and TouchMove must contains at least one. values: touchStart, touchEnd, touchMove, touchCancel
+ * @property {Array<Object>} touchPoints - Active touch points on the touch device. One event per any changed point (compared to previous touch event in a sequence) is generated, emulating pressing/moving/releasing points one by one.
+ * @property {number} [modifiers] - Bit field representing pressed modifier keys. Alt=1, Ctrl=2, Meta/Command=4, Shift=8 (default: 0).
+ * @property {number} [timestamp] - Time at which the event occurred.
+ */
+
+/**
+ * @typedef {Object} InputEmulateTouchFromMouseEventParams
+ * @property {string} type - Type of the mouse event. values: mousePressed, mouseReleased, mouseMoved, mouseWheel
+ * @property {number} x - X coordinate of the mouse pointer in DIP.
+ * @property {number} y - Y coordinate of the mouse pointer in DIP.
+ * @property {string} button - Mouse button. values: none, left, middle, right
+ * @property {number} [timestamp] - Time at which the event occurred (default: current time).
+ * @property {number} [deltaX] - X delta in DIP for mouse wheel event (default: 0).
+ * @property {number} [deltaY] - Y delta in DIP for mouse wheel event (default: 0).
+ * @property {number} [modifiers] - Bit field representing pressed modifier keys. Alt=1, Ctrl=2, Meta/Command=4, Shift=8 (default: 0).
+ * @property {number} [clickCount] - Number of times the mouse button was clicked (default: 0).
+ */
+
+/**
+ * @typedef {Object} InputSetIgnoreInputEventsParams
+ * @property {boolean} ignore - Ignores input events processing when set to true.
+ */
+
+/**
+ * @typedef {Object} InputSynthesizePinchGestureParams
+ * @property {number} x - X coordinate of the start of the gesture in CSS pixels.
+ * @property {number} y - Y coordinate of the start of the gesture in CSS pixels.
+ * @property {number} scaleFactor - Relative scale factor after zooming (>1.0 zooms in, <1.0 zooms out).
+ * @property {number} [relativeSpeed] - Relative pointer speed in pixels per second (default: 800).
+ * @property {string} [gestureSourceType] - Which type of input events to be generated (default: 'default', which queries the platform for the preferred input type).
+ */
+
+/**
+ * @typedef {Object} InputSynthesizeScrollGestureParams
+ * @property {number} x - X coordinate of the start of the gesture in CSS pixels.
+ * @property {number} y - Y coordinate of the start of the gesture in CSS pixels.
+ * @property {number} [xDistance] - The distance to scroll along the X axis (positive to scroll left).
+ * @property {number} [yDistance] - The distance to scroll along the Y axis (positive to scroll up).
+ * @property {number} [xOverscroll] - The number of additional pixels to scroll back along the X axis, in addition to the given distance.
+ * @property {number} [yOverscroll] - The number of additional pixels to scroll back along the Y axis, in addition to the given distance.
+ * @property {boolean} [preventFling] - Prevent fling (default: true).
+ * @property {number} [speed] - Swipe speed in pixels per second (default: 800).
+ * @property {string} [gestureSourceType] - Which type of input events to be generated (default: 'default', which queries the platform for the preferred input type).
+ * @property {number} [repeatCount] - The number of times to repeat the gesture (default: 0).
+ * @property {number} [repeatDelayMs] - The number of milliseconds delay between each repeat. (default: 250).
+ * @property {string} [interactionMarkerName] - The name of the interaction markers to generate, if not empty (default: "").
+ */
+
+/**
+ * @typedef {Object} InputSynthesizeTapGestureParams
+ * @property {number} x - X coordinate of the start of the gesture in CSS pixels.
+ * @property {number} y - Y coordinate of the start of the gesture in CSS pixels.
+ * @property {number} [duration] - Duration between touchdown and touchup events in ms (default: 50).
+ * @property {number} [tapCount] - Number of times to perform the tap (e.g. 2 for double tap, default: 1).
+ * @property {string} [gestureSourceType] - Which type of input events to be generated (default: 'default', which queries the platform for the preferred input type).
+ */
+
+/**
+ * @typedef {DomainClient} InputClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Input
+ * @property {function(InputDispatchKeyEventParams, CommandOptions=): Promise<Object>} dispatchKeyEvent - Dispatches a key event to the page.
+ * @property {function(InputInsertTextParams, CommandOptions=): Promise<Object>} insertText - This method emulates inserting text that doesn't come from a key press, for example an emoji keyboard or an IME. EXPERIMENTAL
+ * @property {function(InputDispatchMouseEventParams, CommandOptions=): Promise<Object>} dispatchMouseEvent - Dispatches a mouse event to the page.
+ * @property {function(InputDispatchTouchEventParams, CommandOptions=): Promise<Object>} dispatchTouchEvent - Dispatches a touch event to the page.
+ * @property {function(InputEmulateTouchFromMouseEventParams, CommandOptions=): Promise<Object>} emulateTouchFromMouseEvent - Emulates touch event from the mouse event parameters. EXPERIMENTAL
+ * @property {function(InputSetIgnoreInputEventsParams, CommandOptions=): Promise<Object>} setIgnoreInputEvents - Ignores input events (useful while auditing page).
+ * @property {function(InputSynthesizePinchGestureParams, CommandOptions=): Promise<Object>} synthesizePinchGesture - Synthesizes a pinch gesture over a time period by issuing appropriate touch events. EXPERIMENTAL
+ * @property {function(InputSynthesizeScrollGestureParams, CommandOptions=): Promise<Object>} synthesizeScrollGesture - Synthesizes a scroll gesture over a time period by issuing appropriate touch events. EXPERIMENTAL
+ * @property {function(InputSynthesizeTapGestureParams, CommandOptions=): Promise<Object>} synthesizeTapGesture - Synthesizes a tap gesture over a time period by issuing appropriate touch events. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {DomainClient} InspectorClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Inspector
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables inspector domain notifications.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables inspector domain notifications.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} detached - Fired when remote debugging connection is about to be terminated. Contains detach reason.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} targetCrashed - Fired when debugging target has crashed
+ * @property {function(function(Object)=): (function()|Promise<Object>)} targetReloadedAfterCrash - Fired when debugging target has reloaded after crash
+ */
+
+/**
+ * @typedef {Object} LayerTreeCompositingReasonsParams
+ * @property {string} layerId - The id of the layer for which we want to get the reasons it was composited.
+ */
+
+/**
+ * @typedef {Object} LayerTreeLoadSnapshotParams
+ * @property {Array<Object>} tiles - An array of tiles composing the snapshot.
+ */
+
+/**
+ * @typedef {Object} LayerTreeMakeSnapshotParams
+ * @property {string} layerId - The id of the layer.
+ */
+
+/**
+ * @typedef {Object} LayerTreeProfileSnapshotParams
+ * @property {string} snapshotId - The id of the layer snapshot.
+ * @property {number} [minRepeatCount] - The maximum number of times to replay the snapshot (1, if not specified).
+ * @property {number} [minDuration] - The minimum duration (in seconds) to replay the snapshot.
+ * @property {Object} [clipRect] - The clip rectangle to apply when replaying the snapshot.
+ */
+
+/**
+ * @typedef {Object} LayerTreeReleaseSnapshotParams
+ * @property {string} snapshotId - The id of the layer snapshot.
+ */
+
+/**
+ * @typedef {Object} LayerTreeReplaySnapshotParams
+ * @property {string} snapshotId - The id of the layer snapshot.
+ * @property {number} [fromStep] - The first step to replay from (replay from the very start if not specified).
+ * @property {number} [toStep] - The last step to replay to (replay till the end if not specified).
+ * @property {number} [scale] - The scale to apply while replaying (defaults to 1).
+ */
+
+/**
+ * @typedef {Object} LayerTreeSnapshotCommandLogParams
+ * @property {string} snapshotId - The id of the layer snapshot.
+ */
+
+/**
+ * @typedef {DomainClient} LayerTreeClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/LayerTree
+ * @property {function(LayerTreeCompositingReasonsParams, CommandOptions=): Promise<Object>} compositingReasons - Provides the reasons why the given layer was composited.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables compositing tree inspection.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables compositing tree inspection.
+ * @property {function(LayerTreeLoadSnapshotParams, CommandOptions=): Promise<Object>} loadSnapshot - Returns the snapshot identifier.
+ * @property {function(LayerTreeMakeSnapshotParams, CommandOptions=): Promise<Object>} makeSnapshot - Returns the layer snapshot identifier.
+ * @property {function(LayerTreeProfileSnapshotParams, CommandOptions=): Promise<Object>} profileSnapshot
+ * @property {function(LayerTreeReleaseSnapshotParams, CommandOptions=): Promise<Object>} releaseSnapshot - Releases layer snapshot captured by the back-end.
+ * @property {function(LayerTreeReplaySnapshotParams, CommandOptions=): Promise<Object>} replaySnapshot - Replays the layer snapshot and returns the resulting bitmap.
+ * @property {function(LayerTreeSnapshotCommandLogParams, CommandOptions=): Promise<Object>} snapshotCommandLog - Replays the layer snapshot and returns canvas log.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} layerPainted
+ * @property {function(function(Object)=): (function()|Promise<Object>)} layerTreeDidChange
+ */
+
+/**
+ * @typedef {Object} LogStartViolationsReportParams
+ * @property {Array<Object>} config - Configuration for violations.
+ */
+
+/**
+ * @typedef {DomainClient} LogClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Log
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clear - Clears the log.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables log domain, prevents further log entries from being reported to the client.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables log domain, sends the entries collected so far to the client by means of the `entryAdded` notification.
+ * @property {function(LogStartViolationsReportParams, CommandOptions=): Promise<Object>} startViolationsReport - start violation reporting.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopViolationsReport - Stop violation reporting.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} entryAdded - Issued when new message was logged.
+ */
+
+/**
+ * @typedef {Object} MemorySetPressureNotificationsSuppressedParams
+ * @property {boolean} suppressed - If true, memory pressure notifications will be suppressed.
+ */
+
+/**
+ * @typedef {Object} MemorySimulatePressureNotificationParams
+ * @property {string} level - Memory pressure level of the notification.
+ */
+
+/**
+ * @typedef {Object} MemoryStartSamplingParams
+ * @property {number} [samplingInterval] - Average number of bytes between samples.
+ * @property {boolean} [suppressRandomness] - Do not randomize intervals between samples.
+ */
+
+/**
+ * @typedef {DomainClient} MemoryClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Memory
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getDOMCounters
+ * @property {function(Object=, CommandOptions=): Promise<Object>} prepareForLeakDetection
+ * @property {function(MemorySetPressureNotificationsSuppressedParams, CommandOptions=): Promise<Object>} setPressureNotificationsSuppressed - Enable/disable suppressing memory pressure notifications in all processes.
+ * @property {function(MemorySimulatePressureNotificationParams, CommandOptions=): Promise<Object>} simulatePressureNotification - Simulate a memory pressure notification in all processes.
+ * @property {function(MemoryStartSamplingParams=, CommandOptions=): Promise<Object>} startSampling - Start collecting native memory profile.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopSampling - Stop collecting native memory profile.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getAllTimeSamplingProfile - Retrieve native memory allocations profile collected since renderer process startup.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getBrowserSamplingProfile - Retrieve native memory allocations profile collected since browser process startup.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getSamplingProfile - Retrieve native memory allocations profile collected since last `startSampling` call.
+ */
+
+/**
+ * @typedef {Object} NetworkContinueInterceptedRequestParams
+ * @property {string} interceptionId
+ * @property {string} [errorReason] - If set this causes the request to fail with the given reason. Passing `Aborted` for requests marked with `isNavigationRequest` also cancels the navigation. Must not be set in response to an authChallenge.
+ * @property {string} [rawResponse] - If set the requests completes using with the provided base64 encoded raw response, including HTTP status line and headers etc... Must not be set in response to an authChallenge.
+ * @property {string} [url] - If set the request url will be modified in a way that's not observable by page. Must not be set in response to an authChallenge.
+ * @property {string} [method] - If set this allows the request method to be overridden. Must not be set in response to an authChallenge.
+ * @property {string} [postData] - If set this allows postData to be set. Must not be set in response to an authChallenge.
+ * @property {Object} [headers] - If set this allows the request headers to be changed. Must not be set in response to an authChallenge.
+ * @property {Object} [authChallengeResponse] - Response to a requestIntercepted with an authChallenge. Must not be set otherwise.
+ */
+
+/**
+ * @typedef {Object} NetworkDeleteCookiesParams
+ * @property {string} name - Name of the cookies to remove.
+ * @property {string} [url] - If specified, deletes all the cookies with the given name where domain and path match provided URL.
+ * @property {string} [domain] - If specified, deletes only cookies with the exact domain.
+ * @property {string} [path] - If specified, deletes only cookies with the exact path.
+ */
+
+/**
+ * @typedef {Object} NetworkEmulateNetworkConditionsParams
+ * @property {boolean} offline - True to emulate internet disconnection.
+ * @property {number} latency - Minimum latency from request sent to response headers received (ms).
+ * @property {number} downloadThroughput - Maximal aggregated download throughput (bytes/sec). -1 disables download throttling.
+ * @property {number} uploadThroughput - Maximal aggregated upload throughput (bytes/sec). -1 disables upload throttling.
+ * @property {string} [connectionType] - Connection type if known.
+ */
+
+/**
+ * @typedef {Object} NetworkEnableParams
+ * @property {number} [maxTotalBufferSize] - Buffer size in bytes to use when preserving network payloads (XHRs, etc). EXPERIMENTAL
+ * @property {number} [maxResourceBufferSize] - Per-resource buffer size in bytes to use when preserving network payloads (XHRs, etc). EXPERIMENTAL
+ * @property {number} [maxPostDataSize] - Longest post body size (in bytes) that would be included in requestWillBeSent notification
+ */
+
+/**
+ * @typedef {Object} NetworkGetCertificateParams
+ * @property {string} origin - Origin to get certificate for.
+ */
+
+/**
+ * @typedef {Object} NetworkGetCookiesParams
+ * @property {Array<string>} [urls] - The list of URLs for which applicable cookies will be fetched
+ */
+
+/**
+ * @typedef {Object} NetworkGetResponseBodyParams
+ * @property {string} requestId - Identifier of the network request to get content for.
+ */
+
+/**
+ * @typedef {Object} NetworkGetRequestPostDataParams
+ * @property {string} requestId - Identifier of the network request to get content for.
+ */
+
+/**
+ * @typedef {Object} NetworkGetResponseBodyForInterceptionParams
+ * @property {string} interceptionId - Identifier for the intercepted request to get body for.
+ */
+
+/**
+ * @typedef {Object} NetworkTakeResponseBodyForInterceptionAsStreamParams
+ * @property {string} interceptionId
+ */
+
+/**
+ * @typedef {Object} NetworkReplayXHRParams
+ * @property {string} requestId - Identifier of XHR to replay.
+ */
+
+/**
+ * @typedef {Object} NetworkSearchInResponseBodyParams
+ * @property {string} requestId - Identifier of the network response to search.
+ * @property {string} query - String to search for.
+ * @property {boolean} [caseSensitive] - If true, search is case sensitive.
+ * @property {boolean} [isRegex] - If true, treats string parameter as regex.
+ */
+
+/**
+ * @typedef {Object} NetworkSetBlockedURLsParams
+ * @property {Array<string>} urls - URL patterns to block. Wildcards ('*') are allowed.
+ */
+
+/**
+ * @typedef {Object} NetworkSetBypassServiceWorkerParams
+ * @property {boolean} bypass - Bypass service worker and load from network.
+ */
+
+/**
+ * @typedef {Object} NetworkSetCacheDisabledParams
+ * @property {boolean} cacheDisabled - Cache disabled state.
+ */
+
+/**
+ * @typedef {Object} NetworkSetCookieParams
+ * @property {string} name - Cookie name.
+ * @property {string} value - Cookie value.
+ * @property {string} [url] - The request-URI to associate with the setting of the cookie. This value can affect the default domain and path values of the created cookie.
+ * @property {string} [domain] - Cookie domain.
+ * @property {string} [path] - Cookie path.
+ * @property {boolean} [secure] - True if cookie is secure.
+ * @property {boolean} [httpOnly] - True if cookie is http-only.
+ * @property {string} [sameSite] - Cookie SameSite type.
+ * @property {number} [expires] - Cookie expiration date, session cookie if not set
+ */
+
+/**
+ * @typedef {Object} NetworkSetCookiesParams
+ * @property {Array<Object>} cookies - Cookies to be set.
+ */
+
+/**
+ * @typedef {Object} NetworkSetDataSizeLimitsForTestParams
+ * @property {number} maxTotalSize - Maximum total buffer size.
+ * @property {number} maxResourceSize - Maximum per-resource size.
+ */
+
+/**
+ * @typedef {Object} NetworkSetExtraHTTPHeadersParams
+ * @property {Object} headers - Map with extra HTTP headers.
+ */
+
+/**
+ * @typedef {Object} NetworkSetRequestInterceptionParams
+ * @property {Array<Object>} patterns - Requests matching any of these patterns will be forwarded and wait for the corresponding continueInterceptedRequest call.
+ */
+
+/**
+ * @typedef {Object} NetworkSetUserAgentOverrideParams
+ * @property {string} userAgent - User agent to use.
+ * @property {string} [acceptLanguage] - Browser langugage to emulate.
+ * @property {string} [platform] - The platform navigator.platform should return.
+ */
+
+/**
+ * @typedef {DomainClient} NetworkClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Network
+ * @property {function(Object=, CommandOptions=): Promise<Object>} canClearBrowserCache - Tells whether clearing browser cache is supported. DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} canClearBrowserCookies - Tells whether clearing browser cookies is supported. DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} canEmulateNetworkConditions - Tells whether emulation of network conditions is supported. DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearBrowserCache - Clears browser cache.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearBrowserCookies - Clears browser cookies.
+ * @property {function(NetworkContinueInterceptedRequestParams, CommandOptions=): Promise<Object>} continueInterceptedRequest - Response to Network.requestIntercepted which either modifies the request to continue with any modifications, or blocks it, or completes it with the provided response bytes. If a network fetch occurs as a result which encounters a redirect an additional Network.requestIntercepted event will be sent with the same InterceptionId. EXPERIMENTAL
+ * @property {function(NetworkDeleteCookiesParams, CommandOptions=): Promise<Object>} deleteCookies - Deletes browser cookies with matching name and url or domain/path pair.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables network tracking, prevents network events from being sent to the client.
+ * @property {function(NetworkEmulateNetworkConditionsParams, CommandOptions=): Promise<Object>} emulateNetworkConditions - Activates emulation of network conditions.
+ * @property {function(NetworkEnableParams=, CommandOptions=): Promise<Object>} enable - Enables network tracking, network events will now be delivered to the client.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getAllCookies - Returns all browser cookies. Depending on the backend support, will return detailed cookie information in the `cookies` field.
+ * @property {function(NetworkGetCertificateParams, CommandOptions=): Promise<Object>} getCertificate - Returns the DER-encoded certificate. EXPERIMENTAL
+ * @property {function(NetworkGetCookiesParams=, CommandOptions=): Promise<Object>} getCookies - Returns all browser cookies for the current URL. Depending on the backend support, will return detailed cookie information in the `cookies` field.
+ * @property {function(NetworkGetResponseBodyParams, CommandOptions=): Promise<Object>} getResponseBody - Returns content served for the given request.
+ * @property {function(NetworkGetRequestPostDataParams, CommandOptions=): Promise<Object>} getRequestPostData - Returns post data sent with the request. Returns an error when no data was sent with the request.
+ * @property {function(NetworkGetResponseBodyForInterceptionParams, CommandOptions=): Promise<Object>} getResponseBodyForInterception - Returns content served for the given currently intercepted request. EXPERIMENTAL
+ * @property {function(NetworkTakeResponseBodyForInterceptionAsStreamParams, CommandOptions=): Promise<Object>} takeResponseBodyForInterceptionAsStream - Returns a handle to the stream representing the response body. Note that after this command, the intercepted request can't be continued as is -- you either need to cancel it or to provide the response body. The stream only supports sequential read, IO.read will fail if the position is specified. EXPERIMENTAL
+ * @property {function(NetworkReplayXHRParams, CommandOptions=): Promise<Object>} replayXHR - This method sends a new XMLHttpRequest which is identical to the original one. The following parameters should be identical: method, url, async, request body, extra headers, withCredentials attribute, user, password. EXPERIMENTAL
+ * @property {function(NetworkSearchInResponseBodyParams, CommandOptions=): Promise<Object>} searchInResponseBody - Searches for given string in response content. EXPERIMENTAL
+ * @property {function(NetworkSetBlockedURLsParams, CommandOptions=): Promise<Object>} setBlockedURLs - Blocks URLs from loading. EXPERIMENTAL
+ * @property {function(NetworkSetBypassServiceWorkerParams, CommandOptions=): Promise<Object>} setBypassServiceWorker - Toggles ignoring of service worker for each request. EXPERIMENTAL
+ * @property {function(NetworkSetCacheDisabledParams, CommandOptions=): Promise<Object>} setCacheDisabled - Toggles ignoring cache for each request. If `true`, cache will not be used.
+ * @property {function(NetworkSetCookieParams, CommandOptions=): Promise<Object>} setCookie - Sets a cookie with the given cookie data; may overwrite equivalent cookies if they exist.
+ * @property {function(NetworkSetCookiesParams, CommandOptions=): Promise<Object>} setCookies - Sets given cookies.
+ * @property {function(NetworkSetDataSizeLimitsForTestParams, CommandOptions=): Promise<Object>} setDataSizeLimitsForTest - For testing. EXPERIMENTAL
+ * @property {function(NetworkSetExtraHTTPHeadersParams, CommandOptions=): Promise<Object>} setExtraHTTPHeaders - Specifies whether to always send extra HTTP headers with the requests from this page.
+ * @property {function(NetworkSetRequestInterceptionParams, CommandOptions=): Promise<Object>} setRequestInterception - Sets the requests to intercept that match a the provided patterns and optionally resource types. EXPERIMENTAL
+ * @property {function(NetworkSetUserAgentOverrideParams, CommandOptions=): Promise<Object>} setUserAgentOverride - Allows overriding user agent with the given string.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} dataReceived - Fired when data chunk was received over the network.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} eventSourceMessageReceived - Fired when EventSource message is received.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} loadingFailed - Fired when HTTP request has failed to load.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} loadingFinished - Fired when HTTP request has finished loading.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} requestIntercepted - Details of an intercepted HTTP request, which must be either allowed, blocked, modified or mocked. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} requestServedFromCache - Fired if request ended up loading from cache.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} requestWillBeSent - Fired when page is about to send HTTP request.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} resourceChangedPriority - Fired when resource loading priority is changed EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} signedExchangeReceived - Fired when a signed exchange was received over the network EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} responseReceived - Fired when HTTP response is available.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketClosed - Fired when WebSocket is closed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketCreated - Fired upon WebSocket creation.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketFrameError - Fired when WebSocket frame error occurs.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketFrameReceived - Fired when WebSocket frame is received.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketFrameSent - Fired when WebSocket frame is sent.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketHandshakeResponseReceived - Fired when WebSocket handshake response becomes available.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} webSocketWillSendHandshakeRequest - Fired when WebSocket is about to initiate handshake.
+ */
+
+/**
+ * @typedef {Object} OverlayGetHighlightObjectForTestParams
+ * @property {number} nodeId - Id of the node to get highlight object for.
+ */
+
+/**
+ * @typedef {Object} OverlayHighlightFrameParams
+ * @property {string} frameId - Identifier of the frame to highlight.
+ * @property {Object} [contentColor] - The content box highlight fill color (default: transparent).
+ * @property {Object} [contentOutlineColor] - The content box highlight outline color (default: transparent).
+ */
+
+/**
+ * @typedef {Object} OverlayHighlightNodeParams
+ * @property {Object} highlightConfig - A descriptor for the highlight appearance.
+ * @property {number} [nodeId] - Identifier of the node to highlight.
+ * @property {number} [backendNodeId] - Identifier of the backend node to highlight.
+ * @property {string} [objectId] - JavaScript object id of the node to be highlighted.
+ */
+
+/**
+ * @typedef {Object} OverlayHighlightQuadParams
+ * @property {Array<number>} quad - Quad to highlight
+ * @property {Object} [color] - The highlight fill color (default: transparent).
+ * @property {Object} [outlineColor] - The highlight outline color (default: transparent).
+ */
+
+/**
+ * @typedef {Object} OverlayHighlightRectParams
+ * @property {number} x - X coordinate
+ * @property {number} y - Y coordinate
+ * @property {number} width - Rectangle width
+ * @property {number} height - Rectangle height
+ * @property {Object} [color] - The highlight fill color (default: transparent).
+ * @property {Object} [outlineColor] - The highlight outline color (default: transparent).
+ */
+
+/**
+ * @typedef {Object} OverlaySetInspectModeParams
+ * @property {string} mode - Set an inspection mode.
+ * @property {Object} [highlightConfig] - A descriptor for the highlight appearance of hovered-over nodes. May be omitted if `enabled == false`.
+ */
+
+/**
+ * @typedef {Object} OverlaySetPausedInDebuggerMessageParams
+ * @property {string} [message] - The message to display, also triggers resume and step over controls.
+ */
+
+/**
+ * @typedef {Object} OverlaySetShowDebugBordersParams
+ * @property {boolean} show - True for showing debug borders
+ */
+
+/**
+ * @typedef {Object} OverlaySetShowFPSCounterParams
+ * @property {boolean} show - True for showing the FPS counter
+ */
+
+/**
+ * @typedef {Object} OverlaySetShowPaintRectsParams
+ * @property {boolean} result - True for showing paint rectangles
+ */
+
+/**
+ * @typedef {Object} OverlaySetShowScrollBottleneckRectsParams
+ * @property {boolean} show - True for showing scroll bottleneck rects
+ */
+
+/**
+ * @typedef {Object} OverlaySetShowHitTestBordersParams
+ * @property {boolean} show - True for showing hit-test borders
+ */
+
+/**
+ * @typedef {Object} OverlaySetShowViewportSizeOnResizeParams
+ * @property {boolean} show - Whether to paint size or not.
+ */
+
+/**
+ * @typedef {Object} OverlaySetSuspendedParams
+ * @property {boolean} suspended - Whether overlay should be suspended and not consume any resources until resumed.
+ */
+
+/**
+ * @typedef {DomainClient} OverlayClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Overlay
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables domain notifications.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables domain notifications.
+ * @property {function(OverlayGetHighlightObjectForTestParams, CommandOptions=): Promise<Object>} getHighlightObjectForTest - For testing.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} hideHighlight - Hides any highlight.
+ * @property {function(OverlayHighlightFrameParams, CommandOptions=): Promise<Object>} highlightFrame - Highlights owner element of the frame with given id.
+ * @property {function(OverlayHighlightNodeParams, CommandOptions=): Promise<Object>} highlightNode - Highlights DOM node with given id or with the given JavaScript object wrapper. Either nodeId or objectId must be specified.
+ * @property {function(OverlayHighlightQuadParams, CommandOptions=): Promise<Object>} highlightQuad - Highlights given quad. Coordinates are absolute with respect to the main frame viewport.
+ * @property {function(OverlayHighlightRectParams, CommandOptions=): Promise<Object>} highlightRect - Highlights given rectangle. Coordinates are absolute with respect to the main frame viewport.
+ * @property {function(OverlaySetInspectModeParams, CommandOptions=): Promise<Object>} setInspectMode - Enters the 'inspect' mode. In this mode, elements that user is hovering over are highlighted. Backend then generates 'inspectNodeRequested' event upon element selection.
+ * @property {function(OverlaySetPausedInDebuggerMessageParams=, CommandOptions=): Promise<Object>} setPausedInDebuggerMessage
+ * @property {function(OverlaySetShowDebugBordersParams, CommandOptions=): Promise<Object>} setShowDebugBorders - Requests that backend shows debug borders on layers
+ * @property {function(OverlaySetShowFPSCounterParams, CommandOptions=): Promise<Object>} setShowFPSCounter - Requests that backend shows the FPS counter
+ * @property {function(OverlaySetShowPaintRectsParams, CommandOptions=): Promise<Object>} setShowPaintRects - Requests that backend shows paint rectangles
+ * @property {function(OverlaySetShowScrollBottleneckRectsParams, CommandOptions=): Promise<Object>} setShowScrollBottleneckRects - Requests that backend shows scroll bottleneck rects
+ * @property {function(OverlaySetShowHitTestBordersParams, CommandOptions=): Promise<Object>} setShowHitTestBorders - Requests that backend shows hit-test borders on layers
+ * @property {function(OverlaySetShowViewportSizeOnResizeParams, CommandOptions=): Promise<Object>} setShowViewportSizeOnResize - Paints viewport size upon main frame resize.
+ * @property {function(OverlaySetSuspendedParams, CommandOptions=): Promise<Object>} setSuspended
+ * @property {function(function(Object)=): (function()|Promise<Object>)} inspectNodeRequested - Fired when the node should be inspected. This happens after call to `setInspectMode` or when user manually inspects an element.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} nodeHighlightRequested - Fired when the node should be highlighted. This happens after call to `setInspectMode`.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} screenshotRequested - Fired when user asks to capture screenshot of some area on the page.
+ */
+
+/**
+ * @typedef {Object} PageAddScriptToEvaluateOnLoadParams
+ * @property {string} scriptSource
+ */
+
+/**
+ * @typedef {Object} PageAddScriptToEvaluateOnNewDocumentParams
+ * @property {string} source
+ * @property {string} [worldName] - If specified, creates an isolated world with the given name and evaluates given script in it. This world name will be used as the ExecutionContextDescription::name when the corresponding event is emitted. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} PageCaptureScreenshotParams
+ * @property {string} [format] - Image compression format (defaults to png). values: jpeg, png
+ * @property {number} [quality] - Compression quality from range [0..100] (jpeg only).
+ * @property {Object} [clip] - Capture the screenshot of a given region only.
+ * @property {boolean} [fromSurface] - Capture the screenshot from the surface, rather than the view. Defaults to true. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} PageCaptureSnapshotParams
+ * @property {string} [format] - Format (defaults to mhtml). values: mhtml
+ */
+
+/**
+ * @typedef {Object} PageCreateIsolatedWorldParams
+ * @property {string} frameId - Id of the frame in which the isolated world should be created.
+ * @property {string} [worldName] - An optional name which is reported in the Execution Context.
+ * @property {boolean} [grantUniveralAccess] - Whether or not universal access should be granted to the isolated world. This is a powerful option, use with caution.
+ */
+
+/**
+ * @typedef {Object} PageDeleteCookieParams
+ * @property {string} cookieName - Name of the cookie to remove.
+ * @property {string} url - URL to match cooke domain and path.
+ */
+
+/**
+ * @typedef {Object} PageGetResourceContentParams
+ * @property {string} frameId - Frame id to get resource for.
+ * @property {string} url - URL of the resource to get content for.
+ */
+
+/**
+ * @typedef {Object} PageHandleJavaScriptDialogParams
+ * @property {boolean} accept - Whether to accept or dismiss the dialog.
+ * @property {string} [promptText] - The text to enter into the dialog prompt before accepting. Used only if this is a prompt dialog.
+ */
+
+/**
+ * @typedef {Object} PageNavigateParams
+ * @property {string} url - URL to navigate the page to.
+ * @property {string} [referrer] - Referrer URL.
+ * @property {string} [transitionType] - Intended transition type.
+ * @property {string} [frameId] - Frame id to navigate, if not specified navigates the top frame.
+ */
+
+/**
+ * @typedef {Object} PageNavigateToHistoryEntryParams
+ * @property {number} entryId - Unique id of the entry to navigate to.
+ */
+
+/**
+ * @typedef {Object} PagePrintToPDFParams
+ * @property {boolean} [landscape] - Paper orientation. Defaults to false.
+ * @property {boolean} [displayHeaderFooter] - Display header and footer. Defaults to false.
+ * @property {boolean} [printBackground] - Print background graphics. Defaults to false.
+ * @property {number} [scale] - Scale of the webpage rendering. Defaults to 1.
+ * @property {number} [paperWidth] - Paper width in inches. Defaults to 8.5 inches.
+ * @property {number} [paperHeight] - Paper height in inches. Defaults to 11 inches.
+ * @property {number} [marginTop] - Top margin in inches. Defaults to 1cm (~0.4 inches).
+ * @property {number} [marginBottom] - Bottom margin in inches. Defaults to 1cm (~0.4 inches).
+ * @property {number} [marginLeft] - Left margin in inches. Defaults to 1cm (~0.4 inches).
+ * @property {number} [marginRight] - Right margin in inches. Defaults to 1cm (~0.4 inches).
+ * @property {string} [pageRanges] - Paper ranges to print, e.g., '1-5, 8, 11-13'. Defaults to the empty string, which means print all pages.
+ * @property {boolean} [ignoreInvalidPageRanges] - Whether to silently ignore invalid but successfully parsed page ranges, such as '3-2'. Defaults to false.
+ * @property {string} [headerTemplate] - HTML template for the print header. Should be valid HTML markup with following classes used to inject printing values into them: - `date`: formatted print date - `title`: document title - `url`: document location - `pageNumber`: current page number - `totalPages`: total pages in the document For example, `<span class=title></span>` would generate span containing the title.
+ * @property {string} [footerTemplate] - HTML template for the print footer. Should use the same format as the `headerTemplate`.
+ * @property {boolean} [preferCSSPageSize] - Whether or not to prefer page size as defined by css. Defaults to false, in which case the content will be scaled to fit the paper size.
+ */
+
+/**
+ * @typedef {Object} PageReloadParams
+ * @property {boolean} [ignoreCache] - If true, browser cache is ignored (as if the user pressed Shift+refresh).
+ * @property {string} [scriptToEvaluateOnLoad] - If set, the script will be injected into all frames of the inspected page after reload. Argument will be ignored if reloading dataURL origin.
+ */
+
+/**
+ * @typedef {Object} PageRemoveScriptToEvaluateOnLoadParams
+ * @property {string} identifier
+ */
+
+/**
+ * @typedef {Object} PageRemoveScriptToEvaluateOnNewDocumentParams
+ * @property {string} identifier
+ */
+
+/**
+ * @typedef {Object} PageScreencastFrameAckParams
+ * @property {number} sessionId - Frame number.
+ */
+
+/**
+ * @typedef {Object} PageSearchInResourceParams
+ * @property {string} frameId - Frame id for resource to search in.
+ * @property {string} url - URL of the resource to search in.
+ * @property {string} query - String to search for.
+ * @property {boolean} [caseSensitive] - If true, search is case sensitive.
+ * @property {boolean} [isRegex] - If true, treats string parameter as regex.
+ */
+
+/**
+ * @typedef {Object} PageSetAdBlockingEnabledParams
+ * @property {boolean} enabled - Whether to block ads.
+ */
+
+/**
+ * @typedef {Object} PageSetBypassCSPParams
+ * @property {boolean} enabled - Whether to bypass page CSP.
+ */
+
+/**
+ * @typedef {Object} PageSetDeviceMetricsOverrideParams
+ * @property {number} width - Overriding width value in pixels (minimum 0, maximum 10000000). 0 disables the override.
+ * @property {number} height - Overriding height value in pixels (minimum 0, maximum 10000000). 0 disables the override.
+ * @property {number} deviceScaleFactor - Overriding device scale factor value. 0 disables the override.
+ * @property {boolean} mobile - Whether to emulate mobile device. This includes viewport meta tag, overlay scrollbars, text autosizing and more.
+ * @property {number} [scale] - Scale to apply to resulting view image.
+ * @property {number} [screenWidth] - Overriding screen width value in pixels (minimum 0, maximum 10000000).
+ * @property {number} [screenHeight] - Overriding screen height value in pixels (minimum 0, maximum 10000000).
+ * @property {number} [positionX] - Overriding view X position on screen in pixels (minimum 0, maximum 10000000).
+ * @property {number} [positionY] - Overriding view Y position on screen in pixels (minimum 0, maximum 10000000).
+ * @property {boolean} [dontSetVisibleSize] - Do not set visible view size, rely upon explicit setVisibleSize call.
+ * @property {Object} [screenOrientation] - Screen orientation override.
+ * @property {Object} [viewport] - The viewport dimensions and scale. If not set, the override is cleared.
+ */
+
+/**
+ * @typedef {Object} PageSetDeviceOrientationOverrideParams
+ * @property {number} alpha - Mock alpha
+ * @property {number} beta - Mock beta
+ * @property {number} gamma - Mock gamma
+ */
+
+/**
+ * @typedef {Object} PageSetFontFamiliesParams
+ * @property {Object} fontFamilies - Specifies font families to set. If a font family is not specified, it won't be changed.
+ */
+
+/**
+ * @typedef {Object} PageSetFontSizesParams
+ * @property {Object} fontSizes - Specifies font sizes to set. If a font size is not specified, it won't be changed.
+ */
+
+/**
+ * @typedef {Object} PageSetDocumentContentParams
+ * @property {string} frameId - Frame id to set HTML for.
+ * @property {string} html - HTML content to set.
+ */
+
+/**
+ * @typedef {Object} PageSetDownloadBehaviorParams
+ * @property {string} behavior - Whether to allow all or deny all download requests, or use default Chrome behavior if available (otherwise deny). values: deny, allow, default
+ * @property {string} [downloadPath] - The default path to save downloaded files to. This is requred if behavior is set to 'allow'
+ */
+
+/**
+ * @typedef {Object} PageSetGeolocationOverrideParams
+ * @property {number} [latitude] - Mock latitude
+ * @property {number} [longitude] - Mock longitude
+ * @property {number} [accuracy] - Mock accuracy
+ */
+
+/**
+ * @typedef {Object} PageSetLifecycleEventsEnabledParams
+ * @property {boolean} enabled - If true, starts emitting lifecycle events.
+ */
+
+/**
+ * @typedef {Object} PageSetTouchEmulationEnabledParams
+ * @property {boolean} enabled - Whether the touch event emulation should be enabled.
+ * @property {string} [configuration] - Touch/gesture events configuration. Default: current platform. values: mobile, desktop
+ */
+
+/**
+ * @typedef {Object} PageStartScreencastParams
+ * @property {string} [format] - Image compression format. values: jpeg, png
+ * @property {number} [quality] - Compression quality from range [0..100].
+ * @property {number} [maxWidth] - Maximum screenshot width.
+ * @property {number} [maxHeight] - Maximum screenshot height.
+ * @property {number} [everyNthFrame] - Send every n-th frame.
+ */
+
+/**
+ * @typedef {Object} PageSetWebLifecycleStateParams
+ * @property {string} state - Target lifecycle state values: frozen, active
+ */
+
+/**
+ * @typedef {Object} PageSetProduceCompilationCacheParams
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} PageAddCompilationCacheParams
+ * @property {string} url
+ * @property {string} data - Base64-encoded data
+ */
+
+/**
+ * @typedef {Object} PageGenerateTestReportParams
+ * @property {string} message - Message to be displayed in the report.
+ * @property {string} [group] - Specifies the endpoint group to deliver the report to.
+ */
+
+/**
+ * @typedef {DomainClient} PageClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Page
+ * @property {function(PageAddScriptToEvaluateOnLoadParams, CommandOptions=): Promise<Object>} addScriptToEvaluateOnLoad - Deprecated, please use addScriptToEvaluateOnNewDocument instead. EXPERIMENTAL DEPRECATED
+ * @property {function(PageAddScriptToEvaluateOnNewDocumentParams, CommandOptions=): Promise<Object>} addScriptToEvaluateOnNewDocument - Evaluates given script in every frame upon creation (before loading frame's scripts).
+ * @property {function(Object=, CommandOptions=): Promise<Object>} bringToFront - Brings page to front (activates tab).
+ * @property {function(PageCaptureScreenshotParams=, CommandOptions=): Promise<Object>} captureScreenshot - Capture page screenshot.
+ * @property {function(PageCaptureSnapshotParams=, CommandOptions=): Promise<Object>} captureSnapshot - Returns a snapshot of the page as a string. For MHTML format, the serialization includes iframes, shadow DOM, external resources, and element-inline styles. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearDeviceMetricsOverride - Clears the overriden device metrics. EXPERIMENTAL DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearDeviceOrientationOverride - Clears the overridden Device Orientation. EXPERIMENTAL DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearGeolocationOverride - Clears the overriden Geolocation Position and Error. DEPRECATED
+ * @property {function(PageCreateIsolatedWorldParams, CommandOptions=): Promise<Object>} createIsolatedWorld - Creates an isolated world for the given frame.
+ * @property {function(PageDeleteCookieParams, CommandOptions=): Promise<Object>} deleteCookie - Deletes browser cookie with given name, domain and path. EXPERIMENTAL DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables page domain notifications.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables page domain notifications.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getAppManifest
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getCookies - Returns all browser cookies. Depending on the backend support, will return detailed cookie information in the `cookies` field. EXPERIMENTAL DEPRECATED
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getFrameTree - Returns present frame tree structure.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getLayoutMetrics - Returns metrics relating to the layouting of the page, such as viewport bounds/scale.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getNavigationHistory - Returns navigation history for the current page.
+ * @property {function(PageGetResourceContentParams, CommandOptions=): Promise<Object>} getResourceContent - Returns content of the given resource. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getResourceTree - Returns present frame / resource tree structure. EXPERIMENTAL
+ * @property {function(PageHandleJavaScriptDialogParams, CommandOptions=): Promise<Object>} handleJavaScriptDialog - Accepts or dismisses a JavaScript initiated dialog (alert, confirm, prompt, or onbeforeunload).
+ * @property {function(PageNavigateParams, CommandOptions=): Promise<Object>} navigate - Navigates current page to the given URL.
+ * @property {function(PageNavigateToHistoryEntryParams, CommandOptions=): Promise<Object>} navigateToHistoryEntry - Navigates current page to the given history entry.
+ * @property {function(PagePrintToPDFParams=, CommandOptions=): Promise<Object>} printToPDF - Print page as PDF.
+ * @property {function(PageReloadParams=, CommandOptions=): Promise<Object>} reload - Reloads given page optionally ignoring the cache.
+ * @property {function(PageRemoveScriptToEvaluateOnLoadParams, CommandOptions=): Promise<Object>} removeScriptToEvaluateOnLoad - Deprecated, please use removeScriptToEvaluateOnNewDocument instead. EXPERIMENTAL DEPRECATED
+ * @property {function(PageRemoveScriptToEvaluateOnNewDocumentParams, CommandOptions=): Promise<Object>} removeScriptToEvaluateOnNewDocument - Removes given script from the list.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} requestAppBanner - EXPERIMENTAL
+ * @property {function(PageScreencastFrameAckParams, CommandOptions=): Promise<Object>} screencastFrameAck - Acknowledges that a screencast frame has been received by the frontend. EXPERIMENTAL
+ * @property {function(PageSearchInResourceParams, CommandOptions=): Promise<Object>} searchInResource - Searches for given string in resource content. EXPERIMENTAL
+ * @property {function(PageSetAdBlockingEnabledParams, CommandOptions=): Promise<Object>} setAdBlockingEnabled - Enable Chrome's experimental ad filter on all sites. EXPERIMENTAL
+ * @property {function(PageSetBypassCSPParams, CommandOptions=): Promise<Object>} setBypassCSP - Enable page Content Security Policy by-passing. EXPERIMENTAL
+ * @property {function(PageSetDeviceMetricsOverrideParams, CommandOptions=): Promise<Object>} setDeviceMetricsOverride - Overrides the values of device screen dimensions (window.screen.width, window.screen.height, window.innerWidth, window.innerHeight, and "device-width"/"device-height"-related CSS media query results). EXPERIMENTAL DEPRECATED
+ * @property {function(PageSetDeviceOrientationOverrideParams, CommandOptions=): Promise<Object>} setDeviceOrientationOverride - Overrides the Device Orientation. EXPERIMENTAL DEPRECATED
+ * @property {function(PageSetFontFamiliesParams, CommandOptions=): Promise<Object>} setFontFamilies - Set generic font families. EXPERIMENTAL
+ * @property {function(PageSetFontSizesParams, CommandOptions=): Promise<Object>} setFontSizes - Set default font sizes. EXPERIMENTAL
+ * @property {function(PageSetDocumentContentParams, CommandOptions=): Promise<Object>} setDocumentContent - Sets given markup as the document's HTML.
+ * @property {function(PageSetDownloadBehaviorParams, CommandOptions=): Promise<Object>} setDownloadBehavior - Set the behavior when downloading a file. EXPERIMENTAL
+ * @property {function(PageSetGeolocationOverrideParams=, CommandOptions=): Promise<Object>} setGeolocationOverride - Overrides the Geolocation Position or Error. Omitting any of the parameters emulates position unavailable. DEPRECATED
+ * @property {function(PageSetLifecycleEventsEnabledParams, CommandOptions=): Promise<Object>} setLifecycleEventsEnabled - Controls whether page will emit lifecycle events. EXPERIMENTAL
+ * @property {function(PageSetTouchEmulationEnabledParams, CommandOptions=): Promise<Object>} setTouchEmulationEnabled - Toggles mouse event-based touch event emulation. EXPERIMENTAL DEPRECATED
+ * @property {function(PageStartScreencastParams=, CommandOptions=): Promise<Object>} startScreencast - Starts sending each frame using the `screencastFrame` event. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopLoading - Force the page stop all navigations and pending resource fetches.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} crash - Crashes renderer on the IO thread, generates minidumps. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} close - Tries to close page, running its beforeunload hooks, if any. EXPERIMENTAL
+ * @property {function(PageSetWebLifecycleStateParams, CommandOptions=): Promise<Object>} setWebLifecycleState - Tries to update the web lifecycle state of the page. It will transition the page to the given state according to: https://github.com/WICG/web-lifecycle/ EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopScreencast - Stops sending each frame in the `screencastFrame`. EXPERIMENTAL
+ * @property {function(PageSetProduceCompilationCacheParams, CommandOptions=): Promise<Object>} setProduceCompilationCache - Forces compilation cache to be generated for every subresource script. EXPERIMENTAL
+ * @property {function(PageAddCompilationCacheParams, CommandOptions=): Promise<Object>} addCompilationCache - Seeds compilation cache for given url. Compilation cache does not survive cross-process navigation. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearCompilationCache - Clears seeded compilation cache. EXPERIMENTAL
+ * @property {function(PageGenerateTestReportParams, CommandOptions=): Promise<Object>} generateTestReport - Generates a report for testing. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} domContentEventFired
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameAttached - Fired when frame has been attached to its parent.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameClearedScheduledNavigation - Fired when frame no longer has a scheduled navigation. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameDetached - Fired when frame has been detached from its parent.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameNavigated - Fired once navigation of the frame has completed. Frame is now associated with the new loader.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameResized - EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameScheduledNavigation - Fired when frame schedules a potential navigation. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameStartedLoading - Fired when frame has started loading. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} frameStoppedLoading - Fired when frame has stopped loading. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} interstitialHidden - Fired when interstitial page was hidden
+ * @property {function(function(Object)=): (function()|Promise<Object>)} interstitialShown - Fired when interstitial page was shown
+ * @property {function(function(Object)=): (function()|Promise<Object>)} javascriptDialogClosed - Fired when a JavaScript initiated dialog (alert, confirm, prompt, or onbeforeunload) has been closed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} javascriptDialogOpening - Fired when a JavaScript initiated dialog (alert, confirm, prompt, or onbeforeunload) is about to open.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} lifecycleEvent - Fired for top level page lifecycle events such as navigation, load, paint, etc.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} loadEventFired
+ * @property {function(function(Object)=): (function()|Promise<Object>)} navigatedWithinDocument - Fired when same-document navigation happens, e.g. due to history API usage or anchor navigation. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} screencastFrame - Compressed image data requested by the `startScreencast`. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} screencastVisibilityChanged - Fired when the page with currently enabled screencast was shown or hidden `. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} windowOpen - Fired when a new window is going to be opened, via window.open(), link click, form submission, etc.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} compilationCacheProduced - Issued for every compilation cache generated. Is only available if Page.setGenerateCompilationCache is enabled. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} PerformanceSetTimeDomainParams
+ * @property {string} timeDomain - Time domain values: timeTicks, threadTicks
+ */
+
+/**
+ * @typedef {DomainClient} PerformanceClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Performance
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disable collecting and reporting metrics.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enable collecting and reporting metrics.
+ * @property {function(PerformanceSetTimeDomainParams, CommandOptions=): Promise<Object>} setTimeDomain - Sets time domain to use for collecting and reporting duration metrics. Note that this must be called before enabling metrics collection. Calling this method while metrics collection is enabled returns an error. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getMetrics - Retrieve current values of run-time metrics.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} metrics - Current values of the metrics.
+ */
+
+/**
+ * @typedef {Object} SecuritySetIgnoreCertificateErrorsParams
+ * @property {boolean} ignore - If true, all certificate errors will be ignored.
+ */
+
+/**
+ * @typedef {Object} SecurityHandleCertificateErrorParams
+ * @property {number} eventId - The ID of the event.
+ * @property {string} action - The action to take on the certificate error.
+ */
+
+/**
+ * @typedef {Object} SecuritySetOverrideCertificateErrorsParams
+ * @property {boolean} override - If true, certificate errors will be overridden.
+ */
+
+/**
+ * @typedef {DomainClient} SecurityClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Security
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables tracking security state changes.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables tracking security state changes.
+ * @property {function(SecuritySetIgnoreCertificateErrorsParams, CommandOptions=): Promise<Object>} setIgnoreCertificateErrors - Enable/disable whether all certificate errors should be ignored. EXPERIMENTAL
+ * @property {function(SecurityHandleCertificateErrorParams, CommandOptions=): Promise<Object>} handleCertificateError - Handles a certificate error that fired a certificateError event. DEPRECATED
+ * @property {function(SecuritySetOverrideCertificateErrorsParams, CommandOptions=): Promise<Object>} setOverrideCertificateErrors - Enable/disable overriding certificate errors. If enabled, all certificate error events need to be handled by the DevTools client and should be answered with `handleCertificateError` commands. DEPRECATED
+ * @property {function(function(Object)=): (function()|Promise<Object>)} certificateError - There is a certificate error. If overriding certificate errors is enabled, then it should be handled with the `handleCertificateError` command. Note: this event does not fire if the certificate error has been allowed internally. Only one client per target should override certificate errors at the same time. DEPRECATED
+ * @property {function(function(Object)=): (function()|Promise<Object>)} securityStateChanged - The security state of the page changed.
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerDeliverPushMessageParams
+ * @property {string} origin
+ * @property {string} registrationId
+ * @property {string} data
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerDispatchSyncEventParams
+ * @property {string} origin
+ * @property {string} registrationId
+ * @property {string} tag
+ * @property {boolean} lastChance
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerInspectWorkerParams
+ * @property {string} versionId
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerSetForceUpdateOnPageLoadParams
+ * @property {boolean} forceUpdateOnPageLoad
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerSkipWaitingParams
+ * @property {string} scopeURL
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerStartWorkerParams
+ * @property {string} scopeURL
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerStopWorkerParams
+ * @property {string} versionId
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerUnregisterParams
+ * @property {string} scopeURL
+ */
+
+/**
+ * @typedef {Object} ServiceWorkerUpdateRegistrationParams
+ * @property {string} scopeURL
+ */
+
+/**
+ * @typedef {DomainClient} ServiceWorkerClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/ServiceWorker
+ * @property {function(ServiceWorkerDeliverPushMessageParams, CommandOptions=): Promise<Object>} deliverPushMessage
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable
+ * @property {function(ServiceWorkerDispatchSyncEventParams, CommandOptions=): Promise<Object>} dispatchSyncEvent
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable
+ * @property {function(ServiceWorkerInspectWorkerParams, CommandOptions=): Promise<Object>} inspectWorker
+ * @property {function(ServiceWorkerSetForceUpdateOnPageLoadParams, CommandOptions=): Promise<Object>} setForceUpdateOnPageLoad
+ * @property {function(ServiceWorkerSkipWaitingParams, CommandOptions=): Promise<Object>} skipWaiting
+ * @property {function(ServiceWorkerStartWorkerParams, CommandOptions=): Promise<Object>} startWorker
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopAllWorkers
+ * @property {function(ServiceWorkerStopWorkerParams, CommandOptions=): Promise<Object>} stopWorker
+ * @property {function(ServiceWorkerUnregisterParams, CommandOptions=): Promise<Object>} unregister
+ * @property {function(ServiceWorkerUpdateRegistrationParams, CommandOptions=): Promise<Object>} updateRegistration
+ * @property {function(function(Object)=): (function()|Promise<Object>)} workerErrorReported
+ * @property {function(function(Object)=): (function()|Promise<Object>)} workerRegistrationUpdated
+ * @property {function(function(Object)=): (function()|Promise<Object>)} workerVersionUpdated
+ */
+
+/**
+ * @typedef {Object} StorageClearDataForOriginParams
+ * @property {string} origin - Security origin.
+ * @property {string} storageTypes - Comma separated origin names.
+ */
+
+/**
+ * @typedef {Object} StorageGetUsageAndQuotaParams
+ * @property {string} origin - Security origin.
+ */
+
+/**
+ * @typedef {Object} StorageTrackCacheStorageForOriginParams
+ * @property {string} origin - Security origin.
+ */
+
+/**
+ * @typedef {Object} StorageTrackIndexedDBForOriginParams
+ * @property {string} origin - Security origin.
+ */
+
+/**
+ * @typedef {Object} StorageUntrackCacheStorageForOriginParams
+ * @property {string} origin - Security origin.
+ */
+
+/**
+ * @typedef {Object} StorageUntrackIndexedDBForOriginParams
+ * @property {string} origin - Security origin.
+ */
+
+/**
+ * @typedef {DomainClient} StorageClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Storage
+ * @property {function(StorageClearDataForOriginParams, CommandOptions=): Promise<Object>} clearDataForOrigin - Clears storage for origin.
+ * @property {function(StorageGetUsageAndQuotaParams, CommandOptions=): Promise<Object>} getUsageAndQuota - Returns usage and quota in bytes.
+ * @property {function(StorageTrackCacheStorageForOriginParams, CommandOptions=): Promise<Object>} trackCacheStorageForOrigin - Registers origin to be notified when an update occurs to its cache storage list.
+ * @property {function(StorageTrackIndexedDBForOriginParams, CommandOptions=): Promise<Object>} trackIndexedDBForOrigin - Registers origin to be notified when an update occurs to its IndexedDB.
+ * @property {function(StorageUntrackCacheStorageForOriginParams, CommandOptions=): Promise<Object>} untrackCacheStorageForOrigin - Unregisters origin from receiving notifications for cache storage.
+ * @property {function(StorageUntrackIndexedDBForOriginParams, CommandOptions=): Promise<Object>} untrackIndexedDBForOrigin - Unregisters origin from receiving notifications for IndexedDB.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} cacheStorageContentUpdated - A cache's contents have been modified.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} cacheStorageListUpdated - A cache has been added/deleted.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} indexedDBContentUpdated - The origin's IndexedDB object store has been modified.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} indexedDBListUpdated - The origin's IndexedDB database list has been modified.
+ */
+
+/**
+ * @typedef {DomainClient} SystemInfoClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/SystemInfo
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getInfo - Returns information about the system.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getProcessInfo - Returns information about all running processes.
+ */
+
+/**
+ * @typedef {Object} TargetActivateTargetParams
+ * @property {string} targetId
+ */
+
+/**
+ * @typedef {Object} TargetAttachToTargetParams
+ * @property {string} targetId
+ * @property {boolean} [flatten] - Enables "flat" access to the session via specifying sessionId attribute in the commands. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} TargetCloseTargetParams
+ * @property {string} targetId
+ */
+
+/**
+ * @typedef {Object} TargetExposeDevToolsProtocolParams
+ * @property {string} targetId
+ * @property {string} [bindingName] - Binding name, 'cdp' if not specified.
+ */
+
+/**
+ * @typedef {Object} TargetCreateTargetParams
+ * @property {string} url - The initial URL the page will be navigated to.
+ * @property {number} [width] - Frame width in DIP (headless chrome only).
+ * @property {number} [height] - Frame height in DIP (headless chrome only).
+ * @property {string} [browserContextId] - The browser context to create the page in.
+ * @property {boolean} [enableBeginFrameControl] - Whether BeginFrames for this target will be controlled via DevTools (headless chrome only, not supported on MacOS yet, false by default). EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} TargetDetachFromTargetParams
+ * @property {string} [sessionId] - Session to detach.
+ * @property {string} [targetId] - Deprecated. DEPRECATED
+ */
+
+/**
+ * @typedef {Object} TargetDisposeBrowserContextParams
+ * @property {string} browserContextId
+ */
+
+/**
+ * @typedef {Object} TargetGetTargetInfoParams
+ * @property {string} [targetId]
+ */
+
+/**
+ * @typedef {Object} TargetSendMessageToTargetParams
+ * @property {string} message
+ * @property {string} [sessionId] - Identifier of the session.
+ * @property {string} [targetId] - Deprecated. DEPRECATED
+ */
+
+/**
+ * @typedef {Object} TargetSetAutoAttachParams
+ * @property {boolean} autoAttach - Whether to auto-attach to related targets.
+ * @property {boolean} waitForDebuggerOnStart - Whether to pause new targets when attaching to them. Use `Runtime.runIfWaitingForDebugger` to run paused targets.
+ * @property {boolean} [flatten] - Enables "flat" access to the session via specifying sessionId attribute in the commands. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} TargetSetDiscoverTargetsParams
+ * @property {boolean} discover - Whether to discover available targets.
+ */
+
+/**
+ * @typedef {Object} TargetSetRemoteLocationsParams
+ * @property {Array<Object>} locations - List of remote locations.
+ */
+
+/**
+ * @typedef {DomainClient} TargetClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Target
+ * @property {function(TargetActivateTargetParams, CommandOptions=): Promise<Object>} activateTarget - Activates (focuses) the target.
+ * @property {function(TargetAttachToTargetParams, CommandOptions=): Promise<Object>} attachToTarget - Attaches to the target with given id.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} attachToBrowserTarget - Attaches to the browser target, only uses flat sessionId mode. EXPERIMENTAL
+ * @property {function(TargetCloseTargetParams, CommandOptions=): Promise<Object>} closeTarget - Closes the target. If the target is a page that gets closed too.
+ * @property {function(TargetExposeDevToolsProtocolParams, CommandOptions=): Promise<Object>} exposeDevToolsProtocol - Inject object to the target's main frame that provides a communication channel with browser target. Injected object will be available as `window[bindingName]`. The object has the follwing API: - `binding.send(json)` - a method to send messages over the remote debugging protocol - `binding.onmessage = json => handleMessage(json)` - a callback that will be called for the protocol notifications and command responses. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} createBrowserContext - Creates a new empty BrowserContext. Similar to an incognito profile but you can have more than one. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getBrowserContexts - Returns all browser contexts created with `Target.createBrowserContext` method. EXPERIMENTAL
+ * @property {function(TargetCreateTargetParams, CommandOptions=): Promise<Object>} createTarget - Creates a new page.
+ * @property {function(TargetDetachFromTargetParams=, CommandOptions=): Promise<Object>} detachFromTarget - Detaches session with given id.
+ * @property {function(TargetDisposeBrowserContextParams, CommandOptions=): Promise<Object>} disposeBrowserContext - Deletes a BrowserContext. All the belonging pages will be closed without calling their beforeunload hooks. EXPERIMENTAL
+ * @property {function(TargetGetTargetInfoParams=, CommandOptions=): Promise<Object>} getTargetInfo - Returns information about a target. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getTargets - Retrieves a list of available targets.
+ * @property {function(TargetSendMessageToTargetParams, CommandOptions=): Promise<Object>} sendMessageToTarget - Sends protocol message over session with given id.
+ * @property {function(TargetSetAutoAttachParams, CommandOptions=): Promise<Object>} setAutoAttach - Controls whether to automatically attach to new targets which are considered to be related to this one. When turned on, attaches to all existing related targets as well. When turned off, automatically detaches from all currently attached targets. EXPERIMENTAL
+ * @property {function(TargetSetDiscoverTargetsParams, CommandOptions=): Promise<Object>} setDiscoverTargets - Controls whether to discover available targets and notify via `targetCreated/targetInfoChanged/targetDestroyed` events.
+ * @property {function(TargetSetRemoteLocationsParams, CommandOptions=): Promise<Object>} setRemoteLocations - Enables target discovery for the specified locations, when `setDiscoverTargets` was set to `true`. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} attachedToTarget - Issued when attached to target because of auto-attach or `attachToTarget` command. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} detachedFromTarget - Issued when detached from target for any reason (including `detachFromTarget` command). Can be issued multiple times per target if multiple sessions have been attached to it. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} receivedMessageFromTarget - Notifies about a new protocol message received from the session (as reported in `attachedToTarget` event).
+ * @property {function(function(Object)=): (function()|Promise<Object>)} targetCreated - Issued when a possible inspection target is created.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} targetDestroyed - Issued when a target is destroyed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} targetCrashed - Issued when a target has crashed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} targetInfoChanged - Issued when some information about a target has changed. This only happens between `targetCreated` and `targetDestroyed`.
+ */
+
+/**
+ * @typedef {Object} TetheringBindParams
+ * @property {number} port - Port number to bind.
+ */
+
+/**
+ * @typedef {Object} TetheringUnbindParams
+ * @property {number} port - Port number to unbind.
+ */
+
+/**
+ * @typedef {DomainClient} TetheringClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Tethering
+ * @property {function(TetheringBindParams, CommandOptions=): Promise<Object>} bind - Request browser port binding.
+ * @property {function(TetheringUnbindParams, CommandOptions=): Promise<Object>} unbind - Request browser port unbinding.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} accepted - Informs that port was successfully bound and got a specified connection id.
+ */
+
+/**
+ * @typedef {Object} TracingRecordClockSyncMarkerParams
+ * @property {string} syncId - The ID of this clock sync marker
+ */
+
+/**
+ * @typedef {Object} TracingStartParams
+ * @property {string} [categories] - Category/tag filter DEPRECATED
+ * @property {string} [options] - Tracing options DEPRECATED
+ * @property {number} [bufferUsageReportingInterval] - If set, the agent will issue bufferUsage events at this interval, specified in milliseconds
+ * @property {string} [transferMode] - Whether to report trace events as series of dataCollected events or to save trace to a stream (defaults to `ReportEvents`). values: ReportEvents, ReturnAsStream
+ * @property {string} [streamCompression] - Compression format to use. This only applies when using `ReturnAsStream` transfer mode (defaults to `none`)
+ * @property {Object} [traceConfig]
+ */
+
+/**
+ * @typedef {DomainClient} TracingClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Tracing
+ * @property {function(Object=, CommandOptions=): Promise<Object>} end - Stop trace events collection.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getCategories - Gets supported tracing categories.
+ * @property {function(TracingRecordClockSyncMarkerParams, CommandOptions=): Promise<Object>} recordClockSyncMarker - Record a clock sync marker in the trace.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} requestMemoryDump - Request a global memory dump.
+ * @property {function(TracingStartParams=, CommandOptions=): Promise<Object>} start - Start trace events collection.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} bufferUsage
+ * @property {function(function(Object)=): (function()|Promise<Object>)} dataCollected - Contains an bucket of collected trace events. When tracing is stopped collected events will be send as a sequence of dataCollected events followed by tracingComplete event.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} tracingComplete - Signals that tracing is stopped and there is no trace buffers pending flush, all data were delivered via dataCollected events.
+ */
+
+/**
+ * @typedef {Object} TestingGenerateTestReportParams
+ * @property {string} message - Message to be displayed in the report.
+ * @property {string} [group] - Specifies the endpoint group to deliver the report to.
+ */
+
+/**
+ * @typedef {DomainClient} TestingClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Testing
+ * @property {function(TestingGenerateTestReportParams, CommandOptions=): Promise<Object>} generateTestReport - Generates a report for testing.
+ */
+
+/**
+ * @typedef {Object} FetchEnableParams
+ * @property {Array<Object>} [patterns] - If specified, only requests matching any of these patterns will produce fetchRequested event and will be paused until clients response. If not set, all requests will be affected.
+ * @property {boolean} [handleAuthRequests] - If true, authRequired events will be issued and requests will be paused expecting a call to continueWithAuth.
+ */
+
+/**
+ * @typedef {Object} FetchFailRequestParams
+ * @property {string} requestId - An id the client received in requestPaused event.
+ * @property {string} errorReason - Causes the request to fail with the given reason.
+ */
+
+/**
+ * @typedef {Object} FetchFulfillRequestParams
+ * @property {string} requestId - An id the client received in requestPaused event.
+ * @property {number} responseCode - An HTTP response code.
+ * @property {Array<Object>} responseHeaders - Response headers.
+ * @property {string} [body] - A response body.
+ * @property {string} [responsePhrase] - A textual representation of responseCode. If absent, a standard phrase mathcing responseCode is used.
+ */
+
+/**
+ * @typedef {Object} FetchContinueRequestParams
+ * @property {string} requestId - An id the client received in requestPaused event.
+ * @property {string} [url] - If set, the request url will be modified in a way that's not observable by page.
+ * @property {string} [method] - If set, the request method is overridden.
+ * @property {string} [postData] - If set, overrides the post data in the request.
+ * @property {Array<Object>} [headers] - If set, overrides the request headrts.
+ */
+
+/**
+ * @typedef {Object} FetchContinueWithAuthParams
+ * @property {string} requestId - An id the client received in authRequired event.
+ * @property {Object} authChallengeResponse - Response to with an authChallenge.
+ */
+
+/**
+ * @typedef {Object} FetchGetResponseBodyParams
+ * @property {string} requestId - Identifier for the intercepted request to get body for.
+ */
+
+/**
+ * @typedef {Object} FetchTakeResponseBodyAsStreamParams
+ * @property {string} requestId
+ */
+
+/**
+ * @typedef {DomainClient} FetchClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Fetch
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables the fetch domain.
+ * @property {function(FetchEnableParams=, CommandOptions=): Promise<Object>} enable - Enables issuing of requestPaused events. A request will be paused until client calls one of failRequest, fulfillRequest or continueRequest/continueWithAuth.
+ * @property {function(FetchFailRequestParams, CommandOptions=): Promise<Object>} failRequest - Causes the request to fail with specified reason.
+ * @property {function(FetchFulfillRequestParams, CommandOptions=): Promise<Object>} fulfillRequest - Provides response to the request.
+ * @property {function(FetchContinueRequestParams, CommandOptions=): Promise<Object>} continueRequest - Continues the request, optionally modifying some of its parameters.
+ * @property {function(FetchContinueWithAuthParams, CommandOptions=): Promise<Object>} continueWithAuth - Continues a request supplying authChallengeResponse following authRequired event.
+ * @property {function(FetchGetResponseBodyParams, CommandOptions=): Promise<Object>} getResponseBody - Causes the body of the response to be received from the server and returned as a single string. May only be issued for a request that is paused in the Response stage and is mutually exclusive with takeResponseBodyForInterceptionAsStream. Calling other methods that affect the request or disabling fetch domain before body is received results in an undefined behavior.
+ * @property {function(FetchTakeResponseBodyAsStreamParams, CommandOptions=): Promise<Object>} takeResponseBodyAsStream - Returns a handle to the stream representing the response body. The request must be paused in the HeadersReceived stage. Note that after this command the request can't be continued as is -- client either needs to cancel it or to provide the response body. The stream only supports sequential read, IO.read will fail if the position is specified. This method is mutually exclusive with getResponseBody. Calling other methods that affect the request or disabling fetch domain before body is received results in an undefined behavior.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} requestPaused - Issued when the domain is enabled and the request URL matches the specified filter. The request is paused until the client responds with one of continueRequest, failRequest or fulfillRequest. The stage of the request can be determined by presence of responseErrorReason and responseStatusCode -- the request is at the response stage if either of these fields is present and in the request stage otherwise.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} authRequired - Issued when the domain is enabled with handleAuthRequests set to true. The request is paused until client responds with continueWithAuth.
+ */
+
+/**
+ * @typedef {DomainClient} ConsoleClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Console
+ * @property {function(Object=, CommandOptions=): Promise<Object>} clearMessages - Does nothing.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables console domain, prevents further console messages from being reported to the client.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables console domain, sends the messages collected so far to the client by means of the `messageAdded` notification.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} messageAdded - Issued when new console message is added.
+ */
+
+/**
+ * @typedef {Object} DebuggerContinueToLocationParams
+ * @property {Object} location - Location to continue to.
+ * @property {string} [targetCallFrames] - values: any, current
+ */
+
+/**
+ * @typedef {Object} DebuggerEvaluateOnCallFrameParams
+ * @property {string} callFrameId - Call frame identifier to evaluate on.
+ * @property {string} expression - Expression to evaluate.
+ * @property {string} [objectGroup] - String object group name to put result into (allows rapid releasing resulting object handles using `releaseObjectGroup`).
+ * @property {boolean} [includeCommandLineAPI] - Specifies whether command line API should be available to the evaluated expression, defaults to false.
+ * @property {boolean} [silent] - In silent mode exceptions thrown during evaluation are not reported and do not pause execution. Overrides `setPauseOnException` state.
+ * @property {boolean} [returnByValue] - Whether the result is expected to be a JSON object that should be sent by value.
+ * @property {boolean} [generatePreview] - Whether preview should be generated for the result. EXPERIMENTAL
+ * @property {boolean} [throwOnSideEffect] - Whether to throw an exception if side effect cannot be ruled out during evaluation.
+ * @property {number} [timeout] - Terminate execution after timing out (number of milliseconds). EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} DebuggerGetPossibleBreakpointsParams
+ * @property {Object} start - Start of range to search possible breakpoint locations in.
+ * @property {Object} [end] - End of range to search possible breakpoint locations in (excluding). When not specified, end of scripts is used as end of range.
+ * @property {boolean} [restrictToFunction] - Only consider locations which are in the same (non-nested) function as start.
+ */
+
+/**
+ * @typedef {Object} DebuggerGetScriptSourceParams
+ * @property {string} scriptId - Id of the script to get source for.
+ */
+
+/**
+ * @typedef {Object} DebuggerGetStackTraceParams
+ * @property {Object} stackTraceId
+ */
+
+/**
+ * @typedef {Object} DebuggerPauseOnAsyncCallParams
+ * @property {Object} parentStackTraceId - Debugger will pause when async call with given stack trace is started.
+ */
+
+/**
+ * @typedef {Object} DebuggerRemoveBreakpointParams
+ * @property {string} breakpointId
+ */
+
+/**
+ * @typedef {Object} DebuggerRestartFrameParams
+ * @property {string} callFrameId - Call frame identifier to evaluate on.
+ */
+
+/**
+ * @typedef {Object} DebuggerSearchInContentParams
+ * @property {string} scriptId - Id of the script to search in.
+ * @property {string} query - String to search for.
+ * @property {boolean} [caseSensitive] - If true, search is case sensitive.
+ * @property {boolean} [isRegex] - If true, treats string parameter as regex.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetAsyncCallStackDepthParams
+ * @property {number} maxDepth - Maximum depth of async call stacks. Setting to `0` will effectively disable collecting async call stacks (default).
+ */
+
+/**
+ * @typedef {Object} DebuggerSetBlackboxPatternsParams
+ * @property {Array<string>} patterns - Array of regexps that will be used to check script url for blackbox state.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetBlackboxedRangesParams
+ * @property {string} scriptId - Id of the script.
+ * @property {Array<Object>} positions
+ */
+
+/**
+ * @typedef {Object} DebuggerSetBreakpointParams
+ * @property {Object} location - Location to set breakpoint in.
+ * @property {string} [condition] - Expression to use as a breakpoint condition. When specified, debugger will only stop on the breakpoint if this expression evaluates to true.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetBreakpointByUrlParams
+ * @property {number} lineNumber - Line number to set breakpoint at.
+ * @property {string} [url] - URL of the resources to set breakpoint on.
+ * @property {string} [urlRegex] - Regex pattern for the URLs of the resources to set breakpoints on. Either `url` or `urlRegex` must be specified.
+ * @property {string} [scriptHash] - Script hash of the resources to set breakpoint on.
+ * @property {number} [columnNumber] - Offset in the line to set breakpoint at.
+ * @property {string} [condition] - Expression to use as a breakpoint condition. When specified, debugger will only stop on the breakpoint if this expression evaluates to true.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetBreakpointOnFunctionCallParams
+ * @property {string} objectId - Function object id.
+ * @property {string} [condition] - Expression to use as a breakpoint condition. When specified, debugger will stop on the breakpoint if this expression evaluates to true.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetBreakpointsActiveParams
+ * @property {boolean} active - New value for breakpoints active state.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetPauseOnExceptionsParams
+ * @property {string} state - Pause on exceptions mode. values: none, uncaught, all
+ */
+
+/**
+ * @typedef {Object} DebuggerSetReturnValueParams
+ * @property {Object} newValue - New return value.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetScriptSourceParams
+ * @property {string} scriptId - Id of the script to edit.
+ * @property {string} scriptSource - New content of the script.
+ * @property {boolean} [dryRun] - If true the change will not actually be applied. Dry run may be used to get result description without actually modifying the code.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetSkipAllPausesParams
+ * @property {boolean} skip - New value for skip pauses state.
+ */
+
+/**
+ * @typedef {Object} DebuggerSetVariableValueParams
+ * @property {number} scopeNumber - 0-based number of scope as was listed in scope chain. Only 'local', 'closure' and 'catch' scope types are allowed. Other scopes could be manipulated manually.
+ * @property {string} variableName - Variable name.
+ * @property {Object} newValue - New variable value.
+ * @property {string} callFrameId - Id of callframe that holds variable.
+ */
+
+/**
+ * @typedef {Object} DebuggerStepIntoParams
+ * @property {boolean} [breakOnAsyncCall] - Debugger will issue additional Debugger.paused notification if any async task is scheduled before next pause. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {DomainClient} DebuggerClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Debugger
+ * @property {function(DebuggerContinueToLocationParams, CommandOptions=): Promise<Object>} continueToLocation - Continues execution until specific location is reached.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables debugger for given page.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables debugger for the given page. Clients should not assume that the debugging has been enabled until the result for this command is received.
+ * @property {function(DebuggerEvaluateOnCallFrameParams, CommandOptions=): Promise<Object>} evaluateOnCallFrame - Evaluates expression on a given call frame.
+ * @property {function(DebuggerGetPossibleBreakpointsParams, CommandOptions=): Promise<Object>} getPossibleBreakpoints - Returns possible locations for breakpoint. scriptId in start and end range locations should be the same.
+ * @property {function(DebuggerGetScriptSourceParams, CommandOptions=): Promise<Object>} getScriptSource - Returns source for the script with given id.
+ * @property {function(DebuggerGetStackTraceParams, CommandOptions=): Promise<Object>} getStackTrace - Returns stack trace with given `stackTraceId`. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} pause - Stops on the next JavaScript statement.
+ * @property {function(DebuggerPauseOnAsyncCallParams, CommandOptions=): Promise<Object>} pauseOnAsyncCall - EXPERIMENTAL
+ * @property {function(DebuggerRemoveBreakpointParams, CommandOptions=): Promise<Object>} removeBreakpoint - Removes JavaScript breakpoint.
+ * @property {function(DebuggerRestartFrameParams, CommandOptions=): Promise<Object>} restartFrame - Restarts particular call frame from the beginning.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} resume - Resumes JavaScript execution.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} scheduleStepIntoAsync - This method is deprecated - use Debugger.stepInto with breakOnAsyncCall and Debugger.pauseOnAsyncTask instead. Steps into next scheduled async task if any is scheduled before next pause. Returns success when async task is actually scheduled, returns error if no task were scheduled or another scheduleStepIntoAsync was called. EXPERIMENTAL
+ * @property {function(DebuggerSearchInContentParams, CommandOptions=): Promise<Object>} searchInContent - Searches for given string in script content.
+ * @property {function(DebuggerSetAsyncCallStackDepthParams, CommandOptions=): Promise<Object>} setAsyncCallStackDepth - Enables or disables async call stacks tracking.
+ * @property {function(DebuggerSetBlackboxPatternsParams, CommandOptions=): Promise<Object>} setBlackboxPatterns - Replace previous blackbox patterns with passed ones. Forces backend to skip stepping/pausing in scripts with url matching one of the patterns. VM will try to leave blackboxed script by performing 'step in' several times, finally resorting to 'step out' if unsuccessful. EXPERIMENTAL
+ * @property {function(DebuggerSetBlackboxedRangesParams, CommandOptions=): Promise<Object>} setBlackboxedRanges - Makes backend skip steps in the script in blackboxed ranges. VM will try leave blacklisted scripts by performing 'step in' several times, finally resorting to 'step out' if unsuccessful. Positions array contains positions where blackbox state is changed. First interval isn't blackboxed. Array should be sorted. EXPERIMENTAL
+ * @property {function(DebuggerSetBreakpointParams, CommandOptions=): Promise<Object>} setBreakpoint - Sets JavaScript breakpoint at a given location.
+ * @property {function(DebuggerSetBreakpointByUrlParams, CommandOptions=): Promise<Object>} setBreakpointByUrl - Sets JavaScript breakpoint at given location specified either by URL or URL regex. Once this command is issued, all existing parsed scripts will have breakpoints resolved and returned in `locations` property. Further matching script parsing will result in subsequent `breakpointResolved` events issued. This logical breakpoint will survive page reloads.
+ * @property {function(DebuggerSetBreakpointOnFunctionCallParams, CommandOptions=): Promise<Object>} setBreakpointOnFunctionCall - Sets JavaScript breakpoint before each call to the given function. If another function was created from the same source as a given one, calling it will also trigger the breakpoint. EXPERIMENTAL
+ * @property {function(DebuggerSetBreakpointsActiveParams, CommandOptions=): Promise<Object>} setBreakpointsActive - Activates / deactivates all breakpoints on the page.
+ * @property {function(DebuggerSetPauseOnExceptionsParams, CommandOptions=): Promise<Object>} setPauseOnExceptions - Defines pause on exceptions state. Can be set to stop on all exceptions, uncaught exceptions or no exceptions. Initial pause on exceptions state is `none`.
+ * @property {function(DebuggerSetReturnValueParams, CommandOptions=): Promise<Object>} setReturnValue - Changes return value in top frame. Available only at return break position. EXPERIMENTAL
+ * @property {function(DebuggerSetScriptSourceParams, CommandOptions=): Promise<Object>} setScriptSource - Edits JavaScript source live.
+ * @property {function(DebuggerSetSkipAllPausesParams, CommandOptions=): Promise<Object>} setSkipAllPauses - Makes page not interrupt on any pauses (breakpoint, exception, dom exception etc).
+ * @property {function(DebuggerSetVariableValueParams, CommandOptions=): Promise<Object>} setVariableValue - Changes value of variable in a callframe. Object-based scopes are not supported and must be mutated manually.
+ * @property {function(DebuggerStepIntoParams=, CommandOptions=): Promise<Object>} stepInto - Steps into the function call.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stepOut - Steps out of the function call.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stepOver - Steps over the statement.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} breakpointResolved - Fired when breakpoint is resolved to an actual script and location.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} paused - Fired when the virtual machine stopped on breakpoint or exception or any other stop criteria.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} resumed - Fired when the virtual machine resumed execution.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} scriptFailedToParse - Fired when virtual machine fails to parse the script.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} scriptParsed - Fired when virtual machine parses script. This event is also fired for all known and uncollected scripts upon enabling debugger.
+ */
+
+/**
+ * @typedef {Object} HeapProfilerAddInspectedHeapObjectParams
+ * @property {string} heapObjectId - Heap snapshot object id to be accessible by means of $x command line API.
+ */
+
+/**
+ * @typedef {Object} HeapProfilerGetHeapObjectIdParams
+ * @property {string} objectId - Identifier of the object to get heap object id for.
+ */
+
+/**
+ * @typedef {Object} HeapProfilerGetObjectByHeapObjectIdParams
+ * @property {string} objectId
+ * @property {string} [objectGroup] - Symbolic group name that can be used to release multiple objects.
+ */
+
+/**
+ * @typedef {Object} HeapProfilerStartSamplingParams
+ * @property {number} [samplingInterval] - Average sample interval in bytes. Poisson distribution is used for the intervals. The default value is 32768 bytes.
+ */
+
+/**
+ * @typedef {Object} HeapProfilerStartTrackingHeapObjectsParams
+ * @property {boolean} [trackAllocations]
+ */
+
+/**
+ * @typedef {Object} HeapProfilerStopTrackingHeapObjectsParams
+ * @property {boolean} [reportProgress] - If true 'reportHeapSnapshotProgress' events will be generated while snapshot is being taken when the tracking is stopped.
+ */
+
+/**
+ * @typedef {Object} HeapProfilerTakeHeapSnapshotParams
+ * @property {boolean} [reportProgress] - If true 'reportHeapSnapshotProgress' events will be generated while snapshot is being taken.
+ */
+
+/**
+ * @typedef {DomainClient} HeapProfilerClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/HeapProfiler
+ * @property {function(HeapProfilerAddInspectedHeapObjectParams, CommandOptions=): Promise<Object>} addInspectedHeapObject - Enables console to refer to the node with given id via $x (see Command Line API for more details $x functions).
+ * @property {function(Object=, CommandOptions=): Promise<Object>} collectGarbage
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable
+ * @property {function(HeapProfilerGetHeapObjectIdParams, CommandOptions=): Promise<Object>} getHeapObjectId
+ * @property {function(HeapProfilerGetObjectByHeapObjectIdParams, CommandOptions=): Promise<Object>} getObjectByHeapObjectId
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getSamplingProfile
+ * @property {function(HeapProfilerStartSamplingParams=, CommandOptions=): Promise<Object>} startSampling
+ * @property {function(HeapProfilerStartTrackingHeapObjectsParams=, CommandOptions=): Promise<Object>} startTrackingHeapObjects
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopSampling
+ * @property {function(HeapProfilerStopTrackingHeapObjectsParams=, CommandOptions=): Promise<Object>} stopTrackingHeapObjects
+ * @property {function(HeapProfilerTakeHeapSnapshotParams=, CommandOptions=): Promise<Object>} takeHeapSnapshot
+ * @property {function(function(Object)=): (function()|Promise<Object>)} addHeapSnapshotChunk
+ * @property {function(function(Object)=): (function()|Promise<Object>)} heapStatsUpdate - If heap objects tracking has been started then backend may send update for one or more fragments
+ * @property {function(function(Object)=): (function()|Promise<Object>)} lastSeenObjectId - If heap objects tracking has been started then backend regularly sends a current value for last seen object id and corresponding timestamp. If the were changes in the heap since last event then one or more heapStatsUpdate events will be sent before a new lastSeenObjectId event.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} reportHeapSnapshotProgress
+ * @property {function(function(Object)=): (function()|Promise<Object>)} resetProfiles
+ */
+
+/**
+ * @typedef {Object} ProfilerSetSamplingIntervalParams
+ * @property {number} interval - New sampling interval in microseconds.
+ */
+
+/**
+ * @typedef {Object} ProfilerStartPreciseCoverageParams
+ * @property {boolean} [callCount] - Collect accurate call counts beyond simple 'covered' or 'not covered'.
+ * @property {boolean} [detailed] - Collect block-based coverage.
+ */
+
+/**
+ * @typedef {DomainClient} ProfilerClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Profiler
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getBestEffortCoverage - Collect coverage data for the current isolate. The coverage data may be incomplete due to garbage collection.
+ * @property {function(ProfilerSetSamplingIntervalParams, CommandOptions=): Promise<Object>} setSamplingInterval - Changes CPU profiler sampling interval. Must be called before CPU profiles recording started.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} start
+ * @property {function(ProfilerStartPreciseCoverageParams=, CommandOptions=): Promise<Object>} startPreciseCoverage - Enable precise code coverage. Coverage data for JavaScript executed before enabling precise code coverage may be incomplete. Enabling prevents running optimized code and resets execution counters.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} startTypeProfile - Enable type profile. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stop
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopPreciseCoverage - Disable precise code coverage. Disabling releases unnecessary execution count records and allows executing optimized code.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} stopTypeProfile - Disable type profile. Disabling releases type profile data collected so far. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} takePreciseCoverage - Collect coverage data for the current isolate, and resets execution counters. Precise code coverage needs to have started.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} takeTypeProfile - Collect type profile. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} consoleProfileFinished
+ * @property {function(function(Object)=): (function()|Promise<Object>)} consoleProfileStarted - Sent when new profile recording is started using console.profile() call.
+ */
+
+/**
+ * @typedef {Object} RuntimeAwaitPromiseParams
+ * @property {string} promiseObjectId - Identifier of the promise.
+ * @property {boolean} [returnByValue] - Whether the result is expected to be a JSON object that should be sent by value.
+ * @property {boolean} [generatePreview] - Whether preview should be generated for the result.
+ */
+
+/**
+ * @typedef {Object} RuntimeCallFunctionOnParams
+ * @property {string} functionDeclaration - Declaration of the function to call.
+ * @property {string} [objectId] - Identifier of the object to call function on. Either objectId or executionContextId should be specified.
+ * @property {Array<Object>} [arguments] - Call arguments. All call arguments must belong to the same JavaScript world as the target object.
+ * @property {boolean} [silent] - In silent mode exceptions thrown during evaluation are not reported and do not pause execution. Overrides `setPauseOnException` state.
+ * @property {boolean} [returnByValue] - Whether the result is expected to be a JSON object which should be sent by value.
+ * @property {boolean} [generatePreview] - Whether preview should be generated for the result. EXPERIMENTAL
+ * @property {boolean} [userGesture] - Whether execution should be treated as initiated by user in the UI.
+ * @property {boolean} [awaitPromise] - Whether execution should `await` for resulting value and return once awaited promise is resolved.
+ * @property {number} [executionContextId] - Specifies execution context which global object will be used to call function on. Either executionContextId or objectId should be specified.
+ * @property {string} [objectGroup] - Symbolic group name that can be used to release multiple objects. If objectGroup is not specified and objectId is, objectGroup will be inherited from object.
+ */
+
+/**
+ * @typedef {Object} RuntimeCompileScriptParams
+ * @property {string} expression - Expression to compile.
+ * @property {string} sourceURL - Source url to be set for the script.
+ * @property {boolean} persistScript - Specifies whether the compiled script should be persisted.
+ * @property {number} [executionContextId] - Specifies in which execution context to perform script run. If the parameter is omitted the evaluation will be performed in the context of the inspected page.
+ */
+
+/**
+ * @typedef {Object} RuntimeEvaluateParams
+ * @property {string} expression - Expression to evaluate.
+ * @property {string} [objectGroup] - Symbolic group name that can be used to release multiple objects.
+ * @property {boolean} [includeCommandLineAPI] - Determines whether Command Line API should be available during the evaluation.
+ * @property {boolean} [silent] - In silent mode exceptions thrown during evaluation are not reported and do not pause execution. Overrides `setPauseOnException` state.
+ * @property {number} [contextId] - Specifies in which execution context to perform evaluation. If the parameter is omitted the evaluation will be performed in the context of the inspected page.
+ * @property {boolean} [returnByValue] - Whether the result is expected to be a JSON object that should be sent by value.
+ * @property {boolean} [generatePreview] - Whether preview should be generated for the result. EXPERIMENTAL
+ * @property {boolean} [userGesture] - Whether execution should be treated as initiated by user in the UI.
+ * @property {boolean} [awaitPromise] - Whether execution should `await` for resulting value and return once awaited promise is resolved.
+ * @property {boolean} [throwOnSideEffect] - Whether to throw an exception if side effect cannot be ruled out during evaluation. EXPERIMENTAL
+ * @property {number} [timeout] - Terminate execution after timing out (number of milliseconds). EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} RuntimeGetPropertiesParams
+ * @property {string} objectId - Identifier of the object to return properties for.
+ * @property {boolean} [ownProperties] - If true, returns properties belonging only to the element itself, not to its prototype chain.
+ * @property {boolean} [accessorPropertiesOnly] - If true, returns accessor properties (with getter/setter) only; internal properties are not returned either. EXPERIMENTAL
+ * @property {boolean} [generatePreview] - Whether preview should be generated for the results. EXPERIMENTAL
+ */
+
+/**
+ * @typedef {Object} RuntimeGlobalLexicalScopeNamesParams
+ * @property {number} [executionContextId] - Specifies in which execution context to lookup global scope variables.
+ */
+
+/**
+ * @typedef {Object} RuntimeQueryObjectsParams
+ * @property {string} prototypeObjectId - Identifier of the prototype to return objects for.
+ * @property {string} [objectGroup] - Symbolic group name that can be used to release the results.
+ */
+
+/**
+ * @typedef {Object} RuntimeReleaseObjectParams
+ * @property {string} objectId - Identifier of the object to release.
+ */
+
+/**
+ * @typedef {Object} RuntimeReleaseObjectGroupParams
+ * @property {string} objectGroup - Symbolic object group name.
+ */
+
+/**
+ * @typedef {Object} RuntimeRunScriptParams
+ * @property {string} scriptId - Id of the script to run.
+ * @property {number} [executionContextId] - Specifies in which execution context to perform script run. If the parameter is omitted the evaluation will be performed in the context of the inspected page.
+ * @property {string} [objectGroup] - Symbolic group name that can be used to release multiple objects.
+ * @property {boolean} [silent] - In silent mode exceptions thrown during evaluation are not reported and do not pause execution. Overrides `setPauseOnException` state.
+ * @property {boolean} [includeCommandLineAPI] - Determines whether Command Line API should be available during the evaluation.
+ * @property {boolean} [returnByValue] - Whether the result is expected to be a JSON object which should be sent by value.
+ * @property {boolean} [generatePreview] - Whether preview should be generated for the result.
+ * @property {boolean} [awaitPromise] - Whether execution should `await` for resulting value and return once awaited promise is resolved.
+ */
+
+/**
+ * @typedef {Object} RuntimeSetAsyncCallStackDepthParams
+ * @property {number} maxDepth - Maximum depth of async call stacks. Setting to `0` will effectively disable collecting async call stacks (default).
+ */
+
+/**
+ * @typedef {Object} RuntimeSetCustomObjectFormatterEnabledParams
+ * @property {boolean} enabled
+ */
+
+/**
+ * @typedef {Object} RuntimeSetMaxCallStackSizeToCaptureParams
+ * @property {number} size
+ */
+
+/**
+ * @typedef {Object} RuntimeAddBindingParams
+ * @property {string} name
+ * @property {number} [executionContextId]
+ */
+
+/**
+ * @typedef {Object} RuntimeRemoveBindingParams
+ * @property {string} name
+ */
+
+/**
+ * @typedef {DomainClient} RuntimeClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Runtime
+ * @property {function(RuntimeAwaitPromiseParams, CommandOptions=): Promise<Object>} awaitPromise - Add handler to promise with given promise object id.
+ * @property {function(RuntimeCallFunctionOnParams, CommandOptions=): Promise<Object>} callFunctionOn - Calls function with given declaration on the given object. Object group of the result is inherited from the target object.
+ * @property {function(RuntimeCompileScriptParams, CommandOptions=): Promise<Object>} compileScript - Compiles expression.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} disable - Disables reporting of execution contexts creation.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} discardConsoleEntries - Discards collected exceptions and console API calls.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} enable - Enables reporting of execution contexts creation by means of `executionContextCreated` event. When the reporting gets enabled the event will be sent immediately for each existing execution context.
+ * @property {function(RuntimeEvaluateParams, CommandOptions=): Promise<Object>} evaluate - Evaluates expression on global object.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getIsolateId - Returns the isolate id. EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getHeapUsage - Returns the JavaScript heap usage. It is the total usage of the corresponding isolate not scoped to a particular Runtime. EXPERIMENTAL
+ * @property {function(RuntimeGetPropertiesParams, CommandOptions=): Promise<Object>} getProperties - Returns properties of a given object. Object group of the result is inherited from the target object.
+ * @property {function(RuntimeGlobalLexicalScopeNamesParams=, CommandOptions=): Promise<Object>} globalLexicalScopeNames - Returns all let, const and class variables from global scope.
+ * @property {function(RuntimeQueryObjectsParams, CommandOptions=): Promise<Object>} queryObjects
+ * @property {function(RuntimeReleaseObjectParams, CommandOptions=): Promise<Object>} releaseObject - Releases remote object with given id.
+ * @property {function(RuntimeReleaseObjectGroupParams, CommandOptions=): Promise<Object>} releaseObjectGroup - Releases all remote objects that belong to a given group.
+ * @property {function(Object=, CommandOptions=): Promise<Object>} runIfWaitingForDebugger - Tells inspected instance to run if it was waiting for debugger to attach.
+ * @property {function(RuntimeRunScriptParams, CommandOptions=): Promise<Object>} runScript - Runs script with given id in a given context.
+ * @property {function(RuntimeSetAsyncCallStackDepthParams, CommandOptions=): Promise<Object>} setAsyncCallStackDepth - Enables or disables async call stacks tracking.
+ * @property {function(RuntimeSetCustomObjectFormatterEnabledParams, CommandOptions=): Promise<Object>} setCustomObjectFormatterEnabled - EXPERIMENTAL
+ * @property {function(RuntimeSetMaxCallStackSizeToCaptureParams, CommandOptions=): Promise<Object>} setMaxCallStackSizeToCapture - EXPERIMENTAL
+ * @property {function(Object=, CommandOptions=): Promise<Object>} terminateExecution - Terminate current or next JavaScript execution. Will cancel the termination when the outer-most script execution ends. EXPERIMENTAL
+ * @property {function(RuntimeAddBindingParams, CommandOptions=): Promise<Object>} addBinding - If executionContextId is empty, adds binding with the given name on the global objects of all inspected contexts, including those created later, bindings survive reloads. If executionContextId is specified, adds binding only on global object of given execution context. Binding function takes exactly one argument, this argument should be string, in case of any other input, function throws an exception. Each binding function call produces Runtime.bindingCalled notification. EXPERIMENTAL
+ * @property {function(RuntimeRemoveBindingParams, CommandOptions=): Promise<Object>} removeBinding - This method does not remove binding function from global object but unsubscribes current runtime agent from Runtime.bindingCalled notifications. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} bindingCalled - Notification is issued every time when binding is called. EXPERIMENTAL
+ * @property {function(function(Object)=): (function()|Promise<Object>)} consoleAPICalled - Issued when console API was called.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} exceptionRevoked - Issued when unhandled exception was revoked.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} exceptionThrown - Issued when exception was thrown and unhandled.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} executionContextCreated - Issued when new execution context is created.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} executionContextDestroyed - Issued when execution context is destroyed.
+ * @property {function(function(Object)=): (function()|Promise<Object>)} executionContextsCleared - Issued when all executionContexts were cleared in browser
+ * @property {function(function(Object)=): (function()|Promise<Object>)} inspectRequested - Issued when object should be inspected (for example, as a result of inspect() command line API call).
+ */
+
+/**
+ * @typedef {DomainClient} SchemaClient
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Schema
+ * @property {function(Object=, CommandOptions=): Promise<Object>} getDomains - Returns supported domains.
+ */
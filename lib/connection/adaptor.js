@@ -1,7 +1,13 @@
 const CRIConnection = require('./CRIConnection')
 const CDPSession = require('./CDPSession')
+const { createDomainClients } = require('./DomainClient')
 const Events = require('../Events')
-const { interopCRIApi, createProtocolError } = require('../__shared')
+const TimeoutSettings = require('../TimeoutSettings')
+const {
+  interopCRIApi,
+  createProtocolError,
+  sendCommand
+} = require('../__shared')
 const { helper } = require('../helper')
 
 /**
@@ -54,6 +60,20 @@ exports.adaptChromeRemoteInterfaceClient = function adaptChromeRemoteInterfaceCl
     }
   }
 
+  /**
+   * @type {TimeoutSettings}
+   */
+  cdpClient._timeoutSettings = new TimeoutSettings()
+
+  /**
+   * @param {number} timeout
+   */
+  cdpClient.setDefaultProtocolTimeout = function setDefaultProtocolTimeout (
+    timeout
+  ) {
+    this._timeoutSettings.setDefaultProtocolTimeout(timeout)
+  }
+
   /**
    * @param {Object} message
    * @return {*}
@@ -89,16 +109,18 @@ exports.adaptChromeRemoteInterfaceClient = function adaptChromeRemoteInterfaceCl
     return this._sessions.get(sessionId)
   }
 
-  cdpClient.send = function send (method, params = {}) {
-    const id = this._rawSend({ method, params })
-    return new Promise((resolve, reject) => {
-      this._crieCallbacks.set(id, {
-        resolve,
-        reject,
-        error: new Error(),
-        method
-      })
-    })
+  cdpClient.send = function send (method, params = {}, options = {}) {
+    const {
+      timeout = this._timeoutSettings.protocolTimeout() || 0,
+      signal
+    } = options
+    return sendCommand(
+      this._crieCallbacks,
+      method,
+      'the connection',
+      { timeout, signal },
+      beforeSend => this._rawSend({ method, params }, beforeSend)
+    )
   }
 
   /**
@@ -116,10 +138,12 @@ exports.adaptChromeRemoteInterfaceClient = function adaptChromeRemoteInterfaceCl
   /**
    *
    * @param {Object} message
+   * @param {function(id: number)} [beforeSend] - Called with the id of the message before it is sent
    * @return {number}
    */
-  cdpClient._rawSend = function _rawSend (message) {
+  cdpClient._rawSend = function _rawSend (message, beforeSend) {
     const id = this._nextCommandId++
+    if (beforeSend) beforeSend(id)
     const msg = JSON.stringify(Object.assign({}, message, { id }))
     this._ws.send(msg)
     return id
@@ -144,7 +168,8 @@ exports.adaptChromeRemoteInterfaceClient = function adaptChromeRemoteInterfaceCl
       const session = new CDPSession(
         this,
         object.params.targetInfo.type,
-        sessionId
+        sessionId,
+        object.params.targetInfo.targetId
       )
       this._sessions.set(sessionId, session)
     } else if (object.method === 'Target.detachedFromTarget') {
@@ -194,6 +219,14 @@ exports.adaptChromeRemoteInterfaceClient = function adaptChromeRemoteInterfaceCl
     }
   })
 
+  let domains = null
+  Object.defineProperty(cdpClient, 'cdp', {
+    get () {
+      if (!domains) domains = createDomainClients(this, this)
+      return domains
+    }
+  })
+
   cdpClient.on(
     Events.CRIClient.Disconnected,
     cdpClient._onClose.bind(cdpClient)
@@ -11,6 +11,18 @@ exports.CRIConnection = require('./CRIConnection')
 
 exports.CDPSession = require('./CDPSession')
 
+exports.CommandStats = require('./CommandStats')
+
+exports.DomainClient = require('./DomainClient').DomainClient
+
+exports.PipeTransport = require('./PipeTransport')
+
+exports.ProtocolRecorder = require('./ProtocolRecorder')
+
+exports.ReplayTransport = require('./ReplayTransport')
+
+exports.WebSocketTransport = require('./WebSocketTransport')
+
 /**
  * @typedef {Chrome|CRIConnection|CDPSession|Object} ConnectionTypes
  */
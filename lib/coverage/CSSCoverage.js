@@ -12,15 +12,17 @@ class CSSCoverage {
     this._stylesheetSources = new Map()
     this._eventListeners = []
     this._resetOnNavigation = false
+    this._detailed = false
   }
 
   /**
-   * @param {{resetOnNavigation?: boolean}=} options
+   * @param {{resetOnNavigation?: boolean, detailed?: boolean}=} options
    */
   async start (options = {}) {
     assert(!this._enabled, 'CSSCoverage is already enabled')
-    const { resetOnNavigation = true } = options
+    const { resetOnNavigation = true, detailed = false } = options
     this._resetOnNavigation = resetOnNavigation
+    this._detailed = detailed
     this._enabled = true
     this._stylesheetURLs.clear()
     this._stylesheetSources.clear()
@@ -69,6 +71,8 @@ class CSSCoverage {
   }
 
   /**
+   * Stop collecting the coverage. The entries of a detailed coverage also hold each rule of the style sheet
+   * and whether it was used
    * @return {Promise<Array<CoverageEntry>>}
    */
   async stop () {
@@ -83,9 +87,29 @@ class CSSCoverage {
     ])
     helper.removeEventListeners(this._eventListeners)
 
+    return this._coverageEntries(ruleTrackingResponse.ruleUsage)
+  }
+
+  /**
+   * Take the coverage of the rules used since the coverage started or the previous snapshot was taken,
+   * without stopping. The next snapshot or {@link stop} only report the rules used afterwards
+   * @return {Promise<Array<CoverageEntry>>}
+   * @since chrome-remote-interface-extra
+   */
+  async takeSnapshot () {
+    assert(this._enabled, 'CSSCoverage is not enabled')
+    const { coverage } = await this._client.send('CSS.takeCoverageDelta')
+    return this._coverageEntries(coverage)
+  }
+
+  /**
+   * @param {Array<Object>} ruleUsage - The usage of the rules reported by CSS.stopRuleUsageTracking or CSS.takeCoverageDelta
+   * @return {Array<CoverageEntry>}
+   */
+  _coverageEntries (ruleUsage) {
     // aggregate by styleSheetId
     const styleSheetIdToCoverage = new Map()
-    for (const entry of ruleTrackingResponse.ruleUsage) {
+    for (const entry of ruleUsage) {
       let ranges = styleSheetIdToCoverage.get(entry.styleSheetId)
       if (!ranges) {
         ranges = []
@@ -102,10 +126,22 @@ class CSSCoverage {
     for (const styleSheetId of this._stylesheetURLs.keys()) {
       const url = this._stylesheetURLs.get(styleSheetId)
       const text = this._stylesheetSources.get(styleSheetId)
-      const ranges = convertToDisjointRanges(
-        styleSheetIdToCoverage.get(styleSheetId) || []
-      )
-      coverage.push({ url, ranges, text })
+      const rules = styleSheetIdToCoverage.get(styleSheetId) || []
+      const ranges = convertToDisjointRanges(rules)
+      if (!this._detailed) {
+        coverage.push({ url, ranges, text })
+        continue
+      }
+      coverage.push({
+        url,
+        ranges,
+        text,
+        rules: rules.map(({ startOffset, endOffset, count }) => ({
+          startOffset,
+          endOffset,
+          used: count > 0
+        }))
+      })
     }
 
     return coverage
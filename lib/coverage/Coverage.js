@@ -1,5 +1,8 @@
+const { assert } = require('../helper')
 const CSSCoverage = require('./CSSCoverage')
 const JSCoverage = require('./JSCoverage')
+const mergeCoverage = require('./mergeCoverage')
+const { toIstanbul, toLCOV } = require('./istanbul')
 
 class Coverage {
   /**
@@ -20,7 +23,40 @@ class Coverage {
   }
 
   /**
-   * @param {!{resetOnNavigation?: boolean, reportAnonymousScripts?: boolean}} [options]
+   * Merge the coverage of several pages, runs or snapshots into one report, uniting the ranges
+   * of the same script or style sheet
+   * @param {...(Array<CoverageEntry>|CoverageSnapshot)} reports
+   * @return {Array<CoverageEntry>}
+   * @since chrome-remote-interface-extra
+   */
+  static merge (...reports) {
+    return mergeCoverage(reports)
+  }
+
+  /**
+   * Convert coverage entries to the JSON coverage format of Istanbul, resolving the original sources of
+   * the scripts with a source map. Detailed entries report the count of each function and block
+   * @param {Array<CoverageEntry>} entries
+   * @param {IstanbulOptions} [options]
+   * @return {Promise<Object<string, Object>>}
+   * @since chrome-remote-interface-extra
+   */
+  static toIstanbul (entries, options) {
+    return toIstanbul(entries, options)
+  }
+
+  /**
+   * Convert coverage in the JSON format of Istanbul to an LCOV tracefile
+   * @param {Object<string, Object>} coverageMap
+   * @return {string}
+   * @since chrome-remote-interface-extra
+   */
+  static toLCOV (coverageMap) {
+    return toLCOV(coverageMap)
+  }
+
+  /**
+   * @param {!{resetOnNavigation?: boolean, reportAnonymousScripts?: boolean, detailed?: boolean}} [options]
    */
   startJSCoverage (options) {
     return this._jsCoverage.start(options)
@@ -34,7 +70,7 @@ class Coverage {
   }
 
   /**
-   * @param {{resetOnNavigation?: boolean}=} [options]
+   * @param {{resetOnNavigation?: boolean, detailed?: boolean}=} [options]
    */
   startCSSCoverage (options) {
     return this._cssCoverage.start(options)
@@ -46,6 +82,34 @@ class Coverage {
   stopCSSCoverage () {
     return this._cssCoverage.stop()
   }
+
+  /**
+   * Take the JavaScript and CSS coverage collected since the coverage started or the previous snapshot was taken,
+   * without stopping, e.g. to measure the coverage of each step of a user flow.
+   * Use {@link Coverage.merge} to combine the coverage of the steps
+   * @param {string} [label]
+   * @return {Promise<CoverageSnapshot>}
+   * @since chrome-remote-interface-extra
+   */
+  async takeSnapshot (label) {
+    assert(
+      this._jsCoverage._enabled || this._cssCoverage._enabled,
+      'Coverage is not enabled'
+    )
+    const [js, css] = await Promise.all([
+      this._jsCoverage._enabled ? this._jsCoverage.takeSnapshot() : [],
+      this._cssCoverage._enabled ? this._cssCoverage.takeSnapshot() : []
+    ])
+    return { label, timestamp: Date.now(), js, css }
+  }
 }
 
 module.exports = Coverage
+
+/**
+ * @typedef {Object} CoverageSnapshot
+ * @property {string} [label]
+ * @property {number} timestamp - The time the snapshot was taken at, in milliseconds since the epoch
+ * @property {Array<CoverageEntry>} js - The coverage of the scripts, empty when the JavaScript coverage is not started
+ * @property {Array<CoverageEntry>} css - The coverage of the style sheets, empty when the CSS coverage is not started
+ */
@@ -1,6 +1,10 @@
 const { helper, debugError, assert } = require('../helper')
 const { EVALUATION_SCRIPT_URL } = require('../executionContext')
-const { convertToDisjointRanges } = require('../__shared')
+const {
+  convertToDisjointRanges,
+  disableSharedDomain,
+  enableSharedDomain
+} = require('../__shared')
 
 class JSCoverage {
   /**
@@ -19,21 +23,29 @@ class JSCoverage {
     this._enabled = false
     this._scriptURLs = new Map()
     this._scriptSources = new Map()
+    this._scriptSourceMapURLs = new Map()
     this._eventListeners = []
     this._resetOnNavigation = false
+    this._detailed = false
   }
 
   /**
-   * @param {!{resetOnNavigation?: boolean, reportAnonymousScripts?: boolean}} options
+   * @param {!{resetOnNavigation?: boolean, reportAnonymousScripts?: boolean, detailed?: boolean}} options
    */
   async start (options = {}) {
     assert(!this._enabled, 'JSCoverage is already enabled')
-    const { resetOnNavigation = true, reportAnonymousScripts = false } = options
+    const {
+      resetOnNavigation = true,
+      reportAnonymousScripts = false,
+      detailed = false
+    } = options
     this._resetOnNavigation = resetOnNavigation
     this._reportAnonymousScripts = reportAnonymousScripts
+    this._detailed = detailed
     this._enabled = true
     this._scriptURLs.clear()
     this._scriptSources.clear()
+    this._scriptSourceMapURLs.clear()
     this._eventListeners = [
       helper.addEventListener(
         this._client,
@@ -47,9 +59,9 @@ class JSCoverage {
       )
     ]
     await Promise.all([
-      this._client.send('Profiler.enable'),
+      enableSharedDomain(this._client, 'Profiler'),
       this._client.send('Profiler.startPreciseCoverage', {
-        callCount: false,
+        callCount: detailed,
         detailed: true
       }),
       this._client.send('Debugger.enable'),
@@ -61,6 +73,7 @@ class JSCoverage {
     if (!this._resetOnNavigation) return
     this._scriptURLs.clear()
     this._scriptSources.clear()
+    this._scriptSourceMapURLs.clear()
   }
 
   /**
@@ -77,6 +90,9 @@ class JSCoverage {
       })
       this._scriptURLs.set(event.scriptId, event.url)
       this._scriptSources.set(event.scriptId, response.scriptSource)
+      if (event.sourceMapURL) {
+        this._scriptSourceMapURLs.set(event.scriptId, event.sourceMapURL)
+      }
     } catch (e) {
       // This might happen if the page has already navigated away.
       debugError(e)
@@ -85,6 +101,8 @@ class JSCoverage {
   }
 
   /**
+   * Stop collecting the coverage. The entries of a detailed coverage also hold the functions reported by V8,
+   * with the number of times each function and each block of the functions was executed
    * @return {Promise<Array<CoverageEntry>>}
    */
   async stop () {
@@ -93,13 +111,33 @@ class JSCoverage {
     const [profileResponse] = await Promise.all([
       this._client.send('Profiler.takePreciseCoverage'),
       this._client.send('Profiler.stopPreciseCoverage'),
-      this._client.send('Profiler.disable'),
+      disableSharedDomain(this._client, 'Profiler'),
       this._client.send('Debugger.disable')
     ])
     helper.removeEventListeners(this._eventListeners)
 
+    return this._coverageEntries(profileResponse.result)
+  }
+
+  /**
+   * Take the coverage collected since the coverage started or the previous snapshot was taken, without stopping.
+   * The execution counters are reset, the next snapshot or {@link stop} only report the coverage collected afterwards
+   * @return {Promise<Array<CoverageEntry>>}
+   * @since chrome-remote-interface-extra
+   */
+  async takeSnapshot () {
+    assert(this._enabled, 'JSCoverage is not enabled')
+    const { result } = await this._client.send('Profiler.takePreciseCoverage')
+    return this._coverageEntries(result)
+  }
+
+  /**
+   * @param {Array<Object>} result - The coverage of the scripts reported by Profiler.takePreciseCoverage
+   * @return {Array<CoverageEntry>}
+   */
+  _coverageEntries (result) {
     const coverage = []
-    for (const entry of profileResponse.result) {
+    for (const entry of result) {
       let url = this._scriptURLs.get(entry.scriptId)
       if (!url && this._reportAnonymousScripts) {
         url = 'debugger://VM' + entry.scriptId
@@ -109,7 +147,18 @@ class JSCoverage {
       const flattenRanges = []
       for (const func of entry.functions) flattenRanges.push(...func.ranges)
       const ranges = convertToDisjointRanges(flattenRanges)
-      coverage.push({ url, ranges, text })
+      if (!this._detailed) {
+        coverage.push({ url, ranges, text })
+        continue
+      }
+      coverage.push({
+        url,
+        ranges,
+        text,
+        scriptId: entry.scriptId,
+        sourceMapURL: this._scriptSourceMapURLs.get(entry.scriptId) || null,
+        functions: entry.functions
+      })
     }
     return coverage
   }
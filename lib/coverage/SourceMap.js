@@ -0,0 +1,323 @@
+const fs = require('fs-extra')
+const http = require('http')
+const https = require('https')
+const { URL, fileURLToPath } = require('url')
+const { TimeoutError } = require('../Errors')
+
+/**
+ * The values of the base64 digits of the VLQ encoded mappings
+ * @type {Object<string, number>}
+ */
+const Base64Digits = {}
+'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/'
+  .split('')
+  .forEach((digit, value) => (Base64Digits[digit] = value))
+
+/**
+ * @type {RegExp}
+ */
+const SourceMappingURLRegex = /\/[*/][#@]\s*sourceMappingURL=([^\s'"*]+)\s*(?:\*\/\s*)?$/m
+
+/**
+ * The number of redirects followed when loading a source map over http(s)
+ * @type {number}
+ */
+const MaxRedirects = 5
+
+/**
+ * A version 3 source map, mapping the positions of a generated script to its original sources
+ * @see https://sourcemaps.info/spec.html
+ * @since chrome-remote-interface-extra
+ */
+class SourceMap {
+  /**
+   * Load the source map of a script, from the sourceMapURL reported by Debugger.scriptParsed or the
+   * sourceMappingURL comment of the source of the script. Inline data URLs, file URLs and http(s) URLs are supported,
+   * other URLs can be loaded using options.load, e.g. by fetching them from the page
+   * @param {string} scriptURL
+   * @param {?string} sourceMapURL
+   * @param {string} [scriptSource]
+   * @param {SourceMapLoadOptions} [options]
+   * @return {Promise<?SourceMap>} - Null when the script has no source map
+   */
+  static async load (scriptURL, sourceMapURL, scriptSource, options = {}) {
+    if (!sourceMapURL && scriptSource) {
+      const match = SourceMappingURLRegex.exec(scriptSource)
+      if (match) sourceMapURL = match[1]
+    }
+    if (!sourceMapURL) return null
+    const url = resolveURL(sourceMapURL, scriptURL)
+    const json = url.startsWith('data:')
+      ? decodeDataURL(url)
+      : await (options.load || loadURL)(url, options.timeout)
+    // the sources of an inline source map are relative to the script
+    return new SourceMap(
+      JSON.parse(json),
+      url.startsWith('data:') ? scriptURL : url
+    )
+  }
+
+  /**
+   * @param {!Object} payload - The parsed source map
+   * @param {string} [url] - The URL the sources are relative to
+   */
+  constructor (payload, url) {
+    /**
+     * @type {Object}
+     * @private
+     */
+    this._payload = payload
+    const sourceRoot = payload.sourceRoot || ''
+    /**
+     * The URLs of the original sources
+     * @type {Array<string>}
+     */
+    this._sources = (payload.sources || []).map(source => {
+      const path = sourceRoot
+        ? sourceRoot.replace(/\/?$/, '/') + source
+        : source
+      return url ? resolveURL(path, url) : path
+    })
+    /**
+     * The segments of each line of the generated script, sorted by column,
+     * each holding the generated column, the index of the source and the original line and column
+     * @type {Array<Array<Array<number>>>}
+     */
+    this._lines = decodeMappings(payload.mappings || '')
+  }
+
+  /**
+   * @return {Array<string>}
+   */
+  get sources () {
+    return this._sources
+  }
+
+  /**
+   * @param {string} source
+   * @return {?string} - The content of the source embedded in the source map
+   */
+  sourceContent (source) {
+    const index = this._sources.indexOf(source)
+    const contents = this._payload.sourcesContent || []
+    return index === -1 ? null : contents[index] || null
+  }
+
+  /**
+   * @param {number} line - The 0-based line of the generated script
+   * @param {number} column - The 0-based column of the generated script
+   * @return {?{source: string, line: number, column: number}} - The 0-based position in the original source
+   */
+  originalPositionFor (line, column) {
+    const segments = this._lines[line]
+    if (!segments || !segments.length) return null
+    let low = 0
+    let high = segments.length - 1
+    let found = -1
+    while (low <= high) {
+      const middle = (low + high) >> 1
+      if (segments[middle][0] <= column) {
+        found = middle
+        low = middle + 1
+      } else {
+        high = middle - 1
+      }
+    }
+    if (found === -1 || segments[found].length < 4) return null
+    const [, source, originalLine, originalColumn] = segments[found]
+    return {
+      source: this._sources[source],
+      line: originalLine,
+      column: originalColumn
+    }
+  }
+
+  /**
+   * Iterate over the mapped segments of the generated script
+   * @param {function(generated: {line: number, column: number}, original: {source: string, line: number, column: number})} callback
+   */
+  forEachMapping (callback) {
+    this._lines.forEach((segments, line) => {
+      for (const segment of segments) {
+        if (segment.length < 4) continue
+        callback(
+          { line, column: segment[0] },
+          {
+            source: this._sources[segment[1]],
+            line: segment[2],
+            column: segment[3]
+          }
+        )
+      }
+    })
+  }
+}
+
+/**
+ * Decode the base64 VLQ encoded mappings of a source map
+ * @param {string} mappings
+ * @return {Array<Array<Array<number>>>}
+ */
+function decodeMappings (mappings) {
+  const lines = []
+  // the source, original line and original column are relative to the previous segment of any line
+  let source = 0
+  let originalLine = 0
+  let originalColumn = 0
+  for (const lineMappings of mappings.split(';')) {
+    const segments = []
+    let column = 0
+    for (const segmentMappings of lineMappings.split(',')) {
+      if (!segmentMappings) continue
+      const values = decodeVLQ(segmentMappings)
+      column += values[0]
+      if (values.length < 4) {
+        segments.push([column])
+        continue
+      }
+      source += values[1]
+      originalLine += values[2]
+      originalColumn += values[3]
+      segments.push([column, source, originalLine, originalColumn])
+    }
+    segments.sort((a, b) => a[0] - b[0])
+    lines.push(segments)
+  }
+  return lines
+}
+
+/**
+ * @param {string} segment
+ * @return {Array<number>}
+ */
+function decodeVLQ (segment) {
+  const values = []
+  let value = 0
+  let shift = 0
+  for (const digit of segment) {
+    const digitValue = Base64Digits[digit]
+    if (digitValue === undefined) {
+      throw new Error(`Invalid source map mappings, unexpected "${digit}"`)
+    }
+    value += (digitValue & 31) << shift
+    if (digitValue & 32) {
+      shift += 5
+      continue
+    }
+    values.push(value & 1 ? -(value >>> 1) : value >>> 1)
+    value = 0
+    shift = 0
+  }
+  return values
+}
+
+/**
+ * @param {string} url
+ * @param {string} base
+ * @return {string}
+ */
+function resolveURL (url, base) {
+  try {
+    return new URL(url, base).href
+  } catch (e) {
+    return url
+  }
+}
+
+/**
+ * @param {string} url
+ * @return {string}
+ */
+function decodeDataURL (url) {
+  const comma = url.indexOf(',')
+  const data = url.substring(comma + 1)
+  return url.substring(0, comma).endsWith(';base64')
+    ? Buffer.from(data, 'base64').toString('utf8')
+    : decodeURIComponent(data)
+}
+
+/**
+ * @param {string} url
+ * @param {number} [timeout = 30000]
+ * @return {Promise<string>}
+ */
+async function loadURL (url, timeout = 30000) {
+  if (url.startsWith('file:')) {
+    return fs.readFile(fileURLToPath(url), 'utf8')
+  }
+  return httpGet(url, timeout, MaxRedirects)
+}
+
+/**
+ * @param {string} url
+ * @param {number} timeout - The time to wait for the response, 0 disables the timeout
+ * @param {number} redirects - The number of redirects which may still be followed
+ * @return {Promise<string>}
+ */
+function httpGet (url, timeout, redirects) {
+  const get = url.startsWith('https:') ? https.get : http.get
+  return new Promise((resolve, reject) => {
+    let timer = null
+    const settle = (callback, value) => {
+      clearTimeout(timer)
+      callback(value)
+    }
+    const request = get(url, response => {
+      const { statusCode, headers } = response
+      if (statusCode >= 300 && statusCode < 400 && headers.location) {
+        response.resume()
+        if (!redirects) {
+          settle(
+            reject,
+            new Error(
+              `Failed to load the source map ${url}, too many redirects`
+            )
+          )
+          return
+        }
+        settle(
+          resolve,
+          httpGet(resolveURL(headers.location, url), timeout, redirects - 1)
+        )
+        return
+      }
+      if (statusCode !== 200) {
+        response.resume()
+        settle(
+          reject,
+          new Error(
+            `Failed to load the source map ${url}, status ${statusCode}`
+          )
+        )
+        return
+      }
+      const chunks = []
+      response.on('data', chunk => chunks.push(chunk))
+      response.on('end', () =>
+        settle(resolve, Buffer.concat(chunks).toString('utf8'))
+      )
+      response.on('error', error => settle(reject, error))
+    })
+    request.on('error', error => settle(reject, error))
+    if (timeout) {
+      timer = setTimeout(() => {
+        request.abort()
+        reject(
+          new TimeoutError(
+            `Failed to load the source map ${url}: timeout ${timeout}ms exceeded`
+          )
+        )
+      }, timeout)
+    }
+  })
+}
+
+module.exports = SourceMap
+
+/**
+ * @typedef {Object} SourceMapLoadOptions
+ * @property {number} [timeout = 30000] - Maximum time in milliseconds to wait for a source map loaded over http(s),
+ * 0 disables the timeout
+ * @property {function(url: string, timeout: number): Promise<string>} [load] - Load the source maps which are
+ * not inline data URLs, e.g. url => page.evaluate(url => fetch(url).then(response => response.text()), url)
+ */
@@ -3,3 +3,5 @@ exports.Coverage = require('./Coverage')
 exports.CSSCoverage = require('./CSSCoverage')
 
 exports.JSCoverage = require('./JSCoverage')
+
+exports.SourceMap = require('./SourceMap')
@@ -0,0 +1,405 @@
+const { debugError } = require('../helper')
+const SourceMap = require('./SourceMap')
+
+/**
+ * A sorted list of the offsets of the lines of a text, converting offsets to positions
+ */
+class LineIndex {
+  /**
+   * @param {string} text
+   */
+  constructor (text) {
+    this.text = text
+    /** @type {Array<number>} */
+    this.offsets = [0]
+    for (let i = 0; i < text.length; i++) {
+      if (text[i] === '\n') this.offsets.push(i + 1)
+    }
+  }
+
+  /**
+   * @param {number} offset
+   * @return {{line: number, column: number}} - The 0-based line and column
+   */
+  position (offset) {
+    let low = 0
+    let high = this.offsets.length - 1
+    while (low < high) {
+      const middle = (low + high + 1) >> 1
+      if (this.offsets[middle] <= offset) low = middle
+      else high = middle - 1
+    }
+    return { line: low, column: offset - this.offsets[low] }
+  }
+
+  /**
+   * @param {number} line
+   * @param {number} column
+   * @return {number}
+   */
+  offset (line, column) {
+    return (this.offsets[line] || 0) + column
+  }
+}
+
+/**
+ * Collects the coverage of one file in the format of Istanbul
+ */
+class FileCoverage {
+  /**
+   * @param {string} path
+   */
+  constructor (path) {
+    this.path = path
+    this.statementMap = {}
+    this.fnMap = {}
+    this.branchMap = {}
+    this.s = {}
+    this.f = {}
+    this.b = {}
+    /**
+     * The statement of each line, only one statement is reported per line
+     * @type {Map<number, {id: string, column: number}>}
+     */
+    this._lineStatements = new Map()
+  }
+
+  /**
+   * @param {{line: number, column: number}} start - The 0-based position of the statement
+   * @param {number} lineLength
+   * @param {number} count
+   */
+  addLine (start, lineLength, count) {
+    const existing = this._lineStatements.get(start.line)
+    // the statement of a line is the first mapped to it
+    if (existing && existing.column <= start.column) return
+    const id = existing ? existing.id : String(this._lineStatements.size)
+    this._lineStatements.set(start.line, { id, column: start.column })
+    this.statementMap[id] = {
+      start: { line: start.line + 1, column: start.column },
+      end: { line: start.line + 1, column: Math.max(start.column, lineLength) }
+    }
+    this.s[id] = count
+  }
+
+  /**
+   * @param {string} name
+   * @param {{start: Object, end: Object}} location - The 0-based location of the function
+   * @param {number} count
+   */
+  addFunction (name, location, count) {
+    const id = String(Object.keys(this.fnMap).length)
+    const loc = istanbulLocation(location)
+    this.fnMap[id] = { name, decl: loc, loc, line: loc.start.line }
+    this.f[id] = count
+  }
+
+  /**
+   * @param {{start: Object, end: Object}} location - The 0-based location of the block
+   * @param {number} count
+   */
+  addBranch (location, count) {
+    const id = String(Object.keys(this.branchMap).length)
+    const loc = istanbulLocation(location)
+    this.branchMap[id] = {
+      type: 'branch',
+      loc,
+      locations: [loc],
+      line: loc.start.line
+    }
+    this.b[id] = [count]
+  }
+
+  /**
+   * @return {Object} - The coverage in the JSON format of Istanbul
+   */
+  toJSON () {
+    const { path, statementMap, fnMap, branchMap, s, f, b } = this
+    return { path, statementMap, fnMap, branchMap, s, f, b }
+  }
+}
+
+/**
+ * @param {{start: {line: number, column: number}, end: {line: number, column: number}}} location
+ * @return {{start: {line: number, column: number}, end: {line: number, column: number}}} - The location with 1-based lines
+ */
+function istanbulLocation ({ start, end }) {
+  return {
+    start: { line: start.line + 1, column: start.column },
+    end: { line: end.line + 1, column: end.column }
+  }
+}
+
+/**
+ * The ranges of the coverage of a script or style sheet, nested ranges follow the ranges they are nested in
+ * @param {CoverageEntry} entry
+ * @return {Array<{startOffset: number, endOffset: number, count: number}>}
+ */
+function countRanges (entry) {
+  if (entry.functions) {
+    const ranges = []
+    for (const fn of entry.functions) ranges.push(...fn.ranges)
+    // V8 reports the ranges of a function after the ranges enclosing it
+    return ranges.sort(
+      (a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset
+    )
+  }
+  if (entry.rules) {
+    return entry.rules.map(({ startOffset, endOffset, used }) => ({
+      startOffset,
+      endOffset,
+      count: used ? 1 : 0
+    }))
+  }
+  // the ranges of the covered text, the rest of the text is not covered
+  const ranges = [{ startOffset: 0, endOffset: entry.text.length, count: 0 }]
+  for (const { start, end } of entry.ranges) {
+    ranges.push({ startOffset: start, endOffset: end, count: 1 })
+  }
+  return ranges
+}
+
+/**
+ * @param {Array<{startOffset: number, endOffset: number, count: number}>} ranges
+ * @param {number} offset
+ * @return {?number} - The count of the innermost range containing the offset, null when no range contains it
+ */
+function countAt (ranges, offset) {
+  let count = null
+  for (const range of ranges) {
+    if (range.startOffset > offset) break
+    if (offset < range.endOffset) count = range.count
+  }
+  return count
+}
+
+/**
+ * Convert the coverage reported by {@link JSCoverage} and {@link CSSCoverage} to the JSON coverage format of Istanbul,
+ * keyed by path, so that it can be merged with the coverage of other tools and reported by them.
+ *
+ * Each line of a file is a statement, counted by the innermost range containing its first character. When the entries
+ * are detailed, each function and each block of a function is reported with its count. Scripts with a source map are
+ * reported as their original sources
+ * @param {Array<CoverageEntry>} entries
+ * @param {IstanbulOptions} [options]
+ * @return {Promise<Object<string, Object>>}
+ * @since chrome-remote-interface-extra
+ */
+async function toIstanbul (entries, options = {}) {
+  const {
+    sourceMaps = true,
+    resolvePath = url => url,
+    sourceMapTimeout,
+    loadSourceMap
+  } = options
+  /** @type {Map<string, FileCoverage>} */
+  const files = new Map()
+  const fileCoverage = url => {
+    const path = resolvePath(url)
+    if (!files.has(path)) files.set(path, new FileCoverage(path))
+    return files.get(path)
+  }
+  for (const entry of entries) {
+    let sourceMap = null
+    if (sourceMaps && entry.functions) {
+      sourceMap = await SourceMap.load(
+        entry.url,
+        entry.sourceMapURL,
+        entry.text,
+        {
+          timeout: sourceMapTimeout,
+          load: loadSourceMap
+        }
+      ).catch(error => {
+        // the entry is reported as the generated script
+        debugError(error)
+        return null
+      })
+    }
+    const lines = new LineIndex(entry.text)
+    const ranges = countRanges(entry)
+    if (sourceMap) {
+      addMappedEntry(entry, sourceMap, lines, ranges, fileCoverage)
+    } else {
+      addEntry(entry, lines, ranges, fileCoverage(entry.url))
+    }
+  }
+  const coverageMap = {}
+  for (const [path, file] of files) coverageMap[path] = file.toJSON()
+  return coverageMap
+}
+
+/**
+ * @param {CoverageEntry} entry
+ * @param {LineIndex} lines
+ * @param {Array<{startOffset: number, endOffset: number, count: number}>} ranges
+ * @param {FileCoverage} file
+ */
+function addEntry (entry, lines, ranges, file) {
+  for (let line = 0; line < lines.offsets.length; line++) {
+    const lineStart = lines.offsets[line]
+    const lineEnd =
+      line + 1 < lines.offsets.length
+        ? lines.offsets[line + 1] - 1
+        : entry.text.length
+    const text = entry.text.substring(lineStart, lineEnd)
+    const column = text.search(/\S/)
+    if (column === -1) continue
+    const count = countAt(ranges, lineStart + column)
+    if (count === null) continue
+    file.addLine({ line, column }, text.trimRight().length, count)
+  }
+  for (const { fn, range, isFunction } of functionRanges(entry)) {
+    const location = {
+      start: lines.position(range.startOffset),
+      end: lines.position(range.endOffset)
+    }
+    if (isFunction) file.addFunction(fn.functionName, location, range.count)
+    else file.addBranch(location, range.count)
+  }
+}
+
+/**
+ * @param {CoverageEntry} entry
+ * @param {SourceMap} sourceMap
+ * @param {LineIndex} lines
+ * @param {Array<{startOffset: number, endOffset: number, count: number}>} ranges
+ * @param {function(string): FileCoverage} fileCoverage
+ */
+function addMappedEntry (entry, sourceMap, lines, ranges, fileCoverage) {
+  /** @type {Map<string, Array<string>>} */
+  const sourceLines = new Map()
+  const lineText = (source, line) => {
+    if (!sourceLines.has(source)) {
+      const content = sourceMap.sourceContent(source)
+      sourceLines.set(source, content ? content.split('\n') : [])
+    }
+    return sourceLines.get(source)[line] || ''
+  }
+  sourceMap.forEachMapping((generated, original) => {
+    const count = countAt(
+      ranges,
+      lines.offset(generated.line, generated.column)
+    )
+    if (count === null) return
+    fileCoverage(original.source).addLine(
+      { line: original.line, column: original.column },
+      lineText(original.source, original.line).trimRight().length,
+      count
+    )
+  })
+  for (const { fn, range, isFunction } of functionRanges(entry)) {
+    const startPosition = lines.position(range.startOffset)
+    // the end offset is exclusive, the last character of the range is mapped instead
+    const endPosition = lines.position(Math.max(0, range.endOffset - 1))
+    const start = sourceMap.originalPositionFor(
+      startPosition.line,
+      startPosition.column
+    )
+    const last = sourceMap.originalPositionFor(
+      endPosition.line,
+      endPosition.column
+    )
+    const end = last && Object.assign({}, last, { column: last.column + 1 })
+    // ranges spanning several original sources, e.g. the wrapper of a bundle, are not reported
+    if (!start || !end || start.source !== end.source) continue
+    const file = fileCoverage(start.source)
+    const location = { start, end }
+    if (isFunction) file.addFunction(fn.functionName, location, range.count)
+    else file.addBranch(location, range.count)
+  }
+}
+
+/**
+ * The ranges of the functions of the entry and of the blocks of the functions with block coverage.
+ * The function of the top level of the script is not reported
+ * @param {CoverageEntry} entry
+ * @return {Array<{fn: Object, range: Object, isFunction: boolean}>}
+ */
+function functionRanges (entry) {
+  const results = []
+  for (const fn of entry.functions || []) {
+    const [range, ...blocks] = fn.ranges
+    const topLevel =
+      !fn.functionName &&
+      range.startOffset === 0 &&
+      range.endOffset >= entry.text.length
+    if (!topLevel) results.push({ fn, range, isFunction: true })
+    if (!fn.isBlockCoverage) continue
+    for (const block of blocks) {
+      results.push({ fn, range: block, isFunction: false })
+    }
+  }
+  return results
+}
+
+/**
+ * Convert coverage in the JSON format of Istanbul to the LCOV tracefile format
+ * @param {Object<string, Object>} coverageMap
+ * @return {string}
+ * @see http://ltp.sourceforge.net/coverage/lcov/geninfo.1.php
+ * @since chrome-remote-interface-extra
+ */
+function toLCOV (coverageMap) {
+  const lines = []
+  for (const path of Object.keys(coverageMap)) {
+    const { statementMap, fnMap, branchMap, s, f, b } = coverageMap[path]
+    lines.push('TN:', `SF:${path}`)
+    const fnIds = Object.keys(fnMap)
+    for (const id of fnIds) {
+      lines.push(`FN:${fnMap[id].decl.start.line},${functionName(fnMap, id)}`)
+    }
+    for (const id of fnIds) {
+      lines.push(`FNDA:${f[id]},${functionName(fnMap, id)}`)
+    }
+    lines.push(
+      `FNF:${fnIds.length}`,
+      `FNH:${fnIds.filter(id => f[id] > 0).length}`
+    )
+    const lineCounts = new Map()
+    for (const id of Object.keys(statementMap)) {
+      const line = statementMap[id].start.line
+      lineCounts.set(line, Math.max(lineCounts.get(line) || 0, s[id]))
+    }
+    const sortedLines = Array.from(lineCounts.keys()).sort((x, y) => x - y)
+    for (const line of sortedLines)
+      lines.push(`DA:${line},${lineCounts.get(line)}`)
+    lines.push(
+      `LF:${sortedLines.length}`,
+      `LH:${sortedLines.filter(line => lineCounts.get(line) > 0).length}`
+    )
+    let branches = 0
+    let branchesHit = 0
+    for (const id of Object.keys(branchMap)) {
+      b[id].forEach((count, index) => {
+        branches++
+        if (count > 0) branchesHit++
+        lines.push(`BRDA:${branchMap[id].line},${id},${index},${count}`)
+      })
+    }
+    lines.push(`BRF:${branches}`, `BRH:${branchesHit}`, 'end_of_record')
+  }
+  return lines.length ? lines.join('\n') + '\n' : ''
+}
+
+/**
+ * @param {Object} fnMap
+ * @param {string} id
+ * @return {string} - The name of the function, anonymous functions are named after their id
+ */
+function functionName (fnMap, id) {
+  return fnMap[id].name || `(anonymous_${id})`
+}
+
+module.exports = { toIstanbul, toLCOV }
+
+/**
+ * @typedef {Object} IstanbulOptions
+ * @property {boolean} [sourceMaps = true] - Report the original sources of scripts with a source map
+ * @property {function(url: string): string} [resolvePath] - Map the URLs of the scripts, style sheets and original sources
+ * to the paths of the files, e.g. to merge the coverage with the coverage of unit tests. The URLs are used by default
+ * @property {number} [sourceMapTimeout = 30000] - Maximum time in milliseconds to wait for a source map loaded over
+ * http(s), 0 disables the timeout
+ * @property {function(url: string, timeout: number): Promise<string>} [loadSourceMap] - Load the source maps which are
+ * not inline data URLs instead, e.g. by fetching them from the page
+ */
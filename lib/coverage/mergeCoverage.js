@@ -0,0 +1,150 @@
+const { convertToDisjointRanges } = require('../__shared')
+
+/**
+ * Merge the coverage of several reports, e.g. of several pages or runs. The entries of the same script or style sheet,
+ * having the same URL and text, are merged into one entry covering the union of their ranges
+ * @param {Array<Array<CoverageEntry>|CoverageSnapshot>} reports
+ * @return {Array<CoverageEntry>}
+ */
+function mergeCoverage (reports) {
+  /** @type {Map<string, Array<CoverageEntry>>} */
+  const entriesByScript = new Map()
+  for (const report of reports) {
+    const entries = Array.isArray(report)
+      ? report
+      : [].concat(report.js || [], report.css || [])
+    for (const entry of entries) {
+      const key = `${entry.url}\n${entry.text}`
+      if (!entriesByScript.has(key)) entriesByScript.set(key, [])
+      entriesByScript.get(key).push(entry)
+    }
+  }
+  return Array.from(entriesByScript.values(), mergeEntries)
+}
+
+/**
+ * @param {Array<CoverageEntry>} entries - The entries of the same script or style sheet
+ * @return {CoverageEntry}
+ */
+function mergeEntries (entries) {
+  const [first] = entries
+  if (entries.length === 1) return first
+  const { url, text } = first
+  if (entries.every(entry => entry.functions)) {
+    const functions = mergeFunctions(entries.map(entry => entry.functions))
+    const nestedRanges = []
+    for (const fn of functions) nestedRanges.push(...fn.ranges)
+    return {
+      url,
+      ranges: convertToDisjointRanges(nestedRanges),
+      text,
+      scriptId: first.scriptId,
+      sourceMapURL: first.sourceMapURL,
+      functions
+    }
+  }
+  const ranges = unionRanges(entries)
+  if (!entries.every(entry => entry.rules)) return { url, ranges, text }
+  /** @type {Map<string, {startOffset: number, endOffset: number, used: boolean}>} */
+  const rules = new Map()
+  for (const entry of entries) {
+    for (const rule of entry.rules) {
+      const key = `${rule.startOffset}:${rule.endOffset}`
+      const merged = rules.get(key)
+      if (merged) merged.used = merged.used || rule.used
+      else rules.set(key, Object.assign({}, rule))
+    }
+  }
+  return {
+    url,
+    ranges,
+    text,
+    rules: Array.from(rules.values()).sort(
+      (a, b) => a.startOffset - b.startOffset
+    )
+  }
+}
+
+/**
+ * @param {Array<CoverageEntry>} entries
+ * @return {Array<{start: number, end: number}>} - The sorted union of the ranges of the entries
+ */
+function unionRanges (entries) {
+  const ranges = []
+  for (const entry of entries) ranges.push(...entry.ranges)
+  ranges.sort((a, b) => a.start - b.start)
+  const union = []
+  for (const { start, end } of ranges) {
+    const last = union[union.length - 1]
+    if (last && start <= last.end) last.end = Math.max(last.end, end)
+    else union.push({ start, end })
+  }
+  return union
+}
+
+/**
+ * Sum the counts of the functions reported by V8 for the same script. The blocks of a function are only reported
+ * when their count differs from the count of the enclosing block, the count of a block missing from a report is
+ * the count of the innermost range of that report enclosing it
+ * @param {Array<Array<Object>>} reports - The functions of each report
+ * @return {Array<Object>}
+ */
+function mergeFunctions (reports) {
+  /** @type {Map<string, Array<Object>>} */
+  const functionsByRange = new Map()
+  for (const functions of reports) {
+    for (const fn of functions) {
+      const [range] = fn.ranges
+      const key = `${fn.functionName}:${range.startOffset}:${range.endOffset}`
+      if (!functionsByRange.has(key)) functionsByRange.set(key, [])
+      functionsByRange.get(key).push(fn)
+    }
+  }
+  return Array.from(functionsByRange.values(), functions => {
+    const blocks = new Map()
+    for (const fn of functions) {
+      for (const { startOffset, endOffset } of fn.ranges) {
+        blocks.set(`${startOffset}:${endOffset}`, { startOffset, endOffset })
+      }
+    }
+    const ranges = Array.from(blocks.values())
+      .sort(
+        (a, b) => a.startOffset - b.startOffset || b.endOffset - a.endOffset
+      )
+      .map(({ startOffset, endOffset }) => {
+        let count = 0
+        for (const fn of functions) {
+          count += enclosingCount(fn.ranges, startOffset, endOffset)
+        }
+        return { startOffset, endOffset, count }
+      })
+    return {
+      functionName: functions[0].functionName,
+      ranges,
+      isBlockCoverage: functions.some(fn => fn.isBlockCoverage)
+    }
+  })
+}
+
+/**
+ * @param {Array<{startOffset: number, endOffset: number, count: number}>} ranges
+ * @param {number} startOffset
+ * @param {number} endOffset
+ * @return {number} - The count of the innermost range enclosing the block
+ */
+function enclosingCount (ranges, startOffset, endOffset) {
+  let innermost = null
+  for (const range of ranges) {
+    if (range.startOffset > startOffset || range.endOffset < endOffset) continue
+    if (
+      !innermost ||
+      range.endOffset - range.startOffset <
+        innermost.endOffset - innermost.startOffset
+    ) {
+      innermost = range
+    }
+  }
+  return innermost ? innermost.count : 0
+}
+
+module.exports = mergeCoverage
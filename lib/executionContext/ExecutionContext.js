@@ -3,6 +3,7 @@ const util = require('util')
 const { helper, assert } = require('../helper')
 const { createJSHandle, JSHandle } = require('../JSHandle')
 const EVALUATION_SCRIPT_URL = require('./evalURL')
+const { selectorEnginesSource } = require('../selectors/selectorEngines')
 
 const SOURCE_URL_REGEX = /^[\040\t]*\/\/[@#] sourceURL=\s*(\S*?)\s*$/m
 const SUFFIX = `//# sourceURL=${EVALUATION_SCRIPT_URL}`
@@ -34,6 +35,18 @@ class ExecutionContext {
      * @private
      */
     this._contextPayload = contextPayload
+
+    /**
+     * @type {?Promise<JSHandle>}
+     * @private
+     */
+    this._selectorEnginesPromise = null
+
+    /**
+     * @type {?string}
+     * @private
+     */
+    this._selectorEnginesSource = null
   }
 
   /**
@@ -133,6 +146,27 @@ class ExecutionContext {
     return this._evaluateHandleImpl(false, () => self)
   }
 
+  /**
+   * The query functions of the registered selector engines, see {@link registerSelectorEngine},
+   * injected into this context. They are injected again when the engines registered change
+   * @return {Promise<JSHandle>}
+   */
+  _injectedSelectorEngines () {
+    const source = selectorEnginesSource()
+    if (
+      !this._selectorEnginesPromise ||
+      this._selectorEnginesSource !== source
+    ) {
+      this._selectorEnginesSource = source
+      this._selectorEnginesPromise = this.evaluateHandle(source)
+      // a failed injection is retried by the next query
+      this._selectorEnginesPromise.catch(() => {
+        this._selectorEnginesPromise = null
+      })
+    }
+    return this._selectorEnginesPromise
+  }
+
   /**
    * @param {ElementHandle} elementHandle
    * @return {Promise<ElementHandle>}
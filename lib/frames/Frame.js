@@ -2,6 +2,7 @@
 const util = require('util')
 const { helper } = require('../helper')
 const DOMWorld = require('../DOMWorld')
+const Locator = require('./Locator')
 
 class Frame {
   /**
@@ -289,19 +290,21 @@ class Frame {
   /**
    * Alias for {@link $}
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle|undefined>}
    */
-  querySelector (selector) {
-    return this.$(selector)
+  querySelector (selector, options) {
+    return this.$(selector, options)
   }
 
   /**
    * Alias for {@link $$}
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  querySelectorAll (selector) {
-    return this.$$(selector)
+  querySelectorAll (selector, options) {
+    return this.$$(selector, options)
   }
 
   /**
@@ -347,11 +350,93 @@ class Frame {
   }
 
   /**
+   * Create a locator for the elements of this frame matching the selector, see {@link Locator}
    * @param {string} selector
+   * @return {Locator}
+   * @since chrome-remote-interface-extra
+   */
+  locator (selector) {
+    return new Locator(
+      this,
+      this._frameManager._timeoutSettings,
+      [{ type: 'css', selector }],
+      `locator(${JSON.stringify(selector)})`
+    )
+  }
+
+  /**
+   * Find the first element with the supplied role, and optionally accessible name, in the accessibility tree
+   * @param {string} role - The ARIA role of the element, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<?ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  getByRole (role, options) {
+    return this._mainWorld.getByRole(role, options)
+  }
+
+  /**
+   * Find every element with the supplied role, and optionally accessible name, in the accessibility tree
+   * @param {string} role - The ARIA role of the elements, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<Array<ElementHandle>>}
+   * @since chrome-remote-interface-extra
+   */
+  getAllByRole (role, options) {
+    return this._mainWorld.getAllByRole(role, options)
+  }
+
+  /**
+   * Find the first element labelled by the supplied text
+   * @param {string|RegExp} text
+   * @param {{exact?: boolean}} [options]
+   * @return {Promise<?ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  getByLabel (text, options) {
+    return this._mainWorld.getByLabel(text, options)
+  }
+
+  /**
+   * Find every element labelled by the supplied text
+   * @param {string|RegExp} text
+   * @param {{exact?: boolean}} [options]
+   * @return {Promise<Array<ElementHandle>>}
+   * @since chrome-remote-interface-extra
+   */
+  getAllByLabel (text, options) {
+    return this._mainWorld.getAllByLabel(text, options)
+  }
+
+  /**
+   * Wait for an element with the supplied role, and optionally accessible name, to be in the accessibility tree
+   * @param {string} role - The ARIA role of the element, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  waitForRole (role, options) {
+    return this._mainWorld.waitForRole(role, options)
+  }
+
+  /**
+   * Wait for an element labelled by the supplied text to be in the accessibility tree
+   * @param {string|RegExp} text
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  waitForLabel (text, options) {
+    return this._mainWorld.waitForLabel(text, options)
+  }
+
+  /**
+   * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle|undefined>}
    */
-  $ (selector) {
-    return this._mainWorld.$(selector)
+  $ (selector, options) {
+    return this._mainWorld.$(selector, options)
   }
 
   /**
@@ -363,7 +448,7 @@ class Frame {
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector
    * @param {Function|string} pageFunction
    * @param {...*} args
    * @return {Promise<Object|undefined>}
@@ -373,7 +458,7 @@ class Frame {
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector
    * @param {Function|string} pageFunction
    * @param {...*} args
    * @return {Promise<Object|undefined>}
@@ -384,10 +469,11 @@ class Frame {
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  $$ (selector) {
-    return this._mainWorld.$$(selector)
+  $$ (selector, options) {
+    return this._mainWorld.$$(selector, options)
   }
 
   /**
@@ -534,7 +620,7 @@ class Frame {
 
   /**
    * @param {string} selector
-   * @param {!{visible?: boolean, hidden?: boolean, timeout?: number}=} options
+   * @param {!{visible?: boolean, hidden?: boolean, pierce?: boolean, timeout?: number}=} options
    * @return {Promise<ElementHandle|undefined>}
    */
   async waitForSelector (selector, options) {
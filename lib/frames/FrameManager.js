@@ -8,6 +8,7 @@ const EVALUATION_SCRIPT_URL = require('../executionContext/evalURL')
 const LifecycleWatcher = require('../LifecycleWatcher')
 const Frame = require('./Frame')
 const FrameResourceTree = require('./FrameResourceTree')
+const { collectClosedShadowRoots } = require('../selectors/piercingSelector')
 
 const UTILITY_WORLD_NAME = '__chrome-remote-interface-extra_utility_world__'
 
@@ -68,6 +69,13 @@ class FrameManager extends EventEmitter {
     /** @type {Set<string>} */
     this._isolatedWorlds = new Set()
 
+    /**
+     * The backend node ids of the closed shadow roots of the page, forgotten when the DOM changes
+     * @type {?Promise<Array<number>>}
+     * @private
+     */
+    this._closedShadowRootIdsPromise = null
+
     this._client.on('Page.frameAttached', event => this._onFrameAttached(event))
     this._client.on('Page.frameNavigated', event =>
       this._onFrameNavigated(event)
@@ -91,6 +99,42 @@ class FrameManager extends EventEmitter {
     this._client.on('Page.lifecycleEvent', event =>
       this._onLifecycleEvent(event)
     )
+    // DOM.getDocument enables the DOM events for the nodes it returns
+    const forgetClosedShadowRoots = () => {
+      this._closedShadowRootIdsPromise = null
+    }
+    for (const eventName of [
+      'DOM.documentUpdated',
+      'DOM.setChildNodes',
+      'DOM.childNodeInserted',
+      'DOM.childNodeRemoved',
+      'DOM.shadowRootPushed',
+      'DOM.shadowRootPopped'
+    ]) {
+      this._client.on(eventName, forgetClosedShadowRoots)
+    }
+  }
+
+  /**
+   * The closed shadow roots of the page are only found using the whole DOM tree returned by DOM.getDocument,
+   * they are kept until the DOM changes so that the queries polled for do not request the tree every time
+   * @return {Promise<Array<number>>} - The backend node ids of the closed shadow roots
+   * @private
+   */
+  _closedShadowRootIds () {
+    if (!this._closedShadowRootIdsPromise) {
+      const promise = this._client
+        .send('DOM.getDocument', { depth: -1, pierce: true })
+        .then(({ root }) => collectClosedShadowRoots(root))
+      this._closedShadowRootIdsPromise = promise
+      // a failed request is retried by the next query
+      promise.catch(() => {
+        if (this._closedShadowRootIdsPromise === promise) {
+          this._closedShadowRootIdsPromise = null
+        }
+      })
+    }
+    return this._closedShadowRootIdsPromise
   }
 
   /**
@@ -0,0 +1,496 @@
+/* eslint-env node, browser */
+const util = require('util')
+const { helper, debugError } = require('../helper')
+const { TimeoutError } = require('../Errors')
+const { createJSHandle } = require('../JSHandle')
+
+/**
+ * The delays, in milliseconds, between attempts to resolve an actionable element.
+ * The last delay is used for every subsequent attempt
+ * @type {Array<number>}
+ */
+const RetryDelays = [0, 20, 50, 100, 100, 500]
+
+/**
+ * Fragments of the messages of errors caused by the element, or page, changing while it was being resolved
+ * @type {Array<string>}
+ */
+const RetryableErrors = [
+  'Execution context was destroyed',
+  'Cannot find context with specified id',
+  'Node is detached from document',
+  'Node is either not visible or not an HTMLElement',
+  'No node with given id found',
+  'Could not find node with given id'
+]
+
+/**
+ * @param {Error} error
+ * @return {boolean}
+ */
+function isRetryableError (error) {
+  const message = error && error.message ? error.message : ''
+  return RetryableErrors.some(fragment => message.includes(fragment))
+}
+
+/**
+ * Resolves the elements matched by the steps of a locator, evaluated in the page
+ * @param {Array<LocatorStep>} steps
+ * @param {boolean} all - Return every element rather than the first
+ * @return {Array<Element>|?Element}
+ */
+function queryLocatorSteps (steps, all) {
+  const normalize = text => text.replace(/\s+/g, ' ').trim()
+  let elements = [document]
+  for (const step of steps) {
+    if (step.type === 'css') {
+      const found = new Set()
+      for (const root of elements) {
+        for (const element of root.querySelectorAll(step.selector)) {
+          found.add(element)
+        }
+      }
+      elements = Array.from(found)
+    } else if (step.type === 'nth') {
+      const index = step.index < 0 ? elements.length + step.index : step.index
+      elements = elements[index] ? [elements[index]] : []
+    } else if (step.type === 'filter') {
+      const regex = step.hasTextRegExp
+        ? new RegExp(step.hasTextRegExp.source, step.hasTextRegExp.flags)
+        : null
+      const expected = regex ? null : normalize(step.hasText).toLowerCase()
+      elements = elements.filter(element => {
+        const text = normalize(element.textContent || '')
+        return regex ? regex.test(text) : text.toLowerCase().includes(expected)
+      })
+    }
+  }
+  return all ? elements : elements[0] || null
+}
+
+/**
+ * Determines why the element is not actionable, evaluated in the page
+ * @param {Element} element
+ * @param {boolean} checkStable - Check the bounding box of the element is unchanged across two animation frames
+ * @return {Promise<?string>} - The reason the element is not actionable, null when it is
+ */
+async function elementActionability (element, checkStable) {
+  if (!element.isConnected) return 'element is not attached to the DOM'
+  const isVisible = () => {
+    const rect = element.getBoundingClientRect()
+    const style = window.getComputedStyle(element)
+    return style.visibility !== 'hidden' && rect.width > 0 && rect.height > 0
+  }
+  if (!isVisible()) return 'element is not visible'
+  if (!checkStable) return null
+  const nextFrame = () => new Promise(resolve => requestAnimationFrame(resolve))
+  await nextFrame()
+  const before = element.getBoundingClientRect()
+  await nextFrame()
+  const after = element.getBoundingClientRect()
+  if (
+    before.top !== after.top ||
+    before.left !== after.left ||
+    before.width !== after.width ||
+    before.height !== after.height
+  ) {
+    return 'element is not stable'
+  }
+  return null
+}
+
+/**
+ * Determines which element, if any, covers the element at the point of the hit node, evaluated in the page
+ * @param {Element} element
+ * @param {Node} hit - The node at the point the element would be clicked
+ * @return {?string} - A description of the covering element, null when the element is not covered
+ */
+function describeCoveringElement (element, hit) {
+  let node = hit
+  while (node) {
+    if (node === element) return null
+    node = node.parentNode || node.host
+  }
+  const covering = hit.nodeType === 1 ? hit : hit.parentElement
+  if (!covering) return 'another element'
+  let description = covering.localName
+  if (covering.id) description += `#${covering.id}`
+  if (covering.classList.length) {
+    description += `.${Array.from(covering.classList).join('.')}`
+  }
+  return `<${description}>`
+}
+
+/**
+ * Locates elements of a frame, resolving them every time they are used rather than once like {@link ElementHandle}s.
+ * Locators are created using {@link Page#locator} or {@link Frame#locator} and refined using
+ * {@link Locator#locator}, {@link Locator#nth} and {@link Locator#filter}.
+ *
+ * Before clicking, hovering over or typing into the element located, the locator waits until
+ * it is attached to the DOM, visible, stable and not covered by another element
+ * @since chrome-remote-interface-extra
+ */
+class Locator {
+  /**
+   * @param {Frame} frame - The frame elements are located in
+   * @param {TimeoutSettings} timeoutSettings
+   * @param {Array<LocatorStep>} steps
+   * @param {string} description
+   */
+  constructor (frame, timeoutSettings, steps, description) {
+    /**
+     * @type {Frame}
+     * @private
+     */
+    this._frame = frame
+
+    /**
+     * @type {TimeoutSettings}
+     * @private
+     */
+    this._timeoutSettings = timeoutSettings
+
+    /**
+     * @type {Array<LocatorStep>}
+     * @private
+     */
+    this._steps = steps
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._description = description
+  }
+
+  /**
+   * @return {Frame}
+   */
+  frame () {
+    return this._frame
+  }
+
+  /**
+   * Locate the elements matching the selector that are descendants of the elements of this locator
+   * @param {string} selector
+   * @return {Locator}
+   */
+  locator (selector) {
+    return this._chain(
+      { type: 'css', selector },
+      `.locator(${JSON.stringify(selector)})`
+    )
+  }
+
+  /**
+   * Locate the element at index of the elements of this locator, negative indexes count from the last element
+   * @param {number} index
+   * @return {Locator}
+   */
+  nth (index) {
+    return this._chain({ type: 'nth', index }, `.nth(${index})`)
+  }
+
+  /**
+   * @return {Locator}
+   */
+  first () {
+    return this.nth(0)
+  }
+
+  /**
+   * @return {Locator}
+   */
+  last () {
+    return this.nth(-1)
+  }
+
+  /**
+   * Locate the elements of this locator whose text content contains hasText, case-insensitively, or matches it when a RegExp
+   * @param {{hasText: string|RegExp}} options
+   * @return {Locator}
+   */
+  filter ({ hasText }) {
+    if (hasText instanceof RegExp) {
+      return this._chain(
+        {
+          type: 'filter',
+          hasTextRegExp: { source: hasText.source, flags: hasText.flags }
+        },
+        `.filter({ hasText: ${hasText} })`
+      )
+    }
+    return this._chain(
+      { type: 'filter', hasText: `${hasText}` },
+      `.filter({ hasText: ${JSON.stringify(`${hasText}`)} })`
+    )
+  }
+
+  /**
+   * @return {Promise<number>} - The number of elements currently located
+   */
+  async count () {
+    const elements = await this.elementHandles()
+    await Promise.all(elements.map(element => element.dispose()))
+    return elements.length
+  }
+
+  /**
+   * @return {Promise<Array<ElementHandle>>} - The elements currently located
+   */
+  async elementHandles () {
+    const arrayHandle = await this._frame.evaluateHandle(
+      queryLocatorSteps,
+      this._steps,
+      true
+    )
+    const elements = await arrayHandle.asElementArray()
+    await arrayHandle.dispose()
+    return elements
+  }
+
+  /**
+   * Wait for the element to be attached to the DOM and return it
+   * @param {{timeout?: number}} [options]
+   * @return {Promise<ElementHandle>}
+   */
+  elementHandle (options = {}) {
+    return this._retry('to be attached', options.timeout, async () => {
+      const element = await this._resolveElement()
+      if (!element) return { reason: 'element is not attached to the DOM' }
+      return { value: element }
+    })
+  }
+
+  /**
+   * Wait for the element to be in the supplied state
+   * @param {{state?: "attached"|"detached"|"visible"|"hidden", timeout?: number}} [options]
+   * @return {Promise<void>}
+   */
+  async waitFor (options = {}) {
+    const { state = 'visible', timeout } = options
+    await this._retry(`to be ${state}`, timeout, async () => {
+      const element = await this._resolveElement()
+      let reason = null
+      if (state === 'detached') {
+        if (element) reason = 'element is attached to the DOM'
+      } else if (!element) {
+        if (state !== 'hidden') reason = 'element is not attached to the DOM'
+      } else if (state === 'visible' || state === 'hidden') {
+        const notVisible = await element
+          .executionContext()
+          .evaluate(elementActionability, element, false)
+        if (state === 'visible') reason = notVisible
+        else if (!notVisible) reason = 'element is visible'
+      }
+      if (element) await element.dispose()
+      return reason ? { reason } : { value: undefined }
+    })
+  }
+
+  /**
+   * Wait for the element to be actionable then click it
+   * @param {!{delay?: number, button?: "left"|"right"|"middle", clickCount?: number, timeout?: number}=} [options]
+   * @return {Promise<void>}
+   */
+  async click (options = {}) {
+    await this._performAction('click', options.timeout, (element, { x, y }) =>
+      element._page.mouse.click(x, y, options)
+    )
+  }
+
+  /**
+   * Wait for the element to be actionable then hover over it
+   * @param {{timeout?: number}} [options]
+   * @return {Promise<void>}
+   */
+  async hover (options = {}) {
+    await this._performAction('hover', options.timeout, (element, { x, y }) =>
+      element._page.mouse.move(x, y)
+    )
+  }
+
+  /**
+   * Wait for the element to be actionable then focus it and type the text
+   * @param {string} text
+   * @param {{delay?: number, timeout?: number}} [options]
+   * @return {Promise<void>}
+   */
+  async type (text, options = {}) {
+    await this._performAction('type', options.timeout, async element => {
+      await element.focus()
+      await element._page.keyboard.type(text, options)
+    })
+  }
+
+  /**
+   * @return {string}
+   */
+  toString () {
+    return this._description
+  }
+
+  /**
+   * @param {LocatorStep} step
+   * @param {string} description
+   * @return {Locator}
+   * @private
+   */
+  _chain (step, description) {
+    return new Locator(
+      this._frame,
+      this._timeoutSettings,
+      this._steps.concat(step),
+      this._description + description
+    )
+  }
+
+  /**
+   * @return {Promise<?ElementHandle>}
+   * @private
+   */
+  async _resolveElement () {
+    const handle = await this._frame.evaluateHandle(
+      queryLocatorSteps,
+      this._steps,
+      false
+    )
+    const element = handle.asElement()
+    if (!element) await handle.dispose()
+    return element
+  }
+
+  /**
+   * Resolve the element once it is actionable, then perform the action using it.
+   * The action is not retried once it has been performed
+   * @param {string} action
+   * @param {number} [timeout]
+   * @param {function(element: ElementHandle, point: {x: number, y: number}): Promise<*>} perform
+   * @return {Promise<void>}
+   * @private
+   */
+  async _performAction (action, timeout, perform) {
+    const { element, point } = await this._retry(
+      `to be actionable for ${action}`,
+      timeout,
+      () => this._actionableElement()
+    )
+    try {
+      await perform(element, point)
+    } finally {
+      await element.dispose().catch(debugError)
+    }
+  }
+
+  /**
+   * @return {Promise<{value?: {element: ElementHandle, point: {x: number, y: number}}, reason?: string}>}
+   * @private
+   */
+  async _actionableElement () {
+    const element = await this._resolveElement()
+    if (!element) return { reason: 'element is not attached to the DOM' }
+    let reason = null
+    try {
+      const context = element.executionContext()
+      reason = await context.evaluate(elementActionability, element, false)
+      if (!reason) {
+        await element.scrollIntoViewIfNeeded()
+        reason = await context.evaluate(elementActionability, element, true)
+      }
+      if (!reason) {
+        const point = await element._clickablePoint()
+        const covering = await this._coveringElement(element, point)
+        if (!covering) return { value: { element, point } }
+        reason = `element is covered by ${covering}`
+      }
+    } catch (e) {
+      await element.dispose().catch(debugError)
+      throw e
+    }
+    await element.dispose().catch(debugError)
+    return { reason }
+  }
+
+  /**
+   * @param {ElementHandle} element
+   * @param {{x: number, y: number}} point
+   * @return {Promise<?string>} - A description of the element covering the element at point, null when it is not covered
+   * @private
+   */
+  async _coveringElement (element, point) {
+    const client = element._client
+    const context = element.executionContext()
+    const { backendNodeId } = await client.send('DOM.getNodeForLocation', {
+      x: Math.round(point.x),
+      y: Math.round(point.y)
+    })
+    let object
+    try {
+      object = (await client.send('DOM.resolveNode', {
+        backendNodeId,
+        executionContextId: context._contextId
+      })).object
+    } catch (e) {
+      // the node at the point belongs to another frame
+      debugError(e)
+      return 'an element of another frame'
+    }
+    const hit = createJSHandle(context, object)
+    try {
+      return await context.evaluate(describeCoveringElement, element, hit)
+    } finally {
+      await hit.dispose()
+    }
+  }
+
+  /**
+   * Repeatedly attempt to resolve the value until the attempt succeeds or the timeout is exceeded
+   * @param {string} title - What is being waited for
+   * @param {number} [timeout]
+   * @param {function(): Promise<{value?: *, reason?: string}>} attempt
+   * @return {Promise<*>}
+   * @private
+   */
+  async _retry (title, timeout = this._timeoutSettings.timeout(), attempt) {
+    const deadline = timeout ? Date.now() + timeout : Infinity
+    let reason
+    for (let retry = 0; ; retry++) {
+      const delay = RetryDelays[Math.min(retry, RetryDelays.length - 1)]
+      if (delay) {
+        await helper.delay(Math.max(0, Math.min(delay, deadline - Date.now())))
+      }
+      try {
+        const result = await attempt()
+        if (!result.reason) return result.value
+        reason = result.reason
+      } catch (e) {
+        if (!isRetryableError(e)) throw e
+        reason = e.message
+      }
+      if (Date.now() >= deadline) {
+        throw new TimeoutError(
+          `waiting for ${
+            this._description
+          } ${title} failed: timeout ${timeout}ms exceeded, ${reason}`
+        )
+      }
+    }
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    return `${options.stylize('Locator', 'special')} ${this._description}`
+  }
+}
+
+module.exports = Locator
+
+/**
+ * @typedef {Object} LocatorStep
+ * @property {string} type - One of css, nth or filter
+ * @property {string} [selector] - The selector of a css step
+ * @property {number} [index] - The index of a nth step
+ * @property {string} [hasText] - The text of a filter step
+ * @property {{source: string, flags: string}} [hasTextRegExp] - The RegExp of a filter step
+ */
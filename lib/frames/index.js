@@ -5,3 +5,5 @@ exports.FrameManager = require('./FrameManager')
 exports.FrameResource = require('./FrameResource')
 
 exports.FrameResourceTree = require('./FrameResourceTree')
+
+exports.Locator = require('./Locator')
@@ -0,0 +1,200 @@
+/**
+ * The largest number of codes of the LZW dictionary of a GIF
+ * @type {number}
+ */
+const MaxLZWCodes = 4096
+
+/**
+ * Collects the bytes of the LZW compressed data of a GIF frame, packing the codes least significant bit first
+ */
+class LZWWriter {
+  constructor () {
+    /** @type {Array<number>} */
+    this.bytes = []
+    this._bits = 0
+    this._count = 0
+  }
+
+  /**
+   * @param {number} code
+   * @param {number} size - The number of bits of the code
+   */
+  write (code, size) {
+    this._bits |= code << this._count
+    this._count += size
+    while (this._count >= 8) {
+      this.bytes.push(this._bits & 0xff)
+      this._bits >>>= 8
+      this._count -= 8
+    }
+  }
+
+  flush () {
+    if (this._count > 0) this.bytes.push(this._bits & 0xff)
+    this._bits = 0
+    this._count = 0
+  }
+}
+
+/**
+ * Map the pixels of the image to a palette of at most 256 colors. Images with at most 256 colors, such as most
+ * screenshots of pages made of flat colors, are mapped exactly, the others to a uniform palette of 6 levels of
+ * red, 7 of green and 6 of blue
+ * @param {RGBAImage} image
+ * @return {{palette: Array<number>, indexes: Uint8Array}} - The palette as 0xRRGGBB colors
+ */
+function quantize (image) {
+  const { data } = image
+  const pixelCount = image.width * image.height
+  const indexes = new Uint8Array(pixelCount)
+  const colors = new Map()
+  let exact = true
+  for (let i = 0; i < pixelCount; i++) {
+    const color = (data[i * 4] << 16) | (data[i * 4 + 1] << 8) | data[i * 4 + 2]
+    let index = colors.get(color)
+    if (index === undefined) {
+      if (colors.size === 256) {
+        exact = false
+        break
+      }
+      index = colors.size
+      colors.set(color, index)
+    }
+    indexes[i] = index
+  }
+  if (exact) return { palette: Array.from(colors.keys()), indexes }
+  const palette = []
+  for (let r = 0; r < 6; r++) {
+    for (let g = 0; g < 7; g++) {
+      for (let b = 0; b < 6; b++) {
+        palette.push(
+          (Math.round((r * 255) / 5) << 16) |
+            (Math.round((g * 255) / 6) << 8) |
+            Math.round((b * 255) / 5)
+        )
+      }
+    }
+  }
+  for (let i = 0; i < pixelCount; i++) {
+    const r = Math.round((data[i * 4] * 5) / 255)
+    const g = Math.round((data[i * 4 + 1] * 6) / 255)
+    const b = Math.round((data[i * 4 + 2] * 5) / 255)
+    indexes[i] = r * 42 + g * 6 + b
+  }
+  return { palette, indexes }
+}
+
+/**
+ * Compress the palette indexes of a frame using the variable code size LZW compression of GIF
+ * @param {Uint8Array} indexes
+ * @param {number} minCodeSize
+ * @return {Array<number>}
+ */
+function compressLZW (indexes, minCodeSize) {
+  const writer = new LZWWriter()
+  const clearCode = 1 << minCodeSize
+  const endCode = clearCode + 1
+  let dictionary = new Map()
+  let nextCode = endCode + 1
+  let codeSize = minCodeSize + 1
+  writer.write(clearCode, codeSize)
+  let current = indexes[0]
+  for (let i = 1; i < indexes.length; i++) {
+    const index = indexes[i]
+    const key = (current << 8) | index
+    const code = dictionary.get(key)
+    if (code !== undefined) {
+      current = code
+      continue
+    }
+    writer.write(current, codeSize)
+    if (nextCode === MaxLZWCodes) {
+      writer.write(clearCode, codeSize)
+      dictionary = new Map()
+      nextCode = endCode + 1
+      codeSize = minCodeSize + 1
+    } else {
+      if (nextCode >= 1 << codeSize) codeSize++
+      dictionary.set(key, nextCode++)
+    }
+    current = index
+  }
+  writer.write(current, codeSize)
+  writer.write(endCode, codeSize)
+  writer.flush()
+  return writer.bytes
+}
+
+/**
+ * @param {Array<number>} bytes
+ * @param {Array<number>} data
+ */
+function pushSubBlocks (bytes, data) {
+  for (let i = 0; i < data.length; i += 255) {
+    const block = data.slice(i, i + 255)
+    bytes.push(block.length, ...block)
+  }
+  bytes.push(0)
+}
+
+/**
+ * @param {Array<number>} bytes
+ * @param {number} value
+ */
+function pushUInt16 (bytes, value) {
+  bytes.push(value & 0xff, (value >> 8) & 0xff)
+}
+
+/**
+ * Encode the frames as an animated GIF. Each frame has its own palette, see {@link quantize},
+ * the alpha channel is ignored
+ * @param {Array<AnimationFrame>} frames - The frames, of the same size
+ * @param {{loop?: number}} [options] - The number of times the animation is repeated, 0 repeats it forever
+ * @return {Buffer}
+ * @since chrome-remote-interface-extra
+ */
+function encodeGIF (frames, options = {}) {
+  const { width, height } = frames[0].image
+  const loop = options.loop || 0
+  const bytes = Array.from(Buffer.from('GIF89a', 'ascii'))
+  pushUInt16(bytes, width)
+  pushUInt16(bytes, height)
+  // no global color table
+  bytes.push(0, 0, 0)
+  // the NETSCAPE2.0 application extension, the number of times the animation is repeated
+  bytes.push(0x21, 0xff, 11, ...Buffer.from('NETSCAPE2.0', 'ascii'), 3, 1)
+  pushUInt16(bytes, loop)
+  bytes.push(0)
+  for (const { image, duration } of frames) {
+    const { palette, indexes } = quantize(image)
+    const paletteBits = Math.max(1, Math.ceil(Math.log2(palette.length)))
+    // the graphic control extension, the frame replaces the previous frame after its delay in centiseconds
+    bytes.push(0x21, 0xf9, 4, 1 << 2)
+    pushUInt16(bytes, Math.round(duration / 10))
+    bytes.push(0, 0)
+    // the image descriptor, with a local color table
+    bytes.push(0x2c)
+    pushUInt16(bytes, 0)
+    pushUInt16(bytes, 0)
+    pushUInt16(bytes, image.width)
+    pushUInt16(bytes, image.height)
+    bytes.push(0x80 | (paletteBits - 1))
+    for (let i = 0; i < 1 << paletteBits; i++) {
+      const color = palette[i] || 0
+      bytes.push((color >> 16) & 0xff, (color >> 8) & 0xff, color & 0xff)
+    }
+    const minCodeSize = Math.max(2, paletteBits)
+    bytes.push(minCodeSize)
+    pushSubBlocks(bytes, compressLZW(indexes, minCodeSize))
+  }
+  bytes.push(0x3b)
+  return Buffer.from(bytes)
+}
+
+module.exports = { encodeGIF }
+
+/**
+ * @typedef {Object} AnimationFrame
+ * @property {RGBAImage} image
+ * @property {number} duration - The time the frame is displayed for in milliseconds
+ */
@@ -0,0 +1,15 @@
+const { encodeGIF } = require('./gif')
+const { compareScreenshots, diffImages } = require('./pixelDiff')
+const { blitImage, createImage, decodePNG, encodePNG } = require('./png')
+const { encodeWebP } = require('./webp')
+
+module.exports = {
+  blitImage,
+  compareScreenshots,
+  createImage,
+  decodePNG,
+  diffImages,
+  encodeGIF,
+  encodePNG,
+  encodeWebP
+}
@@ -0,0 +1,411 @@
+const fs = require('fs-extra')
+const { helper } = require('../helper')
+const { createImage, decodePNG, encodePNG } = require('./png')
+
+/**
+ * The maximum YIQ color distance between two pixels, black and white
+ * @type {number}
+ */
+const MaxColorDelta = 35215
+
+/**
+ * The colors of the pixels of a diff image
+ * @type {{mismatch: Array<number>, antialiased: Array<number>, masked: Array<number>}}
+ */
+const DiffColors = {
+  mismatch: [255, 0, 0],
+  antialiased: [255, 255, 0],
+  masked: [0, 128, 255]
+}
+
+/**
+ * @param {number} value
+ * @param {number} alpha
+ * @return {number} - The value blended with a white background
+ */
+function blend (value, alpha) {
+  return 255 + (value - 255) * alpha
+}
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @return {number}
+ */
+function rgb2y (r, g, b) {
+  return r * 0.29889531 + g * 0.58662247 + b * 0.11448223
+}
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @return {number}
+ */
+function rgb2i (r, g, b) {
+  return r * 0.59597799 - g * 0.2741761 - b * 0.32180189
+}
+
+/**
+ * @param {number} r
+ * @param {number} g
+ * @param {number} b
+ * @return {number}
+ */
+function rgb2q (r, g, b) {
+  return r * 0.21147017 - g * 0.52261711 + b * 0.31114694
+}
+
+/**
+ * The perceived difference of two pixels, measured in the YIQ color space as described by
+ * "Measuring perceived color difference using YIQ NTSC transmission color space in mobile applications"
+ * @param {Buffer} a
+ * @param {Buffer} b
+ * @param {number} k - The offset of the pixel in a
+ * @param {number} m - The offset of the pixel in b
+ * @param {boolean} [yOnly] - Only compute the brightness difference
+ * @return {number} - Negative when the pixel of b is lighter
+ */
+function colorDelta (a, b, k, m, yOnly) {
+  const alphaA = a[k + 3] / 255
+  const alphaB = b[m + 3] / 255
+  const r1 = blend(a[k], alphaA)
+  const g1 = blend(a[k + 1], alphaA)
+  const b1 = blend(a[k + 2], alphaA)
+  const r2 = blend(b[m], alphaB)
+  const g2 = blend(b[m + 1], alphaB)
+  const b2 = blend(b[m + 2], alphaB)
+  const y = rgb2y(r1, g1, b1) - rgb2y(r2, g2, b2)
+  if (yOnly) return y
+  const i = rgb2i(r1, g1, b1) - rgb2i(r2, g2, b2)
+  const q = rgb2q(r1, g1, b1) - rgb2q(r2, g2, b2)
+  const delta = 0.5053 * y * y + 0.299 * i * i + 0.1957 * q * q
+  return y > 0 ? -delta : delta
+}
+
+/**
+ * @param {RGBAImage} image
+ * @param {number} x
+ * @param {number} y
+ * @return {boolean} - True when at least three of the neighbours of the pixel have the same color
+ */
+function hasManySiblings (image, x, y) {
+  const { width, height, data } = image
+  const offset = (y * width + x) * 4
+  let zeroes = x === 0 || y === 0 || x === width - 1 || y === height - 1 ? 1 : 0
+  for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+    for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+      if (nx === x && ny === y) continue
+      const neighbour = (ny * width + nx) * 4
+      if (
+        data[offset] === data[neighbour] &&
+        data[offset + 1] === data[neighbour + 1] &&
+        data[offset + 2] === data[neighbour + 2] &&
+        data[offset + 3] === data[neighbour + 3]
+      ) {
+        zeroes++
+      }
+      if (zeroes > 2) return true
+    }
+  }
+  return false
+}
+
+/**
+ * Detect whether the pixel of the image is likely part of the anti-aliasing of an edge, following
+ * "Anti-aliased Pixel and Intensity Slope Detector" by V. Vysniauskas, 2009. The pixel is anti-aliased
+ * when its darkest and brightest neighbours are not surrounded by pixels of the same color in either image
+ * @param {RGBAImage} image
+ * @param {number} x
+ * @param {number} y
+ * @param {RGBAImage} other
+ * @return {boolean}
+ */
+function isAntialiased (image, x, y, other) {
+  const { width, height, data } = image
+  const offset = (y * width + x) * 4
+  let zeroes = x === 0 || y === 0 || x === width - 1 || y === height - 1 ? 1 : 0
+  let min = 0
+  let max = 0
+  let minX = 0
+  let minY = 0
+  let maxX = 0
+  let maxY = 0
+  for (let nx = Math.max(x - 1, 0); nx <= Math.min(x + 1, width - 1); nx++) {
+    for (let ny = Math.max(y - 1, 0); ny <= Math.min(y + 1, height - 1); ny++) {
+      if (nx === x && ny === y) continue
+      const delta = colorDelta(data, data, offset, (ny * width + nx) * 4, true)
+      if (delta === 0) {
+        zeroes++
+        if (zeroes > 2) return false
+      } else if (delta < min) {
+        min = delta
+        minX = nx
+        minY = ny
+      } else if (delta > max) {
+        max = delta
+        maxX = nx
+        maxY = ny
+      }
+    }
+  }
+  // an anti-aliased pixel lies between a darker and a brighter neighbour
+  if (min === 0 || max === 0) return false
+  return (
+    (hasManySiblings(image, minX, minY) &&
+      hasManySiblings(other, minX, minY)) ||
+    (hasManySiblings(image, maxX, maxY) && hasManySiblings(other, maxX, maxY))
+  )
+}
+
+/**
+ * @param {Buffer} data
+ * @param {number} offset
+ * @param {Array<number>} color
+ */
+function setPixel (data, offset, color) {
+  data[offset] = color[0]
+  data[offset + 1] = color[1]
+  data[offset + 2] = color[2]
+  data[offset + 3] = 255
+}
+
+/**
+ * Mark the pixels covered by the mask regions
+ * @param {number} width
+ * @param {number} height
+ * @param {Array<ImageRegion>} masks
+ * @return {Uint8Array}
+ */
+function maskPixels (width, height, masks) {
+  const masked = new Uint8Array(width * height)
+  for (const mask of masks) {
+    const left = Math.max(0, Math.floor(mask.x))
+    const top = Math.max(0, Math.floor(mask.y))
+    const right = Math.min(width, Math.ceil(mask.x + mask.width))
+    const bottom = Math.min(height, Math.ceil(mask.y + mask.height))
+    for (let y = top; y < bottom; y++) {
+      masked.fill(1, y * width + left, y * width + right)
+    }
+  }
+  return masked
+}
+
+/**
+ * Find the bounding boxes of the groups of mismatched pixels. Pixels closer than the gap to each other
+ * belong to the same region, so that e.g. a changed word is a single region rather than one per glyph
+ * @param {Uint8Array} mismatched
+ * @param {number} width
+ * @param {number} height
+ * @param {number} gap
+ * @return {Array<ImageRegion>}
+ */
+function findRegions (mismatched, width, height, gap) {
+  const visited = new Uint8Array(width * height)
+  const stack = []
+  const regions = []
+  for (let start = 0; start < mismatched.length; start++) {
+    if (!mismatched[start] || visited[start]) continue
+    let left = width
+    let top = height
+    let right = 0
+    let bottom = 0
+    visited[start] = 1
+    stack.push(start)
+    while (stack.length) {
+      const index = stack.pop()
+      const x = index % width
+      const y = (index - x) / width
+      if (x < left) left = x
+      if (x > right) right = x
+      if (y < top) top = y
+      if (y > bottom) bottom = y
+      for (
+        let ny = Math.max(0, y - gap);
+        ny <= Math.min(height - 1, y + gap);
+        ny++
+      ) {
+        for (
+          let nx = Math.max(0, x - gap);
+          nx <= Math.min(width - 1, x + gap);
+          nx++
+        ) {
+          const neighbour = ny * width + nx
+          if (mismatched[neighbour] && !visited[neighbour]) {
+            visited[neighbour] = 1
+            stack.push(neighbour)
+          }
+        }
+      }
+    }
+    regions.push({
+      x: left,
+      y: top,
+      width: right - left + 1,
+      height: bottom - top + 1
+    })
+  }
+  return regions
+}
+
+/**
+ * Compare two images pixel by pixel. Images of different sizes are compared over the size of the
+ * larger one, the pixels outside of either image are mismatched.
+ *
+ * The diff image shows the baseline faded to gray, with the mismatched pixels in red, the anti-aliased
+ * pixels tolerated in yellow and the masked pixels in blue
+ * @param {RGBAImage} baseline
+ * @param {RGBAImage} actual
+ * @param {ImageDiffOptions} [options]
+ * @return {ImageDiff}
+ * @since chrome-remote-interface-extra
+ */
+function diffImages (baseline, actual, options = {}) {
+  const threshold = options.threshold != null ? options.threshold : 0.1
+  const includeAA = !!options.includeAA
+  const regionGap = options.regionGap != null ? options.regionGap : 5
+  const width = Math.max(baseline.width, actual.width)
+  const height = Math.max(baseline.height, actual.height)
+  const dimensionsMatch =
+    baseline.width === actual.width && baseline.height === actual.height
+  const masked = maskPixels(width, height, options.masks || [])
+  const mismatched = new Uint8Array(width * height)
+  const diff = createImage(width, height)
+  const maxDelta = MaxColorDelta * threshold * threshold
+  let mismatchedPixels = 0
+  let comparedPixels = 0
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const index = y * width + x
+      const offset = index * 4
+      if (masked[index]) {
+        setPixel(diff.data, offset, DiffColors.masked)
+        continue
+      }
+      comparedPixels++
+      if (
+        x >= baseline.width ||
+        y >= baseline.height ||
+        x >= actual.width ||
+        y >= actual.height
+      ) {
+        mismatched[index] = 1
+        mismatchedPixels++
+        setPixel(diff.data, offset, DiffColors.mismatch)
+        continue
+      }
+      const baselineOffset = (y * baseline.width + x) * 4
+      const actualOffset = (y * actual.width + x) * 4
+      const delta = colorDelta(
+        baseline.data,
+        actual.data,
+        baselineOffset,
+        actualOffset
+      )
+      if (Math.abs(delta) <= maxDelta) {
+        const brightness = rgb2y(
+          baseline.data[baselineOffset],
+          baseline.data[baselineOffset + 1],
+          baseline.data[baselineOffset + 2]
+        )
+        const gray = blend(
+          brightness,
+          (0.1 * baseline.data[baselineOffset + 3]) / 255
+        )
+        setPixel(diff.data, offset, [gray, gray, gray])
+      } else if (
+        !includeAA &&
+        (isAntialiased(baseline, x, y, actual) ||
+          isAntialiased(actual, x, y, baseline))
+      ) {
+        setPixel(diff.data, offset, DiffColors.antialiased)
+      } else {
+        mismatched[index] = 1
+        mismatchedPixels++
+        setPixel(diff.data, offset, DiffColors.mismatch)
+      }
+    }
+  }
+  return {
+    width,
+    height,
+    dimensionsMatch,
+    mismatchedPixels,
+    mismatchRatio: comparedPixels ? mismatchedPixels / comparedPixels : 0,
+    diff,
+    regions: findRegions(mismatched, width, height, regionGap)
+  }
+}
+
+/**
+ * Compare a PNG screenshot with a baseline PNG, given as a buffer or the path of a file
+ * @param {string|Buffer} baseline
+ * @param {Buffer} screenshot
+ * @param {ScreenshotComparisonOptions} [options]
+ * @return {Promise<ScreenshotComparison>}
+ * @since chrome-remote-interface-extra
+ */
+async function compareScreenshots (baseline, screenshot, options = {}) {
+  const baselineBuffer = helper.isString(baseline)
+    ? await fs.readFile(baseline)
+    : baseline
+  const result = diffImages(
+    decodePNG(baselineBuffer),
+    decodePNG(screenshot),
+    options
+  )
+  const diff = encodePNG(result.diff)
+  if (options.diffPath) await fs.writeFile(options.diffPath, diff)
+  return Object.assign(result, { diff, screenshot })
+}
+
+module.exports = { compareScreenshots, diffImages }
+
+/**
+ * @typedef {Object} ImageRegion
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ */
+
+/**
+ * @typedef {Object} ImageDiffOptions
+ * @property {number} [threshold = 0.1] - The perceived color difference, from 0 to 1, above which pixels are mismatched
+ * @property {boolean} [includeAA = false] - Count the anti-aliased pixels as mismatched rather than tolerating them
+ * @property {Array<ImageRegion>} [masks] - The regions of the images ignored by the comparison
+ * @property {number} [regionGap = 5] - The distance in pixels under which mismatched pixels belong to the same region
+ */
+
+/**
+ * @typedef {Object} ImageDiff
+ * @property {number} width - The width of the compared area, the largest width of the images
+ * @property {number} height - The height of the compared area, the largest height of the images
+ * @property {boolean} dimensionsMatch - True when the images are of the same size
+ * @property {number} mismatchedPixels
+ * @property {number} mismatchRatio - The ratio of the mismatched pixels to the compared, unmasked, pixels
+ * @property {RGBAImage} diff
+ * @property {Array<ImageRegion>} regions - The bounding boxes of the changed regions
+ */
+
+/**
+ * @typedef {Object} ScreenshotComparisonOptions
+ * @property {number} [threshold = 0.1] - The perceived color difference, from 0 to 1, above which pixels are mismatched
+ * @property {boolean} [includeAA = false] - Count the anti-aliased pixels as mismatched rather than tolerating them
+ * @property {Array<ImageRegion>} [masks] - The regions of the images ignored by the comparison, in pixels of the images
+ * @property {number} [regionGap = 5] - The distance in pixels under which mismatched pixels belong to the same region
+ * @property {string} [diffPath] - The path to save the diff image to
+ */
+
+/**
+ * @typedef {Object} ScreenshotComparison
+ * @property {number} width - The width of the compared area, the largest width of the images
+ * @property {number} height - The height of the compared area, the largest height of the images
+ * @property {boolean} dimensionsMatch - True when the images are of the same size
+ * @property {number} mismatchedPixels
+ * @property {number} mismatchRatio - The ratio of the mismatched pixels to the compared, unmasked, pixels
+ * @property {Buffer} diff - The diff image as a PNG, see {@link diffImages}
+ * @property {Buffer} screenshot - The screenshot compared to the baseline as a PNG
+ * @property {Array<ImageRegion>} regions - The bounding boxes of the changed regions
+ */
@@ -0,0 +1,314 @@
+const zlib = require('zlib')
+
+/**
+ * The eight byte signature every PNG starts with
+ * @type {Buffer}
+ */
+const PNGSignature = Buffer.from([137, 80, 78, 71, 13, 10, 26, 10])
+
+/**
+ * The number of channels of each supported color type
+ * @type {Object<number, number>}
+ */
+const ColorTypeChannels = {
+  0: 1, // grayscale
+  2: 3, // truecolor
+  3: 1, // indexed-color
+  4: 2, // grayscale with alpha
+  6: 4 // truecolor with alpha
+}
+
+/**
+ * @type {Int32Array}
+ */
+const CRCTable = new Int32Array(256)
+for (let n = 0; n < 256; n++) {
+  let c = n
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+  }
+  CRCTable[n] = c
+}
+
+/**
+ * @param {Buffer} buffer
+ * @return {number}
+ */
+function crc32 (buffer) {
+  let crc = -1
+  for (let i = 0; i < buffer.length; i++) {
+    crc = CRCTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ -1) >>> 0
+}
+
+/**
+ * @param {number} a - The byte to the left
+ * @param {number} b - The byte above
+ * @param {number} c - The byte above and to the left
+ * @return {number}
+ */
+function paethPredictor (a, b, c) {
+  const p = a + b - c
+  const pa = Math.abs(p - a)
+  const pb = Math.abs(p - b)
+  const pc = Math.abs(p - c)
+  if (pa <= pb && pa <= pc) return a
+  if (pb <= pc) return b
+  return c
+}
+
+/**
+ * Decode a PNG into RGBA pixels. Supports non-interlaced images with a bit depth of 8,
+ * the images produced by Chrome
+ * @param {Buffer} buffer
+ * @return {RGBAImage}
+ * @since chrome-remote-interface-extra
+ */
+function decodePNG (buffer) {
+  if (buffer.length < 8 || !buffer.slice(0, 8).equals(PNGSignature)) {
+    throw new Error('Invalid PNG, the signature is missing')
+  }
+  let header = null
+  let palette = null
+  let transparency = null
+  const data = []
+  let offset = 8
+  while (offset < buffer.length) {
+    const length = buffer.readUInt32BE(offset)
+    const type = buffer.toString('ascii', offset + 4, offset + 8)
+    const chunk = buffer.slice(offset + 8, offset + 8 + length)
+    offset += length + 12
+    if (type === 'IHDR') {
+      header = {
+        width: chunk.readUInt32BE(0),
+        height: chunk.readUInt32BE(4),
+        bitDepth: chunk[8],
+        colorType: chunk[9],
+        interlace: chunk[12]
+      }
+    } else if (type === 'PLTE') {
+      palette = chunk
+    } else if (type === 'tRNS') {
+      transparency = chunk
+    } else if (type === 'IDAT') {
+      data.push(chunk)
+    } else if (type === 'IEND') {
+      break
+    }
+  }
+  if (!header) throw new Error('Invalid PNG, the IHDR chunk is missing')
+  const { width, height, bitDepth, colorType, interlace } = header
+  const channels = ColorTypeChannels[colorType]
+  if (bitDepth !== 8 || !channels || interlace !== 0) {
+    throw new Error(
+      `Unsupported PNG, bit depth ${bitDepth} color type ${colorType} interlace ${interlace}`
+    )
+  }
+  if (colorType === 3 && !palette) {
+    throw new Error('Invalid PNG, the PLTE chunk is missing')
+  }
+  const inflated = zlib.inflateSync(Buffer.concat(data))
+  const stride = width * channels
+  const pixels = Buffer.alloc(width * height * 4)
+  let previous = Buffer.alloc(stride)
+  let current = Buffer.alloc(stride)
+  for (let y = 0; y < height; y++) {
+    const rowStart = y * (stride + 1)
+    const filter = inflated[rowStart]
+    for (let x = 0; x < stride; x++) {
+      const raw = inflated[rowStart + 1 + x]
+      const left = x >= channels ? current[x - channels] : 0
+      const up = previous[x]
+      const upLeft = x >= channels ? previous[x - channels] : 0
+      let value
+      switch (filter) {
+        case 0:
+          value = raw
+          break
+        case 1:
+          value = raw + left
+          break
+        case 2:
+          value = raw + up
+          break
+        case 3:
+          value = raw + ((left + up) >> 1)
+          break
+        case 4:
+          value = raw + paethPredictor(left, up, upLeft)
+          break
+        default:
+          throw new Error(`Invalid PNG, unknown filter type ${filter}`)
+      }
+      current[x] = value & 0xff
+    }
+    for (let x = 0; x < width; x++) {
+      const target = (y * width + x) * 4
+      const source = x * channels
+      if (colorType === 6) {
+        current.copy(pixels, target, source, source + 4)
+      } else if (colorType === 2) {
+        pixels[target] = current[source]
+        pixels[target + 1] = current[source + 1]
+        pixels[target + 2] = current[source + 2]
+        pixels[target + 3] = 255
+      } else if (colorType === 3) {
+        const index = current[source]
+        pixels[target] = palette[index * 3]
+        pixels[target + 1] = palette[index * 3 + 1]
+        pixels[target + 2] = palette[index * 3 + 2]
+        pixels[target + 3] =
+          transparency && index < transparency.length
+            ? transparency[index]
+            : 255
+      } else {
+        const gray = current[source]
+        pixels[target] = gray
+        pixels[target + 1] = gray
+        pixels[target + 2] = gray
+        pixels[target + 3] = colorType === 4 ? current[source + 1] : 255
+      }
+    }
+    const swap = previous
+    previous = current
+    current = swap
+  }
+  return { width, height, data: pixels }
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @return {Buffer}
+ */
+function encodeChunk (type, data) {
+  const length = Buffer.alloc(4)
+  length.writeUInt32BE(data.length, 0)
+  const typeAndData = Buffer.concat([Buffer.from(type, 'ascii'), data])
+  const crc = Buffer.alloc(4)
+  crc.writeUInt32BE(crc32(typeAndData), 0)
+  return Buffer.concat([length, typeAndData, crc])
+}
+
+/**
+ * Encode RGBA pixels as a PNG. Each row is filtered using the filter that minimizes
+ * the sum of the absolute differences of the row, as recommended by the PNG specification
+ * @param {RGBAImage} image
+ * @return {Buffer}
+ * @since chrome-remote-interface-extra
+ */
+function encodePNG ({ width, height, data }) {
+  const stride = width * 4
+  const filtered = Buffer.alloc((stride + 1) * height)
+  const candidates = [0, 1, 2, 3, 4].map(() => Buffer.alloc(stride))
+  const empty = Buffer.alloc(stride)
+  for (let y = 0; y < height; y++) {
+    const row = data.slice(y * stride, (y + 1) * stride)
+    const previous = y ? data.slice((y - 1) * stride, y * stride) : empty
+    let best = 0
+    let bestSum = Infinity
+    for (let filter = 0; filter < 5; filter++) {
+      const candidate = candidates[filter]
+      let sum = 0
+      for (let x = 0; x < stride; x++) {
+        const left = x >= 4 ? row[x - 4] : 0
+        const up = previous[x]
+        const upLeft = x >= 4 ? previous[x - 4] : 0
+        let value
+        switch (filter) {
+          case 0:
+            value = row[x]
+            break
+          case 1:
+            value = row[x] - left
+            break
+          case 2:
+            value = row[x] - up
+            break
+          case 3:
+            value = row[x] - ((left + up) >> 1)
+            break
+          default:
+            value = row[x] - paethPredictor(left, up, upLeft)
+        }
+        value &= 0xff
+        candidate[x] = value
+        sum += value < 128 ? value : 256 - value
+      }
+      if (sum < bestSum) {
+        best = filter
+        bestSum = sum
+      }
+    }
+    const rowStart = y * (stride + 1)
+    filtered[rowStart] = best
+    candidates[best].copy(filtered, rowStart + 1)
+  }
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(width, 0)
+  header.writeUInt32BE(height, 4)
+  header[8] = 8 // bit depth
+  header[9] = 6 // truecolor with alpha
+  header[10] = 0 // deflate compression
+  header[11] = 0 // adaptive filtering
+  header[12] = 0 // no interlace
+  return Buffer.concat([
+    PNGSignature,
+    encodeChunk('IHDR', header),
+    encodeChunk('IDAT', zlib.deflateSync(filtered)),
+    encodeChunk('IEND', Buffer.alloc(0))
+  ])
+}
+
+/**
+ * Create a transparent image
+ * @param {number} width
+ * @param {number} height
+ * @return {RGBAImage}
+ * @since chrome-remote-interface-extra
+ */
+function createImage (width, height) {
+  return { width, height, data: Buffer.alloc(width * height * 4) }
+}
+
+/**
+ * Copy a region of the source image into the target image
+ * @param {RGBAImage} source
+ * @param {RGBAImage} target
+ * @param {{x: number, y: number, width: number, height: number}} region - The region of the source image
+ * @param {number} targetX
+ * @param {number} targetY
+ * @since chrome-remote-interface-extra
+ */
+function blitImage (source, target, region, targetX, targetY) {
+  const width = Math.min(
+    region.width,
+    source.width - region.x,
+    target.width - targetX
+  )
+  const height = Math.min(
+    region.height,
+    source.height - region.y,
+    target.height - targetY
+  )
+  if (width <= 0 || height <= 0) return
+  for (let row = 0; row < height; row++) {
+    const sourceStart = ((region.y + row) * source.width + region.x) * 4
+    source.data.copy(
+      target.data,
+      ((targetY + row) * target.width + targetX) * 4,
+      sourceStart,
+      sourceStart + width * 4
+    )
+  }
+}
+
+module.exports = { blitImage, createImage, decodePNG, encodePNG }
+
+/**
+ * @typedef {Object} RGBAImage
+ * @property {number} width
+ * @property {number} height
+ * @property {Buffer} data - The pixels of the image, four bytes per pixel in RGBA order, row by row
+ */
@@ -0,0 +1,514 @@
+/**
+ * The order in which the code lengths of the code length code are written
+ * @type {Array<number>}
+ */
+const CodeLengthCodeOrder = [
+  17,
+  18,
+  0,
+  1,
+  2,
+  3,
+  4,
+  5,
+  16,
+  6,
+  7,
+  8,
+  9,
+  10,
+  11,
+  12,
+  13,
+  14,
+  15
+]
+
+/**
+ * The number of symbols of the green, red, blue, alpha and distance prefix codes. The green alphabet
+ * holds the 256 literals followed by the 24 prefixes of the lengths of backward references
+ * @type {Array<number>}
+ */
+const AlphabetSizes = [256 + 24, 256, 256, 256, 40]
+
+/**
+ * The largest length of a backward reference
+ * @type {number}
+ */
+const MaxCopyLength = 4096
+
+/**
+ * The largest distance of a backward reference, distance codes are offset by the 120 codes
+ * of the neighbourhood of the pixel
+ * @type {number}
+ */
+const MaxCopyDistance = (1 << 20) - 120
+
+/**
+ * The shortest backward reference worth encoding
+ * @type {number}
+ */
+const MinCopyLength = 3
+
+/**
+ * @type {number}
+ */
+const HashBits = 16
+
+/**
+ * Collects the bytes of a VP8L bitstream, packing values least significant bit first
+ */
+class BitWriter {
+  constructor () {
+    this._buffer = Buffer.alloc(4096)
+    this._length = 0
+    this._bits = 0
+    this._count = 0
+  }
+
+  /**
+   * @param {number} value
+   * @param {number} count - The number of bits of the value, at most 24
+   */
+  write (value, count) {
+    this._bits |= value << this._count
+    this._count += count
+    while (this._count >= 8) {
+      if (this._length === this._buffer.length) {
+        const buffer = Buffer.alloc(this._buffer.length * 2)
+        this._buffer.copy(buffer)
+        this._buffer = buffer
+      }
+      this._buffer[this._length++] = this._bits & 0xff
+      this._bits >>>= 8
+      this._count -= 8
+    }
+  }
+
+  /**
+   * @return {Buffer}
+   */
+  finish () {
+    if (this._count > 0) this.write(0, 8 - this._count)
+    return this._buffer.slice(0, this._length)
+  }
+}
+
+/**
+ * Compute the lengths of the prefix code of the histogram, limited to the maximum length.
+ * The counts are flattened until the Huffman code built from them is short enough
+ * @param {Uint32Array} histogram
+ * @param {number} maxLength
+ * @return {Uint8Array}
+ */
+function buildCodeLengths (histogram, maxLength) {
+  const lengths = new Uint8Array(histogram.length)
+  const symbols = []
+  for (let symbol = 0; symbol < histogram.length; symbol++) {
+    if (histogram[symbol]) symbols.push(symbol)
+  }
+  if (symbols.length === 1) lengths[symbols[0]] = 1
+  if (symbols.length < 2) return lengths
+  for (let minCount = 1; ; minCount *= 2) {
+    const leaves = symbols
+      .map(symbol => ({
+        weight: Math.max(histogram[symbol], minCount),
+        symbol
+      }))
+      .sort((a, b) => a.weight - b.weight || a.symbol - b.symbol)
+    const nodes = []
+    let leaf = 0
+    let node = 0
+    const take = () => {
+      if (
+        node === nodes.length ||
+        (leaf < leaves.length && leaves[leaf].weight <= nodes[node].weight)
+      ) {
+        return leaves[leaf++]
+      }
+      return nodes[node++]
+    }
+    while (leaves.length - leaf + nodes.length - node > 1) {
+      const left = take()
+      const right = take()
+      nodes.push({
+        weight: left.weight + right.weight,
+        children: [left, right]
+      })
+    }
+    let tooLong = false
+    const stack = [[nodes[nodes.length - 1], 0]]
+    while (stack.length) {
+      const [current, depth] = stack.pop()
+      if (current.children) {
+        stack.push([current.children[0], depth + 1])
+        stack.push([current.children[1], depth + 1])
+      } else {
+        lengths[current.symbol] = depth
+        if (depth > maxLength) tooLong = true
+      }
+    }
+    if (!tooLong) return lengths
+  }
+}
+
+/**
+ * The canonical codes of the code lengths, with their bits reversed as codes are read most significant bit first
+ * @param {Uint8Array} lengths
+ * @return {Uint16Array}
+ */
+function buildCodes (lengths) {
+  const lengthCounts = new Uint16Array(16)
+  for (const length of lengths) if (length) lengthCounts[length]++
+  const nextCodes = new Uint16Array(16)
+  let code = 0
+  for (let length = 1; length < 16; length++) {
+    code = (code + lengthCounts[length - 1]) << 1
+    nextCodes[length] = code
+  }
+  const codes = new Uint16Array(lengths.length)
+  for (let symbol = 0; symbol < lengths.length; symbol++) {
+    const length = lengths[symbol]
+    if (!length) continue
+    let value = nextCodes[length]++
+    let reversed = 0
+    for (let i = 0; i < length; i++) {
+      reversed = (reversed << 1) | (value & 1)
+      value >>= 1
+    }
+    codes[symbol] = reversed
+  }
+  return codes
+}
+
+/**
+ * A prefix code of the bitstream
+ */
+class PrefixCode {
+  /**
+   * @param {Uint32Array} histogram
+   */
+  constructor (histogram) {
+    const used = []
+    for (let symbol = 0; symbol < histogram.length; symbol++) {
+      if (histogram[symbol]) used.push(symbol)
+      if (used.length > 1) break
+    }
+    /**
+     * The symbol of a code with a single symbol, written using no bits
+     * @type {?number}
+     */
+    this.single = used.length < 2 ? used[0] || 0 : null
+    this.lengths = null
+    this.codes = null
+    if (this.single === null) {
+      this.lengths = buildCodeLengths(histogram, 15)
+      this.codes = buildCodes(this.lengths)
+    }
+  }
+
+  /**
+   * @param {BitWriter} writer
+   */
+  writeCode (writer) {
+    if (this.single !== null) {
+      // a simple code of one symbol
+      writer.write(1, 1)
+      writer.write(0, 1)
+      if (this.single < 2) {
+        writer.write(0, 1)
+        writer.write(this.single, 1)
+      } else {
+        writer.write(1, 1)
+        writer.write(this.single, 8)
+      }
+      return
+    }
+    writer.write(0, 1)
+    // the code lengths are run length encoded, 17 and 18 repeat zeros 3 to 10 and 11 to 138 times
+    const tokens = []
+    const lengths = this.lengths
+    let i = 0
+    while (i < lengths.length) {
+      if (lengths[i]) {
+        tokens.push([lengths[i], 0, 0])
+        i++
+        continue
+      }
+      let run = 0
+      while (i + run < lengths.length && !lengths[i + run]) run++
+      i += run
+      while (run >= 11) {
+        const repeat = Math.min(run, 138)
+        tokens.push([18, 7, repeat - 11])
+        run -= repeat
+      }
+      if (run >= 3) {
+        tokens.push([17, 3, run - 3])
+        run = 0
+      }
+      for (; run > 0; run--) tokens.push([0, 0, 0])
+    }
+    const histogram = new Uint32Array(19)
+    for (const [symbol] of tokens) histogram[symbol]++
+    // the code length code has at least two symbols so that none of its codes is empty
+    if (tokens.every(([symbol]) => symbol === tokens[0][0])) {
+      histogram[tokens[0][0] === 0 ? 8 : 0] = 1
+    }
+    const codeLengths = buildCodeLengths(histogram, 7)
+    const codes = buildCodes(codeLengths)
+    let count = CodeLengthCodeOrder.length
+    while (count > 4 && !codeLengths[CodeLengthCodeOrder[count - 1]]) count--
+    writer.write(count - 4, 4)
+    for (let i = 0; i < count; i++) {
+      writer.write(codeLengths[CodeLengthCodeOrder[i]], 3)
+    }
+    // every symbol of the alphabet has a code length
+    writer.write(0, 1)
+    for (const [symbol, extraBits, extra] of tokens) {
+      writer.write(codes[symbol], codeLengths[symbol])
+      if (extraBits) writer.write(extra, extraBits)
+    }
+  }
+
+  /**
+   * @param {BitWriter} writer
+   * @param {number} symbol
+   */
+  writeSymbol (writer, symbol) {
+    if (this.single === null) {
+      writer.write(this.codes[symbol], this.lengths[symbol])
+    }
+  }
+}
+
+/**
+ * Split a length or distance into the prefix symbol and the extra bits following it
+ * @param {number} value
+ * @return {Array<number>} - The prefix, the number of extra bits and their value
+ */
+function prefixEncode (value) {
+  const offset = value - 1
+  if (offset < 4) return [offset, 0, 0]
+  const highestBit = 31 - Math.clz32(offset)
+  const secondBit = (offset >> (highestBit - 1)) & 1
+  const extraBits = highestBit - 1
+  return [
+    2 * highestBit + secondBit,
+    extraBits,
+    offset & ((1 << extraBits) - 1)
+  ]
+}
+
+/**
+ * @param {number} distance
+ * @param {number} width
+ * @return {number} - The distance code, using the codes of the pixels above and to the left
+ */
+function distanceCode (distance, width) {
+  if (distance === width) return 1
+  if (distance === 1) return 2
+  return distance + 120
+}
+
+/**
+ * @param {Uint32Array} pixels
+ * @param {number} a
+ * @param {number} b
+ * @param {number} max
+ * @return {number}
+ */
+function matchLength (pixels, a, b, max) {
+  let length = 0
+  while (length < max && pixels[a + length] === pixels[b + length]) length++
+  return length
+}
+
+/**
+ * Find the backward references of the pixels, trying the pixel to the left, the pixel above and
+ * the last pixel with the same hash of the next two pixels
+ * @param {Uint32Array} pixels
+ * @param {number} width
+ * @return {Array<number>} - Pairs of lengths and distances, with a distance of 0 for literal pixels
+ */
+function findBackwardReferences (pixels, width) {
+  const references = []
+  const lastPositions = new Int32Array(1 << HashBits).fill(-1)
+  const hash = i =>
+    (Math.imul(pixels[i], 0x1e35a7bd) ^
+      Math.imul(pixels[i + 1], 0x9e3779b1)) >>>
+    (32 - HashBits)
+  let i = 0
+  while (i < pixels.length) {
+    const max = Math.min(MaxCopyLength, pixels.length - i)
+    let bestLength = 0
+    let bestDistance = 0
+    const candidates = [1, width]
+    if (i + 1 < pixels.length) {
+      const last = lastPositions[hash(i)]
+      if (last >= 0) candidates.push(i - last)
+    }
+    for (const distance of candidates) {
+      if (distance > i || distance > MaxCopyDistance) continue
+      const length = matchLength(pixels, i, i - distance, max)
+      if (length > bestLength) {
+        bestLength = length
+        bestDistance = distance
+      }
+    }
+    const step = bestLength >= MinCopyLength ? bestLength : 1
+    if (step > 1) references.push(bestLength, bestDistance)
+    else references.push(1, 0)
+    for (let j = i; j < i + step && j + 1 < pixels.length; j++) {
+      lastPositions[hash(j)] = j
+    }
+    i += step
+  }
+  return references
+}
+
+/**
+ * Encode the image as a lossless VP8L bitstream, using the subtract green transform,
+ * backward references and prefix codes built from the histograms of the image
+ * @param {RGBAImage} image
+ * @return {Buffer}
+ */
+function encodeVP8L (image) {
+  const { width, height, data } = image
+  const pixels = new Uint32Array(width * height)
+  let hasAlpha = false
+  for (let i = 0; i < pixels.length; i++) {
+    const r = data[i * 4]
+    const g = data[i * 4 + 1]
+    const b = data[i * 4 + 2]
+    const a = data[i * 4 + 3]
+    if (a !== 255) hasAlpha = true
+    // the subtract green transform
+    pixels[i] =
+      ((a << 24) | (((r - g) & 0xff) << 16) | (g << 8) | ((b - g) & 0xff)) >>> 0
+  }
+  const references = findBackwardReferences(pixels, width)
+  const histograms = AlphabetSizes.map(size => new Uint32Array(size))
+  let position = 0
+  for (let i = 0; i < references.length; i += 2) {
+    const length = references[i]
+    const distance = references[i + 1]
+    if (distance) {
+      histograms[0][256 + prefixEncode(length)[0]]++
+      histograms[4][prefixEncode(distanceCode(distance, width))[0]]++
+    } else {
+      const pixel = pixels[position]
+      histograms[0][(pixel >>> 8) & 0xff]++
+      histograms[1][(pixel >>> 16) & 0xff]++
+      histograms[2][pixel & 0xff]++
+      histograms[3][pixel >>> 24]++
+    }
+    position += length
+  }
+  const codes = histograms.map(histogram => new PrefixCode(histogram))
+  const writer = new BitWriter()
+  writer.write(0x2f, 8)
+  writer.write(width - 1, 14)
+  writer.write(height - 1, 14)
+  writer.write(hasAlpha ? 1 : 0, 1)
+  writer.write(0, 3)
+  // the subtract green transform, the only transform
+  writer.write(1, 1)
+  writer.write(2, 2)
+  writer.write(0, 1)
+  // no color cache and a single group of prefix codes
+  writer.write(0, 1)
+  writer.write(0, 1)
+  for (const code of codes) code.writeCode(writer)
+  position = 0
+  for (let i = 0; i < references.length; i += 2) {
+    const length = references[i]
+    const distance = references[i + 1]
+    if (distance) {
+      const [lengthPrefix, lengthBits, lengthExtra] = prefixEncode(length)
+      codes[0].writeSymbol(writer, 256 + lengthPrefix)
+      writer.write(lengthExtra, lengthBits)
+      const [distancePrefix, distanceBits, distanceExtra] = prefixEncode(
+        distanceCode(distance, width)
+      )
+      codes[4].writeSymbol(writer, distancePrefix)
+      writer.write(distanceExtra, distanceBits)
+    } else {
+      const pixel = pixels[position]
+      codes[0].writeSymbol(writer, (pixel >>> 8) & 0xff)
+      codes[1].writeSymbol(writer, (pixel >>> 16) & 0xff)
+      codes[2].writeSymbol(writer, pixel & 0xff)
+      codes[3].writeSymbol(writer, pixel >>> 24)
+    }
+    position += length
+  }
+  return writer.finish()
+}
+
+/**
+ * @param {string} type
+ * @param {Buffer} data
+ * @return {Buffer} - The RIFF chunk, padded to an even size
+ */
+function riffChunk (type, data) {
+  const header = Buffer.alloc(8)
+  header.write(type, 0, 'ascii')
+  header.writeUInt32LE(data.length, 4)
+  const padding = Buffer.alloc(data.length % 2)
+  return Buffer.concat([header, data, padding])
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} value
+ * @param {number} offset
+ */
+function writeUInt24LE (buffer, value, offset) {
+  buffer[offset] = value & 0xff
+  buffer[offset + 1] = (value >> 8) & 0xff
+  buffer[offset + 2] = (value >> 16) & 0xff
+}
+
+/**
+ * Encode the frames as an animated, lossless, WebP
+ * @param {Array<AnimationFrame>} frames - The frames, of the same size
+ * @param {{loop?: number}} [options] - The number of times the animation is repeated, 0 repeats it forever
+ * @return {Buffer}
+ * @since chrome-remote-interface-extra
+ */
+function encodeWebP (frames, options = {}) {
+  const { width, height } = frames[0].image
+  const chunks = []
+  const frameChunks = []
+  let hasAlpha = false
+  for (const { image, duration } of frames) {
+    const bitstream = encodeVP8L(image)
+    // the alpha_is_used bit of the VP8L header
+    if (bitstream[4] & 0x10) hasAlpha = true
+    const header = Buffer.alloc(16)
+    writeUInt24LE(header, 0, 0)
+    writeUInt24LE(header, 0, 3)
+    writeUInt24LE(header, image.width - 1, 6)
+    writeUInt24LE(header, image.height - 1, 9)
+    writeUInt24LE(header, Math.min(Math.round(duration), 0xffffff), 12)
+    // do not blend the frame with the previous one, do not dispose it
+    header[15] = 0x02
+    frameChunks.push(
+      riffChunk('ANMF', Buffer.concat([header, riffChunk('VP8L', bitstream)]))
+    )
+  }
+  const features = Buffer.alloc(10)
+  features[0] = 0x02 | (hasAlpha ? 0x10 : 0)
+  writeUInt24LE(features, width - 1, 4)
+  writeUInt24LE(features, height - 1, 7)
+  chunks.push(riffChunk('VP8X', features))
+  const animation = Buffer.alloc(6)
+  animation.writeUInt32LE(0xffffffff, 0)
+  animation.writeUInt16LE(options.loop || 0, 4)
+  chunks.push(riffChunk('ANIM', animation))
+  chunks.push(...frameChunks)
+  const body = Buffer.concat([Buffer.from('WEBP', 'ascii'), ...chunks])
+  return riffChunk('RIFF', body)
+}
+
+module.exports = { encodeVP8L, encodeWebP }
@@ -0,0 +1,440 @@
+const util = require('util')
+const crypto = require('crypto')
+const { URL } = require('url')
+const fs = require('fs-extra')
+const WARCReader = require('./WARCReader')
+const { helper, assert, debugError } = require('../helper')
+
+/**
+ * Enumeration of the actions taken for requests not found in the archive
+ * @type {{fail: string, passthrough: string, notFound: string}}
+ */
+const MissPolicies = {
+  fail: 'fail',
+  passthrough: 'passthrough',
+  notFound: '404'
+}
+
+/**
+ * Headers describing a body that is no longer in the form it was sent over the wire in
+ * @type {Set<string>}
+ * @ignore
+ */
+const WireOnlyHeaders = new Set([
+  'content-encoding',
+  'content-length',
+  'transfer-encoding'
+])
+
+/**
+ * @ignore
+ * @param {?string} postData
+ * @return {string}
+ */
+function postDataHash (postData) {
+  if (!postData) return ''
+  return crypto
+    .createHash('sha1')
+    .update(postData)
+    .digest('hex')
+}
+
+/**
+ * @ignore
+ * @param {Object<string, string>|Array<{name: string, value: string}>} headers
+ * @param {boolean} stripWireOnly
+ * @return {Array<CDPHeaderEntry>}
+ */
+function responseHeaders (headers, stripWireOnly) {
+  const entries = Array.isArray(headers)
+    ? headers
+    : Object.keys(headers).map(name => ({ name, value: headers[name] }))
+  const result = []
+  for (let i = 0; i < entries.length; i++) {
+    const { name, value } = entries[i]
+    const lowerName = name.toLowerCase()
+    // HAR exporters sometimes include the HTTP/2 pseudo headers
+    if (lowerName.startsWith(':')) continue
+    if (stripWireOnly && WireOnlyHeaders.has(lowerName)) continue
+    const values = `${value}`.split('\n')
+    for (let j = 0; j < values.length; j++) {
+      result.push({ name, value: values[j] })
+    }
+  }
+  return result
+}
+
+/**
+ * @ignore
+ * @param {Object} log - The log of a HAR
+ * @return {Array<ArchivedExchange>}
+ */
+function exchangesFromHAR (log) {
+  const exchanges = []
+  const entries = log.entries || []
+  for (let i = 0; i < entries.length; i++) {
+    const { request, response } = entries[i]
+    // requests that failed or were blocked have no response to replay
+    if (!response || !response.status) continue
+    const content = response.content || {}
+    let body
+    if (content.text == null) {
+      body = Buffer.alloc(0)
+    } else {
+      body = Buffer.from(
+        content.text,
+        content.encoding === 'base64' ? 'base64' : 'utf8'
+      )
+    }
+    exchanges.push({
+      method: request.method,
+      url: request.url,
+      postData: request.postData ? request.postData.text : null,
+      status: response.status,
+      statusText: response.statusText,
+      // the content of a HAR entry is always decoded
+      headers: responseHeaders(response.headers || [], true),
+      body
+    })
+  }
+  return exchanges
+}
+
+/**
+ * @ignore
+ * @param {Array<WARCRecord>} records
+ * @return {Array<ArchivedExchange>}
+ */
+function exchangesFromWARC (records) {
+  const requestsByConcurrentTo = new Map()
+  const requestsById = new Map()
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i]
+    if (record.type !== 'request') continue
+    requestsById.set(record.headers['warc-record-id'], record)
+    if (record.headers['warc-concurrent-to']) {
+      requestsByConcurrentTo.set(record.headers['warc-concurrent-to'], record)
+    }
+  }
+  const exchanges = []
+  for (let i = 0; i < records.length; i++) {
+    const record = records[i]
+    if (record.type !== 'response') continue
+    const targetURI = record.headers['warc-target-uri']
+    if (!targetURI || !targetURI.startsWith('http')) continue
+    const requestRecord =
+      requestsByConcurrentTo.get(record.headers['warc-record-id']) ||
+      requestsById.get(record.headers['warc-concurrent-to'])
+    let method = 'GET'
+    let postData = null
+    if (requestRecord) {
+      const httpRequest = WARCReader.parseHTTPMessage(requestRecord.content)
+      method = httpRequest.startLine.split(' ')[0]
+      if (httpRequest.body.length) postData = httpRequest.body.toString()
+    }
+    const httpResponse = WARCReader.parseHTTPMessage(record.content)
+    const statusLine = httpResponse.startLine.split(' ')
+    delete httpResponse.headers['content-length']
+    exchanges.push({
+      method,
+      url: targetURI,
+      postData,
+      status: parseInt(statusLine[1], 10),
+      statusText: statusLine.slice(2).join(' '),
+      // content encodings are kept, the body is exactly as it was received
+      headers: responseHeaders(httpResponse.headers, false),
+      body: httpResponse.body
+    })
+  }
+  return exchanges
+}
+
+/**
+ * Replays the responses contained in a HAR or WARC by answering the requests paused by
+ * the Fetch domain, allowing a page to be loaded entirely offline
+ * @since chrome-remote-interface-extra
+ */
+class ArchiveReplayer {
+  /**
+   * Create a new ArchiveReplayer from a HAR or WARC
+   * @param {string|Buffer|HAR|Object} archive - A HAR object or the path to, or contents of, a HAR or WARC file
+   * @param {ReplayOptions} [options]
+   * @return {Promise<ArchiveReplayer>}
+   */
+  static async fromArchive (archive, options) {
+    let exchanges
+    if (helper.isString(archive)) {
+      if (archive.endsWith('.har') || archive.endsWith('.json')) {
+        exchanges = exchangesFromHAR((await fs.readJson(archive)).log)
+      } else {
+        exchanges = exchangesFromWARC(await WARCReader.readFile(archive))
+      }
+    } else if (Buffer.isBuffer(archive)) {
+      exchanges = exchangesFromWARC(WARCReader.parse(archive))
+    } else {
+      assert(
+        archive && archive.log,
+        'The archive to replay from must be a HAR or the path to a HAR or WARC file'
+      )
+      exchanges = exchangesFromHAR(archive.log)
+    }
+    return new ArchiveReplayer(exchanges, options)
+  }
+
+  /**
+   * @param {Array<ArchivedExchange>} exchanges
+   * @param {ReplayOptions} [options]
+   */
+  constructor (
+    exchanges,
+    {
+      onMiss = MissPolicies.fail,
+      matchMethod = true,
+      matchPostData = true,
+      sortQueryParams = true,
+      ignoreQueryParams = [],
+      normalizeURL,
+      errorReason = 'InternetDisconnected'
+    } = {}
+  ) {
+    assert(
+      Object.values(MissPolicies).includes(onMiss),
+      `Unknown onMiss policy "${onMiss}", expected one of ${Object.values(
+        MissPolicies
+      ).join(', ')}`
+    )
+    /**
+     * @type {string}
+     * @private
+     */
+    this._onMiss = onMiss
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._matchMethod = matchMethod
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._matchPostData = matchPostData
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._sortQueryParams = sortQueryParams
+
+    /**
+     * @type {boolean|Array<string>}
+     * @private
+     */
+    this._ignoreQueryParams = ignoreQueryParams
+
+    /**
+     * @type {?function(string): string}
+     * @private
+     */
+    this._normalizeURL = normalizeURL
+
+    /**
+     * @type {string}
+     * @private
+     */
+    this._errorReason = errorReason
+
+    /**
+     * Exchanges are served in the order they were archived, the last one being
+     * served for any additional requests
+     * @type {Map<string, {exchanges: Array<ArchivedExchange>, next: number}>}
+     * @private
+     */
+    this._exchanges = new Map()
+
+    /**
+     * @type {Array<string>}
+     * @private
+     */
+    this._misses = []
+
+    for (let i = 0; i < exchanges.length; i++) {
+      const exchange = exchanges[i]
+      const key = this.key(exchange.method, exchange.url, exchange.postData)
+      const matching = this._exchanges.get(key)
+      if (matching) {
+        matching.exchanges.push(exchange)
+      } else {
+        this._exchanges.set(key, { exchanges: [exchange], next: 0 })
+      }
+    }
+  }
+
+  /**
+   * @return {number}
+   */
+  get size () {
+    let size = 0
+    for (const matching of this._exchanges.values()) {
+      size += matching.exchanges.length
+    }
+    return size
+  }
+
+  /**
+   * @return {Array<string>} - The URLs of the requests that were not found in the archive
+   */
+  misses () {
+    return this._misses.slice()
+  }
+
+  /**
+   * Returns the URL used for matching
+   * @param {string} url
+   * @return {string}
+   */
+  normalizeURL (url) {
+    if (this._normalizeURL) return this._normalizeURL(url)
+    let parsed
+    try {
+      parsed = new URL(url)
+    } catch (e) {
+      return url
+    }
+    parsed.hash = ''
+    if (this._ignoreQueryParams === true) {
+      parsed.search = ''
+      return parsed.href
+    }
+    for (let i = 0; i < this._ignoreQueryParams.length; i++) {
+      parsed.searchParams.delete(this._ignoreQueryParams[i])
+    }
+    if (this._sortQueryParams) parsed.searchParams.sort()
+    return parsed.href
+  }
+
+  /**
+   * Returns the key used to match a request against the archive
+   * @param {string} method
+   * @param {string} url
+   * @param {?string} [postData]
+   * @return {string}
+   */
+  key (method, url, postData) {
+    const parts = [this.normalizeURL(url)]
+    if (this._matchMethod) parts.unshift(method.toUpperCase())
+    if (this._matchPostData) parts.push(postDataHash(postData))
+    return parts.join(' ')
+  }
+
+  /**
+   * Find the archived exchange for a request
+   * @param {{method: string, url: string, postData: ?string}} request
+   * @return {?ArchivedExchange}
+   */
+  match ({ method, url, postData }) {
+    const matching = this._exchanges.get(this.key(method, url, postData))
+    if (!matching) return null
+    const exchange = matching.exchanges[matching.next]
+    if (matching.next < matching.exchanges.length - 1) matching.next += 1
+    return exchange
+  }
+
+  /**
+   * Answer a paused request using the archive
+   * @param {Fetch} fetch
+   * @param {Object} event - The Fetch.requestPaused event
+   * @return {Promise<void>}
+   */
+  async replay (fetch, event) {
+    const { request } = event
+    if (request.url.startsWith('data:')) {
+      return fetch.continueRequest({ requestId: event.requestId })
+    }
+    const exchange = this.match(request)
+    if (exchange) {
+      return fetch.fulfillRequest({
+        requestId: event.requestId,
+        responseCode: exchange.status,
+        responsePhrase: exchange.statusText || undefined,
+        responseHeaders: exchange.headers,
+        body: exchange.body.toString('base64')
+      })
+    }
+    this._misses.push(request.url)
+    switch (this._onMiss) {
+      case MissPolicies.passthrough:
+        return fetch.continueRequest({ requestId: event.requestId })
+      case MissPolicies.notFound:
+        return fetch.fulfillRequest({
+          requestId: event.requestId,
+          responseCode: 404,
+          responseHeaders: [{ name: 'content-type', value: 'text/plain' }],
+          body: Buffer.from('Not Found').toString('base64')
+        })
+      default:
+        return fetch.failRequest({
+          requestId: event.requestId,
+          errorReason: this._errorReason
+        })
+    }
+  }
+
+  /**
+   * Answer a paused request using the archive, tolerating the protocol errors
+   * raised when the request was canceled or the page was closed
+   * @param {Fetch} fetch
+   * @param {Object} event - The Fetch.requestPaused event
+   */
+  handleRequestPaused (fetch, event) {
+    this.replay(fetch, event).catch(debugError)
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[ArchiveReplayer]', 'special')
+    }
+
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(
+      {
+        size: this.size,
+        onMiss: this._onMiss,
+        misses: this._misses.length
+      },
+      newOptions
+    )
+    return `${options.stylize('ArchiveReplayer', 'special')} ${inner}`
+  }
+}
+
+ArchiveReplayer.MissPolicies = MissPolicies
+
+module.exports = ArchiveReplayer
+
+/**
+ * @typedef {Object} ReplayOptions
+ * @property {string} [onMiss = 'fail'] - What to do with requests not in the archive: 'fail', 'passthrough' or '404'
+ * @property {boolean} [matchMethod = true] - Should the request method be used when matching
+ * @property {boolean} [matchPostData = true] - Should a hash of the requests post data be used when matching
+ * @property {boolean} [sortQueryParams = true] - Should the query params be sorted before matching
+ * @property {boolean|Array<string>} [ignoreQueryParams = []] - Names of the query params to be ignored when matching, or true to ignore the query entirely
+ * @property {function(string): string} [normalizeURL] - A function replacing the default URL normalization
+ * @property {string} [errorReason = 'InternetDisconnected'] - The error reason used when failing requests not in the archive
+ */
+
+/**
+ * @typedef {Object} ArchivedExchange
+ * @property {string} method
+ * @property {string} url
+ * @property {?string} postData
+ * @property {number} status
+ * @property {string} statusText
+ * @property {Array<CDPHeaderEntry>} headers
+ * @property {Buffer} body
+ */
@@ -0,0 +1,667 @@
+const util = require('util')
+const fs = require('fs-extra')
+const { Cookie: ToughCookie } = require('tough-cookie')
+const Events = require('../Events')
+const { assert, debugError, helper } = require('../helper')
+const { version } = require('../../package.json')
+
+/**
+ * @type {string}
+ * @ignore
+ */
+const HARVersion = '1.2'
+
+/**
+ * @type {RegExp}
+ * @ignore
+ */
+const TextualMimeRE = /^text\/|json|javascript|ecmascript|xml|svg|x-www-form-urlencoded/i
+
+/**
+ * @ignore
+ * @param {?number} seconds - Seconds since the epoch
+ * @return {string}
+ */
+function isoDate (seconds) {
+  return new Date(seconds != null ? seconds * 1000 : Date.now()).toISOString()
+}
+
+/**
+ * @ignore
+ * Normalizes the protocol reported by Chrome (e.g. h2, http/1.1) into the HAR httpVersion form
+ * @param {?string} protocol
+ * @return {string}
+ */
+function httpVersion (protocol) {
+  if (!protocol) return ''
+  const upper = protocol.toUpperCase()
+  if (upper === 'H2' || upper === 'HTTP/2') return 'HTTP/2.0'
+  if (upper === 'H3' || upper.startsWith('H3-') || upper === 'QUIC') {
+    return 'HTTP/3'
+  }
+  return upper
+}
+
+/**
+ * @ignore
+ * Converts an HTTP headers object into an array of HAR headers. Chrome joins
+ * repeated headers (Set-Cookie) using a newline, those are split back out
+ * @param {?Object} headers
+ * @return {Array<HARNameValue>}
+ */
+function harHeaders (headers) {
+  const results = []
+  if (!headers) return results
+  for (const name in headers) {
+    const values = `${headers[name]}`.split('\n')
+    for (let i = 0; i < values.length; i++) {
+      results.push({ name, value: values[i] })
+    }
+  }
+  return results
+}
+
+/**
+ * @ignore
+ * @param {?string} headersText
+ * @return {number}
+ */
+function headersSize (headersText) {
+  return headersText ? Buffer.byteLength(headersText) : -1
+}
+
+/**
+ * @ignore
+ * @param {?string} cookieHeader - The value of a Cookie request header
+ * @return {Array<HARCookie>}
+ */
+function requestCookies (cookieHeader) {
+  const cookies = []
+  if (!cookieHeader) return cookies
+  const pairs = cookieHeader.split(';')
+  for (let i = 0; i < pairs.length; i++) {
+    const pair = pairs[i].trim()
+    if (!pair) continue
+    const eqIdx = pair.indexOf('=')
+    cookies.push(
+      eqIdx === -1
+        ? { name: pair, value: '' }
+        : { name: pair.substring(0, eqIdx), value: pair.substring(eqIdx + 1) }
+    )
+  }
+  return cookies
+}
+
+/**
+ * @ignore
+ * @param {?string} setCookieHeader - The value of a Set-Cookie response header
+ * @return {Array<HARCookie>}
+ */
+function responseCookies (setCookieHeader) {
+  const cookies = []
+  if (!setCookieHeader) return cookies
+  const lines = setCookieHeader.split('\n')
+  for (let i = 0; i < lines.length; i++) {
+    const parsed = ToughCookie.parse(lines[i], { loose: true })
+    if (!parsed) continue
+    const cookie = { name: parsed.key, value: parsed.value }
+    if (parsed.path) cookie.path = parsed.path
+    if (parsed.domain) cookie.domain = parsed.domain
+    if (parsed.expires instanceof Date) {
+      cookie.expires = parsed.expires.toISOString()
+    }
+    cookie.httpOnly = !!parsed.httpOnly
+    cookie.secure = !!parsed.secure
+    cookies.push(cookie)
+  }
+  return cookies
+}
+
+/**
+ * @ignore
+ * @param {URL} url
+ * @return {Array<HARNameValue>}
+ */
+function queryString (url) {
+  const results = []
+  for (const [name, value] of url.searchParams) {
+    results.push({ name, value })
+  }
+  return results
+}
+
+/**
+ * @ignore
+ * @param {...number} values
+ * @return {number}
+ */
+function firstNonNegative (...values) {
+  for (let i = 0; i < values.length; i++) {
+    if (values[i] >= 0) return values[i]
+  }
+  return -1
+}
+
+/**
+ * @ignore
+ * Computes the HAR timings of a request using the ResourceTiming of its response
+ * @param {Request} request
+ * @param {?Response} response
+ * @return {HARTimings}
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Network#type-ResourceTiming
+ */
+function harTimings (request, response) {
+  const timing = response ? response.timing() : null
+  const endTimestamp = request.endTimestamp()
+  if (!timing) {
+    const total =
+      endTimestamp != null
+        ? Math.max(0, (endTimestamp - request.timestamp()) * 1000)
+        : 0
+    return {
+      blocked: -1,
+      dns: -1,
+      connect: -1,
+      send: 0,
+      wait: 0,
+      receive: total,
+      ssl: -1
+    }
+  }
+  const queued = Math.max(0, (timing.requestTime - request.timestamp()) * 1000)
+  const blocked =
+    queued +
+    Math.max(
+      0,
+      firstNonNegative(timing.dnsStart, timing.connectStart, timing.sendStart)
+    )
+  let receive = 0
+  if (endTimestamp != null) {
+    const received = (endTimestamp - timing.requestTime) * 1000
+    receive = Math.max(0, received - timing.receiveHeadersEnd)
+  }
+  return {
+    blocked,
+    dns: timing.dnsStart >= 0 ? timing.dnsEnd - timing.dnsStart : -1,
+    connect:
+      timing.connectStart >= 0 ? timing.connectEnd - timing.connectStart : -1,
+    send: Math.max(0, timing.sendEnd - timing.sendStart),
+    wait: Math.max(0, timing.receiveHeadersEnd - timing.sendEnd),
+    receive,
+    ssl: timing.sslStart >= 0 ? timing.sslEnd - timing.sslStart : -1
+  }
+}
+
+/**
+ * Records the network traffic seen by a {@link NetworkManager} and produces a HAR 1.2 document from it.
+ *
+ * Redirects are recorded as separate entries, one per hop, and every main frame navigation
+ * starts a new HAR page.
+ * @see http://www.softwareishard.com/blog/har-12-spec/
+ * @since chrome-remote-interface-extra
+ */
+class HARRecorder {
+  /**
+   * @param {NetworkManager} networkManager
+   * @param {Chrome|CRIConnection|CDPSession|Object} client
+   */
+  constructor (networkManager, client) {
+    /**
+     * @type {NetworkManager}
+     * @private
+     */
+    this._networkManager = networkManager
+
+    /**
+     * @type {Chrome|CRIConnection|CDPSession|Object}
+     * @private
+     */
+    this._client = client
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._recording = false
+
+    /**
+     * @type {HARRecordingOptions}
+     * @private
+     */
+    this._options = {}
+
+    /**
+     * @type {Array<{request: Request, body: ?Promise<?Buffer>, postData: ?Promise<?string>}>}
+     * @private
+     */
+    this._records = []
+
+    /**
+     * @type {Array<Object>}
+     * @private
+     */
+    this._pages = []
+
+    /**
+     * @type {?Object}
+     * @private
+     */
+    this._currentPage = null
+
+    /**
+     * @type {?{name: string, version: string}}
+     * @private
+     */
+    this._browser = null
+
+    /**
+     * @type {Array<Object>}
+     * @private
+     */
+    this._eventListeners = []
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get recording () {
+    return this._recording
+  }
+
+  /**
+   * Start recording network traffic
+   * @param {HARRecordingOptions} [options]
+   * @return {Promise<void>}
+   */
+  async start (options = {}) {
+    assert(
+      !this._recording,
+      'Cannot start recording a HAR while already recording a HAR'
+    )
+    this._recording = true
+    this._options = Object.assign({ content: false, path: null }, options)
+    this._records = []
+    this._pages = []
+    this._currentPage = null
+    this._eventListeners = [
+      helper.addEventListener(
+        this._networkManager,
+        Events.NetworkManager.Request,
+        this._onRequest.bind(this)
+      ),
+      helper.addEventListener(
+        this._networkManager,
+        Events.NetworkManager.RequestFinished,
+        this._onRequestDone.bind(this)
+      ),
+      helper.addEventListener(
+        this._networkManager,
+        Events.NetworkManager.RequestFailed,
+        this._onRequestDone.bind(this)
+      ),
+      helper.addEventListener(
+        this._client,
+        'Page.domContentEventFired',
+        this._onDOMContentEventFired.bind(this)
+      ),
+      helper.addEventListener(
+        this._client,
+        'Page.loadEventFired',
+        this._onLoadEventFired.bind(this)
+      )
+    ]
+    if (!this._browser) {
+      try {
+        const { product } = await this._client.send('Browser.getVersion')
+        const [name, browserVersion] = product.split('/')
+        this._browser = { name, version: browserVersion || '' }
+      } catch (e) {
+        debugError(e)
+      }
+    }
+  }
+
+  /**
+   * Stop recording network traffic, returning the recorded HAR
+   * @return {Promise<HAR>}
+   */
+  async stop () {
+    assert(this._recording, 'Cannot stop recording a HAR, not recording')
+    this._recording = false
+    helper.removeEventListeners(this._eventListeners)
+    const har = await this._buildHAR()
+    if (this._options.path) {
+      await fs.writeJson(this._options.path, har)
+    }
+    this._records = []
+    this._pages = []
+    this._currentPage = null
+    return har
+  }
+
+  /**
+   * @param {Request} request
+   * @private
+   */
+  _onRequest (request) {
+    if (!request.isNavigationRequest()) return
+    const frame = request.frame()
+    if (frame && frame.parentFrame()) return
+    if (
+      this._currentPage &&
+      this._currentPage._loaderId === request.loaderId()
+    ) {
+      return
+    }
+    this._currentPage = {
+      id: `page_${this._pages.length + 1}`,
+      startedDateTime: isoDate(request.wallTime()),
+      title: request.url(),
+      pageTimings: { onContentLoad: -1, onLoad: -1 },
+      _loaderId: request.loaderId(),
+      _timestamp: request.timestamp()
+    }
+    this._pages.push(this._currentPage)
+  }
+
+  /**
+   * @param {Request} request
+   * @private
+   */
+  _onRequestDone (request) {
+    const record = {
+      request,
+      pageref: this._currentPage ? this._currentPage.id : null,
+      body: null,
+      postData: null
+    }
+    if (request.hasPostData() && request.postData() == null) {
+      record.postData = request
+        .getPostData()
+        .then(buffer => buffer.toString())
+        .catch(error => {
+          debugError(error)
+          return null
+        })
+    }
+    const response = request.response()
+    if (
+      this._options.content &&
+      response &&
+      !request.failure() &&
+      !(response.status() >= 300 && response.status() <= 399)
+    ) {
+      record.body = response.buffer().catch(error => {
+        debugError(error)
+        return null
+      })
+    }
+    this._records.push(record)
+  }
+
+  /**
+   * @param {{timestamp: number}} event
+   * @private
+   */
+  _onDOMContentEventFired (event) {
+    if (!this._currentPage) return
+    this._currentPage.pageTimings.onContentLoad =
+      (event.timestamp - this._currentPage._timestamp) * 1000
+  }
+
+  /**
+   * @param {{timestamp: number}} event
+   * @private
+   */
+  _onLoadEventFired (event) {
+    const page = this._currentPage
+    if (!page) return
+    page.pageTimings.onLoad = (event.timestamp - page._timestamp) * 1000
+    const frameManager = this._networkManager._frameManager
+    if (frameManager && frameManager.mainFrame()) {
+      page._title = frameManager
+        .mainFrame()
+        .title()
+        .catch(error => {
+          debugError(error)
+          return null
+        })
+    }
+  }
+
+  /**
+   * @return {Promise<HAR>}
+   * @private
+   */
+  async _buildHAR () {
+    const pages = []
+    for (let i = 0; i < this._pages.length; i++) {
+      const page = this._pages[i]
+      const title = page._title ? await page._title : null
+      pages.push({
+        startedDateTime: page.startedDateTime,
+        id: page.id,
+        title: title || page.title,
+        pageTimings: Object.assign({}, page.pageTimings)
+      })
+    }
+    const records = this._records
+      .slice()
+      .sort((a, b) => a.request.timestamp() - b.request.timestamp())
+    const entries = []
+    for (let i = 0; i < records.length; i++) {
+      entries.push(await this._buildEntry(records[i]))
+    }
+    const log = {
+      version: HARVersion,
+      creator: { name: 'chrome-remote-interface-extra', version },
+      pages,
+      entries
+    }
+    if (this._browser) log.browser = this._browser
+    return { log }
+  }
+
+  /**
+   * @param {{request: Request, pageref: ?string, body: ?Promise<?Buffer>, postData: ?Promise<?string>}} record
+   * @return {Promise<HAREntry>}
+   * @private
+   */
+  async _buildEntry (record) {
+    const request = record.request
+    const response = request.response()
+    const timings = harTimings(request, response)
+    let time = 0
+    for (const phase of [
+      'blocked',
+      'dns',
+      'connect',
+      'send',
+      'wait',
+      'receive'
+    ]) {
+      if (timings[phase] > 0) time += timings[phase]
+    }
+    const entry = {
+      startedDateTime: isoDate(request.wallTime()),
+      time,
+      request: await this._buildRequest(record),
+      response: await this._buildResponse(record),
+      cache: {},
+      timings,
+      _resourceType: request.type() ? request.resourceType() : 'other'
+    }
+    if (record.pageref) entry.pageref = record.pageref
+    if (response && response.remoteIPAddress()) {
+      entry.serverIPAddress = response.remoteIPAddress()
+    }
+    if (request.failure()) entry._error = request.failure().errorText
+    return entry
+  }
+
+  /**
+   * @param {{request: Request, postData: ?Promise<?string>}} record
+   * @return {Promise<Object>}
+   * @private
+   */
+  async _buildRequest (record) {
+    const request = record.request
+    const postDataText = record.postData
+      ? await record.postData
+      : request.postData()
+    const harRequest = {
+      method: request.method(),
+      url: request.url(),
+      httpVersion: httpVersion(request.protocol()),
+      cookies: requestCookies(request.header('cookie')),
+      headers: harHeaders(request.headers()),
+      queryString: queryString(request.parsedURL()),
+      headersSize: headersSize(request.headersText()),
+      bodySize: postDataText ? Buffer.byteLength(postDataText) : 0
+    }
+    if (postDataText != null) {
+      const mimeType = request.header('content-type') || ''
+      harRequest.postData = { mimeType, text: postDataText }
+      if (mimeType.includes('application/x-www-form-urlencoded')) {
+        harRequest.postData.params = []
+        for (const [name, value] of new URLSearchParams(postDataText)) {
+          harRequest.postData.params.push({ name, value })
+        }
+      }
+    }
+    return harRequest
+  }
+
+  /**
+   * @param {{request: Request, body: ?Promise<?Buffer>}} record
+   * @return {Promise<Object>}
+   * @private
+   */
+  async _buildResponse (record) {
+    const request = record.request
+    const response = request.response()
+    if (!response) {
+      return {
+        status: 0,
+        statusText: '',
+        httpVersion: '',
+        cookies: [],
+        headers: [],
+        content: { size: 0, mimeType: 'x-unknown' },
+        redirectURL: '',
+        headersSize: -1,
+        bodySize: -1
+      }
+    }
+    const respHeadersSize = headersSize(response.headersText())
+    const encodedDataLength = request.encodedDataLength()
+    let bodySize = -1
+    if (encodedDataLength != null) {
+      bodySize =
+        respHeadersSize > 0
+          ? Math.max(0, encodedDataLength - respHeadersSize)
+          : encodedDataLength
+    }
+    if (response.fromCache()) bodySize = 0
+    const mimeType = response.mimeType() || 'x-unknown'
+    const content = { size: Math.max(0, bodySize), mimeType }
+    const body = record.body ? await record.body : null
+    if (body) {
+      content.size = body.length
+      if (bodySize >= 0 && body.length > bodySize) {
+        content.compression = body.length - bodySize
+      }
+      if (TextualMimeRE.test(mimeType)) {
+        content.text = body.toString('utf8')
+      } else {
+        content.text = body.toString('base64')
+        content.encoding = 'base64'
+      }
+    }
+    return {
+      status: response.status(),
+      statusText: response.statusText() || '',
+      httpVersion: httpVersion(response.protocol()),
+      cookies: responseCookies(response.header('set-cookie')),
+      headers: harHeaders(response.headers()),
+      content,
+      redirectURL: response.header('location') || '',
+      headersSize: respHeadersSize,
+      bodySize
+    }
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[HARRecorder]', 'special')
+    }
+
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(
+      {
+        recording: this._recording,
+        pages: this._pages.length,
+        entries: this._records.length
+      },
+      newOptions
+    )
+    return `${options.stylize('HARRecorder', 'special')} ${inner}`
+  }
+}
+
+module.exports = HARRecorder
+
+/**
+ * @typedef {Object} HARRecordingOptions
+ * @property {boolean} [content = false] - Include the response bodies in the HAR
+ * @property {?string} [path] - Optional path the HAR is to be written to once recording has stopped
+ */
+
+/**
+ * @typedef {Object} HARNameValue
+ * @property {string} name
+ * @property {string} value
+ */
+
+/**
+ * @typedef {Object} HARCookie
+ * @property {string} name
+ * @property {string} value
+ * @property {string} [path]
+ * @property {string} [domain]
+ * @property {string} [expires]
+ * @property {boolean} [httpOnly]
+ * @property {boolean} [secure]
+ */
+
+/**
+ * @typedef {Object} HARTimings
+ * @property {number} blocked
+ * @property {number} dns
+ * @property {number} connect
+ * @property {number} send
+ * @property {number} wait
+ * @property {number} receive
+ * @property {number} ssl
+ */
+
+/**
+ * @typedef {Object} HAREntry
+ * @property {string} [pageref]
+ * @property {string} startedDateTime
+ * @property {number} time
+ * @property {Object} request
+ * @property {Object} response
+ * @property {Object} cache
+ * @property {HARTimings} timings
+ * @property {string} [serverIPAddress]
+ */
+
+/**
+ * @typedef {Object} HAR
+ * @property {{version: string, creator: Object, browser: ?Object, pages: Array<Object>, entries: Array<HAREntry>}} log
+ */
@@ -4,6 +4,9 @@ const Events = require('../Events')
 const TimeoutSettings = require('../TimeoutSettings')
 const Cookie = require('./Cookie')
 const { Fetch, AuthChallengeResponses } = require('./Fetch')
+const ArchiveReplayer = require('./ArchiveReplayer')
+const HARRecorder = require('./HARRecorder')
+const WARCWriter = require('./WARCWriter')
 const Request = require('./Request')
 const Response = require('./Response')
 const NetIdleWatcher = require('./NetworkIdleWatcher')
@@ -82,6 +85,24 @@ class NetworkManager extends EventEmitter {
     /** @type {?Map<string, string>} */
     this._requestIdToInterceptionId = new Map()
 
+    /**
+     * @type {?HARRecorder}
+     * @private
+     */
+    this._harRecorder = null
+
+    /**
+     * @type {?WARCWriter}
+     * @private
+     */
+    this._warcWriter = null
+
+    /**
+     * @type {?ArchiveReplayer}
+     * @private
+     */
+    this._replayer = null
+
     this._fetch.on(Events.Fetch.requestPaused, this._onRequestPaused.bind(this))
     this._fetch.on(Events.Fetch.authRequired, this._onAuthRequired.bind(this))
 
@@ -140,6 +161,95 @@ class NetworkManager extends EventEmitter {
     return NetIdleWatcher.idlePromise(this, options)
   }
 
+  /**
+   * Start recording the network traffic seen by this NetworkManager as a HAR
+   * @param {HARRecordingOptions} [options]
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  startHAR (options) {
+    if (!this._harRecorder) {
+      this._harRecorder = new HARRecorder(this, this._client)
+    }
+    return this._harRecorder.start(options)
+  }
+
+  /**
+   * Stop recording the network traffic seen by this NetworkManager, returning the HAR 1.2 document
+   * @return {Promise<HAR>}
+   * @since chrome-remote-interface-extra
+   */
+  stopHAR () {
+    assert(this._harRecorder, 'Cannot stop recording a HAR, not recording')
+    return this._harRecorder.stop()
+  }
+
+  /**
+   * Start writing the network traffic seen by this NetworkManager to a WARC file
+   * @param {string} path - The path to the WARC file to be written
+   * @param {WARCWriterOptions} [options]
+   * @return {Promise<WARCWriter>}
+   * @since chrome-remote-interface-extra
+   */
+  async startWARC (path, options) {
+    assert(
+      !this._warcWriter,
+      'Cannot start writing a WARC while already writing a WARC'
+    )
+    const writer = new WARCWriter(path, options)
+    this._warcWriter = writer
+    try {
+      await writer.writeWarcInfoRecord()
+    } catch (error) {
+      this._warcWriter = null
+      await writer.end().catch(debugError)
+      throw error
+    }
+    writer.record(this)
+    return writer
+  }
+
+  /**
+   * Stop writing the network traffic seen by this NetworkManager to the WARC file
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  async stopWARC () {
+    assert(this._warcWriter, 'Cannot stop writing a WARC, not writing a WARC')
+    const writer = this._warcWriter
+    this._warcWriter = null
+    await writer.end()
+  }
+
+  /**
+   * Answer every request made by the page using the responses contained in a HAR or WARC
+   * instead of the network
+   * @param {string|Buffer|HAR|Object} archive - A HAR object or the path to, or contents of, a HAR or WARC file
+   * @param {ReplayOptions} [options]
+   * @return {Promise<ArchiveReplayer>}
+   * @since chrome-remote-interface-extra
+   */
+  async replayFrom (archive, options) {
+    assert(
+      !this._userRequestInterceptionEnabled,
+      'Cannot replay from an archive while request interception is enabled'
+    )
+    this._replayer = await ArchiveReplayer.fromArchive(archive, options)
+    await this._updateProtocolRequestInterception()
+    return this._replayer
+  }
+
+  /**
+   * Stop answering requests using the archive being replayed
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  async stopReplay () {
+    assert(this._replayer, 'Cannot stop replaying, not replaying an archive')
+    this._replayer = null
+    await this._updateProtocolRequestInterception()
+  }
+
   /**
    * @param {!FrameManager} frameManager
    */
@@ -507,12 +617,19 @@ class NetworkManager extends EventEmitter {
    * @param {Array<RequestPattern>} [patterns]
    */
   async setRequestInterception (value, patterns) {
+    assert(
+      !(value && this._replayer),
+      'Cannot enable request interception while replaying from an archive'
+    )
     this._userRequestInterceptionEnabled = value
     await this._updateProtocolRequestInterception(patterns)
   }
 
   async _updateProtocolRequestInterception (patterns) {
-    const enabled = this._userRequestInterceptionEnabled || !!this._credentials
+    const enabled =
+      this._userRequestInterceptionEnabled ||
+      !!this._credentials ||
+      !!this._replayer
     if (enabled === this._protocolRequestInterceptionEnabled) {
       return
     }
@@ -616,6 +733,8 @@ class NetworkManager extends EventEmitter {
   _handleRequestRedirect (request, event) {
     const response = new Response(this._client, request, event)
     request._response = response
+    request._endTimestamp = event.timestamp
+    request._encodedDataLength = response.encodedDataLength()
     request._redirectChain.push(request)
     response._bodyLoadedPromiseFulfill.call(
       null,
@@ -653,6 +772,8 @@ class NetworkManager extends EventEmitter {
     if (request.response()) {
       request.response()._bodyLoadedPromiseFulfill.call(null)
     }
+    request._endTimestamp = event.timestamp
+    request._encodedDataLength = event.encodedDataLength
     this._requestIdToRequest.delete(request._requestId)
     this._attemptedAuthentications.delete(request._interceptionId)
     this.emit(Events.NetworkManager.RequestFinished, request)
@@ -667,6 +788,7 @@ class NetworkManager extends EventEmitter {
     // @see https://crbug.com/750469
     if (!request) return
     request._failureText = event.errorText
+    request._endTimestamp = event.timestamp
     const response = request.response()
     if (response) {
       response._bodyLoadedPromiseFulfill.call(null)
@@ -701,7 +823,9 @@ class NetworkManager extends EventEmitter {
    * @param {!Object} event
    */
   _onRequestPaused (event) {
-    if (
+    if (this._replayer) {
+      this._replayer.handleRequestPaused(this._fetch, event)
+    } else if (
       !this._userRequestInterceptionEnabled &&
       this._protocolRequestInterceptionEnabled
     ) {
@@ -201,6 +201,16 @@ class Request {
     this._headersLower = null
 
     this._checkRedoNormalization = true
+
+    /**
+     * @type {?number}
+     */
+    this._endTimestamp = null
+
+    /**
+     * @type {?number}
+     */
+    this._encodedDataLength = null
   }
 
   /**
@@ -374,6 +384,24 @@ class Request {
     return this._timestamp
   }
 
+  /**
+   * Returns the monotonic timestamp, in seconds, of when loading of this request finished, failed or was redirected
+   * @return {?number}
+   * @since chrome-remote-interface-extra
+   */
+  endTimestamp () {
+    return this._endTimestamp
+  }
+
+  /**
+   * Returns the total number of bytes received for this request, if loading has finished
+   * @return {?number}
+   * @since chrome-remote-interface-extra
+   */
+  encodedDataLength () {
+    return this._encodedDataLength
+  }
+
   /**
    *
    * @return {number}
@@ -612,11 +640,13 @@ class Request {
   }
 
   /**
-   * @return {{headers: Object, initialPriority: string, method: string, referrerPolicy: string, frameId: string, mixedContentType: ?string, documentURL: string, initiator: string, loaderId: string, hasPostData: ?boolean, urlFragment: ?string, type: string, url: string, isLinkPreload: boolean, requestId: string, response: ?Response, hasUserGesture: boolean, wallTime: number, fromMemoryCache: boolean, postData: ?string, timestamp: number}}
+   * @return {{headers: Object, encodedDataLength: ?number, endTimestamp: ?number, initialPriority: string, method: string, referrerPolicy: string, frameId: string, mixedContentType: ?string, documentURL: string, initiator: string, loaderId: string, hasPostData: ?boolean, urlFragment: ?string, type: string, url: string, isLinkPreload: boolean, requestId: string, response: ?Response, hasUserGesture: boolean, wallTime: number, fromMemoryCache: boolean, postData: ?string, timestamp: number}}
    */
   toJSON () {
     return {
       documentURL: this._documentURL,
+      encodedDataLength: this._encodedDataLength,
+      endTimestamp: this._endTimestamp,
       frameId: this._frameId,
       fromMemoryCache: this._fromMemoryCache,
       hasPostData: this._hasPostData,
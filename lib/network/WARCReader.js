@@ -0,0 +1,145 @@
+const zlib = require('zlib')
+const fs = require('fs-extra')
+const { CRLF, CRLF2x } = require('./_shared')
+
+/**
+ * @type {Buffer}
+ * @ignore
+ */
+const CRLF2xBuffer = Buffer.from(CRLF2x)
+
+/**
+ * @ignore
+ * @param {Buffer} buffer
+ * @return {boolean}
+ */
+function isGzipped (buffer) {
+  return buffer.length > 2 && buffer[0] === 0x1f && buffer[1] === 0x8b
+}
+
+/**
+ * @ignore
+ * Parses the header lines of a WARC record or HTTP message into an object with lower cased keys.
+ * Repeated headers are joined using a newline, the same way Chrome does
+ * @param {Array<string>} lines
+ * @return {Object<string, string>}
+ */
+function parseHeaderLines (lines) {
+  const headers = {}
+  for (let i = 0; i < lines.length; i++) {
+    const line = lines[i]
+    const colonIdx = line.indexOf(':')
+    if (colonIdx === -1) continue
+    const name = line
+      .substring(0, colonIdx)
+      .trim()
+      .toLowerCase()
+    const value = line.substring(colonIdx + 1).trim()
+    headers[name] = name in headers ? `${headers[name]}\n${value}` : value
+  }
+  return headers
+}
+
+/**
+ * @ignore
+ * @param {Buffer} body
+ * @return {Buffer}
+ */
+function dechunk (body) {
+  const chunks = []
+  let offset = 0
+  while (offset < body.length) {
+    const lineEnd = body.indexOf(CRLF, offset)
+    if (lineEnd === -1) break
+    const size = parseInt(body.toString('utf8', offset, lineEnd), 16)
+    if (!size) break
+    chunks.push(body.slice(lineEnd + 2, lineEnd + 2 + size))
+    offset = lineEnd + 2 + size + 2
+  }
+  return Buffer.concat(chunks)
+}
+
+/**
+ * Minimal reader for WARC files, gzipped per record or not, sufficient for replaying
+ * the archives produced by {@link WARCWriter} and most crawlers
+ * @since chrome-remote-interface-extra
+ */
+class WARCReader {
+  /**
+   * @param {string} path - Path to the WARC file
+   * @return {Promise<Array<WARCRecord>>}
+   */
+  static async readFile (path) {
+    return WARCReader.parse(await fs.readFile(path))
+  }
+
+  /**
+   * @param {Buffer} buffer - The contents of a WARC file
+   * @return {Array<WARCRecord>}
+   */
+  static parse (buffer) {
+    const data = isGzipped(buffer) ? zlib.gunzipSync(buffer) : buffer
+    const records = []
+    let offset = 0
+    while (offset < data.length) {
+      const versionIdx = data.indexOf('WARC/', offset)
+      if (versionIdx === -1) break
+      const headEnd = data.indexOf(CRLF2xBuffer, versionIdx)
+      if (headEnd === -1) break
+      const lines = data.toString('utf8', versionIdx, headEnd).split(CRLF)
+      const headers = parseHeaderLines(lines.slice(1))
+      const contentStart = headEnd + CRLF2xBuffer.length
+      const contentLength = parseInt(headers['content-length'], 10) || 0
+      records.push({
+        version: lines[0],
+        type: headers['warc-type'],
+        headers,
+        content: data.slice(contentStart, contentStart + contentLength)
+      })
+      offset = contentStart + contentLength
+    }
+    return records
+  }
+
+  /**
+   * Parses the block of a request or response record (application/http) into its parts
+   * @param {Buffer} block
+   * @return {HTTPMessage}
+   */
+  static parseHTTPMessage (block) {
+    const headEnd = block.indexOf(CRLF2xBuffer)
+    const head = block.toString(
+      'utf8',
+      0,
+      headEnd === -1 ? block.length : headEnd
+    )
+    const lines = head.split(CRLF)
+    const headers = parseHeaderLines(lines.slice(1))
+    let body =
+      headEnd === -1
+        ? Buffer.alloc(0)
+        : block.slice(headEnd + CRLF2xBuffer.length)
+    if ((headers['transfer-encoding'] || '').includes('chunked')) {
+      body = dechunk(body)
+      delete headers['transfer-encoding']
+    }
+    return { startLine: lines[0], headers, body }
+  }
+}
+
+module.exports = WARCReader
+
+/**
+ * @typedef {Object} WARCRecord
+ * @property {string} version - The WARC version of the record
+ * @property {string} type - The WARC-Type of the record
+ * @property {Object<string, string>} headers - The records WARC headers, keys lower cased
+ * @property {Buffer} content - The records content block
+ */
+
+/**
+ * @typedef {Object} HTTPMessage
+ * @property {string} startLine - The request or status line
+ * @property {Object<string, string>} headers - The HTTP headers, keys lower cased
+ * @property {Buffer} body
+ */
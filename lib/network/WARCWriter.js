@@ -0,0 +1,493 @@
+const crypto = require('crypto')
+const Path = require('path')
+const util = require('util')
+const zlib = require('zlib')
+const fs = require('fs-extra')
+const uuidv4 = require('uuid/v4')
+const Events = require('../Events')
+const TaskQueue = require('../TaskQueue')
+const { assert, debugError, helper } = require('../helper')
+const { CRLF, CRLF2x } = require('./_shared')
+const { version } = require('../../package.json')
+
+/**
+ * @type {string}
+ * @ignore
+ */
+const WARCVersion = 'WARC/1.1'
+
+/**
+ * @type {string}
+ * @ignore
+ */
+const Base32Alphabet = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567'
+
+/**
+ * @type {Set<string>}
+ * @ignore
+ */
+const StrippedResponseHeaders = new Set([
+  'content-encoding',
+  'transfer-encoding',
+  'content-length'
+])
+
+/**
+ * Open a stream truncating the file at path, rejecting when it cannot be opened
+ * @ignore
+ * @param {string} path
+ * @return {Promise<fs.WriteStream>}
+ */
+function openWriteStream (path) {
+  return new Promise((resolve, reject) => {
+    const stream = fs.createWriteStream(path, { flags: 'w' })
+    stream.once('error', reject)
+    stream.once('open', () => {
+      stream.removeListener('error', reject)
+      // later failures are reported to the write callbacks
+      stream.on('error', debugError)
+      resolve(stream)
+    })
+  })
+}
+
+/**
+ * @ignore
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+function base32 (buffer) {
+  let bits = 0
+  let value = 0
+  let output = ''
+  for (let i = 0; i < buffer.length; i++) {
+    value = (value << 8) | buffer[i]
+    bits += 8
+    while (bits >= 5) {
+      output += Base32Alphabet[(value >>> (bits - 5)) & 31]
+      bits -= 5
+    }
+  }
+  if (bits > 0) output += Base32Alphabet[(value << (5 - bits)) & 31]
+  return output
+}
+
+/**
+ * @ignore
+ * @param {Buffer} buffer
+ * @return {string}
+ */
+function sha1Digest (buffer) {
+  return `sha1:${base32(
+    crypto
+      .createHash('sha1')
+      .update(buffer)
+      .digest()
+  )}`
+}
+
+/**
+ * @ignore
+ * @return {string}
+ */
+function recordId () {
+  return `<urn:uuid:${uuidv4()}>`
+}
+
+/**
+ * @ignore
+ * @param {?number} [seconds] - Seconds since the epoch
+ * @return {string}
+ */
+function warcDate (seconds) {
+  const date = new Date(seconds != null ? seconds * 1000 : Date.now())
+  return date.toISOString().replace(/\.\d+Z$/, 'Z')
+}
+
+/**
+ * @ignore
+ * Ensures the HTTP head (start line and headers) ends with the empty line separating it from the body
+ * @param {string} head
+ * @return {string}
+ */
+function terminateHead (head) {
+  if (head.endsWith(CRLF2x)) return head
+  if (head.endsWith(CRLF)) return `${head}${CRLF}`
+  return `${head}${CRLF2x}`
+}
+
+/**
+ * @ignore
+ * The body returned by Network.getResponseBody has already been decoded so the
+ * content and transfer encoding headers are dropped and the Content-Length is
+ * set to the length of the body actually written
+ * @param {string} head
+ * @param {number} bodyLength
+ * @return {string}
+ */
+function rewriteResponseHead (head, bodyLength) {
+  const lines = head.split(CRLF)
+  const kept = [lines[0]]
+  for (let i = 1; i < lines.length; i++) {
+    const line = lines[i]
+    if (!line) continue
+    const colonIdx = line.indexOf(':')
+    const name = colonIdx === -1 ? line : line.substring(0, colonIdx)
+    if (StrippedResponseHeaders.has(name.trim().toLowerCase())) continue
+    kept.push(line)
+  }
+  kept.push(`Content-Length: ${bodyLength}`)
+  return `${kept.join(CRLF)}${CRLF2x}`
+}
+
+/**
+ * @ignore
+ * @param {Object} fields
+ * @return {string}
+ */
+function stringifyWARCFields (fields) {
+  const out = []
+  for (const name in fields) {
+    const value = fields[name]
+    if (value == null) continue
+    if (Array.isArray(value)) {
+      for (let i = 0; i < value.length; i++) {
+        out.push(`${name}: ${value[i]}${CRLF}`)
+      }
+    } else {
+      out.push(`${name}: ${value}${CRLF}`)
+    }
+  }
+  return out.join('')
+}
+
+/**
+ * Serializes the {@link Request}s and {@link Response}s seen by a page into a WARC/1.1 file
+ * where each record is individually gzipped (.warc.gz).
+ *
+ * The HTTP start lines and headers written are those supplied by {@link Request#requestLineAndHeaders}
+ * and {@link Response#statusLineAndHeaders} with HTTP/2 forced to HTTP/1.1 so that the archive can be replayed
+ * @see https://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/
+ * @since chrome-remote-interface-extra
+ */
+class WARCWriter {
+  /**
+   * @param {string} path - The path to the WARC file to be written
+   * @param {WARCWriterOptions} [options]
+   */
+  constructor (path, options = {}) {
+    assert(helper.isString(path), 'The path for the WARC must be a string')
+    /**
+     * @type {string}
+     * @private
+     */
+    this._path = path
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._gzip = options.gzip != null ? options.gzip : true
+
+    /**
+     * @type {boolean}
+     * @private
+     */
+    this._metadata = !!options.metadata
+
+    /**
+     * @type {?fs.WriteStream}
+     * @private
+     */
+    this._stream = null
+
+    /**
+     * @type {TaskQueue}
+     * @private
+     */
+    this._writeQueue = new TaskQueue()
+
+    /**
+     * @type {?string}
+     * @private
+     */
+    this._warcInfoId = null
+
+    /**
+     * @type {Array<Object>}
+     * @private
+     */
+    this._eventListeners = []
+
+    /**
+     * @type {Set<Promise<void>>}
+     * @private
+     */
+    this._pendingWrites = new Set()
+  }
+
+  /**
+   * @return {string}
+   */
+  get path () {
+    return this._path
+  }
+
+  /**
+   * Writes the warcinfo record describing this WARC
+   * @param {Object} [info] - Additional WARC fields (name: value) for the warcinfo record
+   * @return {Promise<string>} - The WARC-Record-ID of the record
+   */
+  writeWarcInfoRecord (info) {
+    const content = Buffer.from(
+      stringifyWARCFields(
+        Object.assign(
+          {
+            software: `chrome-remote-interface-extra/${version}`,
+            format: 'WARC File Format 1.1',
+            conformsTo:
+              'http://iipc.github.io/warc-specifications/specifications/warc-format/warc-1.1/'
+          },
+          info
+        )
+      )
+    )
+    const id = recordId()
+    this._warcInfoId = id
+    return this._writeRecord(
+      {
+        'WARC-Type': 'warcinfo',
+        'WARC-Record-ID': id,
+        'WARC-Date': warcDate(),
+        'WARC-Filename': Path.basename(this._path),
+        'Content-Type': 'application/warc-fields'
+      },
+      content
+    ).then(() => id)
+  }
+
+  /**
+   * Writes the request record for the supplied request
+   * @param {Request} request
+   * @param {string} [concurrentTo] - The WARC-Record-ID of the response record this request is concurrent to
+   * @return {Promise<string>} - The WARC-Record-ID of the record
+   */
+  async writeRequestRecord (request, concurrentTo) {
+    let postData = request.postData()
+    if (postData == null && request.hasPostData()) {
+      try {
+        postData = await request.getPostData()
+      } catch (e) {
+        debugError(e)
+      }
+    }
+    const head = Buffer.from(terminateHead(request.requestLineAndHeaders(true)))
+    const block =
+      postData != null ? Buffer.concat([head, Buffer.from(postData)]) : head
+    const id = recordId()
+    await this._writeRecord(
+      {
+        'WARC-Type': 'request',
+        'WARC-Record-ID': id,
+        'WARC-Date': warcDate(request.wallTime()),
+        'WARC-Target-URI': request.url(),
+        'WARC-Concurrent-To': concurrentTo,
+        'WARC-Warcinfo-ID': this._warcInfoId,
+        'Content-Type': 'application/http; msgtype=request'
+      },
+      block
+    )
+    return id
+  }
+
+  /**
+   * Writes the response record for the supplied response
+   * @param {Response} response
+   * @param {?Buffer} [body] - The responses body, if not supplied it is retrieved
+   * @return {Promise<string>} - The WARC-Record-ID of the record
+   */
+  async writeResponseRecord (response, body) {
+    let payload = body
+    if (payload == null) {
+      try {
+        payload = await response.buffer()
+      } catch (e) {
+        // redirects and some failed responses have no body
+        debugError(e)
+        payload = Buffer.alloc(0)
+      }
+    }
+    const head = Buffer.from(
+      rewriteResponseHead(response.statusLineAndHeaders(true), payload.length)
+    )
+    const request = response.request()
+    const id = recordId()
+    await this._writeRecord(
+      {
+        'WARC-Type': 'response',
+        'WARC-Record-ID': id,
+        'WARC-Date': warcDate(request ? request.wallTime() : null),
+        'WARC-Target-URI': response.url(),
+        'WARC-IP-Address': response.remoteIPAddress() || undefined,
+        'WARC-Payload-Digest': sha1Digest(payload),
+        'WARC-Warcinfo-ID': this._warcInfoId,
+        'Content-Type': 'application/http; msgtype=response'
+      },
+      Buffer.concat([head, payload])
+    )
+    return id
+  }
+
+  /**
+   * Writes a metadata record
+   * @param {string} targetURI - The URI the metadata is about
+   * @param {Object|string|Buffer} content - The content of the record, objects are serialized as WARC fields (name: value)
+   * @param {string} [concurrentTo] - The WARC-Record-ID of the record this metadata is about
+   * @return {Promise<string>} - The WARC-Record-ID of the record
+   */
+  async writeMetadataRecord (targetURI, content, concurrentTo) {
+    let block
+    let contentType = 'application/warc-fields'
+    if (Buffer.isBuffer(content)) {
+      block = content
+      contentType = 'application/octet-stream'
+    } else if (helper.isString(content)) {
+      block = Buffer.from(content)
+    } else {
+      block = Buffer.from(stringifyWARCFields(content))
+    }
+    const id = recordId()
+    await this._writeRecord(
+      {
+        'WARC-Type': 'metadata',
+        'WARC-Record-ID': id,
+        'WARC-Date': warcDate(),
+        'WARC-Target-URI': targetURI,
+        'WARC-Concurrent-To': concurrentTo,
+        'WARC-Warcinfo-ID': this._warcInfoId,
+        'Content-Type': contentType
+      },
+      block
+    )
+    return id
+  }
+
+  /**
+   * Writes the response, request and (if configured to) metadata records for the supplied request.
+   * Requests that did not receive a response are skipped
+   * @param {Request} request
+   * @return {Promise<void>}
+   */
+  async writeRequestResponse (request) {
+    const response = request.response()
+    if (!response) return
+    const responseId = await this.writeResponseRecord(response)
+    await this.writeRequestRecord(request, responseId)
+    if (this._metadata) {
+      await this.writeMetadataRecord(
+        response.url(),
+        {
+          resourceType: request.resourceType(),
+          frameId: request.frameId(),
+          fromCache: response.fromCache(),
+          fromServiceWorker: response.fromServiceWorker(),
+          protocol: response.protocol()
+        },
+        responseId
+      )
+    }
+  }
+
+  /**
+   * Writes the request and response records of every request that finishes loading in the supplied
+   * NetworkManager until {@link WARCWriter#end} is called
+   * @param {NetworkManager} networkManager
+   */
+  record (networkManager) {
+    this._eventListeners.push(
+      helper.addEventListener(
+        networkManager,
+        Events.NetworkManager.RequestFinished,
+        request => {
+          const write = this.writeRequestResponse(request)
+            .catch(debugError)
+            .then(() => this._pendingWrites.delete(write))
+          this._pendingWrites.add(write)
+        }
+      )
+    )
+  }
+
+  /**
+   * Stops recording (if recording) and closes the WARC once all pending records have been written
+   * @return {Promise<void>}
+   */
+  async end () {
+    helper.removeEventListeners(this._eventListeners)
+    await Promise.all(Array.from(this._pendingWrites))
+    await this._writeQueue.postTask(() => {
+      if (!this._stream) return
+      const stream = this._stream
+      this._stream = null
+      return new Promise((resolve, reject) => {
+        stream.once('error', reject)
+        stream.end(resolve)
+      })
+    })
+  }
+
+  /**
+   * @param {Object} warcHeaders
+   * @param {Buffer} block
+   * @return {Promise<void>}
+   * @private
+   */
+  _writeRecord (warcHeaders, block) {
+    const head = `${WARCVersion}${CRLF}${stringifyWARCFields(
+      Object.assign(warcHeaders, {
+        'WARC-Block-Digest': sha1Digest(block),
+        'Content-Length': block.length
+      })
+    )}${CRLF}`
+    let record = Buffer.concat([Buffer.from(head), block, Buffer.from(CRLF2x)])
+    if (this._gzip) record = zlib.gzipSync(record)
+    return this._writeQueue.postTask(async () => {
+      if (!this._stream) this._stream = await openWriteStream(this._path)
+      await new Promise((resolve, reject) => {
+        this._stream.write(record, error => {
+          if (error) reject(error)
+          else resolve()
+        })
+      })
+    })
+  }
+
+  /** @ignore */
+  // eslint-disable-next-line space-before-function-paren
+  [util.inspect.custom](depth, options) {
+    if (depth < 0) {
+      return options.stylize('[WARCWriter]', 'special')
+    }
+
+    const newOptions = Object.assign({}, options, {
+      depth: options.depth == null ? null : options.depth - 1
+    })
+    const inner = util.inspect(
+      {
+        path: this._path,
+        gzip: this._gzip,
+        metadata: this._metadata
+      },
+      newOptions
+    )
+    return `${options.stylize('WARCWriter', 'special')} ${inner}`
+  }
+}
+
+module.exports = WARCWriter
+
+/**
+ * @typedef {Object} WARCWriterOptions
+ * @property {boolean} [gzip = true] - Gzip each record individually
+ * @property {boolean} [metadata = false] - Write a metadata record for each response record
+ */
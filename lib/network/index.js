@@ -1,5 +1,9 @@
+exports.ArchiveReplayer = require('./ArchiveReplayer')
+
 exports.Cookie = require('./Cookie')
 
+exports.HARRecorder = require('./HARRecorder')
+
 exports.NetIdleWatcher = require('./NetworkIdleWatcher')
 
 exports.NetworkManager = require('./NetworkManager')
@@ -11,3 +15,7 @@ exports.Response = require('./Response')
 exports.SecurityDetails = require('./SecurityDetails')
 
 exports.Fetch = require('./Fetch')
+
+exports.WARCReader = require('./WARCReader')
+
+exports.WARCWriter = require('./WARCWriter')
@@ -7,6 +7,7 @@ const Dialog = require('../Dialog')
 const EmulationManager = require('../EmulationManager')
 const Events = require('../Events')
 const LogEntry = require('./LogEntry')
+const Screencast = require('./Screencast')
 const Tracing = require('../Tracing')
 const TimeoutSettings = require('../TimeoutSettings')
 const Accessibility = require('../accessibility/Accessibility')
@@ -17,11 +18,21 @@ const FrameManager = require('../frames/FrameManager')
 const { Keyboard, Mouse, Touchscreen } = require('../input')
 const { createJSHandle } = require('../JSHandle')
 const NetworkManager = require('../network/NetworkManager')
+const HeapProfiler = require('../profiler/HeapProfiler')
+const detectLeaks = require('../profiler/detectLeaks')
+const Profiler = require('../profiler/Profiler')
 const SecurityManager = require('../SecurityManager')
 const TaskQueue = require('../TaskQueue')
 const WorkerManager = require('../workers/WorkerManager')
 const { helper, debugError, assert } = require('../helper')
 const { ensureCookie } = require('../__shared')
+const {
+  blitImage,
+  compareScreenshots,
+  createImage,
+  decodePNG,
+  encodePNG
+} = require('../image')
 
 /**
  * @typedef {Object} EnabledExtras
@@ -162,8 +173,6 @@ class Page extends EventEmitter {
     this._mouse = new Mouse(client, this._keyboard)
     /** @type {Touchscreen} */
     this._touchscreen = new Touchscreen(client, this._keyboard)
-    /** @type {Accessibility} */
-    this._accessibility = new Accessibility(client)
     /** @type {!NetworkManager} */
     this._networkManager = new NetworkManager({
       client: client,
@@ -177,6 +186,8 @@ class Page extends EventEmitter {
       page: this
     })
     this._networkManager.setFrameManager(this._frameManager)
+    /** @type {Accessibility} */
+    this._accessibility = new Accessibility(client, this._frameManager)
     /** @type {AnimationManager} */
     this._animationManager = new AnimationManager(client)
     /** @type {DatabaseManager} */
@@ -187,6 +198,12 @@ class Page extends EventEmitter {
     this._emulationManager = new EmulationManager(client)
     /** @type {Tracing} */
     this._tracing = new Tracing(client)
+    /** @type {Profiler} */
+    this._profiler = new Profiler(client)
+    /** @type {HeapProfiler} */
+    this._heapProfiler = new HeapProfiler(client)
+    /** @type {Screencast} */
+    this._screencast = new Screencast(client, this)
     /** @type {SecurityManager} */
     this._securityManager = new SecurityManager(client)
     /** @type {!Map<string, Function>} */
@@ -287,6 +304,16 @@ class Page extends EventEmitter {
     }
   }
 
+  /**
+   * The per domain clients, generated from the protocol, of the CDPSession this page uses.
+   * e.g. page.cdp.DOM.getDocument()
+   * @return {DomainClients}
+   * @since chrome-remote-interface-extra
+   */
+  get cdp () {
+    return this._client.cdp
+  }
+
   /**
    * @return {NetworkManager}
    */
@@ -368,6 +395,22 @@ class Page extends EventEmitter {
     return this._tracing
   }
 
+  /**
+   * @return {!Profiler}
+   * @since chrome-remote-interface-extra
+   */
+  get profiler () {
+    return this._profiler
+  }
+
+  /**
+   * @return {!HeapProfiler}
+   * @since chrome-remote-interface-extra
+   */
+  get heapProfiler () {
+    return this._heapProfiler
+  }
+
   /**
    * @return {!Accessibility}
    */
@@ -606,7 +649,7 @@ class Page extends EventEmitter {
    * Waits for a selector.
    * Evaluation occurs within the context of the top frame
    * @param {string} selector
-   * @param {!{visible?: boolean, hidden?: boolean, timeout?: number}} [options]
+   * @param {!{visible?: boolean, hidden?: boolean, pierce?: boolean, timeout?: number}} [options]
    * @return {Promise<ElementHandle|undefined>}
    */
   waitForSelector (selector, options = {}) {
@@ -729,6 +772,27 @@ class Page extends EventEmitter {
     return this._networkManager.setOfflineMode(enabled)
   }
 
+  /**
+   * Answer every request made by the page using the responses contained in a HAR or WARC
+   * instead of the network
+   * @param {string|Buffer|HAR|Object} archive - A HAR object or the path to, or contents of, a HAR or WARC file
+   * @param {ReplayOptions} [options]
+   * @return {Promise<ArchiveReplayer>}
+   * @since chrome-remote-interface-extra
+   */
+  replayFrom (archive, options) {
+    return this._networkManager.replayFrom(archive, options)
+  }
+
+  /**
+   * Stop answering requests using the archive being replayed
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  stopReplay () {
+    return this._networkManager.stopReplay()
+  }
+
   /**
    * @param {number} timeout
    */
@@ -743,22 +807,36 @@ class Page extends EventEmitter {
     this._timeoutSettings.setDefaultTimeout(timeout)
   }
 
+  /**
+   * Set the maximum time to wait for the response to the protocol commands sent by this page, 0 disables the timeout
+   * @param {number} timeout
+   * @since chrome-remote-interface-extra
+   */
+  setDefaultProtocolTimeout (timeout) {
+    this._timeoutSettings.setDefaultProtocolTimeout(timeout)
+    if (typeof this._client.setDefaultProtocolTimeout === 'function') {
+      this._client.setDefaultProtocolTimeout(timeout)
+    }
+  }
+
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle|undefined>}
    * @since chrome-remote-interface-extra
    */
-  querySelector (selector) {
-    return this.$(selector)
+  querySelector (selector, options) {
+    return this.$(selector, options)
   }
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    * @since chrome-remote-interface-extra
    */
-  querySelectorAll (selector) {
-    return this.$$(selector)
+  querySelectorAll (selector, options) {
+    return this.$$(selector, options)
   }
 
   /**
@@ -793,6 +871,82 @@ class Page extends EventEmitter {
     return this.mainFrame().getElementById(elemId)
   }
 
+  /**
+   * Create a locator for the elements of the main frame matching the selector, see {@link Locator}
+   * @param {string} selector
+   * @return {Locator}
+   * @since chrome-remote-interface-extra
+   */
+  locator (selector) {
+    return this.mainFrame().locator(selector)
+  }
+
+  /**
+   * Find the first element with the supplied role, and optionally accessible name, in the accessibility tree
+   * @param {string} role - The ARIA role of the element, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<?ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  getByRole (role, options = {}) {
+    return this.mainFrame().getByRole(role, options)
+  }
+
+  /**
+   * Find every element with the supplied role, and optionally accessible name, in the accessibility tree
+   * @param {string} role - The ARIA role of the elements, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<Array<ElementHandle>>}
+   * @since chrome-remote-interface-extra
+   */
+  getAllByRole (role, options = {}) {
+    return this.mainFrame().getAllByRole(role, options)
+  }
+
+  /**
+   * Find the first element labelled by the supplied text
+   * @param {string|RegExp} text
+   * @param {{exact?: boolean}} [options]
+   * @return {Promise<?ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  getByLabel (text, options = {}) {
+    return this.mainFrame().getByLabel(text, options)
+  }
+
+  /**
+   * Find every element labelled by the supplied text
+   * @param {string|RegExp} text
+   * @param {{exact?: boolean}} [options]
+   * @return {Promise<Array<ElementHandle>>}
+   * @since chrome-remote-interface-extra
+   */
+  getAllByLabel (text, options = {}) {
+    return this.mainFrame().getAllByLabel(text, options)
+  }
+
+  /**
+   * Wait for an element with the supplied role, and optionally accessible name, to be in the accessibility tree
+   * @param {string} role - The ARIA role of the element, e.g. button
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  waitForRole (role, options = {}) {
+    return this.mainFrame().waitForRole(role, options)
+  }
+
+  /**
+   * Wait for an element labelled by the supplied text to be in the accessibility tree
+   * @param {string|RegExp} text
+   * @param {AXQueryOptions} [options]
+   * @return {Promise<ElementHandle>}
+   * @since chrome-remote-interface-extra
+   */
+  waitForLabel (text, options = {}) {
+    return this.mainFrame().waitForLabel(text, options)
+  }
+
   /**
    * @param {string} expression
    * @return {Promise<Array<ElementHandle>>}
@@ -805,15 +959,17 @@ class Page extends EventEmitter {
   /**
    * The method runs document.querySelector within the page.
    * If no element matches the selector, the return value resolves to null.
+   * Shadow roots are crossed when the selector contains the >>> combinator or the pierce option is true.
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<ElementHandle|undefined>}
    */
-  $ (selector) {
-    return this.mainFrame().$(selector)
+  $ (selector, options) {
+    return this.mainFrame().$(selector, options)
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector
    * @param {Function|string} pageFunction
    * @param {...*} args
    * @return {Promise<Object|undefined>}
@@ -823,7 +979,7 @@ class Page extends EventEmitter {
   }
 
   /**
-   * @param {string} selector
+   * @param {string|SelectorQuery} selector
    * @param {Function|string} pageFunction
    * @param {...*} args
    * @return {Promise<Object|undefined>}
@@ -834,10 +990,11 @@ class Page extends EventEmitter {
 
   /**
    * @param {string} selector
+   * @param {SelectorOptions} [options]
    * @return {Promise<Array<ElementHandle>>}
    */
-  $$ (selector) {
-    return this.mainFrame().$$(selector)
+  $$ (selector, options) {
+    return this.mainFrame().$$(selector, options)
   }
 
   /**
@@ -1322,6 +1479,19 @@ class Page extends EventEmitter {
     return context.queryObjects(prototypeHandle)
   }
 
+  /**
+   * Run an action repeatedly, forcing a garbage collection after each run, and report whether the heap,
+   * the DOM nodes or the event listeners of the page grew after every run, with the constructors whose
+   * objects were added to the heap
+   * @param {function(Page, number): Promise<*>} action - Called with the page and the index of the run
+   * @param {LeakDetectionOptions} [options]
+   * @return {Promise<LeakReport>}
+   * @since chrome-remote-interface-extra
+   */
+  detectLeaks (action, options) {
+    return detectLeaks(this, action, options)
+  }
+
   /**
    * Deletes the specified browser cookies with matching name and url or domain/path pair.
    * @param {CDPCookie|CookieToBeDeleted|string|Cookie} cookie - The cookie to be deleted
@@ -1593,6 +1763,18 @@ class Page extends EventEmitter {
       !options.clip || !options.fullPage,
       'options.clip and options.fullPage are exclusive'
     )
+    assert(
+      !options.stitch || options.fullPage,
+      'options.stitch is only supported for fullPage screenshots'
+    )
+    assert(
+      !options.stitch || screenshotType === 'png',
+      'options.stitch is only supported for png screenshots'
+    )
+    assert(
+      !options.hideFixedElements || options.stitch,
+      'options.hideFixedElements is only supported for stitched screenshots'
+    )
     if (options.clip) {
       assert(
         typeof options.clip.x === 'number',
@@ -1697,6 +1879,102 @@ class Page extends EventEmitter {
     }
   }
 
+  /**
+   * Start recording the frames painted by the browser, emitting each frame as the
+   * {@link Events.Page.ScreencastFrame} event
+   * @param {ScreencastOptions} [options]
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  startScreencast (options) {
+    return this._screencast.start(options)
+  }
+
+  /**
+   * Stop recording the screencast, writing the frames to options.path when it was given to {@link startScreencast}
+   * @return {Promise<Array<ScreencastFrame>>}
+   * @since chrome-remote-interface-extra
+   */
+  stopScreencast () {
+    return this._screencast.stop()
+  }
+
+  /**
+   * Take a PNG screenshot and compare it pixel by pixel with a baseline PNG
+   * @param {string|Buffer} baseline - The baseline PNG or the path of its file
+   * @param {!CompareScreenshotOptions=} options
+   * @return {Promise<ScreenshotComparison>}
+   * @since chrome-remote-interface-extra
+   */
+  async compareScreenshot (baseline, options = {}) {
+    let origin
+    if (options.fullPage) {
+      origin = { x: 0, y: 0 }
+    } else if (options.clip) {
+      origin = options.clip
+    } else {
+      const { layoutViewport } = await this.getLayoutMetrics()
+      origin = { x: layoutViewport.pageX, y: layoutViewport.pageY }
+    }
+    return this._compareScreenshot(
+      baseline,
+      options,
+      origin,
+      screenshotOptions => this.screenshot(screenshotOptions)
+    )
+  }
+
+  /**
+   * @param {string|Buffer} baseline
+   * @param {!CompareScreenshotOptions} options
+   * @param {{x: number, y: number}} origin - The position in the page of the top left corner of the screenshot
+   * @param {function(ScreenshotOptions): Promise<Buffer>} takeScreenshot
+   * @return {Promise<ScreenshotComparison>}
+   */
+  async _compareScreenshot (baseline, options, origin, takeScreenshot) {
+    const masks = await this._maskRegions(options.mask || [], origin)
+    const screenshotOptions = Object.assign({}, options, {
+      type: 'png',
+      encoding: 'binary'
+    })
+    delete screenshotOptions.quality
+    const screenshot = await takeScreenshot(screenshotOptions)
+    return compareScreenshots(
+      baseline,
+      screenshot,
+      Object.assign({}, options, { masks })
+    )
+  }
+
+  /**
+   * The regions of a screenshot covered by the elements matching the selectors, in pixels of the screenshot
+   * @param {Array<string>} selectors
+   * @param {{x: number, y: number}} origin - The position in the page of the top left corner of the screenshot
+   * @return {Promise<Array<ImageRegion>>}
+   */
+  async _maskRegions (selectors, origin) {
+    if (!selectors.length) return []
+    const {
+      layoutViewport: { pageX, pageY }
+    } = await this.getLayoutMetrics()
+    const scale = await this.evaluate(() => window.devicePixelRatio)
+    const regions = []
+    for (const selector of selectors) {
+      for (const handle of await this.$$(selector)) {
+        const box = await handle.boundingBox()
+        await handle.dispose()
+        if (!box) continue
+        regions.push({
+          x: (box.x + pageX - origin.x) * scale,
+          y: (box.y + pageY - origin.y) * scale,
+          width: box.width * scale,
+          height: box.height * scale
+        })
+      }
+    }
+    return regions
+  }
+
   /**
    * @param {"png"|"jpeg"} format
    * @param {!ScreenshotOptions=} options
@@ -1708,6 +1986,13 @@ class Page extends EventEmitter {
         targetId: this._target.id()
       })
     }
+    if (options.fullPage && options.stitch) {
+      const png = await this._stitchedScreenshot(options)
+      const buffer =
+        options.encoding === 'base64' ? png.toString('base64') : png
+      if (options.path) await fs.writeFile(options.path, buffer)
+      return buffer
+    }
     let clip = options.clip ? processClip(options.clip) : undefined
 
     let deviceMetricsToReset
@@ -1771,6 +2056,92 @@ class Page extends EventEmitter {
     return buffer
   }
 
+  /**
+   * Capture the full page by scrolling the viewport over it, capturing a tile per scroll position,
+   * rather than resizing the viewport to the size of the page, and composite the tiles into a PNG
+   * @param {!ScreenshotOptions} options
+   * @return {Promise<Buffer>}
+   */
+  async _stitchedScreenshot (options) {
+    const { contentSize, layoutViewport } = await this.getLayoutMetrics()
+    const width = Math.ceil(contentSize.width)
+    const height = Math.ceil(contentSize.height)
+    const viewportWidth = layoutViewport.clientWidth
+    const viewportHeight = layoutViewport.clientHeight
+    if (options.omitBackground) {
+      await this._emulationManager.setDefaultBackgroundColorOverride({
+        r: 0,
+        g: 0,
+        b: 0,
+        a: 0
+      })
+    }
+    /** @type {?RGBAImage} */
+    let image = null
+    let scale = 1
+    /** @type {?JSHandle} */
+    let hiddenElements = null
+    try {
+      for (let y = 0; y < height; y += viewportHeight) {
+        for (let x = 0; x < width; x += viewportWidth) {
+          // scrolling stops at the end of the page, the last tiles overlap the previous ones
+          const scrolled = await this.evaluate(scrollToAndWait, x, y)
+          const clip = {
+            x: scrolled.x,
+            y: scrolled.y,
+            width: Math.min(viewportWidth, width - scrolled.x),
+            height: Math.min(viewportHeight, height - scrolled.y),
+            scale: 1
+          }
+          const result = await this._client.send('Page.captureScreenshot', {
+            format: 'png',
+            clip
+          })
+          const tile = decodePNG(Buffer.from(result.data, 'base64'))
+          if (!image) {
+            // tiles are captured in device pixels
+            scale = tile.width / clip.width
+            image = createImage(
+              Math.round(width * scale),
+              Math.round(height * scale)
+            )
+          }
+          blitImage(
+            tile,
+            image,
+            {
+              x: Math.round((x - scrolled.x) * scale),
+              y: Math.round((y - scrolled.y) * scale),
+              width: tile.width,
+              height: tile.height
+            },
+            Math.round(x * scale),
+            Math.round(y * scale)
+          )
+          if (options.hideFixedElements && !hiddenElements) {
+            hiddenElements = await this.evaluateHandle(hideFixedElements)
+          }
+        }
+      }
+    } finally {
+      if (hiddenElements) {
+        await this.evaluate(restoreFixedElements, hiddenElements).catch(
+          debugError
+        )
+        await hiddenElements.dispose()
+      }
+      await this.evaluate(
+        (x, y) => window.scrollTo(x, y),
+        layoutViewport.pageX,
+        layoutViewport.pageY
+      ).catch(debugError)
+      if (options.omitBackground) {
+        await this._emulationManager.setDefaultBackgroundColorOverride()
+      }
+    }
+    return encodePNG(image)
+  }
+
   /**
    * @param delta
    * @param {!{timeout?: number, waitUntil?: string|Array<string>}=} options
@@ -2037,6 +2408,53 @@ function processClip (clip) {
   return { x, y, width, height, scale: 1 }
 }
 
+/**
+ * Scroll the window and wait for the page to be painted at the new scroll position, evaluated in the page
+ * @param {number} x
+ * @param {number} y
+ * @return {Promise<{x: number, y: number}>} - The scroll position, which is clamped to the size of the page
+ */
+async function scrollToAndWait (x, y) {
+  window.scrollTo(x, y)
+  await new Promise(resolve =>
+    window.requestAnimationFrame(() => window.requestAnimationFrame(resolve))
+  )
+  return { x: window.scrollX, y: window.scrollY }
+}
+
+/**
+ * Hide the fixed and sticky elements of the page, evaluated in the page
+ * @return {Array<Array<*>>} - The elements hidden and the visibility they had, see {@link restoreFixedElements}
+ */
+function hideFixedElements () {
+  const hidden = []
+  for (const element of document.querySelectorAll('*')) {
+    const position = window.getComputedStyle(element).position
+    if (position !== 'fixed' && position !== 'sticky') continue
+    hidden.push([
+      element,
+      element.style.getPropertyValue('visibility'),
+      element.style.getPropertyPriority('visibility')
+    ])
+    element.style.setProperty('visibility', 'hidden', 'important')
+  }
+  return hidden
+}
+
+/**
+ * Restore the visibility of the elements hidden by {@link hideFixedElements}, evaluated in the page
+ * @param {Array<Array<*>>} hidden
+ */
+function restoreFixedElements (hidden) {
+  for (const [element, visibility, priority] of hidden) {
+    if (visibility) {
+      element.style.setProperty('visibility', visibility, priority)
+    } else {
+      element.style.removeProperty('visibility')
+    }
+  }
+}
+
 /**
  * @param {(string|number|undefined)} parameter
  * @return {(number|undefined)}
@@ -0,0 +1,232 @@
+const path = require('path')
+const fs = require('fs-extra')
+const Events = require('../Events')
+const { assert, debugError, helper } = require('../helper')
+const {
+  blitImage,
+  createImage,
+  decodePNG,
+  encodeGIF,
+  encodeWebP
+} = require('../image')
+
+/**
+ * The time the last frame of an animation is displayed for, in milliseconds
+ * @type {number}
+ */
+const LastFrameDuration = 100
+
+/**
+ * The encoders of the animations, by file extension
+ * @type {Object<string, function(Array<AnimationFrame>, {loop?: number}): Buffer>}
+ */
+const AnimationEncoders = {
+  '.gif': encodeGIF,
+  '.webp': encodeWebP
+}
+
+/**
+ * Records the frames of the page painted by the browser, using Page.startScreencast
+ */
+class Screencast {
+  /**
+   * @param {Chrome|CRIConnection|CDPSession|Object} client
+   * @param {Page} page
+   */
+  constructor (client, page) {
+    /**
+     * @type {Chrome|CRIConnection|CDPSession|Object}
+     * @private
+     */
+    this._client = client
+    /**
+     * @type {Page}
+     * @private
+     */
+    this._page = page
+    this._recording = false
+    /** @type {?ScreencastOptions} */
+    this._options = null
+    /** @type {Array<ScreencastFrame>} */
+    this._frames = []
+    /** @type {Array<Object>} */
+    this._eventListeners = []
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get recording () {
+    return this._recording
+  }
+
+  /**
+   * Write the frames of a screencast to disk. Paths ending with .gif or .webp are written as an animation,
+   * which requires png frames, any other path is a directory the frames are written to as an image sequence
+   * @param {Array<ScreencastFrame>} frames
+   * @param {string} filePath
+   * @param {{loop?: number}} [options] - The number of times the animation is repeated, 0 repeats it forever
+   * @return {Promise<void>}
+   * @since chrome-remote-interface-extra
+   */
+  static async save (frames, filePath, options = {}) {
+    const encoder = AnimationEncoders[path.extname(filePath).toLowerCase()]
+    if (!encoder) {
+      await fs.ensureDir(filePath)
+      const digits = Math.max(5, String(frames.length).length)
+      await Promise.all(
+        frames.map((frame, index) =>
+          fs.writeFile(
+            path.join(
+              filePath,
+              `frame-${String(index + 1).padStart(digits, '0')}.${frame.format}`
+            ),
+            frame.data
+          )
+        )
+      )
+      return
+    }
+    assert(frames.length, 'The screencast has no frames')
+    assert(
+      frames.every(frame => frame.format === 'png'),
+      'Only png screencast frames can be written as an animation'
+    )
+    let canvas = null
+    const animationFrames = frames.map((frame, index) => {
+      let image = decodePNG(frame.data)
+      if (!canvas) {
+        canvas = { width: image.width, height: image.height }
+      } else if (
+        image.width !== canvas.width ||
+        image.height !== canvas.height
+      ) {
+        // the frames of an animation are the size of the first one
+        const resized = createImage(canvas.width, canvas.height)
+        blitImage(image, resized, Object.assign({ x: 0, y: 0 }, canvas), 0, 0)
+        image = resized
+      }
+      const next = frames[index + 1]
+      const duration = next
+        ? Math.max(0, (next.timestamp - frame.timestamp) * 1000)
+        : LastFrameDuration
+      return { image, duration }
+    })
+    await fs.writeFile(filePath, encoder(animationFrames, options))
+  }
+
+  /**
+   * Start recording the frames of the page. Each frame is emitted by the page as the
+   * {@link Events.Page.ScreencastFrame} event
+   * @param {ScreencastOptions} [options]
+   * @return {Promise<void>}
+   */
+  async start (options = {}) {
+    assert(
+      !this._recording,
+      'Cannot start a screencast while already recording a screencast.'
+    )
+    const {
+      format = 'png',
+      quality,
+      everyNthFrame,
+      maxWidth,
+      maxHeight
+    } = options
+    assert(
+      format === 'png' || format === 'jpeg',
+      'Unknown options.format value: ' + format
+    )
+    assert(
+      quality == null || format === 'jpeg',
+      'options.quality is unsupported for the png screencasts'
+    )
+    assert(
+      !options.path ||
+        !AnimationEncoders[path.extname(options.path).toLowerCase()] ||
+        format === 'png',
+      'Only png screencasts can be written as an animation'
+    )
+    this._options = options
+    this._frames = []
+    this._eventListeners = [
+      helper.addEventListener(this._client, 'Page.screencastFrame', event =>
+        this._onScreencastFrame(event)
+      )
+    ]
+    this._recording = true
+    try {
+      await this._client.send('Page.startScreencast', {
+        format,
+        quality,
+        everyNthFrame,
+        maxWidth,
+        maxHeight
+      })
+    } catch (error) {
+      helper.removeEventListeners(this._eventListeners)
+      this._recording = false
+      throw error
+    }
+  }
+
+  /**
+   * Stop recording, writing the frames to options.path when it was given to {@link start}
+   * @return {Promise<Array<ScreencastFrame>>}
+   */
+  async stop () {
+    assert(this._recording, 'Cannot stop a screencast that was not started.')
+    this._recording = false
+    helper.removeEventListeners(this._eventListeners)
+    await this._client.send('Page.stopScreencast')
+    const frames = this._frames
+    this._frames = []
+    if (this._options.path) {
+      await Screencast.save(frames, this._options.path, this._options)
+    }
+    return frames
+  }
+
+  /**
+   * @param {!Object} event
+   */
+  _onScreencastFrame (event) {
+    this._client
+      .send('Page.screencastFrameAck', { sessionId: event.sessionId })
+      .catch(debugError)
+    /** @type {ScreencastFrame} */
+    const frame = {
+      data: Buffer.from(event.data, 'base64'),
+      format: this._options.format || 'png',
+      timestamp:
+        event.metadata.timestamp != null
+          ? event.metadata.timestamp
+          : Date.now() / 1000,
+      metadata: event.metadata
+    }
+    this._frames.push(frame)
+    this._page.emit(Events.Page.ScreencastFrame, frame)
+  }
+}
+
+module.exports = Screencast
+
+/**
+ * @typedef {Object} ScreencastOptions
+ * @property {string} [format = png] - One of png or jpeg
+ * @property {number} [quality] - The quality of jpeg frames, from 0 to 100
+ * @property {number} [everyNthFrame] - Only send every nth frame painted
+ * @property {number} [maxWidth]
+ * @property {number} [maxHeight]
+ * @property {string} [path] - Write the frames when the screencast stops, see {@link Screencast.save}
+ * @property {number} [loop = 0] - The number of times an animation written to path is repeated, 0 repeats it forever
+ */
+
+/**
+ * @typedef {Object} ScreencastFrame
+ * @property {Buffer} data - The image of the frame
+ * @property {string} format - One of png or jpeg
+ * @property {number} timestamp - The time the frame was painted at, in seconds since the epoch
+ * @property {Object} metadata - The metadata of the frame, the page scale factor, scroll offsets and size of the device
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Page#type-ScreencastFrameMetadata
+ */
@@ -1,2 +1,3 @@
 exports.Page = require('./Page')
 exports.LogEntry = require('./LogEntry')
+exports.Screencast = require('./Screencast')
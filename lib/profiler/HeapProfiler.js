@@ -0,0 +1,76 @@
+const fs = require('fs-extra')
+const { debugError, helper } = require('../helper')
+const { disableSharedDomain, enableSharedDomain } = require('../__shared')
+const HeapSnapshot = require('./HeapSnapshot')
+
+/**
+ * Takes snapshots of the JavaScript heap of the page with the V8 heap profiler
+ * @since chrome-remote-interface-extra
+ */
+class HeapProfiler {
+  /**
+   * @param {Chrome|CRIConnection|CDPSession|Object} client
+   */
+  constructor (client) {
+    /**
+     * @type {Chrome|CRIConnection|CDPSession|Object}
+     * @private
+     */
+    this._client = client
+  }
+
+  /**
+   * Take a snapshot of the heap. When options.path is given, the chunks of the snapshot are streamed to the file,
+   * which can be loaded by the DevTools Memory panel, without being kept in memory and the path is returned
+   * so that snapshots too large to be held in a string can be taken
+   * @param {{path?: string}} [options]
+   * @return {Promise<HeapSnapshot|string>}
+   */
+  async takeSnapshot (options = {}) {
+    const { path = null } = options
+    const file = path ? await fs.open(path, 'w') : null
+    const chunks = []
+    let written = Promise.resolve()
+    const listener = helper.addEventListener(
+      this._client,
+      'HeapProfiler.addHeapSnapshotChunk',
+      ({ chunk }) => {
+        if (file === null) chunks.push(chunk)
+        else written = written.then(() => fs.write(file, chunk))
+      }
+    )
+    let enabled = false
+    try {
+      // not disabled while another user of the client still needs the HeapProfiler domain
+      await enableSharedDomain(this._client, 'HeapProfiler')
+      enabled = true
+      await this._client.send('HeapProfiler.takeHeapSnapshot', {
+        reportProgress: false
+      })
+    } finally {
+      helper.removeEventListeners([listener])
+      try {
+        await written
+      } finally {
+        if (file !== null) await fs.close(file)
+        if (enabled) {
+          await disableSharedDomain(this._client, 'HeapProfiler').catch(
+            debugError
+          )
+        }
+      }
+    }
+    if (file !== null) return path
+    return HeapSnapshot.parse(chunks.join(''))
+  }
+
+  /**
+   * Force a garbage collection of the heap
+   * @return {Promise<void>}
+   */
+  async collectGarbage () {
+    await this._client.send('HeapProfiler.collectGarbage')
+  }
+}
+
+module.exports = HeapProfiler
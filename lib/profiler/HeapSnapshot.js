@@ -0,0 +1,555 @@
+const { helper } = require('../helper')
+
+/**
+ * A heap snapshot taken by the V8 heap profiler, see {@link HeapProfiler}, as a graph of the objects of the heap
+ * and the references between them. The snapshot computes the size retained by each object, i.e. the size freed
+ * when the object is collected, aggregates the objects by constructor and finds the paths retaining them
+ * @since chrome-remote-interface-extra
+ */
+class HeapSnapshot {
+  /**
+   * Parse a heap snapshot, e.g. the contents of a .heapsnapshot file
+   * @param {Buffer|string|Object} snapshot
+   * @return {HeapSnapshot}
+   */
+  static parse (snapshot) {
+    if (Buffer.isBuffer(snapshot)) snapshot = snapshot.toString('utf8')
+    if (helper.isString(snapshot)) snapshot = JSON.parse(snapshot)
+    if (!snapshot || !snapshot.snapshot || !Array.isArray(snapshot.nodes)) {
+      throw new Error('The heap snapshot does not contain nodes')
+    }
+    return new HeapSnapshot(snapshot)
+  }
+
+  /**
+   * Compare the objects of two snapshots of the same heap by constructor
+   * @param {HeapSnapshot} baseline - The snapshot taken first
+   * @param {HeapSnapshot} snapshot - The snapshot taken last
+   * @return {Array<HeapConstructorDelta>} - The constructors whose objects changed, the ones which grew the most first
+   */
+  static compare (baseline, snapshot) {
+    const before = new Map()
+    for (const summary of baseline.aggregateByConstructor()) {
+      before.set(summary.name, summary)
+    }
+    const empty = { count: 0, selfSize: 0, retainedSize: 0 }
+    const deltas = []
+    const addDelta = (name, previous, current) => {
+      const delta = {
+        name,
+        count: current.count,
+        selfSize: current.selfSize,
+        retainedSize: current.retainedSize,
+        countDelta: current.count - previous.count,
+        selfSizeDelta: current.selfSize - previous.selfSize,
+        retainedSizeDelta: current.retainedSize - previous.retainedSize
+      }
+      if (delta.countDelta || delta.selfSizeDelta) deltas.push(delta)
+    }
+    for (const summary of snapshot.aggregateByConstructor()) {
+      addDelta(summary.name, before.get(summary.name) || empty, summary)
+      before.delete(summary.name)
+    }
+    for (const [name, summary] of before) addDelta(name, summary, empty)
+    return deltas.sort(
+      (a, b) => b.countDelta - a.countDelta || b.selfSizeDelta - a.selfSizeDelta
+    )
+  }
+
+  /**
+   * @param {Object} payload - The parsed heap snapshot
+   */
+  constructor (payload) {
+    const { meta } = payload.snapshot
+    /**
+     * @type {Array<number>}
+     * @private
+     */
+    this._nodes = payload.nodes
+    /**
+     * @type {Array<number>}
+     * @private
+     */
+    this._edges = payload.edges
+    /**
+     * @type {Array<string>}
+     * @private
+     */
+    this._strings = payload.strings
+    this._nodeFieldCount = meta.node_fields.length
+    this._nodeTypeOffset = meta.node_fields.indexOf('type')
+    this._nodeNameOffset = meta.node_fields.indexOf('name')
+    this._nodeIdOffset = meta.node_fields.indexOf('id')
+    this._nodeSelfSizeOffset = meta.node_fields.indexOf('self_size')
+    this._nodeEdgeCountOffset = meta.node_fields.indexOf('edge_count')
+    this._nodeTypes = meta.node_types[this._nodeTypeOffset]
+    this._edgeFieldCount = meta.edge_fields.length
+    this._edgeTypeOffset = meta.edge_fields.indexOf('type')
+    this._edgeNameOffset = meta.edge_fields.indexOf('name_or_index')
+    this._edgeToNodeOffset = meta.edge_fields.indexOf('to_node')
+    this._edgeTypes = meta.edge_types[this._edgeTypeOffset]
+    this._weakEdgeType = this._edgeTypes.indexOf('weak')
+    this._nodeCount = this._nodes.length / this._nodeFieldCount
+
+    /**
+     * The index of the first edge of each node, in edges
+     * @type {Uint32Array}
+     * @private
+     */
+    this._firstEdgeIndexes = new Uint32Array(this._nodeCount + 1)
+    for (let node = 0, edgeIndex = 0; node < this._nodeCount; node++) {
+      this._firstEdgeIndexes[node] = edgeIndex
+      edgeIndex +=
+        this._nodes[node * this._nodeFieldCount + this._nodeEdgeCountOffset] *
+        this._edgeFieldCount
+    }
+    this._firstEdgeIndexes[this._nodeCount] = this._edges.length
+    /** @type {?Map<number, number>} */
+    this._nodeOrdinalsById = null
+    /**
+     * The edge and node retaining each node on the shortest path from the root, computed on demand
+     * @type {?Int32Array}
+     */
+    this._retainerEdges = null
+    /** @type {?Uint32Array} */
+    this._retainerNodes = null
+    this._buildRetainers()
+    this._buildDominators()
+  }
+
+  /**
+   * @return {number}
+   */
+  get nodeCount () {
+    return this._nodeCount
+  }
+
+  /**
+   * @return {number} - The size of the objects reachable from the roots, in bytes
+   */
+  get totalSize () {
+    return this._retainedSizes[0]
+  }
+
+  /**
+   * @param {number} id - The id of the node, e.g. reported by HeapProfiler.getHeapObjectId
+   * @return {?HeapNode}
+   */
+  nodeById (id) {
+    if (!this._nodeOrdinalsById) {
+      this._nodeOrdinalsById = new Map()
+      for (let node = 0; node < this._nodeCount; node++) {
+        this._nodeOrdinalsById.set(
+          this._nodes[node * this._nodeFieldCount + this._nodeIdOffset],
+          node
+        )
+      }
+    }
+    const ordinal = this._nodeOrdinalsById.get(id)
+    return ordinal === undefined ? null : this._node(ordinal)
+  }
+
+  /**
+   * @param {string} className - The name of the constructor of the objects, or e.g. (string), (closure) or (array)
+   * @return {Array<HeapNode>}
+   */
+  nodesByConstructor (className) {
+    const nodes = []
+    for (let node = 0; node < this._nodeCount; node++) {
+      if (this._className(node) === className) nodes.push(this._node(node))
+    }
+    return nodes
+  }
+
+  /**
+   * The objects reachable from the roots aggregated by constructor, as shown by the summary of the DevTools Memory panel.
+   * The retained size of a constructor does not count the objects retained by other objects of the same constructor twice
+   * @return {Array<HeapConstructorSummary>} - Sorted by retained size
+   */
+  aggregateByConstructor () {
+    /** @type {Map<string, HeapConstructorSummary>} */
+    const summaries = new Map()
+    const summary = className => {
+      let result = summaries.get(className)
+      if (!result) {
+        result = { name: className, count: 0, selfSize: 0, retainedSize: 0 }
+        summaries.set(className, result)
+      }
+      return result
+    }
+    // walk the dominator tree, counting the retained size of the topmost objects of each constructor
+    const classNames = new Array(this._nodeCount)
+    const classesOnPath = new Map()
+    const stack = [0]
+    const exiting = new Uint8Array(this._nodeCount)
+    while (stack.length) {
+      const node = stack[stack.length - 1]
+      if (exiting[node]) {
+        stack.pop()
+        const className = classNames[node]
+        classesOnPath.set(className, classesOnPath.get(className) - 1)
+        continue
+      }
+      exiting[node] = 1
+      const className = this._className(node)
+      classNames[node] = className
+      const onPath = classesOnPath.get(className) || 0
+      classesOnPath.set(className, onPath + 1)
+      if (node !== 0) {
+        const result = summary(className)
+        result.count++
+        result.selfSize += this._selfSize(node)
+        if (!onPath) result.retainedSize += this._retainedSizes[node]
+      }
+      for (
+        let i = this._firstDominated[node];
+        i < this._firstDominated[node + 1];
+        i++
+      ) {
+        stack.push(this._dominated[i])
+      }
+    }
+    return Array.from(summaries.values()).sort(
+      (a, b) => b.retainedSize - a.retainedSize
+    )
+  }
+
+  /**
+   * The objects referencing a node
+   * @param {number} id
+   * @return {Array<{node: HeapNode, edge: HeapEdge}>}
+   */
+  retainers (id) {
+    const target = this.nodeById(id)
+    if (!target) return []
+    const retainers = []
+    const { index } = target
+    for (
+      let i = this._firstRetainer[index];
+      i < this._firstRetainer[index + 1];
+      i++
+    ) {
+      retainers.push({
+        node: this._node(this._retainingNodes[i]),
+        edge: this._edge(this._retainingEdges[i])
+      })
+    }
+    return retainers
+  }
+
+  /**
+   * The shortest path of references from the root to a node, ignoring weak references.
+   * The first element is the node and the last one the root, each element holds the edge
+   * referencing it from the next one
+   * @param {number} id
+   * @return {?Array<{node: HeapNode, edge: ?HeapEdge}>} - Null when the node is not reachable from the roots
+   */
+  retainerPath (id) {
+    const target = this.nodeById(id)
+    if (!target) return null
+    if (!this._retainerEdges) this._buildShortestPaths()
+    const path = [{ node: target, edge: null }]
+    let node = target.index
+    while (node !== 0) {
+      const edgeIndex = this._retainerEdges[node]
+      if (edgeIndex === -1) return null
+      const retainer = this._retainerNodes[node]
+      path[path.length - 1].edge = this._edge(edgeIndex)
+      path.push({ node: this._node(retainer), edge: null })
+      node = retainer
+    }
+    return path
+  }
+
+  /**
+   * @param {number} node - The ordinal of the node
+   * @return {HeapNode}
+   * @private
+   */
+  _node (node) {
+    const offset = node * this._nodeFieldCount
+    return {
+      index: node,
+      id: this._nodes[offset + this._nodeIdOffset],
+      type: this._nodeTypes[this._nodes[offset + this._nodeTypeOffset]],
+      name: this._strings[this._nodes[offset + this._nodeNameOffset]],
+      className: this._className(node),
+      selfSize: this._selfSize(node),
+      retainedSize: this._retainedSizes[node],
+      edgeCount: this._nodes[offset + this._nodeEdgeCountOffset]
+    }
+  }
+
+  /**
+   * @param {number} edgeIndex - The index of the edge in edges
+   * @return {HeapEdge}
+   * @private
+   */
+  _edge (edgeIndex) {
+    const type = this._edgeTypes[this._edges[edgeIndex + this._edgeTypeOffset]]
+    const nameOrIndex = this._edges[edgeIndex + this._edgeNameOffset]
+    // the elements and hidden edges are named by their index
+    const name =
+      type === 'element' || type === 'hidden'
+        ? nameOrIndex
+        : this._strings[nameOrIndex]
+    return { type, name }
+  }
+
+  /**
+   * @param {number} node
+   * @return {string} - The name of the class of the node, as shown by the DevTools Memory panel
+   * @private
+   */
+  _className (node) {
+    const offset = node * this._nodeFieldCount
+    const type = this._nodeTypes[this._nodes[offset + this._nodeTypeOffset]]
+    switch (type) {
+      case 'object':
+      case 'native':
+        return this._strings[this._nodes[offset + this._nodeNameOffset]]
+      case 'hidden':
+        return '(system)'
+      case 'code':
+        return '(compiled code)'
+      default:
+        return `(${type})`
+    }
+  }
+
+  /**
+   * @param {number} node
+   * @return {number}
+   * @private
+   */
+  _selfSize (node) {
+    return this._nodes[node * this._nodeFieldCount + this._nodeSelfSizeOffset]
+  }
+
+  /**
+   * @param {number} edgeIndex
+   * @return {number} - The ordinal of the node the edge references
+   * @private
+   */
+  _edgeTarget (edgeIndex) {
+    return (
+      this._edges[edgeIndex + this._edgeToNodeOffset] / this._nodeFieldCount
+    )
+  }
+
+  /**
+   * @param {number} edgeIndex
+   * @return {boolean}
+   * @private
+   */
+  _isWeakEdge (edgeIndex) {
+    return this._edges[edgeIndex + this._edgeTypeOffset] === this._weakEdgeType
+  }
+
+  /**
+   * Index the retainers of each node, the nodes referencing it and the edges referencing it
+   * @private
+   */
+  _buildRetainers () {
+    const edgeCount = this._edges.length / this._edgeFieldCount
+    this._firstRetainer = new Uint32Array(this._nodeCount + 1)
+    this._retainingNodes = new Uint32Array(edgeCount)
+    this._retainingEdges = new Uint32Array(edgeCount)
+    for (let i = 0; i < this._edges.length; i += this._edgeFieldCount) {
+      this._firstRetainer[this._edgeTarget(i)]++
+    }
+    for (let node = 0, first = 0; node <= this._nodeCount; node++) {
+      const count = this._firstRetainer[node]
+      this._firstRetainer[node] = first
+      first += count
+    }
+    const filled = this._firstRetainer.slice()
+    for (let node = 0; node < this._nodeCount; node++) {
+      for (
+        let i = this._firstEdgeIndexes[node];
+        i < this._firstEdgeIndexes[node + 1];
+        i += this._edgeFieldCount
+      ) {
+        const target = this._edgeTarget(i)
+        this._retainingNodes[filled[target]] = node
+        this._retainingEdges[filled[target]] = i
+        filled[target]++
+      }
+    }
+  }
+
+  /**
+   * Build the dominator tree of the nodes reachable from the root, ignoring weak references,
+   * and compute the retained size of each node.
+   * @see https://www.cs.rice.edu/~keith/EMBED/dom.pdf
+   * @private
+   */
+  _buildDominators () {
+    const nodeCount = this._nodeCount
+    const noEntry = nodeCount
+    // the postorder of the nodes, by depth first search from the root
+    const postorderIndexes = new Uint32Array(nodeCount).fill(noEntry)
+    const postorder = new Uint32Array(nodeCount)
+    const visited = new Uint8Array(nodeCount)
+    const nodeStack = [0]
+    const edgeStack = [this._firstEdgeIndexes[0]]
+    visited[0] = 1
+    let reachableCount = 0
+    while (nodeStack.length) {
+      const top = nodeStack.length - 1
+      const node = nodeStack[top]
+      const edgeIndex = edgeStack[top]
+      if (edgeIndex >= this._firstEdgeIndexes[node + 1]) {
+        nodeStack.pop()
+        edgeStack.pop()
+        postorderIndexes[node] = reachableCount
+        postorder[reachableCount++] = node
+        continue
+      }
+      edgeStack[top] = edgeIndex + this._edgeFieldCount
+      if (this._isWeakEdge(edgeIndex)) continue
+      const target = this._edgeTarget(edgeIndex)
+      if (visited[target]) continue
+      visited[target] = 1
+      nodeStack.push(target)
+      edgeStack.push(this._firstEdgeIndexes[target])
+    }
+
+    const dominators = new Uint32Array(nodeCount).fill(noEntry)
+    dominators[0] = 0
+    const intersect = (a, b) => {
+      while (a !== b) {
+        while (postorderIndexes[a] < postorderIndexes[b]) a = dominators[a]
+        while (postorderIndexes[b] < postorderIndexes[a]) b = dominators[b]
+      }
+      return a
+    }
+    let changed = true
+    while (changed) {
+      changed = false
+      // in reverse postorder, the root excluded
+      for (let i = reachableCount - 2; i >= 0; i--) {
+        const node = postorder[i]
+        let dominator = noEntry
+        for (
+          let j = this._firstRetainer[node];
+          j < this._firstRetainer[node + 1];
+          j++
+        ) {
+          if (this._isWeakEdge(this._retainingEdges[j])) continue
+          const retainer = this._retainingNodes[j]
+          if (dominators[retainer] === noEntry) continue
+          dominator =
+            dominator === noEntry ? retainer : intersect(retainer, dominator)
+        }
+        if (dominators[node] !== dominator) {
+          dominators[node] = dominator
+          changed = true
+        }
+      }
+    }
+
+    /**
+     * The size retained by each node, the nodes unreachable from the root only retain themselves
+     * @type {Float64Array}
+     * @private
+     */
+    this._retainedSizes = new Float64Array(nodeCount)
+    for (let node = 0; node < nodeCount; node++) {
+      this._retainedSizes[node] = this._selfSize(node)
+    }
+    // the nodes dominated by a node precede it in postorder
+    for (let i = 0; i < reachableCount - 1; i++) {
+      const node = postorder[i]
+      this._retainedSizes[dominators[node]] += this._retainedSizes[node]
+    }
+
+    // the children of each node in the dominator tree
+    this._firstDominated = new Uint32Array(nodeCount + 1)
+    this._dominated = new Uint32Array(Math.max(0, reachableCount - 1))
+    for (let node = 1; node < nodeCount; node++) {
+      if (dominators[node] !== noEntry) this._firstDominated[dominators[node]]++
+    }
+    for (let node = 0, first = 0; node <= nodeCount; node++) {
+      const count = this._firstDominated[node]
+      this._firstDominated[node] = first
+      first += count
+    }
+    const filled = this._firstDominated.slice()
+    for (let node = 1; node < nodeCount; node++) {
+      if (dominators[node] === noEntry) continue
+      this._dominated[filled[dominators[node]]++] = node
+    }
+  }
+
+  /**
+   * Find the shortest path from the root to each node, by breadth first search ignoring weak references
+   * @private
+   */
+  _buildShortestPaths () {
+    this._retainerEdges = new Int32Array(this._nodeCount).fill(-1)
+    this._retainerNodes = new Uint32Array(this._nodeCount)
+    const visited = new Uint8Array(this._nodeCount)
+    visited[0] = 1
+    const queue = new Uint32Array(this._nodeCount)
+    let head = 0
+    let tail = 0
+    queue[tail++] = 0
+    while (head < tail) {
+      const node = queue[head++]
+      for (
+        let i = this._firstEdgeIndexes[node];
+        i < this._firstEdgeIndexes[node + 1];
+        i += this._edgeFieldCount
+      ) {
+        if (this._isWeakEdge(i)) continue
+        const target = this._edgeTarget(i)
+        if (visited[target]) continue
+        visited[target] = 1
+        this._retainerEdges[target] = i
+        this._retainerNodes[target] = node
+        queue[tail++] = target
+      }
+    }
+  }
+}
+
+module.exports = HeapSnapshot
+
+/**
+ * @typedef {Object} HeapNode
+ * @property {number} index - The ordinal of the node in the snapshot
+ * @property {number} id - The id of the object, stable across the snapshots of the page
+ * @property {string} type - One of hidden, array, string, object, code, closure, regexp, number, native, synthetic,
+ * concatenated string, sliced string, symbol or bigint
+ * @property {string} name - The name of the constructor of objects, the value of strings or the name of functions
+ * @property {string} className - The name of the constructor of objects, or the type of the node in parentheses
+ * @property {number} selfSize - The size of the object itself, in bytes
+ * @property {number} retainedSize - The size freed when the object is collected, in bytes
+ * @property {number} edgeCount - The number of references of the object
+ */
+
+/**
+ * @typedef {Object} HeapEdge
+ * @property {string} type - One of context, element, property, internal, hidden, shortcut or weak
+ * @property {string|number} name - The name of the property or variable, or the index of the element
+ */
+
+/**
+ * @typedef {Object} HeapConstructorSummary
+ * @property {string} name - The name of the constructor, or e.g. (string), (closure) or (array)
+ * @property {number} count - The number of objects reachable from the roots
+ * @property {number} selfSize - The size of the objects, in bytes
+ * @property {number} retainedSize - The size freed when the objects are collected, in bytes
+ */
+
+/**
+ * @typedef {Object} HeapConstructorDelta
+ * @property {string} name - The name of the constructor, or e.g. (string), (closure) or (array)
+ * @property {number} count - The number of objects in the last snapshot
+ * @property {number} selfSize - The size of the objects in the last snapshot, in bytes
+ * @property {number} retainedSize - The size retained by the objects in the last snapshot, in bytes
+ * @property {number} countDelta - The number of objects added since the first snapshot
+ * @property {number} selfSizeDelta - The size added since the first snapshot, in bytes
+ * @property {number} retainedSizeDelta - The retained size added since the first snapshot, in bytes
+ */
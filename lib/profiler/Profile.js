@@ -0,0 +1,321 @@
+const fs = require('fs-extra')
+const { helper } = require('../helper')
+
+/**
+ * The names of the nodes V8 adds to the call tree for the time not spent running JavaScript
+ * @type {Set<string>}
+ */
+const MetaNodeNames = new Set([
+  '(root)',
+  '(program)',
+  '(idle)',
+  '(garbage collector)'
+])
+
+/**
+ * A CPU profile recorded by the V8 sampling profiler, see {@link Profiler}, with the self and total time
+ * of the functions aggregated top-down, as a call tree, and bottom-up, by function and by URL.
+ * The times are in milliseconds
+ * @since chrome-remote-interface-extra
+ */
+class Profile {
+  /**
+   * Parse a profile, e.g. the contents of a .cpuprofile file
+   * @param {Buffer|string|Object} profile
+   * @return {Profile}
+   */
+  static parse (profile) {
+    if (Buffer.isBuffer(profile)) profile = profile.toString('utf8')
+    if (helper.isString(profile)) profile = JSON.parse(profile)
+    if (!profile || !Array.isArray(profile.nodes)) {
+      throw new Error('The profile does not contain nodes')
+    }
+    return new Profile(profile)
+  }
+
+  /**
+   * @param {CDPProfile} payload - The profile reported by Profiler.stop
+   */
+  constructor (payload) {
+    /**
+     * @type {CDPProfile}
+     * @private
+     */
+    this._payload = payload
+    /**
+     * @type {Map<number, Object>}
+     * @private
+     */
+    this._nodesById = new Map()
+    /**
+     * @type {Map<number, number>}
+     * @private
+     */
+    this._parents = new Map()
+    for (const node of payload.nodes) {
+      this._nodesById.set(node.id, node)
+      for (const child of node.children || []) {
+        this._parents.set(child, node.id)
+      }
+    }
+    /**
+     * The time spent in each node, in microseconds
+     * @type {Map<number, number>}
+     * @private
+     */
+    this._selfTimes = new Map()
+    const samples = payload.samples || []
+    const timeDeltas = payload.timeDeltas || []
+    let timestamp = payload.startTime
+    for (let i = 0; i < samples.length; i++) {
+      timestamp += timeDeltas[i] || 0
+      // a sample lasts until the next one is taken
+      const next =
+        i + 1 < samples.length
+          ? timestamp + (timeDeltas[i + 1] || 0)
+          : payload.endTime
+      const selfTime = this._selfTimes.get(samples[i]) || 0
+      this._selfTimes.set(samples[i], selfTime + Math.max(0, next - timestamp))
+    }
+  }
+
+  /**
+   * @return {Array<Object>} - The nodes of the call tree, the first one is the root
+   */
+  get nodes () {
+    return this._payload.nodes
+  }
+
+  /**
+   * @return {Array<number>} - The ids of the nodes sampled
+   */
+  get samples () {
+    return this._payload.samples || []
+  }
+
+  /**
+   * @return {Array<number>} - The time between each sample and the previous one, in microseconds
+   */
+  get timeDeltas () {
+    return this._payload.timeDeltas || []
+  }
+
+  /**
+   * @return {number} - The timestamp of the start of the profile, in microseconds
+   */
+  get startTime () {
+    return this._payload.startTime
+  }
+
+  /**
+   * @return {number} - The timestamp of the end of the profile, in microseconds
+   */
+  get endTime () {
+    return this._payload.endTime
+  }
+
+  /**
+   * @return {number} - The duration of the profile, in milliseconds
+   */
+  get duration () {
+    return (this._payload.endTime - this._payload.startTime) / 1000
+  }
+
+  /**
+   * The call tree, each node holding the time spent in its function when called by the functions of its ancestors
+   * @return {ProfileTreeNode} - The root of the call tree
+   */
+  topDown () {
+    const build = node => {
+      const children = (node.children || []).map(id =>
+        build(this._nodesById.get(id))
+      )
+      const treeNode = createTreeNode(node.callFrame)
+      treeNode.selfTime = (this._selfTimes.get(node.id) || 0) / 1000
+      treeNode.totalTime = treeNode.selfTime
+      for (const child of children) treeNode.totalTime += child.totalTime
+      treeNode.children = children.sort((a, b) => b.totalTime - a.totalTime)
+      return treeNode
+    }
+    return build(this._payload.nodes[0])
+  }
+
+  /**
+   * The functions the time was spent in, sorted by self time. The children of each function are its callers,
+   * holding the time spent in the function when called by them. The total time of a function does not count
+   * its recursive calls twice
+   * @param {{includeMetaNodes?: boolean}} [options] - Whether to report the (program), (idle) and (garbage collector) nodes
+   * @return {Array<ProfileTreeNode>}
+   */
+  bottomUp (options = {}) {
+    const { includeMetaNodes = false } = options
+    /** @type {Map<string, ProfileTreeNode>} */
+    const functions = new Map()
+    for (const [id, selfTime] of this._selfTimes) {
+      const stack = this._stack(id)
+      if (!stack.length) continue
+      if (!includeMetaNodes && MetaNodeNames.has(stack[0].functionName)) {
+        continue
+      }
+      const time = selfTime / 1000
+      const seen = new Set()
+      stack.forEach((callFrame, index) => {
+        const key = functionKey(callFrame)
+        // only the innermost call of a recursive function is counted
+        if (seen.has(key)) return
+        seen.add(key)
+        let treeNode = functions.get(key)
+        if (!treeNode) {
+          treeNode = createTreeNode(callFrame)
+          functions.set(key, treeNode)
+        }
+        addTime(treeNode, time, index === 0)
+        for (const caller of stack.slice(index + 1)) {
+          const callerKey = functionKey(caller)
+          let callerNode = treeNode.children.find(
+            child => functionKey(child) === callerKey
+          )
+          if (!callerNode) {
+            callerNode = createTreeNode(caller)
+            treeNode.children.push(callerNode)
+          }
+          addTime(callerNode, time, index === 0)
+          treeNode = callerNode
+        }
+      })
+    }
+    const roots = Array.from(functions.values())
+    roots.forEach(sortCallers)
+    return roots.sort(
+      (a, b) => b.selfTime - a.selfTime || b.totalTime - a.totalTime
+    )
+  }
+
+  /**
+   * The self time of the functions aggregated by the URL of their script
+   * @param {{includeMetaNodes?: boolean}} [options] - Whether to report the (program), (idle) and (garbage collector) nodes,
+   * their URL is empty
+   * @return {Array<{url: string, selfTime: number}>} - Sorted by self time
+   */
+  selfTimeByURL (options = {}) {
+    const { includeMetaNodes = false } = options
+    /** @type {Map<string, number>} */
+    const urls = new Map()
+    for (const [id, selfTime] of this._selfTimes) {
+      const { callFrame } = this._nodesById.get(id)
+      if (!includeMetaNodes && MetaNodeNames.has(callFrame.functionName)) {
+        continue
+      }
+      urls.set(callFrame.url, (urls.get(callFrame.url) || 0) + selfTime / 1000)
+    }
+    return Array.from(urls, ([url, selfTime]) => ({ url, selfTime })).sort(
+      (a, b) => b.selfTime - a.selfTime
+    )
+  }
+
+  /**
+   * Write the profile as a .cpuprofile file, which the DevTools Performance and JavaScript Profiler panels can load
+   * @param {string} path
+   * @return {Promise<void>}
+   */
+  save (path) {
+    return fs.writeFile(path, JSON.stringify(this._payload))
+  }
+
+  /**
+   * @return {CDPProfile}
+   */
+  toJSON () {
+    return this._payload
+  }
+
+  /**
+   * @param {number} id
+   * @return {Array<Object>} - The call frames of the node and of its ancestors, the root excluded
+   * @private
+   */
+  _stack (id) {
+    const stack = []
+    for (
+      let node = this._nodesById.get(id);
+      node && this._parents.has(node.id);
+      node = this._nodesById.get(this._parents.get(node.id))
+    ) {
+      stack.push(node.callFrame)
+    }
+    return stack
+  }
+}
+
+/**
+ * @param {{functionName: string, url: string, lineNumber: number, columnNumber: number}} callFrame
+ * @return {string}
+ */
+function functionKey ({ functionName, url, lineNumber, columnNumber }) {
+  return `${functionName}@${url}:${lineNumber}:${columnNumber}`
+}
+
+/**
+ * @param {Object} callFrame
+ * @return {ProfileTreeNode}
+ */
+function createTreeNode ({
+  functionName,
+  url,
+  scriptId,
+  lineNumber,
+  columnNumber
+}) {
+  return {
+    functionName,
+    url,
+    scriptId,
+    lineNumber,
+    columnNumber,
+    selfTime: 0,
+    totalTime: 0,
+    children: []
+  }
+}
+
+/**
+ * @param {ProfileTreeNode} treeNode
+ * @param {number} time
+ * @param {boolean} self
+ */
+function addTime (treeNode, time, self) {
+  treeNode.totalTime += time
+  if (self) treeNode.selfTime += time
+}
+
+/**
+ * @param {ProfileTreeNode} treeNode
+ */
+function sortCallers (treeNode) {
+  treeNode.children.sort((a, b) => b.totalTime - a.totalTime)
+  treeNode.children.forEach(sortCallers)
+}
+
+module.exports = Profile
+
+/**
+ * @typedef {Object} CDPProfile
+ * @property {Array<Object>} nodes - The nodes of the call tree, holding their id, call frame, hit count and children ids
+ * @property {number} startTime - In microseconds
+ * @property {number} endTime - In microseconds
+ * @property {Array<number>} [samples] - The ids of the nodes sampled
+ * @property {Array<number>} [timeDeltas] - The time between each sample and the previous one, in microseconds
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/Profiler#type-Profile
+ */
+
+/**
+ * @typedef {Object} ProfileTreeNode
+ * @property {string} functionName
+ * @property {string} url
+ * @property {string} scriptId
+ * @property {number} lineNumber - 0-based
+ * @property {number} columnNumber - 0-based
+ * @property {number} selfTime - The time spent in the function itself, in milliseconds
+ * @property {number} totalTime - The time spent in the function and the functions it called, in milliseconds
+ * @property {Array<ProfileTreeNode>} children - The callees top-down, the callers bottom-up
+ */
@@ -0,0 +1,81 @@
+const { assert, debugError } = require('../helper')
+const { disableSharedDomain, enableSharedDomain } = require('../__shared')
+const Profile = require('./Profile')
+
+/**
+ * Records CPU profiles of the JavaScript of the page with the V8 sampling profiler
+ * @since chrome-remote-interface-extra
+ */
+class Profiler {
+  /**
+   * @param {Chrome|CRIConnection|CDPSession|Object} client
+   */
+  constructor (client) {
+    /**
+     * @type {Chrome|CRIConnection|CDPSession|Object}
+     * @private
+     */
+    this._client = client
+    this._recording = false
+    this._path = null
+  }
+
+  /**
+   * @return {boolean}
+   */
+  get recording () {
+    return this._recording
+  }
+
+  /**
+   * @param {ProfilerOptions} [options]
+   * @return {Promise<void>}
+   */
+  async start (options = {}) {
+    assert(!this._recording, 'Cannot start profiling while already profiling.')
+    const { samplingInterval, path = null } = options
+    this._path = path
+    this._recording = true
+    let enabled = false
+    try {
+      // the Profiler domain is also used by JSCoverage
+      await enableSharedDomain(this._client, 'Profiler')
+      enabled = true
+      // the sampling interval can only be changed while the profiler is not started
+      if (samplingInterval != null) {
+        await this._client.send('Profiler.setSamplingInterval', {
+          interval: samplingInterval
+        })
+      }
+      await this._client.send('Profiler.start')
+    } catch (error) {
+      this._recording = false
+      if (enabled) {
+        await disableSharedDomain(this._client, 'Profiler').catch(debugError)
+      }
+      throw error
+    }
+  }
+
+  /**
+   * Stop profiling, writing the profile to options.path when it was given to {@link start}
+   * @return {Promise<Profile>}
+   */
+  async stop () {
+    assert(this._recording, 'Cannot stop profiling when not profiling.')
+    this._recording = false
+    const { profile } = await this._client.send('Profiler.stop')
+    await disableSharedDomain(this._client, 'Profiler')
+    const result = new Profile(profile)
+    if (this._path) await result.save(this._path)
+    return result
+  }
+}
+
+module.exports = Profiler
+
+/**
+ * @typedef {Object} ProfilerOptions
+ * @property {number} [samplingInterval] - The time between the samples, in microseconds
+ * @property {string} [path] - Write the profile as a .cpuprofile file when profiling stops
+ */
@@ -0,0 +1,89 @@
+const { assert } = require('../helper')
+const HeapSnapshot = require('./HeapSnapshot')
+
+/**
+ * The metrics reported by Performance.getMetrics which grow when a page leaks
+ * @type {Array<string>}
+ */
+const LeakMetrics = ['JSHeapUsedSize', 'Nodes', 'JSEventListeners']
+
+/**
+ * Run an action on a page repeatedly, collecting the garbage after each run, and report the metrics of the page
+ * which grew after every run, the heap used, the DOM nodes and the event listeners, with the constructors whose
+ * objects were added to the heap between the first and the last run
+ * @param {Page} page
+ * @param {function(Page, number): Promise<*>} action - Called with the page and the index of the run
+ * @param {LeakDetectionOptions} [options]
+ * @return {Promise<LeakReport>}
+ */
+async function detectLeaks (page, action, options = {}) {
+  const { iterations = 5, warmup = 1, heapSnapshots = true } = options
+  assert(iterations >= 2, 'At least 2 iterations are needed to detect leaks')
+  await page.enablePerformanceDomain()
+  // the first runs fill the caches of the page, e.g. lazily created elements
+  for (let i = 0; i < warmup; i++) await action(page, i)
+  const sample = async () => {
+    await page.heapProfiler.collectGarbage()
+    const metrics = await page.metrics()
+    const result = {}
+    for (const name of LeakMetrics) result[name] = metrics[name]
+    return result
+  }
+  const baseline = heapSnapshots ? await page.heapProfiler.takeSnapshot() : null
+  const samples = [await sample()]
+  for (let i = 0; i < iterations; i++) {
+    await action(page, warmup + i)
+    samples.push(await sample())
+  }
+  const constructors = heapSnapshots
+    ? HeapSnapshot.compare(baseline, await page.heapProfiler.takeSnapshot())
+    : []
+  const growth = {}
+  for (const name of LeakMetrics) {
+    const values = samples.map(metrics => metrics[name])
+    const start = values[0]
+    const end = values[values.length - 1]
+    growth[name] = {
+      start,
+      end,
+      delta: end - start,
+      growing:
+        end > start && values.every((value, i) => !i || value >= values[i - 1])
+    }
+  }
+  return {
+    iterations,
+    samples,
+    growth,
+    leaking: LeakMetrics.some(name => growth[name].growing),
+    constructors: constructors.filter(delta => delta.countDelta > 0)
+  }
+}
+
+module.exports = detectLeaks
+
+/**
+ * @typedef {Object} LeakDetectionOptions
+ * @property {number} [iterations = 5] - The number of runs of the action measured
+ * @property {number} [warmup = 1] - The number of runs of the action before measuring
+ * @property {boolean} [heapSnapshots = true] - Compare the heap snapshots taken before the first and after the last run
+ */
+
+/**
+ * @typedef {Object} LeakMetricGrowth
+ * @property {number} start - The value before the first run
+ * @property {number} end - The value after the last run
+ * @property {number} delta
+ * @property {boolean} growing - Whether the value grew, without ever shrinking between two runs
+ */
+
+/**
+ * @typedef {Object} LeakReport
+ * @property {number} iterations
+ * @property {Array<{JSHeapUsedSize: number, Nodes: number, JSEventListeners: number}>} samples - The metrics before
+ * the first run and after each run
+ * @property {{JSHeapUsedSize: LeakMetricGrowth, Nodes: LeakMetricGrowth, JSEventListeners: LeakMetricGrowth}} growth
+ * @property {boolean} leaking - Whether any of the metrics grew
+ * @property {Array<HeapConstructorDelta>} constructors - The constructors which have more objects after the last run
+ * than before the first one
+ */
@@ -0,0 +1,7 @@
+exports.HeapProfiler = require('./HeapProfiler')
+
+exports.HeapSnapshot = require('./HeapSnapshot')
+
+exports.Profile = require('./Profile')
+
+exports.Profiler = require('./Profiler')
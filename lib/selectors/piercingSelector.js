@@ -0,0 +1,110 @@
+/* eslint-env node, browser */
+
+/**
+ * The combinator separating the parts of a selector that pierce shadow roots,
+ * e.g. `my-app >>> button` matches the buttons in the shadow trees of my-app elements
+ * @type {string}
+ */
+const PiercingCombinator = '>>>'
+
+/**
+ * @param {string} selector
+ * @return {boolean} - True when the selector contains the piercing combinator
+ */
+function isPiercingSelector (selector) {
+  return selector.includes(PiercingCombinator)
+}
+
+/**
+ * Collect the backend node ids of the closed shadow roots of the document returned by DOM.getDocument({pierce: true})
+ * @param {CDPNode} node
+ * @param {Array<number>} [backendNodeIds]
+ * @return {Array<number>}
+ */
+function collectClosedShadowRoots (node, backendNodeIds = []) {
+  if (node.shadowRootType === 'closed') backendNodeIds.push(node.backendNodeId)
+  for (const shadowRoot of node.shadowRoots || []) {
+    collectClosedShadowRoots(shadowRoot, backendNodeIds)
+  }
+  for (const child of node.children || []) {
+    collectClosedShadowRoots(child, backendNodeIds)
+  }
+  if (node.contentDocument) {
+    collectClosedShadowRoots(node.contentDocument, backendNodeIds)
+  }
+  return backendNodeIds
+}
+
+/**
+ * Query the elements matching the selector, crossing shadow roots, evaluated in the page.
+ *
+ * Each part of the selector separated by the piercing combinator matches the elements of the shadow-including
+ * descendants of the elements matched by the previous part. The first part matches the descendants of the root,
+ * or its shadow-including descendants when pierce is true
+ * @param {Element|Document} root
+ * @param {string} selector
+ * @param {boolean} pierce - Cross shadow roots when matching the first part of the selector
+ * @param {boolean} all - Return every element rather than the first
+ * @param {...ShadowRoot} closedShadowRoots - The closed shadow roots, which are not reachable from their host
+ * @return {Array<Element>|?Element}
+ */
+function pierceQuerySelector (
+  root,
+  selector,
+  pierce,
+  all,
+  ...closedShadowRoots
+) {
+  const closed = new Map(
+    closedShadowRoots.map(shadowRoot => [shadowRoot.host, shadowRoot])
+  )
+  const shadowRootOf = element => element.shadowRoot || closed.get(element)
+  const deepQuerySelectorAll = (scope, part, results) => {
+    const shadowRoot = scope.nodeType === 1 ? shadowRootOf(scope) : null
+    if (shadowRoot) deepQuerySelectorAll(shadowRoot, part, results)
+    for (const element of scope.querySelectorAll('*')) {
+      if (element.matches(part)) results.add(element)
+      const elementShadowRoot = shadowRootOf(element)
+      if (elementShadowRoot) {
+        deepQuerySelectorAll(elementShadowRoot, part, results)
+      }
+    }
+    return results
+  }
+  const parts = selector
+    .split('>>>')
+    .map(part => part.trim())
+    .filter(part => part)
+  let elements = [root]
+  for (let i = 0; i < parts.length; i++) {
+    const results = new Set()
+    for (const scope of elements) {
+      if (i === 0 && !pierce) {
+        for (const element of scope.querySelectorAll(parts[i])) {
+          results.add(element)
+        }
+      } else {
+        deepQuerySelectorAll(scope, parts[i], results)
+      }
+    }
+    elements = Array.from(results)
+  }
+  return all ? elements : elements[0] || null
+}
+
+module.exports = {
+  PiercingCombinator,
+  collectClosedShadowRoots,
+  isPiercingSelector,
+  pierceQuerySelector
+}
+
+/**
+ * @typedef {Object} CDPNode
+ * @property {number} backendNodeId
+ * @property {string} [shadowRootType] - One of user-agent, open or closed
+ * @property {Array<CDPNode>} [children]
+ * @property {Array<CDPNode>} [shadowRoots]
+ * @property {CDPNode} [contentDocument]
+ * @see https://chromedevtools.github.io/devtools-protocol/tot/DOM#type-Node
+ */
@@ -0,0 +1,200 @@
+/* eslint-env node, browser */
+const { helper, assert } = require('../helper')
+
+/**
+ * The registered selector engines by name, the sources of their query functions are injected into the page
+ * @type {Map<string, {query: string, queryAll: string, builtIn: boolean}>}
+ */
+const engines = new Map()
+
+/**
+ * The names of engines are used as the prefix of selectors, e.g. text=Sign in
+ * @type {RegExp}
+ */
+const EngineNameRegex = /^[a-zA-Z][\w-]*$/
+
+/**
+ * @type {RegExp}
+ */
+const EngineSelectorRegex = /^\s*([a-zA-Z][\w-]*)\s*=([\s\S]*)$/
+
+/**
+ * The source of the object injected into execution contexts, rebuilt when the engines change
+ * @type {?string}
+ */
+let injectedSource = null
+
+/**
+ * @param {Function} fn
+ * @return {string} - The source of the function as an expression, supporting method shorthands
+ */
+function functionSource (fn) {
+  let functionText = fn.toString()
+  try {
+    // eslint-disable-next-line no-new, no-new-func
+    new Function('(' + functionText + ')')
+  } catch (e) {
+    functionText = functionText.startsWith('async ')
+      ? 'async function ' + functionText.substring('async '.length)
+      : 'function ' + functionText
+  }
+  return functionText
+}
+
+/**
+ * @param {string} name
+ * @param {SelectorEngine} engine
+ * @param {boolean} builtIn
+ */
+function addSelectorEngine (name, engine, builtIn) {
+  assert(
+    helper.isString(name) && EngineNameRegex.test(name),
+    `Selector engine names must start with a letter and contain only letters, numbers, - and _ but got "${name}"`
+  )
+  assert(!engines.has(name), `Selector engine "${name}" is already registered`)
+  const { query, queryAll } = engine || {}
+  assert(
+    typeof query === 'function' || typeof queryAll === 'function',
+    `Selector engine "${name}" must have a query or queryAll function`
+  )
+  const source = query ? functionSource(query) : null
+  const allSource = queryAll ? functionSource(queryAll) : null
+  // the missing query function is derived from the one supplied
+  const querySource =
+    source ||
+    `(root, selector) => Array.from((${allSource})(root, selector))[0] || null`
+  const queryAllSource = allSource
+    ? `(root, selector) => Array.from((${allSource})(root, selector))`
+    : `(root, selector) => { const element = (${source})(root, selector); return element ? [element] : [] }`
+  engines.set(name, { query: querySource, queryAll: queryAllSource, builtIn })
+  injectedSource = null
+}
+
+/**
+ * Register a selector engine usable by every page, frame and element query, e.g. page.$('name=selector'),
+ * and by waitForSelector. The query functions are evaluated in the page, receiving the element or document
+ * queried from and the part of the selector following name=. Only one of query or queryAll is required
+ * @param {string} name
+ * @param {SelectorEngine} engine
+ * @since chrome-remote-interface-extra
+ */
+function registerSelectorEngine (name, engine) {
+  addSelectorEngine(name, engine, false)
+}
+
+/**
+ * Unregister a selector engine registered using {@link registerSelectorEngine}
+ * @param {string} name
+ * @return {boolean} - True if the engine was registered
+ * @since chrome-remote-interface-extra
+ */
+function unregisterSelectorEngine (name) {
+  const engine = engines.get(name)
+  if (!engine) return false
+  assert(
+    !engine.builtIn,
+    `The built in selector engine "${name}" can not be unregistered`
+  )
+  engines.delete(name)
+  injectedSource = null
+  return true
+}
+
+/**
+ * @param {string} selector
+ * @return {?{name: string, body: string}} - The engine and body of the selector, null when it does not use an engine
+ */
+function parseEngineSelector (selector) {
+  const match = EngineSelectorRegex.exec(selector)
+  if (!match || !engines.has(match[1])) return null
+  return { name: match[1], body: match[2].trim() }
+}
+
+/**
+ * @param {string} name
+ * @return {{query: string, queryAll: string}} - The sources of the query functions of the engine
+ */
+function selectorEngineSource (name) {
+  const { query, queryAll } = engines.get(name)
+  return { query, queryAll }
+}
+
+/**
+ * @return {string} - An expression evaluating to the query functions of every engine, keyed by name
+ */
+function selectorEnginesSource () {
+  if (injectedSource) return injectedSource
+  const entries = []
+  for (const [name, { query, queryAll }] of engines) {
+    entries.push(
+      `${JSON.stringify(name)}: { query: (${query}), queryAll: (${queryAll}) }`
+    )
+  }
+  injectedSource = `({\n${entries.join(',\n')}\n})`
+  return injectedSource
+}
+
+addSelectorEngine(
+  'css',
+  {
+    query: (root, selector) => root.querySelector(selector),
+    queryAll: (root, selector) => root.querySelectorAll(selector)
+  },
+  true
+)
+
+// text=Sign in matches case-insensitively by substring, text="Sign in" exactly.
+// Only the innermost elements whose text matches are returned
+addSelectorEngine(
+  'text',
+  {
+    queryAll: (root, selector) => {
+      const normalize = text => text.replace(/\s+/g, ' ').trim()
+      const quoted = /^(["'])([\s\S]*)\1$/.exec(selector)
+      const expected = quoted
+        ? normalize(quoted[2])
+        : normalize(selector).toLowerCase()
+      const ignored = ['SCRIPT', 'STYLE', 'NOSCRIPT', 'HEAD', 'TITLE']
+      const matches = element => {
+        if (ignored.includes(element.nodeName)) return false
+        const text = normalize(element.textContent || '')
+        return quoted
+          ? text === expected
+          : text.toLowerCase().includes(expected)
+      }
+      return Array.from(root.querySelectorAll('*')).filter(
+        element =>
+          matches(element) && !Array.from(element.children).some(matches)
+      )
+    }
+  },
+  true
+)
+
+// data-test=login matches the elements whose data-test, data-testid or data-test-id attribute is login
+addSelectorEngine(
+  'data-test',
+  {
+    queryAll: (root, selector) => {
+      const value = CSS.escape(selector)
+      return root.querySelectorAll(
+        `[data-test="${value}"], [data-testid="${value}"], [data-test-id="${value}"]`
+      )
+    }
+  },
+  true
+)
+
+module.exports = {
+  parseEngineSelector,
+  registerSelectorEngine,
+  selectorEngineSource,
+  selectorEnginesSource,
+  unregisterSelectorEngine
+}
+
+/**
+ * @typedef {Object} SelectorEngine
+ * @property {function(root: Element|Document, selector: string): ?Element} [query] - Find the first element matching the selector, evaluated in the page
+ * @property {function(root: Element|Document, selector: string): (Array<Element>|NodeList)} [queryAll] - Find every element matching the selector, evaluated in the page
+ */
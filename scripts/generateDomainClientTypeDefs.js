@@ -0,0 +1,135 @@
+const path = require('path')
+const fs = require('fs-extra')
+
+const protocolFile = require.resolve(
+  'chrome-remote-interface/lib/protocol.json'
+)
+const typeDefsFile = path.join(
+  __dirname,
+  '..',
+  'lib',
+  'connection',
+  '__domainClientTypeDefs.js'
+)
+
+const jsType = type => {
+  switch (type) {
+    case 'any':
+      return '*'
+    case 'integer':
+    case 'number':
+      return 'number'
+    case 'binary':
+      return 'string'
+    case 'object':
+      return 'Object'
+    default:
+      return type
+  }
+}
+
+const describe = def => {
+  const notes = []
+  if (def.description) notes.push(def.description.replace(/\s+/g, ' ').trim())
+  if (def.enum) notes.push(`values: ${def.enum.join(', ')}`)
+  if (def.experimental) notes.push('EXPERIMENTAL')
+  if (def.deprecated) notes.push('DEPRECATED')
+  return notes.length ? ` - ${notes.join(' ').replace(/\*\//g, '*\\/')}` : ''
+}
+
+/**
+ * @param {Map<string, Object>} types - The types of every domain keyed by Domain.Type
+ * @param {string} domain
+ * @param {Object} def
+ * @return {string}
+ */
+function typeOf (types, domain, def) {
+  if (def.$ref) {
+    const ref = def.$ref.includes('.') ? def.$ref : `${domain}.${def.$ref}`
+    const type = types.get(ref)
+    return type ? typeOf(types, ref.split('.')[0], type) : '*'
+  }
+  if (def.type === 'array') {
+    return `Array<${def.items ? typeOf(types, domain, def.items) : '*'}>`
+  }
+  return jsType(def.type)
+}
+
+function generateTypeDefs (protocol) {
+  const types = new Map()
+  for (const domain of protocol.domains) {
+    for (const type of domain.types || []) {
+      types.set(`${domain.domain}.${type.id}`, type)
+    }
+  }
+  const clients = [
+    '/**',
+    ' * The domain clients of a connection or session, see {@link createDomainClients}',
+    ' * @typedef {Object} DomainClients'
+  ]
+  const typeDefs = []
+  for (const domain of protocol.domains) {
+    const name = domain.domain
+    clients.push(` * @property {${name}Client} ${name}${describe(domain)}`)
+    const client = [
+      '/**',
+      ` * @typedef {DomainClient} ${name}Client`,
+      ` * @see https://chromedevtools.github.io/devtools-protocol/tot/${name}`
+    ]
+    for (const command of domain.commands || []) {
+      let params = 'Object='
+      if (command.parameters && command.parameters.length) {
+        params = `${name}${command.name[0].toUpperCase()}${command.name.substring(
+          1
+        )}Params`
+        const required = command.parameters.some(param => !param.optional)
+        typeDefs.push(
+          [
+            '/**',
+            ` * @typedef {Object} ${params}`,
+            ...command.parameters.map(
+              param =>
+                ` * @property {${typeOf(types, name, param)}} ${
+                  param.optional ? `[${param.name}]` : param.name
+                }${describe(param)}`
+            ),
+            ' */'
+          ].join('\n')
+        )
+        if (!required) params += '='
+      }
+      client.push(
+        ` * @property {function(${params}, CommandOptions=): Promise<Object>} ${
+          command.name
+        }${describe(command)}`
+      )
+    }
+    for (const event of domain.events || []) {
+      client.push(
+        ` * @property {function(function(Object)=): (function()|Promise<Object>)} ${
+          event.name
+        }${describe(event)}`
+      )
+    }
+    client.push(' */')
+    typeDefs.push(client.join('\n'))
+  }
+  clients.push(' */')
+  return [
+    `// Generated by scripts/generateDomainClientTypeDefs.js from the protocol ${
+      protocol.version.major
+    }.${protocol.version.minor} of chrome-remote-interface, do not edit`,
+    clients.join('\n'),
+    ...typeDefs
+  ].join('\n\n')
+}
+
+async function doIt () {
+  const protocol = await fs.readJson(protocolFile)
+  await fs.writeFile(typeDefsFile, `${generateTypeDefs(protocol)}\n`, 'utf-8')
+}
+
+doIt().catch(error => {
+  console.error(error)
+  process.exitCode = 1
+})
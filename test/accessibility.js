@@ -1,5 +1,7 @@
 import test from 'ava'
 import { TestHelper } from './helpers/testHelper'
+import Accessibility from '../lib/accessibility/Accessibility'
+import Events from '../lib/Events'
 
 /** @type {TestHelper} */
 let helper
@@ -443,3 +445,195 @@ test.serial(
     })
   }
 )
+
+test.serial(
+  'Accessibility.audit should report the violations of each rule',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`
+      <nav aria-label="Primary"><a href="#a">Home</a></nav>
+      <nav aria-label="Primary"><a href="#b"></a></nav>
+      <h1>Title</h1>
+      <h3></h3>
+      <button id="unnamed"></button>
+      <button>Named</button>
+      <img src="data:image/png;base64,">
+      <img src="data:image/png;base64," alt="">
+      <input id="unlabeled">
+      <label>Labeled <input></label>
+      <div aria-hidden="true"><button id="hidden">Hidden</button></div>
+    `)
+    const report = await page.accessibility.audit()
+    const rules = violation => violation.rule
+    t.false(report.passed)
+    t.deepEqual(report.rules(), [
+      'button-name',
+      'link-name',
+      'image-alt',
+      'label',
+      'empty-heading',
+      'heading-order',
+      'landmark-unique',
+      'focusable-hidden'
+    ])
+    t.deepEqual(report.violations().map(rules), [
+      'button-name',
+      'link-name',
+      'image-alt',
+      'label',
+      'empty-heading',
+      'heading-order',
+      'landmark-unique',
+      'focusable-hidden'
+    ])
+    const unnamed = report.violations('button-name')[0]
+    t.is(unnamed.impact, 'critical')
+    t.truthy(unnamed.element)
+    t.is(await page.evaluate(button => button.id, unnamed.element), 'unnamed')
+    const hidden = report.violations('focusable-hidden')[0]
+    t.is(await page.evaluate(button => button.id, hidden.element), 'hidden')
+    const json = JSON.parse(JSON.stringify(report))
+    t.false(json.passed)
+    t.is(json.summary.violations, 8)
+    t.is(json.summary.byRule['label'], 1)
+    t.is(json.violations[0].rule, 'button-name')
+    t.true(typeof json.violations[0].backendDOMNodeId === 'number')
+    t.false('element' in json.violations[0])
+    await report.dispose()
+  }
+)
+
+test.serial(
+  'Accessibility.audit should only check the supplied rules',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<div><button></button></div><h1></h1>`)
+    const report = await page.accessibility.audit({ rules: ['empty-heading'] })
+    t.deepEqual(report.rules(), ['empty-heading'])
+    t.is(report.violations().length, 1)
+    const custom = await page.accessibility.audit({
+      rules: [
+        {
+          id: 'no-buttons',
+          impact: 'minor',
+          description: 'No buttons allowed',
+          check: nodes =>
+            nodes
+              .filter(node => node._role === 'button')
+              .map(node => ({ node, message: 'Found a button' }))
+        }
+      ],
+      root: await page.$('div')
+    })
+    t.deepEqual(custom.violations().map(v => v.message), ['Found a button'])
+    const error = await page.accessibility
+      .audit({ rules: ['not-a-rule'] })
+      .catch(e => e)
+    t.true(error.message.includes('Unknown accessibility audit rule'))
+  }
+)
+
+test.serial('Accessibility.audit should pass an accessible page', async t => {
+  const { page } = t.context
+  await page.setContent(`
+    <main>
+      <h1>Title</h1>
+      <h2>Section</h2>
+      <button>Go</button>
+      <label>Name <input></label>
+      <img src="data:image/png;base64," alt="A picture">
+    </main>
+  `)
+  const report = await page.accessibility.audit()
+  t.true(report.passed)
+  t.deepEqual(report.toJSON().summary.violations, 0)
+})
+
+test.serial(
+  'Accessibility.diff should report the nodes added, removed and changed',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`
+      <button id="toggle" aria-pressed="false">Toggle</button>
+      <a href="#gone">Gone</a>
+    `)
+    const before = await page.accessibility.snapshot({ backendNodeIds: true })
+    t.true(typeof before.children[0].backendDOMNodeId === 'number')
+    await page.evaluate(() => {
+      const toggle = document.getElementById('toggle')
+      toggle.setAttribute('aria-pressed', 'true')
+      toggle.textContent = 'Toggled'
+      document.querySelector('a').remove()
+      const heading = document.createElement('h2')
+      heading.textContent = 'Added'
+      document.body.appendChild(heading)
+    })
+    const after = await page.accessibility.snapshot({ backendNodeIds: true })
+    const diff = Accessibility.diff(before, after)
+    t.false(diff.equal)
+    t.deepEqual(diff.added.map(entry => entry.node), [
+      { role: 'heading', name: 'Added', level: 2 }
+    ])
+    t.deepEqual(diff.removed.map(entry => entry.node), [
+      { role: 'link', name: 'Gone' }
+    ])
+    t.is(diff.changed.length, 1)
+    t.deepEqual(diff.changed[0].changes, {
+      name: { before: 'Toggle', after: 'Toggled' },
+      pressed: { before: false, after: true }
+    })
+    t.true(Accessibility.diff(after, after).equal)
+  }
+)
+
+test.serial(
+  'Accessibility.diff should match nodes by path without backend node ids',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<input type="checkbox" aria-label="Agree">`)
+    const before = await page.accessibility.snapshot()
+    await page.click('input')
+    const after = await page.accessibility.snapshot()
+    const diff = Accessibility.diff(before, after)
+    t.deepEqual(diff.added, [])
+    t.deepEqual(diff.removed, [])
+    t.is(diff.changed[0].path, '/WebArea:0/checkbox:0')
+    t.deepEqual(diff.changed[0].changes.checked, { before: false, after: true })
+  }
+)
+
+test.serial(
+  'Accessibility.watch should report the changes since the last diff',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<button>One</button>`)
+    const watcher = await page.accessibility.watch()
+    await page.evaluate(() => {
+      document.querySelector('button').textContent = 'Two'
+    })
+    const first = await watcher.diff()
+    t.deepEqual(first.changed[0].changes.name, { before: 'One', after: 'Two' })
+    const second = await watcher.diff()
+    t.true(second.equal)
+    watcher.stop()
+  }
+)
+
+test.serial(
+  'Accessibility.watch should emit the changes when polling',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<button>One</button>`)
+    const watcher = await page.accessibility.watch({ polling: 50 })
+    const changed = new Promise(resolve =>
+      watcher.once(Events.AccessibilityWatcher.Changed, resolve)
+    )
+    await page.evaluate(() => {
+      document.querySelector('button').textContent = 'Two'
+    })
+    const diff = await changed
+    t.deepEqual(diff.changed[0].changes.name, { before: 'One', after: 'Two' })
+    watcher.stop()
+    t.false(watcher.watching)
+  }
+)
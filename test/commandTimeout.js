@@ -0,0 +1,139 @@
+/* global AbortController */
+import test from 'ava'
+import EventEmitter from 'eventemitter3'
+import CRIConnection from '../lib/connection/CRIConnection'
+import { AbortError, TimeoutError } from '../lib/Errors'
+
+/**
+ * Responds to Target.attachToTarget only, every other command is never answered
+ * unless answered explicitly using respond
+ */
+class WedgedTransport extends EventEmitter {
+  constructor () {
+    super()
+    this.sent = []
+  }
+
+  send (message) {
+    const command = JSON.parse(message)
+    this.sent.push(command)
+    if (command.method !== 'Target.attachToTarget') return
+    setImmediate(() => {
+      this.emit(
+        'message',
+        JSON.stringify({
+          method: 'Target.attachedToTarget',
+          params: {
+            sessionId: 'session-1',
+            targetInfo: { targetId: command.params.targetId, type: 'page' }
+          }
+        })
+      )
+      this.respond(command, { sessionId: 'session-1' })
+    })
+  }
+
+  respond (command, result = {}) {
+    const response = { id: command.id, result }
+    if (command.sessionId) response.sessionId = command.sessionId
+    this.emit('message', JSON.stringify(response))
+  }
+
+  close () {
+    return Promise.resolve()
+  }
+}
+
+test.beforeEach(async t => {
+  t.context.transport = new WedgedTransport()
+  t.context.connection = await CRIConnection.fromTransport(t.context.transport)
+  t.context.session = await t.context.connection.createSession({
+    targetId: 'target-1'
+  })
+})
+
+test('CDPSession.send should reject with a TimeoutError naming the method and session', async t => {
+  const { session, transport } = t.context
+  const error = await session
+    .send('Page.navigate', { url: 'about:blank' }, { timeout: 50 })
+    .catch(e => e)
+  t.true(error instanceof TimeoutError)
+  t.true(error.message.includes('Page.navigate'))
+  t.true(error.message.includes('50ms'))
+  t.true(error.message.includes('session session-1'))
+  t.is(session._callbacks.size, 0)
+  // the late response is ignored
+  t.notThrows(() => transport.respond(transport.sent.pop()))
+})
+
+test('CDPSession.send should use the default protocol timeouts', async t => {
+  const { connection, session } = t.context
+  connection.setDefaultProtocolTimeout(30)
+  const fromConnection = await session.send('Page.enable').catch(e => e)
+  t.true(fromConnection instanceof TimeoutError)
+  t.true(fromConnection.message.includes('30ms'))
+  session.setDefaultProtocolTimeout(40)
+  const fromSession = await session.send('Page.enable').catch(e => e)
+  t.true(fromSession.message.includes('40ms'))
+})
+
+test('CRIConnection.send should reject with a TimeoutError', async t => {
+  const connection = await CRIConnection.fromTransport(new WedgedTransport(), {
+    protocolTimeout: 30
+  })
+  const error = await connection.send('Target.getTargets').catch(e => e)
+  t.true(error instanceof TimeoutError)
+  t.true(error.message.includes('Target.getTargets'))
+  t.true(error.message.includes('the connection'))
+  t.is(connection._crieCallbacks.size, 0)
+})
+
+test('send should not time out when the response arrives in time', async t => {
+  const { session, transport } = t.context
+  const result = session.send(
+    'Runtime.evaluate',
+    { expression: '1' },
+    {
+      timeout: 1000
+    }
+  )
+  transport.respond(transport.sent[transport.sent.length - 1], { ok: true })
+  t.deepEqual(await result, { ok: true })
+})
+
+test('send should reject with an AbortError when the signal is aborted', async t => {
+  const { connection, session, transport } = t.context
+  const controller = new AbortController()
+  const pending = session.send('Page.enable', {}, { signal: controller.signal })
+  controller.abort()
+  const error = await pending.catch(e => e)
+  t.true(error instanceof AbortError)
+  t.true(error.message.includes('Page.enable'))
+  t.is(session._callbacks.size, 0)
+  const sentBefore = transport.sent.length
+  const alreadyAborted = await connection
+    .send('Target.getTargets', {}, { signal: controller.signal })
+    .catch(e => e)
+  t.true(alreadyAborted instanceof AbortError)
+  t.is(transport.sent.length, sentBefore)
+})
+
+test('domain clients should pass the command options', async t => {
+  const { session } = t.context
+  const error = await session.Page.enable({}, { timeout: 20 }).catch(e => e)
+  t.true(error instanceof TimeoutError)
+})
+
+test('send should reject when the transport throws, without keeping the callback', async t => {
+  const { connection, session, transport } = t.context
+  transport.send = () => {
+    throw new Error('The transport is closed')
+  }
+  await t.throwsAsync(
+    session.send('Page.enable', {}, { timeout: 50 }),
+    /The transport is closed/
+  )
+  await t.throwsAsync(connection.send('Target.getTargets'), /transport/)
+  t.is(session._callbacks.size, 0)
+  t.is(connection._crieCallbacks.size, 0)
+})
@@ -1,5 +1,6 @@
 import test from 'ava'
 import { TestHelper } from './helpers/testHelper'
+import { Coverage } from '../lib/coverage'
 
 /** @type {TestHelper} */
 let helper
@@ -25,7 +26,6 @@ test.after.always(async t => {
   await helper.end()
 })
 
-
 test.serial('JSCoverage should work', async t => {
   const { page, server } = t.context
   await page.coverage.startJSCoverage()
@@ -170,6 +170,37 @@ test.serial(
   }
 )
 
+test.serial(
+  'JSCoverage should report call counts and source maps when detailed',
+  async t => {
+    const { page, server } = t.context
+    await page.coverage.startJSCoverage({ detailed: true })
+    await page.goto(server.PREFIX + '/jscoverage/bundle.html')
+    const coverage = await page.coverage.stopJSCoverage()
+    t.is(coverage.length, 1)
+    t.is(coverage[0].sourceMapURL, 'bundle.js.map')
+    t.true(
+      coverage[0].functions.some(
+        fn => fn.functionName === 'add' && fn.ranges[0].count === 1
+      )
+    )
+    const coverageMap = await Coverage.toIstanbul(coverage, {
+      resolvePath: url => url.substring(server.PREFIX.length)
+    })
+    t.deepEqual(Object.keys(coverageMap), [
+      '/jscoverage/src/add.js',
+      '/jscoverage/src/unused.js'
+    ])
+    t.deepEqual(coverageMap['/jscoverage/src/add.js'].f, { '0': 1 })
+    t.deepEqual(coverageMap['/jscoverage/src/unused.js'].f, { '0': 0 })
+    t.true(
+      Coverage.toLCOV(coverageMap).includes(
+        'SF:/jscoverage/src/unused.js\nFN:1,unused\nFNDA:0,unused'
+      )
+    )
+  }
+)
+
 test.serial('CSSCoverage should work', async t => {
   const { page, server } = t.context
   await page.coverage.startCSSCoverage()
@@ -186,6 +217,58 @@ test.serial('CSSCoverage should work', async t => {
   )
 })
 
+test.serial('CSSCoverage should report the rules when detailed', async t => {
+  const { page, server } = t.context
+  await page.coverage.startCSSCoverage({ detailed: true })
+  await page.goto(server.PREFIX + '/csscoverage/simple.html')
+  const coverage = await page.coverage.stopCSSCoverage()
+  t.is(coverage.length, 1)
+  const usedRules = coverage[0].rules.filter(rule => rule.used)
+  t.is(usedRules.length, 1)
+  t.is(
+    coverage[0].text.substring(
+      usedRules[0].startOffset,
+      usedRules[0].endOffset
+    ),
+    'div { color: green; }'
+  )
+  const coverageMap = await Coverage.toIstanbul(coverage)
+  const { s } = coverageMap[coverage[0].url]
+  t.true(Object.keys(s).some(id => s[id] === 1))
+})
+
+test.serial(
+  'Coverage should take snapshots of the steps of a flow',
+  async t => {
+    const { page, server } = t.context
+    await page.coverage.startJSCoverage({ resetOnNavigation: false })
+    await page.coverage.startCSSCoverage({ resetOnNavigation: false })
+    await page.goto(server.PREFIX + '/jscoverage/simple.html')
+    const first = await page.coverage.takeSnapshot('simple')
+    await page.goto(server.PREFIX + '/csscoverage/simple.html')
+    const second = await page.coverage.takeSnapshot('styled')
+    await page.coverage.stopJSCoverage()
+    await page.coverage.stopCSSCoverage()
+    t.is(first.label, 'simple')
+    t.true(
+      first.js.some(
+        entry =>
+          entry.url.includes('/jscoverage/simple.html') && entry.ranges.length
+      )
+    )
+    t.is(second.label, 'styled')
+    t.true(
+      second.css.some(
+        entry =>
+          entry.url.includes('/csscoverage/simple.html') && entry.ranges.length
+      )
+    )
+    const merged = Coverage.merge(first, second)
+    t.true(merged.some(entry => entry.url.includes('/jscoverage/simple.html')))
+    t.true(merged.some(entry => entry.url.includes('/csscoverage/simple.html')))
+  }
+)
+
 test.serial('CSSCoverage should report sourceURLs', async t => {
   const { page, server } = t.context
   await page.coverage.startCSSCoverage()
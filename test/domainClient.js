@@ -0,0 +1,148 @@
+import test from 'ava'
+import EventEmitter from 'eventemitter3'
+import CRIConnection from '../lib/connection/CRIConnection'
+import { DomainClient } from '../lib/connection/DomainClient'
+
+class FakeBrowserTransport extends EventEmitter {
+  constructor () {
+    super()
+    this.sent = []
+  }
+
+  send (message) {
+    const { id, method, params, sessionId } = JSON.parse(message)
+    this.sent.push({ method, params, sessionId })
+    setImmediate(() => {
+      if (method === 'Target.attachToTarget') {
+        this.emit(
+          'message',
+          JSON.stringify({
+            method: 'Target.attachedToTarget',
+            params: {
+              sessionId: 'session-1',
+              targetInfo: { targetId: params.targetId, type: 'page' }
+            }
+          })
+        )
+        this.emit(
+          'message',
+          JSON.stringify({ id, result: { sessionId: 'session-1' } })
+        )
+        return
+      }
+      this.emit('message', JSON.stringify({ id, sessionId, result: {} }))
+    })
+  }
+
+  close () {
+    return Promise.resolve()
+  }
+}
+
+test.beforeEach(async t => {
+  t.context.transport = new FakeBrowserTransport()
+  t.context.connection = await CRIConnection.fromTransport(t.context.transport)
+  t.context.session = await t.context.connection.createSession({
+    targetId: 'target-1'
+  })
+})
+
+test('CDPSession should expose the domains of the protocol', async t => {
+  const { session, transport } = t.context
+  t.true(session.Network instanceof DomainClient)
+  t.is(session.Network, session.cdp.Network)
+  t.is(session.Network.constructor.name, 'NetworkClient')
+  t.true(session.Network.commands().includes('enable'))
+  t.true(session.Network.events().includes('requestWillBeSent'))
+  await session.Network.enable()
+  await session.DOM.getDocument({ depth: -1, pierce: true })
+  t.deepEqual(transport.sent.slice(1), [
+    { method: 'Network.enable', params: {}, sessionId: 'session-1' },
+    {
+      method: 'DOM.getDocument',
+      params: { depth: -1, pierce: true },
+      sessionId: 'session-1'
+    }
+  ])
+})
+
+test('CDPSession should create its domain clients once first used', async t => {
+  const { connection, session } = t.context
+  t.false(Object.prototype.hasOwnProperty.call(session, 'Network'))
+  t.is(session._domains, null)
+  const other = await connection.createSession({ targetId: 'target-2' })
+  t.true(session.Page instanceof DomainClient)
+  t.not(session._domains, null)
+  t.is(other._domains, null)
+  t.not(other.Page, session.Page)
+})
+
+test('CRIConnection.cdp should send using the connection', async t => {
+  const { connection, transport } = t.context
+  await connection.cdp.Target.setDiscoverTargets({ discover: true })
+  t.deepEqual(transport.sent.pop(), {
+    method: 'Target.setDiscoverTargets',
+    params: { discover: true },
+    sessionId: undefined
+  })
+})
+
+test('DomainClient should validate the parameters of commands', async t => {
+  const { session, transport } = t.context
+  const sentBefore = transport.sent.length
+  const missing = await session.Page.navigate({}).catch(e => e)
+  t.is(
+    missing.message,
+    'Invalid parameters for Page.navigate: "url" is required'
+  )
+  const wrongType = await session.Page.navigate({ url: 1 }).catch(e => e)
+  t.is(
+    wrongType.message,
+    'Invalid parameters for Page.navigate: "url" must be a string, received number'
+  )
+  const badEnum = await session.Emulation.setEmulatedMedia({
+    media: 1
+  }).catch(e => e)
+  t.true(badEnum.message.includes('"media" must be a string'))
+  const badRef = await session.Page.setDownloadBehavior({
+    behavior: 'sometimes'
+  }).catch(e => e)
+  t.true(badRef.message.includes('"behavior" must be one of'))
+  const notInteger = await session.DOM.getDocument({ depth: 1.5 }).catch(e => e)
+  t.true(notInteger.message.includes('"depth" must be an integer'))
+  t.is(transport.sent.length, sentBefore)
+})
+
+test('DomainClient should only reject unknown parameters when the protocol is not the local one', async t => {
+  const { session, transport } = t.context
+  t.true(session._connection.local)
+  await session.Network.enable({ newerParameter: 1 })
+  t.deepEqual(transport.sent[transport.sent.length - 1], {
+    method: 'Network.enable',
+    params: { newerParameter: 1 },
+    sessionId: 'session-1'
+  })
+
+  const strictTransport = new FakeBrowserTransport()
+  const connection = await CRIConnection.fromTransport(strictTransport, {
+    protocol: session._connection.protocol
+  })
+  t.false(connection.local)
+  const unknown = await connection.cdp.Network.enable({
+    maxBufferSize: 1
+  }).catch(e => e)
+  t.true(unknown.message.includes('"maxBufferSize" is not a parameter'))
+  t.deepEqual(strictTransport.sent, [])
+})
+
+test('DomainClient should provide event helpers', async t => {
+  const { session } = t.context
+  const seen = []
+  const unsubscribe = session.Page.loadEventFired(params => seen.push(params))
+  const next = session.Page.loadEventFired()
+  session.emit('Page.loadEventFired', { timestamp: 1 })
+  unsubscribe()
+  session.emit('Page.loadEventFired', { timestamp: 2 })
+  t.deepEqual(seen, [{ timestamp: 1 }])
+  t.deepEqual(await next, { timestamp: 1 })
+})
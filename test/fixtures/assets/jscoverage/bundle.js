@@ -0,0 +1,8 @@
+function add (a, b) {
+  return a + b
+}
+function unused () {
+  return 'unused'
+}
+add(1, 2)
+//# sourceMappingURL=bundle.js.map
@@ -0,0 +1,88 @@
+/* global fetch */
+import test from 'ava'
+import { TestHelper } from './helpers/testHelper'
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+})
+
+test.serial.afterEach.always(async t => {
+  await helper.cleanup()
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+test.serial('HARRecorder should produce a HAR 1.2 log', async t => {
+  const { page, server } = t.context
+  await page.networkManager.startHAR()
+  await page.goto(server.PREFIX + '/one-style.html')
+  const har = await page.networkManager.stopHAR()
+  t.is(har.log.version, '1.2')
+  t.is(har.log.creator.name, 'chrome-remote-interface-extra')
+  t.is(har.log.pages.length, 1)
+  const entries = har.log.entries.filter(
+    entry => !entry.request.url.includes('favicon')
+  )
+  t.is(entries.length, 2)
+  t.is(entries[0].request.url, server.PREFIX + '/one-style.html')
+  t.is(entries[0].pageref, har.log.pages[0].id)
+  t.is(entries[0].response.status, 200)
+  t.true(entries[0].timings.wait >= 0)
+  t.true(entries[0].time >= 0)
+  t.true(entries[1].request.url.endsWith('/one-style.css'))
+})
+
+test.serial(
+  'HARRecorder should record every hop of a redirect chain',
+  async t => {
+    const { page, server } = t.context
+    await page.networkManager.startHAR()
+    await page.goto(server.PREFIX + '/plzredirect')
+    const har = await page.networkManager.stopHAR()
+    const entries = har.log.entries.filter(
+      entry => !entry.request.url.includes('favicon')
+    )
+    t.is(har.log.pages.length, 1)
+    t.is(entries.length, 2)
+    t.is(entries[0].response.status, 302)
+    t.is(entries[0].response.redirectURL, '/empty.html')
+    t.is(entries[1].request.url, server.EMPTY_PAGE)
+  }
+)
+
+test.serial(
+  'HARRecorder should include response bodies when asked',
+  async t => {
+    const { page, server } = t.context
+    await page.networkManager.startHAR({ content: true })
+    await page.goto(server.PREFIX + '/simple.json')
+    const har = await page.networkManager.stopHAR()
+    const entry = har.log.entries.find(entry =>
+      entry.request.url.endsWith('/simple.json')
+    )
+    t.is(entry.response.content.text.trim(), '{"foo": "bar"}')
+  }
+)
+
+test.serial('HARRecorder should record post data', async t => {
+  const { page, server } = t.context
+  await page.goto(server.EMPTY_PAGE)
+  await page.networkManager.startHAR()
+  await page.evaluate(() =>
+    fetch('./post', { method: 'POST', body: JSON.stringify({ foo: 'bar' }) })
+  )
+  const har = await page.networkManager.stopHAR()
+  const entry = har.log.entries.find(entry => entry.request.method === 'POST')
+  t.is(entry.request.postData.text, '{"foo":"bar"}')
+  t.is(entry.request.bodySize, 13)
+})
@@ -0,0 +1,166 @@
+import test from 'ava'
+import * as fs from 'fs-extra'
+import * as path from 'path'
+import EventEmitter from 'eventemitter3'
+import { TestHelper } from './helpers/testHelper'
+import { HeapProfiler, HeapSnapshot } from '../lib/profiler'
+import { disableSharedDomain, enableSharedDomain } from '../lib/__shared'
+
+class FakeHeapProfilerClient extends EventEmitter {
+  /**
+   * @param {?Error} snapshotError - The error taking the snapshot fails with
+   */
+  constructor (snapshotError = null) {
+    super()
+    this.snapshotError = snapshotError
+    this.sent = []
+  }
+
+  async send (method) {
+    this.sent.push(method)
+    if (method !== 'HeapProfiler.takeHeapSnapshot') return {}
+    this.emit('HeapProfiler.addHeapSnapshotChunk', { chunk: '{"nodes":' })
+    if (this.snapshotError) throw this.snapshotError
+    return {}
+  }
+}
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+  t.context.outputFile = path.join(
+    __dirname,
+    'fixtures',
+    'assets',
+    'heap-0.heapsnapshot'
+  )
+})
+
+test.serial.afterEach.always(async t => {
+  await helper.cleanup()
+  await fs.remove(t.context.outputFile)
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+test.serial('HeapProfiler should take a heap snapshot', async t => {
+  const { page, server } = t.context
+  await page.goto(server.EMPTY_PAGE)
+  await page.evaluate(() => {
+    class LeakyThing {
+      constructor () {
+        this.payload = new Array(1000).fill(0)
+      }
+    }
+    window.leakyThings = []
+    for (let i = 0; i < 10; i++) window.leakyThings.push(new LeakyThing())
+  })
+  const snapshot = await page.heapProfiler.takeSnapshot()
+  t.true(snapshot instanceof HeapSnapshot)
+  t.true(snapshot.totalSize > 0)
+  const leakyThings = snapshot
+    .aggregateByConstructor()
+    .find(summary => summary.name === 'LeakyThing')
+  t.is(leakyThings.count, 10)
+  t.true(leakyThings.retainedSize > leakyThings.selfSize)
+  const [leakyThing] = snapshot.nodesByConstructor('LeakyThing')
+  const retainerPath = snapshot.retainerPath(leakyThing.id)
+  t.true(retainerPath.some(({ edge }) => edge && edge.name === 'leakyThings'))
+})
+
+test.serial('HeapProfiler should write a heap snapshot', async t => {
+  const { page, server, outputFile } = t.context
+  await page.goto(server.EMPTY_PAGE)
+  t.is(await page.heapProfiler.takeSnapshot({ path: outputFile }), outputFile)
+  const saved = HeapSnapshot.parse(await fs.readFile(outputFile, 'utf8'))
+  t.true(saved.nodeCount > 0)
+  t.true(saved.nodesByConstructor('Window').length > 0)
+})
+
+test.serial(
+  'HeapProfiler should close the file and disable the domain when the snapshot fails',
+  async t => {
+    const { outputFile } = t.context
+    const client = new FakeHeapProfilerClient(new Error('snapshot failed'))
+    const heapProfiler = new HeapProfiler(client)
+    await t.throwsAsync(
+      heapProfiler.takeSnapshot({ path: outputFile }),
+      /snapshot failed/
+    )
+    t.deepEqual(client.sent, [
+      'HeapProfiler.enable',
+      'HeapProfiler.takeHeapSnapshot',
+      'HeapProfiler.disable'
+    ])
+    t.is(await fs.readFile(outputFile, 'utf8'), '{"nodes":')
+  }
+)
+
+test.serial(
+  'HeapProfiler should not disable the domain while it is still used',
+  async t => {
+    const { outputFile } = t.context
+    const client = new FakeHeapProfilerClient()
+    await enableSharedDomain(client, 'HeapProfiler')
+    await new HeapProfiler(client).takeSnapshot({ path: outputFile })
+    t.false(client.sent.includes('HeapProfiler.disable'))
+    await disableSharedDomain(client, 'HeapProfiler')
+    t.is(client.sent[client.sent.length - 1], 'HeapProfiler.disable')
+  }
+)
+
+test.serial('Page.detectLeaks should report leaking listeners', async t => {
+  const { page, server } = t.context
+  await page.goto(server.EMPTY_PAGE)
+  await page.evaluate(() => {
+    window.LeakyWidget = class LeakyWidget {
+      constructor () {
+        this.element = document.createElement('div')
+        document.body.appendChild(this.element)
+        window.addEventListener('resize', () => this.element.remove())
+      }
+    }
+  })
+  const report = await page.detectLeaks(
+    page => page.evaluate(() => new window.LeakyWidget()),
+    { iterations: 3 }
+  )
+  t.true(report.leaking)
+  t.is(report.samples.length, 4)
+  t.true(report.growth.JSEventListeners.growing)
+  t.is(report.growth.JSEventListeners.delta, 3)
+  t.true(report.growth.Nodes.growing)
+  const leakyWidgets = report.constructors.find(
+    delta => delta.name === 'LeakyWidget'
+  )
+  t.is(leakyWidgets.countDelta, 3)
+})
+
+test.serial(
+  'Page.detectLeaks should not report actions which do not leak',
+  async t => {
+    const { page, server } = t.context
+    await page.goto(server.EMPTY_PAGE)
+    const report = await page.detectLeaks(
+      page =>
+        page.evaluate(() => {
+          const element = document.createElement('div')
+          document.body.appendChild(element)
+          element.remove()
+        }),
+      { iterations: 3, heapSnapshots: false }
+    )
+    t.false(report.growth.JSEventListeners.growing)
+    t.false(report.growth.Nodes.growing)
+    t.deepEqual(report.constructors, [])
+  }
+)
@@ -0,0 +1,198 @@
+import test from 'ava'
+import { HeapSnapshot } from '../lib/profiler'
+
+const nodeTypes = [
+  'hidden',
+  'array',
+  'string',
+  'object',
+  'code',
+  'closure',
+  'regexp',
+  'number',
+  'native',
+  'synthetic'
+]
+const edgeTypes = [
+  'context',
+  'element',
+  'property',
+  'internal',
+  'hidden',
+  'shortcut',
+  'weak'
+]
+
+/**
+ * Build a heap snapshot from nodes [type, name, id, selfSize, edges] with edges [type, nameOrIndex, toNodeOrdinal]
+ */
+function buildSnapshot (graph) {
+  const strings = []
+  const string = value => {
+    if (!strings.includes(value)) strings.push(value)
+    return strings.indexOf(value)
+  }
+  const nodes = []
+  const edges = []
+  for (const [type, name, id, selfSize, nodeEdges] of graph) {
+    nodes.push(
+      nodeTypes.indexOf(type),
+      string(name),
+      id,
+      selfSize,
+      nodeEdges.length,
+      0
+    )
+    for (const [edgeType, nameOrIndex, toNode] of nodeEdges) {
+      edges.push(
+        edgeTypes.indexOf(edgeType),
+        edgeType === 'element' ? nameOrIndex : string(nameOrIndex),
+        toNode * 6
+      )
+    }
+  }
+  return {
+    snapshot: {
+      meta: {
+        node_fields: [
+          'type',
+          'name',
+          'id',
+          'self_size',
+          'edge_count',
+          'trace_node_id'
+        ],
+        node_types: [
+          nodeTypes,
+          'string',
+          'number',
+          'number',
+          'number',
+          'number'
+        ],
+        edge_fields: ['type', 'name_or_index', 'to_node'],
+        edge_types: [edgeTypes, 'string_or_number', 'node']
+      },
+      node_count: graph.length,
+      edge_count: edges.length / 3
+    },
+    nodes,
+    edges,
+    strings
+  }
+}
+
+const snapshot = buildSnapshot([
+  ['synthetic', '', 1, 0, [['element', 1, 1]]],
+  [
+    'object',
+    'Window',
+    3,
+    10,
+    [
+      ['property', 'leaks', 2],
+      ['property', 'a', 3],
+      ['property', 'greeting', 9]
+    ]
+  ],
+  ['array', '', 5, 20, [['element', 0, 4], ['element', 1, 5]]],
+  ['object', 'Foo', 7, 30, [['property', 'child', 6]]],
+  ['object', 'Foo', 9, 30, [['property', 'shared', 7]]],
+  ['object', 'Foo', 11, 30, [['property', 'shared', 7]]],
+  ['object', 'Foo', 13, 30, []],
+  ['object', 'Bar', 15, 40, [['weak', 'w', 8]]],
+  ['object', 'Baz', 17, 50, []],
+  ['string', 'hello', 19, 16, []]
+])
+
+test('HeapSnapshot should compute the retained sizes', t => {
+  const heap = HeapSnapshot.parse(JSON.stringify(snapshot))
+  t.is(heap.nodeCount, 10)
+  t.is(heap.totalSize, 206)
+  t.is(heap.nodeById(5).retainedSize, 120)
+  t.is(heap.nodeById(7).retainedSize, 60)
+  t.is(heap.nodeById(15).retainedSize, 40)
+  t.is(heap.nodeById(17).retainedSize, 50)
+  t.is(heap.nodeById(21), null)
+  t.throws(() => HeapSnapshot.parse('{}'), /does not contain nodes/)
+})
+
+test('HeapSnapshot should aggregate the objects by constructor', t => {
+  const heap = HeapSnapshot.parse(snapshot)
+  const summaries = heap.aggregateByConstructor()
+  t.deepEqual(summaries[0], {
+    name: 'Window',
+    count: 1,
+    selfSize: 10,
+    retainedSize: 206
+  })
+  const byName = name => summaries.find(summary => summary.name === name)
+  t.deepEqual(byName('Foo'), {
+    name: 'Foo',
+    count: 4,
+    selfSize: 120,
+    retainedSize: 120
+  })
+  t.deepEqual(byName('(array)'), {
+    name: '(array)',
+    count: 1,
+    selfSize: 20,
+    retainedSize: 120
+  })
+  t.deepEqual(byName('(string)'), {
+    name: '(string)',
+    count: 1,
+    selfSize: 16,
+    retainedSize: 16
+  })
+  t.is(byName('Baz'), undefined)
+  t.deepEqual(heap.nodesByConstructor('Foo').map(node => node.id), [
+    7,
+    9,
+    11,
+    13
+  ])
+})
+
+test('HeapSnapshot should find the retainers of a node', t => {
+  const heap = HeapSnapshot.parse(snapshot)
+  t.deepEqual(
+    heap
+      .retainerPath(15)
+      .map(({ node, edge }) => [node.name, edge && edge.name]),
+    [['Bar', 'shared'], ['Foo', 0], ['', 'leaks'], ['Window', 1], ['', null]]
+  )
+  t.is(heap.retainerPath(17), null)
+  t.deepEqual(
+    heap.retainers(15).map(({ node, edge }) => [node.id, edge.type, edge.name]),
+    [[9, 'property', 'shared'], [11, 'property', 'shared']]
+  )
+})
+
+test('HeapSnapshot.compare should report the constructors which grew', t => {
+  const baseline = buildSnapshot([
+    ['synthetic', '', 1, 0, [['element', 1, 1]]],
+    ['object', 'Window', 3, 10, [['property', 'leaks', 2]]],
+    ['array', '', 5, 20, [['element', 0, 3], ['element', 1, 4]]],
+    ['object', 'Foo', 9, 30, []],
+    ['object', 'Foo', 21, 30, []]
+  ])
+  const deltas = HeapSnapshot.compare(
+    HeapSnapshot.parse(baseline),
+    HeapSnapshot.parse(snapshot)
+  )
+  t.deepEqual(deltas.map(delta => [delta.name, delta.countDelta]), [
+    ['Foo', 2],
+    ['Bar', 1],
+    ['(string)', 1]
+  ])
+  t.deepEqual(deltas[0], {
+    name: 'Foo',
+    count: 4,
+    selfSize: 120,
+    retainedSize: 120,
+    countDelta: 2,
+    selfSizeDelta: 60,
+    retainedSizeDelta: 60
+  })
+})
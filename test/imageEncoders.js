@@ -0,0 +1,141 @@
+import test from 'ava'
+import * as os from 'os'
+import * as path from 'path'
+import * as fs from 'fs-extra'
+import { encodeGIF } from '../lib/image/gif'
+import { createImage, encodePNG } from '../lib/image/png'
+import { encodeVP8L, encodeWebP } from '../lib/image/webp'
+import Screencast from '../lib/page/Screencast'
+
+function frameImage (width, height, shift) {
+  const image = createImage(width, height)
+  for (let i = 0; i < image.data.length; i += 4) {
+    const x = (i / 4) % width
+    image.data[i] = x < shift ? 255 : 0
+    image.data[i + 1] = 128
+    image.data[i + 2] = (x * 4) & 0xff
+    image.data[i + 3] = 255
+  }
+  return image
+}
+
+/**
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @return {Array<{type: string, data: Buffer}>}
+ */
+function riffChunks (buffer, offset) {
+  const chunks = []
+  while (offset < buffer.length) {
+    const size = buffer.readUInt32LE(offset + 4)
+    chunks.push({
+      type: buffer.toString('ascii', offset, offset + 4),
+      data: buffer.slice(offset + 8, offset + 8 + size)
+    })
+    offset += 8 + size + (size % 2)
+  }
+  return chunks
+}
+
+test('encodeVP8L should write the header of the bitstream', t => {
+  const bitstream = encodeVP8L(frameImage(33, 17, 4))
+  t.is(bitstream[0], 0x2f)
+  const header = bitstream.readUInt32LE(1)
+  t.is((header & 0x3fff) + 1, 33)
+  t.is(((header >>> 14) & 0x3fff) + 1, 17)
+  // alpha is not used
+  t.is((header >>> 28) & 1, 0)
+  // the image is smaller than its pixels thanks to the backward references
+  t.true(bitstream.length < (33 * 17 * 4) / 4)
+})
+
+test('encodeWebP should write an animated WebP', t => {
+  const webp = encodeWebP(
+    [
+      { image: frameImage(40, 30, 5), duration: 40 },
+      { image: frameImage(40, 30, 10), duration: 60 }
+    ],
+    { loop: 2 }
+  )
+  t.is(webp.toString('ascii', 0, 4), 'RIFF')
+  t.is(webp.readUInt32LE(4) + 8, webp.length)
+  t.is(webp.toString('ascii', 8, 12), 'WEBP')
+  const chunks = riffChunks(webp, 12)
+  t.deepEqual(chunks.map(chunk => chunk.type), ['VP8X', 'ANIM', 'ANMF', 'ANMF'])
+  const [features, animation, ...frames] = chunks.map(chunk => chunk.data)
+  t.is(features[0], 0x02)
+  t.is(features.readUIntLE(4, 3) + 1, 40)
+  t.is(features.readUIntLE(7, 3) + 1, 30)
+  t.is(animation.readUInt16LE(4), 2)
+  t.deepEqual(frames.map(frame => frame.readUIntLE(12, 3)), [40, 60])
+  for (const frame of frames) {
+    t.is(frame.readUIntLE(6, 3) + 1, 40)
+    t.is(frame.readUIntLE(9, 3) + 1, 30)
+    t.is(riffChunks(frame, 16)[0].type, 'VP8L')
+  }
+})
+
+test('encodeGIF should write an animated GIF', t => {
+  const gif = encodeGIF(
+    [
+      { image: frameImage(20, 10, 5), duration: 100 },
+      { image: frameImage(20, 10, 10), duration: 250 }
+    ],
+    { loop: 3 }
+  )
+  t.is(gif.toString('ascii', 0, 6), 'GIF89a')
+  t.is(gif.readUInt16LE(6), 20)
+  t.is(gif.readUInt16LE(8), 10)
+  const netscape = gif.indexOf('NETSCAPE2.0')
+  t.true(netscape > 0)
+  t.is(gif.readUInt16LE(netscape + 13), 3)
+  t.is(gif[gif.length - 1], 0x3b)
+  const delays = []
+  let offset = gif.indexOf(Buffer.from([0x21, 0xf9, 4]))
+  while (offset !== -1) {
+    delays.push(gif.readUInt16LE(offset + 4))
+    offset = gif.indexOf(Buffer.from([0x21, 0xf9, 4]), offset + 1)
+  }
+  t.deepEqual(delays, [10, 25])
+})
+
+test('Screencast.save should write the frames as an image sequence or an animation', async t => {
+  const frames = [0, 1, 2].map(index => ({
+    data: encodePNG(frameImage(16, 8, index * 4)),
+    format: 'png',
+    timestamp: 1000 + index * 0.05,
+    metadata: {}
+  }))
+  const directory = path.join(os.tmpdir(), `screencast-${process.pid}`)
+  try {
+    await Screencast.save(frames, directory)
+    t.deepEqual(await fs.readdir(directory), [
+      'frame-00001.png',
+      'frame-00002.png',
+      'frame-00003.png'
+    ])
+    t.true(
+      (await fs.readFile(path.join(directory, 'frame-00002.png'))).equals(
+        frames[1].data
+      )
+    )
+    const gifPath = path.join(directory, 'screencast.gif')
+    await Screencast.save(frames, gifPath)
+    t.is((await fs.readFile(gifPath)).toString('ascii', 0, 6), 'GIF89a')
+    const webpPath = path.join(directory, 'screencast.webp')
+    await Screencast.save(frames, webpPath)
+    const durations = riffChunks(await fs.readFile(webpPath), 12)
+      .filter(chunk => chunk.type === 'ANMF')
+      .map(chunk => chunk.data.readUIntLE(12, 3))
+    t.deepEqual(durations, [50, 50, 100])
+    await t.throwsAsync(
+      Screencast.save(
+        [Object.assign({}, frames[0], { format: 'jpeg' })],
+        path.join(directory, 'jpeg.gif')
+      ),
+      /Only png screencast frames/
+    )
+  } finally {
+    await fs.remove(directory)
+  }
+})
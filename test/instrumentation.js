@@ -0,0 +1,123 @@
+import test from 'ava'
+import EventEmitter from 'eventemitter3'
+import CRIConnection from '../lib/connection/CRIConnection'
+import Events from '../lib/Events'
+
+class FakeBrowserTransport extends EventEmitter {
+  send (message) {
+    const { id, method, params, sessionId } = JSON.parse(message)
+    setImmediate(() => {
+      if (method === 'Target.attachToTarget') {
+        this.emit(
+          'message',
+          JSON.stringify({
+            method: 'Target.attachedToTarget',
+            params: {
+              sessionId: 'session-1',
+              targetInfo: { targetId: params.targetId, type: 'page' }
+            }
+          })
+        )
+        this.emit(
+          'message',
+          JSON.stringify({ id, result: { sessionId: 'session-1' } })
+        )
+      } else if (method === 'Page.navigate') {
+        this.emit(
+          'message',
+          JSON.stringify({
+            id,
+            sessionId,
+            error: { code: -32000, message: 'Cannot navigate' }
+          })
+        )
+      } else {
+        this.emit('message', JSON.stringify({ id, sessionId, result: {} }))
+      }
+    })
+  }
+
+  close () {
+    return Promise.resolve()
+  }
+}
+
+test('CRIConnection should emit the command events of the connection and its sessions', async t => {
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport()
+  )
+  const session = await connection.createSession({ targetId: 'target-1' })
+  const started = []
+  const completed = []
+  connection.on(Events.CRIConnection.Command, event => started.push(event))
+  connection.on(Events.CRIConnection.CommandComplete, event =>
+    completed.push(event)
+  )
+  await connection.send('Target.setDiscoverTargets', { discover: true })
+  await session.send('Page.enable')
+  await session.send('Page.navigate', { url: 'about:blank' }).catch(() => {})
+  t.deepEqual(started, [
+    {
+      method: 'Target.setDiscoverTargets',
+      params: { discover: true },
+      sessionId: null
+    },
+    { method: 'Page.enable', params: {}, sessionId: 'session-1' },
+    {
+      method: 'Page.navigate',
+      params: { url: 'about:blank' },
+      sessionId: 'session-1'
+    }
+  ])
+  t.deepEqual(completed.map(event => event.method), [
+    'Target.setDiscoverTargets',
+    'Page.enable',
+    'Page.navigate'
+  ])
+  t.is(completed[0].sessionId, null)
+  t.is(completed[1].sessionId, 'session-1')
+  t.true(completed.every(event => event.durationMs >= 0))
+  t.is(completed[1].error, null)
+  t.true(completed[2].error.message.includes('Cannot navigate'))
+})
+
+test('CRIConnection should aggregate the stats of the commands per method', async t => {
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport()
+  )
+  const session = await connection.createSession({ targetId: 'target-1' })
+  await session.send('Page.enable')
+  await session.send('Page.enable')
+  await session.send('Page.navigate', { url: 'about:blank' }).catch(() => {})
+  const enable = connection.commandStats.get('Page.enable')
+  t.is(enable.count, 2)
+  t.is(enable.errors, 0)
+  t.true(enable.minMs <= enable.maxMs)
+  t.is(enable.meanMs, enable.totalMs / 2)
+  t.is(connection.commandStats.get('Page.navigate').errors, 1)
+  const report = connection.commandStats.report()
+  t.deepEqual(report.map(stats => stats.method).sort(), [
+    'Page.enable',
+    'Page.navigate',
+    'Target.attachToTarget'
+  ])
+  for (let i = 1; i < report.length; i++) {
+    t.true(report[i - 1].totalMs >= report[i].totalMs)
+  }
+  connection.commandStats.reset()
+  t.deepEqual(connection.commandStats.report(), [])
+})
+
+test('CRIConnection should emit every message sent and received as Verbose', async t => {
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport()
+  )
+  const messages = []
+  connection.on(Events.CRIConnection.Verbose, event => messages.push(event))
+  await connection.send('Target.getTargets')
+  t.is(messages.length, 2)
+  t.is(messages[0].type, 'send')
+  t.is(messages[0].message.method, 'Target.getTargets')
+  t.is(messages[1].type, 'receive')
+  t.is(messages[1].message.id, messages[0].message.id)
+})
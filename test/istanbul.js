@@ -0,0 +1,223 @@
+import test from 'ava'
+import * as fs from 'fs-extra'
+import * as http from 'http'
+import * as path from 'path'
+import { pathToFileURL } from 'url'
+import { Coverage, SourceMap } from '../lib/coverage'
+
+const bundlePath = path.join(
+  __dirname,
+  'fixtures',
+  'assets',
+  'jscoverage',
+  'bundle.js'
+)
+
+async function bundleEntry () {
+  const text = await fs.readFile(bundlePath, 'utf8')
+  return {
+    url: pathToFileURL(bundlePath).href,
+    text,
+    ranges: [],
+    scriptId: '1',
+    sourceMapURL: null,
+    functions: [
+      {
+        functionName: '',
+        isBlockCoverage: false,
+        ranges: [{ startOffset: 0, endOffset: text.length, count: 1 }]
+      },
+      {
+        functionName: 'add',
+        isBlockCoverage: false,
+        ranges: [{ startOffset: 0, endOffset: 38, count: 3 }]
+      },
+      {
+        functionName: 'unused',
+        isBlockCoverage: false,
+        ranges: [{ startOffset: 39, endOffset: 79, count: 0 }]
+      }
+    ]
+  }
+}
+
+function relativePath (url) {
+  return url.substring(url.lastIndexOf('jscoverage/') + 'jscoverage/'.length)
+}
+
+test('SourceMap should decode the mappings of a source map', async t => {
+  const sourceMap = await SourceMap.load(
+    pathToFileURL(bundlePath).href,
+    null,
+    await fs.readFile(bundlePath, 'utf8')
+  )
+  t.deepEqual(sourceMap.sources.map(relativePath), [
+    'src/add.js',
+    'src/unused.js'
+  ])
+  const { source, line, column } = sourceMap.originalPositionFor(4, 9)
+  t.deepEqual(
+    { source: relativePath(source), line, column },
+    {
+      source: 'src/unused.js',
+      line: 1,
+      column: 2
+    }
+  )
+  t.is(sourceMap.originalPositionFor(6, 0), null)
+  t.true(sourceMap.sourceContent(source).startsWith('function unused'))
+
+  const inline = await SourceMap.load(
+    'http://localhost/inline.js',
+    'data:application/json;base64,' +
+      Buffer.from(
+        JSON.stringify({ version: 3, sources: ['a.js'], mappings: ';AAAA' })
+      ).toString('base64')
+  )
+  t.deepEqual(inline.originalPositionFor(1, 4), {
+    source: 'http://localhost/a.js',
+    line: 0,
+    column: 0
+  })
+})
+
+test('SourceMap should follow redirects and time out loading source maps', async t => {
+  const sourceMapJSON = JSON.stringify({
+    version: 3,
+    sources: ['a.js'],
+    mappings: 'AAAA'
+  })
+  const server = http.createServer((request, response) => {
+    if (request.url === '/redirect.js.map') {
+      response.writeHead(302, { location: '/maps/a.js.map' })
+      response.end()
+    } else if (request.url === '/maps/a.js.map') {
+      response.end(sourceMapJSON)
+    }
+    // any other request never receives a response
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const origin = `http://127.0.0.1:${server.address().port}`
+  try {
+    const redirected = await SourceMap.load(`${origin}/a.js`, 'redirect.js.map')
+    t.deepEqual(redirected.sources, [`${origin}/a.js`])
+    await t.throwsAsync(
+      SourceMap.load(`${origin}/a.js`, 'hanging.js.map', null, {
+        timeout: 50
+      }),
+      { name: 'TimeoutError' }
+    )
+    const loaded = await SourceMap.load(`${origin}/a.js`, 'page.js.map', null, {
+      load: url => Promise.resolve(sourceMapJSON)
+    })
+    t.deepEqual(loaded.sources, [`${origin}/a.js`])
+  } finally {
+    server.close()
+  }
+})
+
+test('Coverage.toIstanbul should report the original sources of bundled scripts', async t => {
+  const coverageMap = await Coverage.toIstanbul([await bundleEntry()], {
+    resolvePath: relativePath
+  })
+  t.deepEqual(Object.keys(coverageMap), ['src/add.js', 'src/unused.js'])
+  const add = coverageMap['src/add.js']
+  t.deepEqual(add.s, { '0': 3, '1': 3, '2': 3 })
+  t.deepEqual(add.fnMap['0'].loc, {
+    start: { line: 1, column: 0 },
+    end: { line: 3, column: 1 }
+  })
+  t.deepEqual(add.f, { '0': 3 })
+  const unused = coverageMap['src/unused.js']
+  t.deepEqual(unused.s, { '0': 0, '1': 0, '2': 0 })
+  t.deepEqual(unused.statementMap['1'], {
+    start: { line: 2, column: 2 },
+    end: { line: 2, column: 17 }
+  })
+  t.deepEqual(unused.f, { '0': 0 })
+})
+
+test('Coverage.toIstanbul should report functions and blocks of scripts without source maps', async t => {
+  const text = 'function foo (x) {\n  if (x) {\n    return 1\n  }\n}\nfoo()\n'
+  const coverageMap = await Coverage.toIstanbul([
+    {
+      url: 'http://localhost/foo.js',
+      text,
+      ranges: [],
+      functions: [
+        {
+          functionName: '',
+          isBlockCoverage: true,
+          ranges: [{ startOffset: 0, endOffset: text.length, count: 1 }]
+        },
+        {
+          functionName: 'foo',
+          isBlockCoverage: true,
+          ranges: [
+            { startOffset: 0, endOffset: 48, count: 1 },
+            { startOffset: 28, endOffset: 46, count: 0 }
+          ]
+        }
+      ]
+    }
+  ])
+  const foo = coverageMap['http://localhost/foo.js']
+  t.deepEqual(foo.s, { '0': 1, '1': 1, '2': 0, '3': 0, '4': 1, '5': 1 })
+  t.deepEqual(foo.fnMap['0'].loc, {
+    start: { line: 1, column: 0 },
+    end: { line: 5, column: 1 }
+  })
+  t.deepEqual(foo.branchMap['0'].loc, {
+    start: { line: 2, column: 9 },
+    end: { line: 4, column: 3 }
+  })
+  t.deepEqual(foo.b, { '0': [0] })
+  t.is(
+    Coverage.toLCOV(coverageMap),
+    [
+      'TN:',
+      'SF:http://localhost/foo.js',
+      'FN:1,foo',
+      'FNDA:1,foo',
+      'FNF:1',
+      'FNH:1',
+      'DA:1,1',
+      'DA:2,1',
+      'DA:3,0',
+      'DA:4,0',
+      'DA:5,1',
+      'DA:6,1',
+      'LF:6',
+      'LH:4',
+      'BRDA:2,0,0,0',
+      'BRF:1',
+      'BRH:0',
+      'end_of_record',
+      ''
+    ].join('\n')
+  )
+})
+
+test('Coverage.toIstanbul should report the rules of style sheets', async t => {
+  const text = 'div { color: red; }\n\np { color: blue; }\n'
+  const detailed = await Coverage.toIstanbul([
+    {
+      url: 'http://localhost/style.css',
+      text,
+      ranges: [{ start: 0, end: 19 }],
+      rules: [
+        { startOffset: 0, endOffset: 19, used: true },
+        { startOffset: 21, endOffset: 39, used: false }
+      ]
+    }
+  ])
+  t.deepEqual(detailed['http://localhost/style.css'].s, { '0': 1, '1': 0 })
+  const ranges = await Coverage.toIstanbul([
+    {
+      url: 'http://localhost/style.css',
+      text,
+      ranges: [{ start: 0, end: 19 }]
+    }
+  ])
+  t.deepEqual(ranges, detailed)
+})
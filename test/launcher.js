@@ -0,0 +1,125 @@
+import test from 'ava'
+import * as fs from 'fs-extra'
+import * as os from 'os'
+import * as path from 'path'
+import CRIExtra from '../lib/chromeRemoteInterfaceExtra'
+import Launcher from '../lib/browser/Launcher'
+
+test.serial('CRIExtra.launch should launch and close Chrome', async t => {
+  const browser = await CRIExtra.launch()
+  const chromeProcess = browser.process()
+  t.truthy(chromeProcess)
+  t.true(chromeProcess.pid > 0)
+  t.true(browser.wsEndpoint().startsWith('ws://'))
+  const page = await browser.newPage()
+  t.is(await page.evaluate(() => 7 * 8), 56)
+  const profileArg = chromeProcess.spawnargs.find(arg =>
+    arg.startsWith('--user-data-dir=')
+  )
+  const profile = profileArg.substring('--user-data-dir='.length)
+  t.true(await fs.pathExists(profile))
+  await browser.close()
+  t.false(await fs.pathExists(profile))
+})
+
+test.serial('CRIExtra.launch should use the supplied userDataDir', async t => {
+  const userDataDir = await fs.mkdtemp(
+    path.join(os.tmpdir(), 'criextra_launcher_test-')
+  )
+  try {
+    const browser = await CRIExtra.launch({ userDataDir })
+    t.true(
+      browser.process().spawnargs.includes(`--user-data-dir=${userDataDir}`)
+    )
+    await browser.close()
+    t.true((await fs.readdir(userDataDir)).length > 0)
+  } finally {
+    await fs.remove(userDataDir)
+  }
+})
+
+test.serial(
+  'CRIExtra.launch should reject for a bad executablePath',
+  async t => {
+    const error = await CRIExtra.launch({
+      executablePath: path.join(os.tmpdir(), 'not-chrome')
+    }).catch(e => e)
+    t.true(error.message.includes('Failed to launch chrome!'))
+  }
+)
+
+test.serial(
+  'CRIExtra.launch should reject for a bad executablePath using a pipe',
+  async t => {
+    const error = await CRIExtra.launch({
+      executablePath: path.join(os.tmpdir(), 'not-chrome'),
+      pipe: true
+    }).catch(e => e)
+    t.true(error.message.includes('Failed to launch chrome!'))
+    t.true(error.message.includes('ENOENT'))
+  }
+)
+
+test.serial(
+  'CRIExtra.launch should not leave a temporary profile when no Chrome is found',
+  async t => {
+    const profiles = async () =>
+      (await fs.readdir(os.tmpdir())).filter(name =>
+        name.startsWith('criextra_profile-')
+      )
+    const before = await profiles()
+    const executablePath = Launcher.executablePath
+    Launcher.executablePath = () =>
+      Promise.reject(new Error('No Chrome installations found'))
+    try {
+      await t.throwsAsync(CRIExtra.launch(), /No Chrome installations found/)
+    } finally {
+      Launcher.executablePath = executablePath
+    }
+    t.deepEqual(await profiles(), before)
+  }
+)
+
+test.serial(
+  'CRIExtra.launch should time out when Chrome does not answer on the pipe',
+  async t => {
+    const executablePath = path.join(
+      os.tmpdir(),
+      `criextra_silent_chrome-${Date.now()}`
+    )
+    await fs.writeFile(executablePath, '#!/bin/sh\nsleep 30\n', {
+      mode: 0o755
+    })
+    try {
+      const error = await CRIExtra.launch({
+        executablePath,
+        pipe: true,
+        timeout: 500
+      }).catch(e => e)
+      t.is(error.name, 'TimeoutError')
+      t.true(error.message.includes('Timed out after 500 ms'))
+    } finally {
+      await fs.remove(executablePath)
+    }
+  }
+)
+
+test('Launcher.defaultArgs should respect headless and args', t => {
+  const args = Launcher.defaultArgs({ headless: false, args: ['--foo'] })
+  t.false(args.includes('--headless'))
+  t.true(args.includes('--foo'))
+  t.true(args.includes('about:blank'))
+  t.false(
+    Launcher.defaultArgs({ args: ['http://example.com'] }).includes(
+      'about:blank'
+    )
+  )
+})
+
+test.serial('CRIExtra.launch should connect using a pipe', async t => {
+  const browser = await CRIExtra.launch({ pipe: true })
+  t.true(browser.process().spawnargs.includes('--remote-debugging-pipe'))
+  const page = await browser.newPage()
+  t.is(await page.evaluate(() => 7 * 8), 56)
+  await browser.close()
+})
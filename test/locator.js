@@ -0,0 +1,211 @@
+import test from 'ava'
+import { TestHelper } from './helpers/testHelper'
+import { TimeoutError } from '../lib/Errors'
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+})
+
+test.serial.afterEach.always(async t => {
+  await helper.cleanup()
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+test.serial('Locator should count the elements located', async t => {
+  const { page } = t.context
+  await page.setContent(`
+    <ul><li>One</li><li>Two</li></ul>
+    <ul><li>Three</li></ul>
+  `)
+  t.is(await page.locator('li').count(), 3)
+  t.is(
+    await page
+      .locator('ul')
+      .nth(1)
+      .locator('li')
+      .count(),
+    1
+  )
+  t.is(
+    await page
+      .locator('li')
+      .filter({ hasText: 'T' })
+      .count(),
+    2
+  )
+  t.is(
+    await page
+      .locator('li')
+      .filter({ hasText: /^O/ })
+      .count(),
+    1
+  )
+  t.is(await page.locator('div').count(), 0)
+})
+
+test.serial('Locator.nth should support negative indexes', async t => {
+  const { page } = t.context
+  await page.setContent(`<li>One</li><li>Two</li><li>Three</li>`)
+  const last = await page
+    .locator('li')
+    .last()
+    .elementHandle()
+  t.is(await page.evaluate(e => e.textContent, last), 'Three')
+  const first = await page
+    .locator('li')
+    .first()
+    .elementHandle()
+  t.is(await page.evaluate(e => e.textContent, first), 'One')
+})
+
+test.serial('Locator should describe itself', async t => {
+  const { page } = t.context
+  const locator = page
+    .locator('ul')
+    .locator('li')
+    .filter({ hasText: 'Two' })
+    .nth(0)
+  t.is(
+    locator.toString(),
+    'locator("ul").locator("li").filter({ hasText: "Two" }).nth(0)'
+  )
+})
+
+test.serial('Locator.click should click the element', async t => {
+  const { page, server } = t.context
+  await page.goto(server.PREFIX + '/input/button.html')
+  await page.locator('button').click()
+  t.is(await page.evaluate(() => window.result), 'Clicked')
+})
+
+test.serial(
+  'Locator.click should re-resolve the element after it is re-rendered',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<div id="app"><button>Save</button></div>`)
+    const locator = page.locator('button').filter({ hasText: 'Save' })
+    await page.evaluate(() => {
+      document.getElementById('app').innerHTML =
+        '<button onclick="window.clicked = true">Save</button>'
+    })
+    await locator.click()
+    t.true(await page.evaluate(() => window.clicked))
+  }
+)
+
+test.serial(
+  'Locator.click should wait for the element to be attached and visible',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<div id="app"></div>`)
+    let clicked = false
+    const click = page
+      .locator('button')
+      .click()
+      .then(() => (clicked = true))
+    await page.evaluate(() => {
+      const button = document.createElement('button')
+      button.textContent = 'Save'
+      button.style.display = 'none'
+      button.onclick = () => (window.clicked = true)
+      document.getElementById('app').appendChild(button)
+    })
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 100)))
+    t.false(clicked)
+    await page.evaluate(() => {
+      document.querySelector('button').style.display = 'block'
+    })
+    await click
+    t.true(await page.evaluate(() => window.clicked))
+  }
+)
+
+test.serial(
+  'Locator.click should wait for the element to not be covered',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`
+      <button onclick="window.clicked = true">Save</button>
+      <div id="overlay" style="position: fixed; top: 0; left: 0; width: 100%; height: 100%"></div>
+    `)
+    let error = null
+    await page
+      .locator('button')
+      .click({ timeout: 200 })
+      .catch(e => (error = e))
+    t.true(error instanceof TimeoutError)
+    t.true(error.message.includes('element is covered by <div#overlay>'))
+    await page.evaluate(() => document.getElementById('overlay').remove())
+    await page.locator('button').click()
+    t.true(await page.evaluate(() => window.clicked))
+  }
+)
+
+test.serial(
+  'Locator.click should wait for the element to be stable',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`
+      <style>
+        @keyframes move { from { margin-left: 0 } to { margin-left: 200px } }
+        button { animation: move 300ms linear 1 }
+      </style>
+      <button onclick="window.clicked = true">Save</button>
+    `)
+    await page.locator('button').click()
+    t.true(await page.evaluate(() => window.clicked))
+  }
+)
+
+test.serial('Locator.type should type into the element', async t => {
+  const { page } = t.context
+  await page.setContent(`<input>`)
+  await page.locator('input').type('hello')
+  t.is(
+    await page.evaluate(() => document.querySelector('input').value),
+    'hello'
+  )
+})
+
+test.serial('Locator.hover should hover over the element', async t => {
+  const { page, server } = t.context
+  await page.goto(server.PREFIX + '/input/scrollable.html')
+  await page.locator('#button-6').hover()
+  t.is(
+    await page.evaluate(() => document.querySelector('button:hover').id),
+    'button-6'
+  )
+})
+
+test.serial('Locator.waitFor should wait for the state', async t => {
+  const { page } = t.context
+  await page.setContent(`<div id="app"></div>`)
+  const attached = page.locator('span').waitFor({ state: 'attached' })
+  await page.evaluate(() => {
+    document.getElementById('app').innerHTML = '<span></span>'
+  })
+  await attached
+  await page.locator('span').waitFor({ state: 'hidden' })
+  let error = null
+  await page
+    .locator('span')
+    .waitFor({ timeout: 100 })
+    .catch(e => (error = e))
+  t.true(error instanceof TimeoutError)
+  t.true(error.message.includes('to be visible failed: timeout 100ms exceeded'))
+  const detached = page.locator('span').waitFor({ state: 'detached' })
+  await page.evaluate(() => document.querySelector('span').remove())
+  await detached
+  t.pass()
+})
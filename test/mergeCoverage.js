@@ -0,0 +1,108 @@
+import test from 'ava'
+import { Coverage } from '../lib/coverage'
+
+const text = 'function foo (x) {\n  if (x) {\n    return 1\n  }\n}\n'
+
+test('Coverage.merge should unite the ranges of the same script', t => {
+  const merged = Coverage.merge(
+    [
+      { url: 'a.js', text, ranges: [{ start: 0, end: 10 }] },
+      { url: 'b.js', text: 'b', ranges: [] }
+    ],
+    [
+      {
+        url: 'a.js',
+        text,
+        ranges: [{ start: 5, end: 20 }, { start: 30, end: 40 }]
+      }
+    ],
+    {
+      label: 'step',
+      timestamp: 0,
+      js: [],
+      css: [{ url: 'a.css', text: 'a', ranges: [] }]
+    }
+  )
+  t.deepEqual(merged, [
+    {
+      url: 'a.js',
+      text,
+      ranges: [{ start: 0, end: 20 }, { start: 30, end: 40 }]
+    },
+    { url: 'b.js', text: 'b', ranges: [] },
+    { url: 'a.css', text: 'a', ranges: [] }
+  ])
+})
+
+test('Coverage.merge should keep the versions of a script apart', t => {
+  const merged = Coverage.merge(
+    [{ url: 'a.js', text: 'a()', ranges: [{ start: 0, end: 3 }] }],
+    [{ url: 'a.js', text: 'b()', ranges: [] }]
+  )
+  t.is(merged.length, 2)
+})
+
+test('Coverage.merge should sum the counts of detailed coverage', t => {
+  const entry = functions => ({
+    url: 'a.js',
+    text,
+    ranges: [],
+    scriptId: '1',
+    sourceMapURL: null,
+    functions
+  })
+  const topLevel = {
+    functionName: '',
+    isBlockCoverage: true,
+    ranges: [{ startOffset: 0, endOffset: text.length, count: 1 }]
+  }
+  const merged = Coverage.merge(
+    [
+      entry([
+        topLevel,
+        {
+          functionName: 'foo',
+          isBlockCoverage: true,
+          ranges: [
+            { startOffset: 0, endOffset: 48, count: 2 },
+            { startOffset: 28, endOffset: 46, count: 0 }
+          ]
+        }
+      ])
+    ],
+    [
+      entry([
+        topLevel,
+        {
+          functionName: 'foo',
+          isBlockCoverage: true,
+          ranges: [{ startOffset: 0, endOffset: 48, count: 1 }]
+        }
+      ])
+    ]
+  )
+  t.is(merged.length, 1)
+  t.deepEqual(merged[0].functions[1].ranges, [
+    { startOffset: 0, endOffset: 48, count: 3 },
+    { startOffset: 28, endOffset: 46, count: 1 }
+  ])
+  t.deepEqual(merged[0].ranges, [{ start: 0, end: text.length }])
+})
+
+test('Coverage.merge should unite the used rules of style sheets', t => {
+  const entry = (used, ranges) => ({
+    url: 'a.css',
+    text: 'a {} b {}',
+    ranges,
+    rules: [
+      { startOffset: 0, endOffset: 4, used: used === 'a' },
+      { startOffset: 5, endOffset: 9, used: used === 'b' }
+    ]
+  })
+  const [merged] = Coverage.merge(
+    [entry('a', [{ start: 0, end: 4 }])],
+    [entry('b', [{ start: 5, end: 9 }])]
+  )
+  t.deepEqual(merged.ranges, [{ start: 0, end: 4 }, { start: 5, end: 9 }])
+  t.deepEqual(merged.rules.map(rule => rule.used), [true, true])
+})
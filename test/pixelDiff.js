@@ -0,0 +1,148 @@
+import test from 'ava'
+import * as os from 'os'
+import * as path from 'path'
+import * as fs from 'fs-extra'
+import { compareScreenshots, diffImages } from '../lib/image/pixelDiff'
+import { createImage, decodePNG, encodePNG } from '../lib/image/png'
+
+function filledImage (width, height, color) {
+  const image = createImage(width, height)
+  for (let i = 0; i < image.data.length; i += 4) {
+    image.data[i] = color[0]
+    image.data[i + 1] = color[1]
+    image.data[i + 2] = color[2]
+    image.data[i + 3] = 255
+  }
+  return image
+}
+
+function fillRect (image, x, y, width, height, color) {
+  for (let row = y; row < y + height; row++) {
+    for (let column = x; column < x + width; column++) {
+      const offset = (row * image.width + column) * 4
+      image.data[offset] = color[0]
+      image.data[offset + 1] = color[1]
+      image.data[offset + 2] = color[2]
+    }
+  }
+}
+
+test('diffImages should find no mismatches in identical images', t => {
+  const image = filledImage(20, 10, [200, 100, 50])
+  const result = diffImages(image, filledImage(20, 10, [200, 100, 50]))
+  t.is(result.mismatchedPixels, 0)
+  t.is(result.mismatchRatio, 0)
+  t.true(result.dimensionsMatch)
+  t.deepEqual(result.regions, [])
+})
+
+test('diffImages should report the bounding boxes of the changed regions', t => {
+  const baseline = filledImage(50, 40, [255, 255, 255])
+  const actual = filledImage(50, 40, [255, 255, 255])
+  fillRect(actual, 2, 3, 4, 5, [0, 0, 0])
+  fillRect(actual, 30, 20, 10, 2, [0, 0, 255])
+  const result = diffImages(baseline, actual)
+  t.is(result.mismatchedPixels, 40)
+  t.is(result.mismatchRatio, 40 / 2000)
+  t.deepEqual(result.regions, [
+    { x: 2, y: 3, width: 4, height: 5 },
+    { x: 30, y: 20, width: 10, height: 2 }
+  ])
+  t.deepEqual(Array.from(result.diff.data.slice(0, 4)), [255, 255, 255, 255])
+  const changed = (3 * 50 + 2) * 4
+  t.deepEqual(Array.from(result.diff.data.slice(changed, changed + 4)), [
+    255,
+    0,
+    0,
+    255
+  ])
+})
+
+test('diffImages should merge nearby changes into a single region', t => {
+  const baseline = filledImage(30, 10, [255, 255, 255])
+  const actual = filledImage(30, 10, [255, 255, 255])
+  fillRect(actual, 2, 2, 2, 2, [0, 0, 0])
+  fillRect(actual, 7, 2, 2, 2, [0, 0, 0])
+  t.is(diffImages(baseline, actual).regions.length, 1)
+  t.is(diffImages(baseline, actual, { regionGap: 1 }).regions.length, 2)
+})
+
+test('diffImages should apply the threshold', t => {
+  const baseline = filledImage(10, 10, [200, 200, 200])
+  const actual = filledImage(10, 10, [190, 190, 190])
+  t.is(diffImages(baseline, actual).mismatchedPixels, 0)
+  t.is(diffImages(baseline, actual, { threshold: 0 }).mismatchedPixels, 100)
+})
+
+test('diffImages should ignore the masked regions', t => {
+  const baseline = filledImage(20, 20, [255, 255, 255])
+  const actual = filledImage(20, 20, [255, 255, 255])
+  fillRect(actual, 5, 5, 5, 5, [0, 0, 0])
+  const result = diffImages(baseline, actual, {
+    masks: [{ x: 4.5, y: 4.5, width: 6, height: 6 }]
+  })
+  t.is(result.mismatchedPixels, 0)
+  t.is(result.mismatchRatio, 0)
+  const masked = (5 * 20 + 5) * 4
+  t.deepEqual(Array.from(result.diff.data.slice(masked, masked + 3)), [
+    0,
+    128,
+    255
+  ])
+})
+
+test('diffImages should count the pixels outside of the smaller image as mismatched', t => {
+  const result = diffImages(
+    filledImage(10, 10, [0, 0, 0]),
+    filledImage(10, 12, [0, 0, 0])
+  )
+  t.false(result.dimensionsMatch)
+  t.is(result.width, 10)
+  t.is(result.height, 12)
+  t.is(result.mismatchedPixels, 20)
+  t.deepEqual(result.regions, [{ x: 0, y: 10, width: 10, height: 2 }])
+})
+
+test('diffImages should tolerate anti-aliased pixels unless includeAA', t => {
+  // a black square on white, drawn with and without anti-aliased edges
+  const baseline = filledImage(20, 20, [255, 255, 255])
+  fillRect(baseline, 5, 5, 10, 10, [0, 0, 0])
+  const actual = filledImage(20, 20, [255, 255, 255])
+  fillRect(actual, 4, 4, 12, 12, [128, 128, 128])
+  fillRect(actual, 5, 5, 10, 10, [0, 0, 0])
+  const tolerated = diffImages(baseline, actual)
+  const edge = (4 * 20 + 10) * 4
+  t.deepEqual(Array.from(tolerated.diff.data.slice(edge, edge + 3)), [
+    255,
+    255,
+    0
+  ])
+  const included = diffImages(baseline, actual, { includeAA: true })
+  t.is(included.mismatchedPixels, 12 * 12 - 10 * 10)
+  t.deepEqual(included.regions, [{ x: 4, y: 4, width: 12, height: 12 }])
+  // only the corners of the square are not detected as anti-aliased
+  t.true(tolerated.mismatchedPixels < included.mismatchedPixels / 4)
+})
+
+test('compareScreenshots should compare PNGs and save the diff', async t => {
+  const baseline = filledImage(8, 8, [255, 255, 255])
+  const actual = filledImage(8, 8, [255, 255, 255])
+  fillRect(actual, 1, 1, 2, 2, [255, 0, 0])
+  const baselinePath = path.join(os.tmpdir(), `baseline-${process.pid}.png`)
+  const diffPath = path.join(os.tmpdir(), `diff-${process.pid}.png`)
+  await fs.writeFile(baselinePath, encodePNG(baseline))
+  try {
+    const screenshot = encodePNG(actual)
+    const result = await compareScreenshots(baselinePath, screenshot, {
+      diffPath
+    })
+    t.is(result.mismatchedPixels, 4)
+    t.is(result.screenshot, screenshot)
+    t.deepEqual(result.regions, [{ x: 1, y: 1, width: 2, height: 2 }])
+    t.true(result.diff.equals(await fs.readFile(diffPath)))
+    t.is(decodePNG(result.diff).width, 8)
+  } finally {
+    await fs.remove(baselinePath)
+    await fs.remove(diffPath)
+  }
+})
@@ -0,0 +1,64 @@
+import test from 'ava'
+import zlib from 'zlib'
+import { blitImage, createImage, decodePNG, encodePNG } from '../lib/image/png'
+
+function gradient (width, height) {
+  const image = createImage(width, height)
+  for (let i = 0; i < image.data.length; i++) {
+    image.data[i] = (i * 7 + (i >> 5)) & 0xff
+  }
+  return image
+}
+
+test('encodePNG and decodePNG should round trip the pixels', t => {
+  const image = gradient(37, 23)
+  const decoded = decodePNG(encodePNG(image))
+  t.is(decoded.width, 37)
+  t.is(decoded.height, 23)
+  t.true(decoded.data.equals(image.data))
+})
+
+test('decodePNG should reject invalid and unsupported images', t => {
+  t.throws(() => decodePNG(Buffer.from('not a png')), /signature/)
+  const png = encodePNG(createImage(1, 1))
+  // set the bit depth of the IHDR chunk to 16
+  const unsupported = Buffer.from(png)
+  unsupported[24] = 16
+  t.throws(() => decodePNG(unsupported), /Unsupported PNG/)
+})
+
+test('decodePNG should decode truecolor images without alpha', t => {
+  const header = Buffer.alloc(13)
+  header.writeUInt32BE(2, 0)
+  header.writeUInt32BE(1, 4)
+  header[8] = 8
+  header[9] = 2
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4)
+    length.writeUInt32BE(data.length, 0)
+    // the decoder does not verify the crc
+    return Buffer.concat([length, Buffer.from(type), data, Buffer.alloc(4)])
+  }
+  const png = Buffer.concat([
+    encodePNG(createImage(1, 1)).slice(0, 8),
+    chunk('IHDR', header),
+    chunk('IDAT', zlib.deflateSync(Buffer.from([1, 10, 20, 30, 5, 5, 5]))),
+    chunk('IEND', Buffer.alloc(0))
+  ])
+  const image = decodePNG(png)
+  // the second pixel uses the sub filter
+  t.deepEqual(Array.from(image.data), [10, 20, 30, 255, 15, 25, 35, 255])
+})
+
+test('blitImage should copy the region clipped to the images', t => {
+  const source = gradient(4, 4)
+  const target = createImage(3, 3)
+  blitImage(source, target, { x: 2, y: 2, width: 4, height: 4 }, 1, 1)
+  const pixel = (image, x, y) =>
+    Array.from(
+      image.data.slice((y * image.width + x) * 4, (y * image.width + x) * 4 + 4)
+    )
+  t.deepEqual(pixel(target, 1, 1), pixel(source, 2, 2))
+  t.deepEqual(pixel(target, 2, 2), pixel(source, 3, 3))
+  t.deepEqual(pixel(target, 0, 0), [0, 0, 0, 0])
+})
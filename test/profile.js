@@ -0,0 +1,84 @@
+import test from 'ava'
+import { Profile } from '../lib/profiler'
+
+function node (id, functionName, url, children = []) {
+  return {
+    id,
+    callFrame: {
+      functionName,
+      scriptId: url ? '1' : '0',
+      url,
+      lineNumber: id,
+      columnNumber: 0
+    },
+    hitCount: 0,
+    children
+  }
+}
+
+// main -> foo -> foo, main -> bar, each sample lasting 1ms
+const cpuprofile = {
+  nodes: [
+    node(1, '(root)', '', [2, 3, 6]),
+    node(2, '(program)', ''),
+    node(3, 'main', 'http://localhost/a.js', [4, 5]),
+    node(4, 'foo', 'http://localhost/a.js', [7]),
+    node(5, 'bar', 'http://localhost/b.js'),
+    node(6, '(idle)', ''),
+    Object.assign(node(7, 'foo', 'http://localhost/a.js'), {
+      callFrame: node(4, 'foo', 'http://localhost/a.js').callFrame
+    })
+  ],
+  startTime: 0,
+  endTime: 8000,
+  samples: [3, 4, 4, 7, 5, 2, 6],
+  timeDeltas: [1000, 1000, 1000, 1000, 1000, 1000, 1000]
+}
+
+function summarize ({ functionName, selfTime, totalTime, children }) {
+  return [functionName, selfTime, totalTime, children.map(summarize)]
+}
+
+test('Profile should parse a .cpuprofile', t => {
+  const profile = Profile.parse(Buffer.from(JSON.stringify(cpuprofile)))
+  t.is(profile.nodes.length, 7)
+  t.deepEqual(profile.samples, cpuprofile.samples)
+  t.is(profile.duration, 8)
+  t.deepEqual(profile.toJSON(), cpuprofile)
+  t.throws(() => Profile.parse('{}'), /does not contain nodes/)
+})
+
+test('Profile should aggregate the time top-down', t => {
+  const profile = Profile.parse(cpuprofile)
+  t.deepEqual(summarize(profile.topDown()), [
+    '(root)',
+    0,
+    7,
+    [
+      ['main', 1, 5, [['foo', 2, 3, [['foo', 1, 1, []]]], ['bar', 1, 1, []]]],
+      ['(program)', 1, 1, []],
+      ['(idle)', 1, 1, []]
+    ]
+  ])
+})
+
+test('Profile should aggregate the time bottom-up', t => {
+  const profile = Profile.parse(cpuprofile)
+  t.deepEqual(profile.bottomUp().map(summarize), [
+    ['foo', 3, 3, [['main', 2, 2, []], ['foo', 1, 1, [['main', 1, 1, []]]]]],
+    ['main', 1, 5, []],
+    ['bar', 1, 1, [['main', 1, 1, []]]]
+  ])
+  const withMetaNodes = profile.bottomUp({ includeMetaNodes: true })
+  t.deepEqual(withMetaNodes.map(fn => fn.functionName).sort(), [
+    '(idle)',
+    '(program)',
+    'bar',
+    'foo',
+    'main'
+  ])
+  t.deepEqual(profile.selfTimeByURL(), [
+    { url: 'http://localhost/a.js', selfTime: 4 },
+    { url: 'http://localhost/b.js', selfTime: 1 }
+  ])
+})
@@ -0,0 +1,97 @@
+import test from 'ava'
+import * as fs from 'fs-extra'
+import * as path from 'path'
+import { TestHelper } from './helpers/testHelper'
+import { Profile } from '../lib/profiler'
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+  t.context.outputFile = path.join(
+    __dirname,
+    'fixtures',
+    'assets',
+    'profile-0.cpuprofile'
+  )
+})
+
+test.serial.afterEach.always(async t => {
+  await helper.cleanup()
+  await fs.remove(t.context.outputFile)
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+test.serial('Profiler should report the hot functions', async t => {
+  const { page, server } = t.context
+  await page.goto(server.EMPTY_PAGE)
+  await page.profiler.start({ samplingInterval: 100 })
+  await page.evaluate(() => {
+    function hotFunction () {
+      const end = Date.now() + 200
+      let count = 0
+      while (Date.now() < end) count++
+      return count
+    }
+    return hotFunction()
+  })
+  const profile = await page.profiler.stop()
+  t.true(profile instanceof Profile)
+  t.true(profile.samples.length > 0)
+  t.is(profile.samples.length, profile.timeDeltas.length)
+  const hotFunction = profile
+    .bottomUp()
+    .find(fn => fn.functionName === 'hotFunction')
+  t.truthy(hotFunction)
+  t.true(hotFunction.selfTime > 100)
+  t.is(profile.topDown().functionName, '(root)')
+})
+
+test.serial('Profiler should write a .cpuprofile', async t => {
+  const { page, outputFile } = t.context
+  await page.profiler.start({ path: outputFile })
+  await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 50)))
+  const profile = await page.profiler.stop()
+  const saved = Profile.parse(await fs.readFile(outputFile))
+  t.deepEqual(saved.toJSON(), profile.toJSON())
+})
+
+test.serial('Profiler should throw when started twice', async t => {
+  const { page } = t.context
+  await page.profiler.start()
+  await t.throwsAsync(page.profiler.start(), /already profiling/)
+  await page.profiler.stop()
+})
+
+test.serial('Profiler should not stop the JS coverage', async t => {
+  const { page, server } = t.context
+  await page.coverage.startJSCoverage()
+  await page.profiler.start()
+  await page.goto(server.PREFIX + '/jscoverage/simple.html')
+  await page.profiler.stop()
+  const coverage = await page.coverage.stopJSCoverage()
+  t.is(coverage.length, 1)
+  t.true(coverage[0].url.includes('/jscoverage/simple.html'))
+})
+
+test.serial(
+  'Profiler should keep profiling once the JS coverage stops',
+  async t => {
+    const { page, server } = t.context
+    await page.profiler.start()
+    await page.coverage.startJSCoverage()
+    await page.goto(server.PREFIX + '/jscoverage/simple.html')
+    await page.coverage.stopJSCoverage()
+    const profile = await page.profiler.stop()
+    t.true(profile.samples.length > 0)
+  }
+)
@@ -0,0 +1,298 @@
+import test from 'ava'
+import * as os from 'os'
+import * as path from 'path'
+import * as fs from 'fs-extra'
+import EventEmitter from 'eventemitter3'
+import Events from '../lib/Events'
+import CRIConnection from '../lib/connection/CRIConnection'
+import ProtocolRecorder from '../lib/connection/ProtocolRecorder'
+import NetworkManager from '../lib/network/NetworkManager'
+import FrameManager from '../lib/frames/FrameManager'
+import TimeoutSettings from '../lib/TimeoutSettings'
+
+class FakeBrowserTransport extends EventEmitter {
+  send (message) {
+    const { id, method, sessionId } = JSON.parse(message)
+    setImmediate(() => {
+      if (method === 'Target.attachToTarget') {
+        this.emit(
+          'message',
+          JSON.stringify({
+            method: 'Target.attachedToTarget',
+            params: {
+              sessionId: 'session-1',
+              targetInfo: { targetId: 'target-1', type: 'page' }
+            }
+          })
+        )
+        this.emit(
+          'message',
+          JSON.stringify({ id, result: { sessionId: 'session-1' } })
+        )
+        return
+      }
+      this.emit(
+        'message',
+        JSON.stringify({ id, sessionId, result: { method } })
+      )
+      if (method === 'Page.enable') {
+        this.emit(
+          'message',
+          JSON.stringify({
+            sessionId,
+            method: 'Page.loadEventFired',
+            params: { timestamp: 1 }
+          })
+        )
+      }
+    })
+  }
+
+  close () {
+    return Promise.resolve()
+  }
+}
+
+/**
+ * @param {Object} message
+ * @param {?string} sessionId
+ * @return {ProtocolRecordingEntry}
+ */
+function sent (message, sessionId = null) {
+  return {
+    type: 'send',
+    timestamp: 0,
+    elapsed: 0,
+    sessionId,
+    message: Object.assign({ params: {} }, message)
+  }
+}
+
+/**
+ * @param {Object} message
+ * @param {?string} sessionId
+ * @return {ProtocolRecordingEntry}
+ */
+function received (message, sessionId = 'session-1') {
+  return {
+    type: 'receive',
+    timestamp: 0,
+    elapsed: 0,
+    sessionId,
+    message: Object.assign({ sessionId }, message)
+  }
+}
+
+test('ProtocolRecorder should record and CRIConnection.fromRecording should replay', async t => {
+  const recordingPath = path.join(
+    os.tmpdir(),
+    `protocol-recording-${Date.now()}.jsonl`
+  )
+  const live = await CRIConnection.fromTransport(new FakeBrowserTransport())
+  await live.startRecording(recordingPath)
+  const liveSession = await live.createSession({ targetId: 'target-1' })
+  const liveLoaded = new Promise(resolve =>
+    liveSession.once('Page.loadEventFired', resolve)
+  )
+  await liveSession.send('Page.enable')
+  await liveLoaded
+  await live.stopRecording()
+
+  const entries = await ProtocolRecorder.readFile(recordingPath)
+  t.deepEqual(entries.map(entry => entry.type), [
+    'send',
+    'receive',
+    'receive',
+    'send',
+    'receive',
+    'receive'
+  ])
+  t.is(entries[3].sessionId, 'session-1')
+  t.true(entries[5].elapsed >= 0)
+
+  const replayed = await CRIConnection.fromRecording(recordingPath)
+  const session = await replayed.createSession({ targetId: 'target-1' })
+  t.is(session.targetId(), 'target-1')
+  const loaded = new Promise(resolve =>
+    session.once('Page.loadEventFired', resolve)
+  )
+  t.deepEqual(await session.send('Page.enable'), { method: 'Page.enable' })
+  t.deepEqual(await loaded, { timestamp: 1 })
+  t.true(replayed.transport.done)
+  const error = await session.send('Page.reload').catch(e => e)
+  t.true(error.message.includes("No recorded response for 'Page.reload'"))
+  await fs.remove(recordingPath)
+})
+
+test('CRIConnection.startRecording should reject for an unwritable path', async t => {
+  const unwritablePath = path.join(
+    os.tmpdir(),
+    `protocol-recording-missing-${Date.now()}`,
+    'recording.jsonl'
+  )
+  const recorder = new ProtocolRecorder(unwritablePath)
+  recorder.record(ProtocolRecorder.EntryTypes.send, { id: 1 })
+  await t.throwsAsync(recorder.opened(), { code: 'ENOENT' })
+  await t.throwsAsync(recorder.end(), { code: 'ENOENT' })
+
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport()
+  )
+  await t.throwsAsync(connection.startRecording(unwritablePath), {
+    code: 'ENOENT'
+  })
+  const recordingPath = path.join(
+    os.tmpdir(),
+    `protocol-recording-${Date.now()}.jsonl`
+  )
+  await connection.startRecording(recordingPath)
+  await connection.send('Browser.getVersion')
+  await connection.stopRecording()
+  t.is((await ProtocolRecorder.readFile(recordingPath)).length, 2)
+  await fs.remove(recordingPath)
+})
+
+test('CRIConnection.fromRecording should allow NetworkManager to be used without a browser', async t => {
+  const requestId = 'request-1'
+  const request = {
+    url: 'http://example.com/',
+    method: 'GET',
+    headers: {}
+  }
+  const response = {
+    url: 'http://example.com/',
+    status: 200,
+    statusText: 'OK',
+    headers: { 'content-type': 'text/html' },
+    mimeType: 'text/html',
+    protocol: 'http/1.1',
+    encodedDataLength: 10
+  }
+  const connection = await CRIConnection.fromRecording([
+    {
+      type: 'send',
+      timestamp: 0,
+      elapsed: 0,
+      sessionId: null,
+      message: { id: 1, method: 'Network.enable', params: {} }
+    },
+    received({ id: 1, result: {} }, null),
+    received(
+      {
+        method: 'Network.requestWillBeSent',
+        params: {
+          requestId,
+          loaderId: requestId,
+          documentURL: request.url,
+          request,
+          timestamp: 1,
+          wallTime: 1,
+          initiator: { type: 'other' },
+          type: 'Document'
+        }
+      },
+      null
+    ),
+    received(
+      {
+        method: 'Network.responseReceived',
+        params: { requestId, timestamp: 2, type: 'Document', response }
+      },
+      null
+    ),
+    received(
+      {
+        method: 'Network.loadingFinished',
+        params: { requestId, timestamp: 3, encodedDataLength: 10 }
+      },
+      null
+    )
+  ])
+  const networkManager = new NetworkManager({ client: connection })
+  const finished = new Promise(resolve =>
+    networkManager.once(Events.NetworkManager.RequestFinished, resolve)
+  )
+  await networkManager.initialize()
+  const finishedRequest = await finished
+  t.is(finishedRequest.url(), request.url)
+  t.is(finishedRequest.response().status(), 200)
+  t.is(finishedRequest.encodedDataLength(), 10)
+})
+
+test('CRIConnection.fromRecording should allow FrameManager to navigate without a browser', async t => {
+  const frameId = 'frame-1'
+  const frame = (loaderId, url) => ({
+    id: frameId,
+    loaderId,
+    url,
+    securityOrigin: new URL(url).origin,
+    mimeType: 'text/html'
+  })
+  const lifecycleEvent = (name, timestamp) =>
+    received(
+      {
+        method: 'Page.lifecycleEvent',
+        params: { frameId, loaderId: 'loader-2', name, timestamp }
+      },
+      null
+    )
+  const connection = await CRIConnection.fromRecording([
+    sent({ id: 1, method: 'Page.enable' }),
+    sent({ id: 2, method: 'Page.getFrameTree' }),
+    received({ id: 1, result: {} }, null),
+    received(
+      {
+        id: 2,
+        result: { frameTree: { frame: frame('loader-1', 'about:blank') } }
+      },
+      null
+    ),
+    sent({ id: 3, method: 'Page.setLifecycleEventsEnabled' }),
+    sent({ id: 4, method: 'Runtime.enable' }),
+    received({ id: 3, result: {} }, null),
+    received({ id: 4, result: {} }, null),
+    sent({ id: 5, method: 'Page.addScriptToEvaluateOnNewDocument' }),
+    received({ id: 5, result: { identifier: '1' } }, null),
+    sent({ id: 6, method: 'Page.createIsolatedWorld' }),
+    received({ id: 6, result: { executionContextId: 2 } }, null),
+    sent({ id: 7, method: 'Page.navigate' }),
+    received({ id: 7, result: { frameId, loaderId: 'loader-2' } }, null),
+    lifecycleEvent('init', 1),
+    received(
+      {
+        method: 'Page.frameNavigated',
+        params: { frame: frame('loader-2', 'http://example.com/') }
+      },
+      null
+    ),
+    lifecycleEvent('DOMContentLoaded', 2),
+    lifecycleEvent('load', 3),
+    received({ method: 'Page.frameStoppedLoading', params: { frameId } }, null)
+  ])
+  const frameManager = await FrameManager.create({
+    client: connection,
+    timeoutSettings: new TimeoutSettings()
+  })
+  const mainFrame = frameManager.mainFrame()
+  t.is(mainFrame.url(), 'about:blank')
+  const lifecycleEvents = []
+  frameManager.on(Events.FrameManager.LifecycleEvent, frame =>
+    lifecycleEvents.push(Array.from(frame._lifecycleEvents))
+  )
+  const response = await frameManager.navigateFrame(
+    mainFrame,
+    'http://example.com/'
+  )
+  t.is(response, null)
+  t.is(frameManager.mainFrame(), mainFrame)
+  t.is(mainFrame.url(), 'http://example.com/')
+  t.is(mainFrame._loaderId, 'loader-2')
+  t.deepEqual(lifecycleEvents, [
+    ['init'],
+    ['init', 'DOMContentLoaded'],
+    ['init', 'DOMContentLoaded', 'load'],
+    ['init', 'DOMContentLoaded', 'load']
+  ])
+  t.true(connection.transport.done)
+  t.deepEqual(connection.transport.unmatched(), [])
+})
@@ -1,5 +1,6 @@
 import test from 'ava'
 import { TestHelper } from './helpers/testHelper'
+import CRIExtra from '../lib/chromeRemoteInterfaceExtra'
 
 /** @type {TestHelper} */
 let helper
@@ -295,3 +296,196 @@ test.serial(
     t.deepEqual(second, [])
   }
 )
+
+test.serial(
+  'Page.getByRole should find the element by role and name',
+  async t => {
+    const { page } = t.context
+    await page.setContent(
+      `<button id="save">Save</button><button id="cancel">Cancel</button>`
+    )
+    const element = await page.getByRole('button', { name: 'cancel' })
+    t.is(await page.evaluate(e => e.id, element), 'cancel')
+    t.is(await page.getByRole('button', { name: 'cancel', exact: true }), null)
+    const regex = await page.getByRole('button', { name: /^Sa/ })
+    t.is(await page.evaluate(e => e.id, regex), 'save')
+    t.is(await page.getByRole('link'), null)
+  }
+)
+
+test.serial('Page.getAllByRole should find every matching element', async t => {
+  const { page } = t.context
+  await page.setContent(
+    `<button>One</button><div role="button">Two</div><a href="#">Three</a>`
+  )
+  const elements = await page.getAllByRole('button')
+  const texts = await Promise.all(
+    elements.map(element => page.evaluate(e => e.textContent, element))
+  )
+  t.deepEqual(texts, ['One', 'Two'])
+})
+
+test.serial('Page.getByLabel should find elements by their label', async t => {
+  const { page } = t.context
+  await page.setContent(`
+    <label for="first">First name</label><input id="first">
+    <label>Last name <input id="last"></label>
+    <input id="email" aria-label="Email address">
+    <span id="phone-label">Phone</span><input id="phone" aria-labelledby="phone-label">
+    <input id="placeholder" placeholder="Search">
+  `)
+  const ids = async text => {
+    const element = await page.getByLabel(text)
+    return element ? page.evaluate(e => e.id, element) : null
+  }
+  t.is(await ids('First name'), 'first')
+  t.is(await ids('last name'), 'last')
+  t.is(await ids('Email'), 'email')
+  t.is(await ids('Phone'), 'phone')
+  t.is(await ids('Search'), null)
+  t.is(await page.getByLabel('Email', { exact: true }), null)
+  t.is((await page.getAllByLabel(/name/)).length, 2)
+})
+
+const shadowContent = `
+  <div id="open-host"></div>
+  <div id="closed-host"></div>
+  <script>
+    const open = document.getElementById('open-host').attachShadow({ mode: 'open' })
+    open.innerHTML = '<span class="inner">open</span><div id="nested-host"></div>'
+    const nested = open.getElementById('nested-host').attachShadow({ mode: 'open' })
+    nested.innerHTML = '<span class="inner">nested</span>'
+    const closed = document.getElementById('closed-host').attachShadow({ mode: 'closed' })
+    closed.innerHTML = '<span class="inner">closed</span>'
+  </script>
+`
+
+test.serial('Page.$ should not pierce shadow roots by default', async t => {
+  const { page } = t.context
+  await page.setContent(shadowContent)
+  t.is(await page.$('.inner'), null)
+})
+
+test.serial(
+  'Page.$$ should pierce open and closed shadow roots with the pierce option',
+  async t => {
+    const { page } = t.context
+    await page.setContent(shadowContent)
+    const elements = await page.$$('.inner', { pierce: true })
+    const texts = await Promise.all(
+      elements.map(element => page.evaluate(e => e.textContent, element))
+    )
+    t.deepEqual(texts.sort(), ['closed', 'nested', 'open'])
+  }
+)
+
+test.serial(
+  'Page.$ should pierce shadow roots using the >>> combinator',
+  async t => {
+    const { page } = t.context
+    await page.setContent(shadowContent)
+    const closed = await page.$('#closed-host >>> .inner')
+    t.is(await page.evaluate(e => e.textContent, closed), 'closed')
+    const nested = await page.$$('#open-host >>> #nested-host >>> span')
+    t.is(nested.length, 1)
+    t.is(await page.evaluate(e => e.textContent, nested[0]), 'nested')
+    t.is(await page.$('#closed-host >>> .missing'), null)
+  }
+)
+
+test.serial(
+  'ElementHandle.$ should pierce shadow roots of the element',
+  async t => {
+    const { page } = t.context
+    await page.setContent(shadowContent)
+    const host = await page.$('#open-host')
+    const elements = await host.$$('.inner', { pierce: true })
+    t.is(elements.length, 2)
+  }
+)
+
+test.serial('Page.$$eval should pierce shadow roots', async t => {
+  const { page } = t.context
+  await page.setContent(shadowContent)
+  const texts = elements => elements.map(e => e.textContent).sort()
+  t.deepEqual(await page.$$eval('#closed-host >>> .inner', texts), ['closed'])
+  t.deepEqual(await page.$$eval({ selector: '.inner', pierce: true }, texts), [
+    'closed',
+    'nested',
+    'open'
+  ])
+  t.deepEqual(await page.$$eval('.inner', texts), [])
+  t.is(
+    await page.$eval(
+      { selector: '.inner', pierce: true },
+      (e, suffix) => e.textContent + suffix,
+      '!'
+    ),
+    'open!'
+  )
+})
+
+test.serial(
+  'Page.$ should find the closed shadow roots attached after a query',
+  async t => {
+    const { page } = t.context
+    await page.setContent(shadowContent)
+    t.is((await page.$$('.inner', { pierce: true })).length, 3)
+    await page.evaluate(() => {
+      const host = document.createElement('div')
+      document.body.appendChild(host)
+      host.attachShadow({ mode: 'closed' }).innerHTML =
+        '<span class="inner">added</span>'
+    })
+    t.is((await page.$$('.inner', { pierce: true })).length, 4)
+  }
+)
+
+test.serial('Page.$ should use the built in text engine', async t => {
+  const { page } = t.context
+  await page.setContent(
+    `<div><button id="sign-in"> Sign  in </button><button id="sign-out">Sign out</button></div>`
+  )
+  const element = await page.$('text=sign in')
+  t.is(await page.evaluate(e => e.id, element), 'sign-in')
+  t.is(await page.$('text="sign in"'), null)
+  const exact = await page.$('text="Sign out"')
+  t.is(await page.evaluate(e => e.id, exact), 'sign-out')
+  t.is((await page.$$('text=Sign')).length, 2)
+})
+
+test.serial('Page.$ should use the built in data-test engine', async t => {
+  const { page } = t.context
+  await page.setContent(
+    `<a data-test="login">1</a><a data-testid="login">2</a><a data-test-id="login">3</a><a data-test="logout">4</a>`
+  )
+  t.deepEqual(
+    await page.$$eval('data-test=login', elements =>
+      elements.map(e => e.textContent)
+    ),
+    ['1', '2', '3']
+  )
+})
+
+test.serial('Page.$ should use registered selector engines', async t => {
+  const { page } = t.context
+  CRIExtra.registerSelectorEngine('component', {
+    query: (root, name) => root.querySelector(`[data-component="${name}"]`)
+  })
+  try {
+    await page.setContent(
+      `<form data-component="LoginForm"><input name="user"></form>`
+    )
+    const form = await page.$('component=LoginForm')
+    t.is(await page.evaluate(e => e.nodeName, form), 'FORM')
+    t.is((await page.$$('component=LoginForm')).length, 1)
+    const input = await form.$('css=input')
+    t.is(await page.evaluate(e => e.name, input), 'user')
+  } finally {
+    CRIExtra.unregisterSelectorEngine('component')
+  }
+  // once unregistered the selector is a CSS selector, which is invalid
+  let error = null
+  await page.$('component=LoginForm').catch(e => (error = e))
+  t.truthy(error)
+})
@@ -0,0 +1,274 @@
+import test from 'ava'
+import * as net from 'net'
+import EventEmitter from 'eventemitter3'
+import Events from '../lib/Events'
+import CRIConnection from '../lib/connection/CRIConnection'
+import WebSocketTransport from '../lib/connection/WebSocketTransport'
+import { Browser } from '../lib/browser'
+
+let nextSessionId = 1
+
+class FakeBrowserTransport extends EventEmitter {
+  constructor ({ targetInfos = [], closeOn = null } = {}) {
+    super()
+    this.sent = []
+    this.closed = false
+    this.targetInfos = targetInfos
+    this.closeOn = closeOn
+  }
+
+  send (message) {
+    const { id, method, params, sessionId } = JSON.parse(message)
+    this.sent.push({ method, params, sessionId })
+    setImmediate(() => {
+      if (method === this.closeOn) {
+        this.emit('close')
+      } else if (method === 'Target.setDiscoverTargets') {
+        for (const targetInfo of this.targetInfos) {
+          this.emit(
+            'message',
+            JSON.stringify({
+              method: 'Target.targetCreated',
+              params: { targetInfo }
+            })
+          )
+        }
+        this.emit('message', JSON.stringify({ id, result: {} }))
+      } else if (method === 'Target.getTargets') {
+        this.emit(
+          'message',
+          JSON.stringify({ id, result: { targetInfos: this.targetInfos } })
+        )
+      } else if (method === 'Target.attachToTarget') {
+        const newSessionId = `session-${nextSessionId++}`
+        this.emit(
+          'message',
+          JSON.stringify({
+            method: 'Target.attachedToTarget',
+            params: {
+              sessionId: newSessionId,
+              targetInfo: { targetId: params.targetId, type: 'page' }
+            }
+          })
+        )
+        this.emit(
+          'message',
+          JSON.stringify({ id, result: { sessionId: newSessionId } })
+        )
+      } else {
+        this.emit('message', JSON.stringify({ id, sessionId, result: {} }))
+      }
+    })
+  }
+
+  close () {
+    this.closed = true
+    return Promise.resolve()
+  }
+}
+
+test('CRIConnection should re-attach sessions and re-enable domains after reconnecting', async t => {
+  const transports = []
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport(),
+    {
+      reconnect: {
+        initialDelay: 1,
+        createTransport: () => {
+          const transport = new FakeBrowserTransport()
+          transports.push(transport)
+          return Promise.resolve(transport)
+        }
+      }
+    }
+  )
+  await connection.send('Target.setDiscoverTargets', { discover: true })
+  const session = await connection.createSession({ targetId: 'target-1' })
+  await session.send('Page.enable')
+  await session.send('Network.enable', { maxPostDataSize: 1 })
+  await session.send('Runtime.enable')
+  await session.send('Runtime.disable')
+  const oldSessionId = session._sessionId
+
+  const reconnected = new Promise(resolve =>
+    connection.once(Events.CRIConnection.Reconnected, resolve)
+  )
+  connection.transport.emit('close')
+  t.true(connection.reconnecting)
+  const whileReconnecting = session.send('Page.reload')
+  await reconnected
+  await whileReconnecting
+
+  t.is(transports.length, 1)
+  t.is(connection.transport, transports[0])
+  t.not(session._sessionId, oldSessionId)
+  t.is(connection.session(session._sessionId), session)
+  t.deepEqual(transports[0].sent.map(message => message.method), [
+    'Target.setDiscoverTargets',
+    'Target.attachToTarget',
+    'Page.enable',
+    'Network.enable',
+    'Page.reload'
+  ])
+  t.deepEqual(transports[0].sent[3].params, { maxPostDataSize: 1 })
+  for (const message of transports[0].sent.slice(2)) {
+    t.is(message.sessionId, session._sessionId)
+  }
+  await session.send('Page.stopLoading')
+  t.is(transports[0].sent.pop().sessionId, session._sessionId)
+})
+
+test('CRIConnection should retry when the connection is lost while restoring its state', async t => {
+  const transports = []
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport(),
+    {
+      reconnect: {
+        initialDelay: 1,
+        createTransport: () => {
+          const transport = new FakeBrowserTransport({
+            closeOn: transports.length ? null : 'Page.enable'
+          })
+          transports.push(transport)
+          return Promise.resolve(transport)
+        }
+      }
+    }
+  )
+  const session = await connection.createSession({ targetId: 'target-4' })
+  await session.send('Page.enable')
+  const oldSessionId = session._sessionId
+
+  const reconnected = new Promise(resolve =>
+    connection.once(Events.CRIConnection.Reconnected, resolve)
+  )
+  connection.transport.emit('close')
+  const whileReconnecting = session.send('Page.reload')
+  const { attempt } = await reconnected
+  await whileReconnecting
+
+  t.is(attempt, 2)
+  t.is(transports.length, 2)
+  t.deepEqual(transports[1].sent.map(message => message.method), [
+    'Target.attachToTarget',
+    'Page.enable',
+    'Page.reload'
+  ])
+  t.not(session._sessionId, oldSessionId)
+  t.is(transports[1].sent[2].sessionId, session._sessionId)
+  t.is(connection.session(session._sessionId), session)
+  t.is(Array.from(connection._sessions.values()).length, 1)
+})
+
+test('Browser should keep its targets after reconnecting', async t => {
+  const unhandledRejections = []
+  const onUnhandledRejection = reason => unhandledRejections.push(reason)
+  process.on('unhandledRejection', onUnhandledRejection)
+  const targetInfos = [
+    { targetId: 'page-1', type: 'page', url: 'about:blank', title: '' },
+    { targetId: 'page-2', type: 'page', url: 'about:blank', title: '' }
+  ]
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport({ targetInfos }),
+    {
+      reconnect: {
+        initialDelay: 1,
+        // the second page was closed while disconnected
+        createTransport: () =>
+          Promise.resolve(
+            new FakeBrowserTransport({ targetInfos: targetInfos.slice(0, 1) })
+          )
+      }
+    }
+  )
+  const browser = await Browser.create(connection)
+  const [target] = browser.targets()
+  t.is(browser.targets().length, 2)
+
+  const targetDestroyed = new Promise(resolve =>
+    browser.once(Events.Browser.TargetDestroyed, resolve)
+  )
+  connection.transport.emit('close')
+  const destroyed = await targetDestroyed
+  await new Promise(resolve => setImmediate(resolve))
+  process.removeListener('unhandledRejection', onUnhandledRejection)
+
+  t.is(destroyed._targetId, 'page-2')
+  t.deepEqual(browser.targets(), [target])
+  t.deepEqual(unhandledRejections, [])
+})
+
+test('CRIConnection should close once the reconnect attempts are exhausted', async t => {
+  let attempts = 0
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport(),
+    {
+      reconnect: {
+        maxAttempts: 3,
+        initialDelay: 1,
+        createTransport: () => {
+          attempts += 1
+          return Promise.reject(new Error('refused'))
+        }
+      }
+    }
+  )
+  const session = await connection.createSession({ targetId: 'target-2' })
+  const sessionClosed = new Promise(resolve =>
+    session.once(Events.CDPSession.Disconnected, resolve)
+  )
+  const disconnected = new Promise(resolve =>
+    connection.once(Events.CRIConnection.Disconnected, resolve)
+  )
+  connection.transport.emit('close')
+  await disconnected
+  await sessionClosed
+  t.is(attempts, 3)
+  t.false(connection.reconnecting)
+})
+
+test('CRIConnection should not reconnect unless asked to', async t => {
+  const connection = await CRIConnection.fromTransport(
+    new FakeBrowserTransport()
+  )
+  const session = await connection.createSession({ targetId: 'target-3' })
+  const disconnected = new Promise(resolve =>
+    connection.once(Events.CRIConnection.Disconnected, resolve)
+  )
+  connection.transport.emit('close')
+  await disconnected
+  const error = await session.send('Page.enable').catch(e => e)
+  t.true(error.message.includes('Session closed'))
+})
+
+test('CRIConnection should give up reconnecting to a server which never completes the WebSocket handshake', async t => {
+  const sockets = []
+  const server = net.createServer(socket => sockets.push(socket))
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const webSocketUrl = `ws://127.0.0.1:${server.address().port}/devtools/browser/1`
+  try {
+    await t.throwsAsync(
+      WebSocketTransport.create(webSocketUrl, { handshakeTimeout: 50 }),
+      /handshake has timed out/
+    )
+    const connection = await CRIConnection.fromTransport(
+      new FakeBrowserTransport(),
+      { reconnect: { initialDelay: 1, maxAttempts: 2, handshakeTimeout: 50 } }
+    )
+    connection.webSocketUrl = webSocketUrl
+    const attempts = []
+    connection.on(Events.CRIConnection.Reconnecting, ({ attempt }) =>
+      attempts.push(attempt)
+    )
+    const disconnected = new Promise(resolve =>
+      connection.once('disconnect', resolve)
+    )
+    connection.transport.emit('close')
+    await disconnected
+    t.deepEqual(attempts, [1, 2])
+    t.false(connection.reconnecting)
+  } finally {
+    for (const socket of sockets) socket.destroy()
+    await new Promise(resolve => server.close(resolve))
+  }
+})
@@ -0,0 +1,105 @@
+import test from 'ava'
+import * as os from 'os'
+import * as path from 'path'
+import * as fs from 'fs-extra'
+import { TestHelper } from './helpers/testHelper'
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+})
+
+test.serial.afterEach.always(async t => {
+  await helper.cleanup()
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+test.serial('Page.replayFrom should serve responses from a HAR', async t => {
+  const { page, server } = t.context
+  await page.networkManager.startHAR({ content: true })
+  await page.goto(server.PREFIX + '/simple.json')
+  const har = await page.networkManager.stopHAR()
+  const entry = har.log.entries.find(entry =>
+    entry.request.url.endsWith('/simple.json')
+  )
+  entry.response.content.text = '{"replayed": true}'
+  await page.replayFrom(har)
+  const response = await page.goto(server.PREFIX + '/simple.json')
+  t.deepEqual(await response.json(), { replayed: true })
+  await page.stopReplay()
+})
+
+test.serial('Page.replayFrom should serve responses from a WARC', async t => {
+  const { page, server } = t.context
+  const warcPath = path.join(os.tmpdir(), `replay-${Date.now()}.warc.gz`)
+  await page.networkManager.startWARC(warcPath)
+  await page.goto(server.PREFIX + '/one-style.html')
+  await page.networkManager.stopWARC()
+  const replayer = await page.replayFrom(warcPath)
+  const response = await page.goto(server.PREFIX + '/one-style.html')
+  t.is(response.status(), 200)
+  t.true((await response.text()).includes('one-style.css'))
+  t.false(replayer.misses().some(url => url.includes('one-style')))
+  await page.stopReplay()
+  await fs.remove(warcPath)
+})
+
+test.serial('Page.replayFrom should apply the onMiss policy', async t => {
+  const { page, server } = t.context
+  const har = { log: { entries: [] } }
+  const replayer = await page.replayFrom(har, { onMiss: '404' })
+  const response = await page.goto(server.EMPTY_PAGE)
+  t.is(response.status(), 404)
+  t.deepEqual(replayer.misses(), [server.EMPTY_PAGE])
+  await page.stopReplay()
+  await page.replayFrom(har, { onMiss: 'passthrough' })
+  const passthrough = await page.goto(server.EMPTY_PAGE)
+  t.is(passthrough.status(), 200)
+  await page.stopReplay()
+  await page.replayFrom(har)
+  const error = await page.goto(server.EMPTY_PAGE).catch(e => e)
+  t.true(error.message.includes('net::ERR_INTERNET_DISCONNECTED'))
+  await page.stopReplay()
+})
+
+test.serial(
+  'Page.replayFrom should normalize query params when matching',
+  async t => {
+    const { page, server } = t.context
+    const har = {
+      log: {
+        entries: [
+          {
+            request: {
+              method: 'GET',
+              url: server.PREFIX + '/replayed.html?a=1&b=2&session=abc'
+            },
+            response: {
+              status: 200,
+              statusText: 'OK',
+              headers: [{ name: 'Content-Type', value: 'text/html' }],
+              content: { text: '<div>replayed</div>' }
+            }
+          }
+        ]
+      }
+    }
+    await page.replayFrom(har, { ignoreQueryParams: ['session'] })
+    const response = await page.goto(
+      server.PREFIX + '/replayed.html?b=2&a=1&session=xyz'
+    )
+    t.is(response.status(), 200)
+    t.is(await page.$eval('div', div => div.textContent), 'replayed')
+    await page.stopReplay()
+  }
+)
@@ -0,0 +1,154 @@
+import test from 'ava'
+import * as fs from 'fs-extra'
+import * as path from 'path'
+import { TestHelper } from './helpers/testHelper'
+import Events from '../lib/Events'
+import { encodeGIF } from '../lib/image/gif'
+import { createImage, decodePNG } from '../lib/image/png'
+import { encodeWebP } from '../lib/image/webp'
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+  t.context.outputPath = path.join(
+    __dirname,
+    'fixtures',
+    'assets',
+    'screencast-0'
+  )
+})
+
+test.serial.afterEach.always(async t => {
+  await helper.cleanup()
+  await fs.remove(t.context.outputPath)
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+/**
+ * @param {Page} page
+ * @return {Promise<void>}
+ */
+async function animateBackground (page) {
+  await page.evaluate(async () => {
+    for (let i = 0; i < 10; i++) {
+      document.body.style.background = i % 2 ? 'red' : 'blue'
+      await new Promise(resolve => setTimeout(resolve, 50))
+    }
+  })
+}
+
+test.serial('Page.startScreencast should emit the frames', async t => {
+  const { page } = t.context
+  await page.setViewport({ width: 400, height: 300 })
+  const emitted = []
+  page.on(Events.Page.ScreencastFrame, frame => emitted.push(frame))
+  await page.startScreencast({ maxWidth: 200, maxHeight: 150 })
+  await animateBackground(page)
+  const frames = await page.stopScreencast()
+  t.true(frames.length > 1)
+  t.deepEqual(emitted, frames)
+  const image = decodePNG(frames[0].data)
+  t.true(image.width <= 200)
+  t.true(image.height <= 150)
+  for (const frame of frames) {
+    t.is(frame.format, 'png')
+    t.is(typeof frame.timestamp, 'number')
+    t.is(frame.metadata.deviceWidth, 400)
+  }
+  t.true(frames[frames.length - 1].timestamp >= frames[0].timestamp)
+})
+
+test.serial('Page.startScreencast should support jpeg frames', async t => {
+  const { page } = t.context
+  await page.startScreencast({ format: 'jpeg', quality: 50 })
+  await animateBackground(page)
+  const frames = await page.stopScreencast()
+  t.true(frames.length > 0)
+  // the jpeg start of image marker
+  t.deepEqual(Array.from(frames[0].data.slice(0, 2)), [0xff, 0xd8])
+})
+
+test.serial(
+  'Page.startScreencast should write an image sequence or an animation',
+  async t => {
+    const { page, outputPath } = t.context
+    await page.startScreencast({ path: outputPath })
+    await animateBackground(page)
+    const frames = await page.stopScreencast()
+    t.is((await fs.readdir(outputPath)).length, frames.length)
+    const gifPath = path.join(outputPath, 'screencast.gif')
+    await page.startScreencast({ path: gifPath, maxWidth: 100 })
+    await animateBackground(page)
+    await page.stopScreencast()
+    t.is((await fs.readFile(gifPath)).toString('ascii', 0, 6), 'GIF89a')
+  }
+)
+
+test.serial(
+  'Screencast animations should be decoded by the browser',
+  async t => {
+    const { page } = t.context
+    const image = createImage(16, 8)
+    const colors = [[255, 0, 0], [0, 128, 0], [0, 0, 255], [255, 255, 255]]
+    for (let i = 0; i < image.data.length; i += 4) {
+      const x = (i / 4) % 16
+      const y = Math.floor(i / 4 / 16)
+      const [red, green, blue] = colors[(x < 8 ? 0 : 1) + (y < 4 ? 0 : 2)]
+      image.data.set([red, green, blue, 255], i)
+    }
+    // the first frame is displayed long enough to be drawn
+    const frames = [
+      { image, duration: 10000 },
+      { image: createImage(16, 8), duration: 10000 }
+    ]
+    const animations = [
+      ['image/gif', encodeGIF(frames)],
+      ['image/webp', encodeWebP(frames)]
+    ]
+    for (const [mimeType, animation] of animations) {
+      const pixels = await page.evaluate(async src => {
+        const img = document.createElement('img')
+        img.src = src
+        await img.decode()
+        const canvas = document.createElement('canvas')
+        canvas.width = img.naturalWidth
+        canvas.height = img.naturalHeight
+        const context = canvas.getContext('2d')
+        context.drawImage(img, 0, 0)
+        const { data } = context.getImageData(0, 0, canvas.width, canvas.height)
+        return Array.from(data)
+      }, `data:${mimeType};base64,${animation.toString('base64')}`)
+      t.deepEqual(pixels, Array.from(image.data), mimeType)
+    }
+  }
+)
+
+test.serial('Page.startScreencast should validate its options', async t => {
+  const { page } = t.context
+  await t.throwsAsync(
+    page.startScreencast({ format: 'gif' }),
+    /Unknown options.format value: gif/
+  )
+  await t.throwsAsync(
+    page.startScreencast({ quality: 50 }),
+    /options.quality is unsupported/
+  )
+  await t.throwsAsync(
+    page.startScreencast({ format: 'jpeg', path: 'screencast.webp' }),
+    /Only png screencasts can be written as an animation/
+  )
+  await t.throwsAsync(page.stopScreencast(), /not started/)
+  await page.startScreencast()
+  await t.throwsAsync(page.startScreencast(), /already recording/)
+  await page.stopScreencast()
+})
@@ -1,5 +1,7 @@
 import test from 'ava'
+import * as path from 'path'
 import { TestHelper } from './helpers/testHelper'
+import { decodePNG } from '../lib/image/png'
 
 /** @type {TestHelper} */
 let helper
@@ -390,3 +392,152 @@ test.serial(
     )
   }
 )
+
+test.serial(
+  'Page.screenshot should take stitched fullPage screenshots',
+  async t => {
+    const { page, server } = t.context
+    await page.setViewport({ width: 500, height: 500 })
+    await page.goto(server.PREFIX + '/grid.html')
+    const screenshot = await page.screenshot({ fullPage: true, stitch: true })
+    t.context.toBeGolden(t, screenshot, 'screenshot-grid-fullpage.png')
+  }
+)
+
+test.serial(
+  'Page.screenshot should not resize the viewport when stitching',
+  async t => {
+    const { page } = t.context
+    await page.setViewport({ width: 500, height: 500 })
+    await page.setContent(`
+      <style>body { margin: 0 } div { height: 100vh }</style>
+      <div style="background: red"></div>
+      <div style="background: green"></div>
+      <div style="background: blue"></div>
+      <div style="height: 250px; background: black"></div>
+    `)
+    await page.evaluate(() => window.scrollTo(0, 100))
+    const image = decodePNG(
+      await page.screenshot({ fullPage: true, stitch: true })
+    )
+    t.is(image.width, 500)
+    t.is(image.height, 1750)
+    const pixel = y => Array.from(image.data.slice(y * 2000, y * 2000 + 3))
+    t.deepEqual(pixel(10), [255, 0, 0])
+    t.deepEqual(pixel(510), [0, 128, 0])
+    t.deepEqual(pixel(1010), [0, 0, 255])
+    t.deepEqual(pixel(1700), [0, 0, 0])
+    t.deepEqual(
+      await page.evaluate(() => [window.innerHeight, window.scrollY]),
+      [500, 100]
+    )
+  }
+)
+
+test.serial(
+  'Page.screenshot should hide fixed elements after the first tile',
+  async t => {
+    const { page } = t.context
+    await page.setViewport({ width: 500, height: 500 })
+    await page.setContent(`
+      <style>body { margin: 0; background: white } header { position: fixed; top: 0; width: 100%; height: 50px; background: red }</style>
+      <header></header>
+      <div style="height: 1500px"></div>
+    `)
+    const pixel = (image, y) =>
+      Array.from(image.data.slice(y * 2000, y * 2000 + 3))
+    const withFixed = decodePNG(
+      await page.screenshot({ fullPage: true, stitch: true })
+    )
+    t.deepEqual(pixel(withFixed, 10), [255, 0, 0])
+    t.deepEqual(pixel(withFixed, 510), [255, 0, 0])
+    const hidden = decodePNG(
+      await page.screenshot({
+        fullPage: true,
+        stitch: true,
+        hideFixedElements: true
+      })
+    )
+    t.deepEqual(pixel(hidden, 10), [255, 0, 0])
+    t.deepEqual(pixel(hidden, 510), [255, 255, 255])
+    t.is(
+      await page.evaluate(
+        () =>
+          window.getComputedStyle(document.querySelector('header')).visibility
+      ),
+      'visible'
+    )
+  }
+)
+
+test.serial(
+  'Page.compareScreenshot should report the changed regions',
+  async t => {
+    const { page } = t.context
+    await page.setViewport({ width: 500, height: 500 })
+    await page.setContent(`
+      <style>body { margin: 0; background: white } div { position: absolute; width: 50px; height: 50px; background: green }</style>
+      <div id="changed" style="left: 100px; top: 200px"></div>
+      <div id="clock" style="left: 300px; top: 20px"></div>
+    `)
+    const baseline = await page.screenshot()
+    await page.evaluate(() => {
+      document.getElementById('changed').style.background = 'blue'
+      document.getElementById('clock').style.background = 'red'
+    })
+    const result = await page.compareScreenshot(baseline)
+    t.true(result.dimensionsMatch)
+    t.is(result.mismatchedPixels, 2 * 50 * 50)
+    t.is(result.mismatchRatio, (2 * 50 * 50) / (500 * 500))
+    t.deepEqual(result.regions, [
+      { x: 300, y: 20, width: 50, height: 50 },
+      { x: 100, y: 200, width: 50, height: 50 }
+    ])
+    t.is(decodePNG(result.diff).width, 500)
+    const masked = await page.compareScreenshot(baseline, {
+      mask: ['#clock']
+    })
+    t.is(masked.mismatchedPixels, 50 * 50)
+    t.deepEqual(masked.regions, [{ x: 100, y: 200, width: 50, height: 50 }])
+  }
+)
+
+test.serial(
+  'Page.compareScreenshot should compare with a baseline file',
+  async t => {
+    const { page, server } = t.context
+    await page.setViewport({ width: 500, height: 500 })
+    await page.goto(server.PREFIX + '/grid.html')
+    const result = await page.compareScreenshot(
+      path.join(
+        __dirname,
+        'fixtures',
+        'golden',
+        'screenshot-grid-fullpage.png'
+      ),
+      { fullPage: true }
+    )
+    t.true(result.dimensionsMatch)
+    t.true(result.mismatchRatio < 0.01)
+  }
+)
+
+test.serial('ElementHandle.compareScreenshot should work', async t => {
+  const { page, server } = t.context
+  await page.setViewport({ width: 500, height: 500 })
+  await page.goto(server.PREFIX + '/grid.html')
+  await page.evaluate(() => window.scrollBy(50, 100))
+  const elementHandle = await page.$('.box:nth-of-type(3)')
+  const baseline = await elementHandle.screenshot()
+  await page.evaluate(() => {
+    document.querySelector('.box:nth-of-type(3) img').style.visibility =
+      'hidden'
+  })
+  const result = await elementHandle.compareScreenshot(baseline)
+  t.true(result.mismatchedPixels > 0)
+  t.is(result.regions.length, 1)
+  const masked = await elementHandle.compareScreenshot(baseline, {
+    mask: ['.box:nth-of-type(3) img']
+  })
+  t.is(masked.mismatchedPixels, 0)
+})
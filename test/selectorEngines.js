@@ -0,0 +1,50 @@
+import test from 'ava'
+import {
+  parseEngineSelector,
+  registerSelectorEngine,
+  selectorEnginesSource,
+  unregisterSelectorEngine
+} from '../lib/selectors/selectorEngines'
+
+test('parseEngineSelector should only parse selectors of registered engines', t => {
+  t.deepEqual(parseEngineSelector('text=Sign in'), {
+    name: 'text',
+    body: 'Sign in'
+  })
+  t.deepEqual(parseEngineSelector(' css = div > span'), {
+    name: 'css',
+    body: 'div > span'
+  })
+  t.is(parseEngineSelector('div[title=a]'), null)
+  t.is(parseEngineSelector('unknown=a'), null)
+})
+
+test('registerSelectorEngine should validate the engine', t => {
+  t.throws(() => registerSelectorEngine('1abc', { query () {} }), /names/)
+  t.throws(() => registerSelectorEngine('abc', {}), /query or queryAll/)
+  t.throws(() => registerSelectorEngine('text', { query () {} }), /already/)
+  t.throws(() => unregisterSelectorEngine('css'), /built in/)
+})
+
+test('registerSelectorEngine should derive the missing query function', t => {
+  registerSelectorEngine('shorthand', {
+    query (root, selector) {
+      return root.querySelector(selector)
+    }
+  })
+  try {
+    t.deepEqual(parseEngineSelector('shorthand=a'), {
+      name: 'shorthand',
+      body: 'a'
+    })
+    // eslint-disable-next-line no-new-func
+    const engines = new Function(`return ${selectorEnginesSource()}`)()
+    const root = { querySelector: selector => `found ${selector}` }
+    t.is(engines.shorthand.query(root, 'a'), 'found a')
+    t.deepEqual(engines.shorthand.queryAll(root, 'a'), ['found a'])
+  } finally {
+    t.true(unregisterSelectorEngine('shorthand'))
+  }
+  t.is(parseEngineSelector('shorthand=a'), null)
+  t.false(unregisterSelectorEngine('shorthand'))
+})
@@ -0,0 +1,173 @@
+import test from 'ava'
+import TraceModel from '../lib/TraceModel'
+
+const pid = 10
+const tid = 20
+const start = 1000000
+
+function complete (name, ts, dur, extra = {}) {
+  return Object.assign(
+    { name, cat: 'devtools.timeline', ph: 'X', ts: start + ts, dur, pid, tid },
+    extra
+  )
+}
+
+function mark (name, ts, cat = 'blink.user_timing', frame = 'main') {
+  return { name, cat, ph: 'R', ts: start + ts, pid, tid, args: { frame } }
+}
+
+const traceEvents = [
+  {
+    name: 'thread_name',
+    ph: 'M',
+    ts: 0,
+    pid,
+    tid,
+    args: { name: 'CrRendererMain' }
+  },
+  {
+    name: 'thread_name',
+    ph: 'M',
+    ts: 0,
+    pid: 11,
+    tid: 21,
+    args: { name: 'CrRendererMain' }
+  },
+  {
+    name: 'TracingStartedInBrowser',
+    cat: 'disabled-by-default-devtools.timeline',
+    ph: 'I',
+    ts: start,
+    pid: 1,
+    tid: 1,
+    args: {
+      data: {
+        frames: [
+          { frame: 'child', parent: 'main', processId: 11 },
+          { frame: 'main', processId: pid }
+        ]
+      }
+    }
+  },
+  // a short task parsing the page and a long task running a script
+  complete('RunTask', 0, 10000),
+  complete('ParseHTML', 1000, 6000),
+  complete('EvaluateScript', 2000, 2000),
+  complete('RunTask', 20000, 80000),
+  complete('FunctionCall', 20000, 50000),
+  complete('Layout', 30000, 10000),
+  complete('UpdateLayoutTree', 75000, 5000),
+  complete('Paint', 85000, 4000),
+  { name: 'Layout', ph: 'B', ts: start + 90000, pid, tid },
+  { name: 'Layout', ph: 'E', ts: start + 92000, pid, tid },
+  // events of another renderer are ignored
+  Object.assign(complete('RunTask', 0, 200000), { pid: 11, tid: 21 }),
+  mark('navigationStart', 500, 'blink.user_timing', 'child'),
+  mark('navigationStart', 1000),
+  mark('domContentLoadedEventEnd', 9000),
+  mark('firstContentfulPaint', 89000, 'loading,rail,devtools.timeline'),
+  mark('largestContentfulPaint::Candidate', 89000, 'loading'),
+  mark('largestContentfulPaint::Candidate', 95000, 'loading'),
+  mark('loadEventEnd', 99000),
+  mark('my-mark', 25000),
+  {
+    name: 'my-measure',
+    cat: 'blink.user_timing',
+    ph: 'b',
+    id2: { local: '0x1' },
+    ts: start + 21000,
+    pid,
+    tid
+  },
+  {
+    name: 'my-measure',
+    cat: 'blink.user_timing',
+    ph: 'e',
+    id2: { local: '0x1' },
+    ts: start + 61000,
+    pid,
+    tid
+  },
+  {
+    name: 'Screenshot',
+    cat: 'disabled-by-default-devtools.screenshot',
+    ph: 'O',
+    id: '0x1',
+    ts: start + 50000,
+    pid,
+    tid,
+    args: { snapshot: Buffer.from('jpeg').toString('base64') }
+  }
+]
+
+test('TraceModel should parse the trace JSON', t => {
+  const model = TraceModel.parse(Buffer.from(JSON.stringify({ traceEvents })))
+  t.deepEqual(model.mainThread, { pid, tid })
+  t.is(model.mainFrameId, 'main')
+  t.is(model.duration, 200)
+  t.is(TraceModel.parse(traceEvents).events.length, traceEvents.length)
+  t.throws(() => TraceModel.parse('{}'), /does not contain trace events/)
+})
+
+test('TraceModel should build the task tree of the main thread', t => {
+  const model = TraceModel.parse({ traceEvents })
+  const tasks = model.tasks()
+  t.deepEqual(tasks.map(task => [task.startTime, task.duration]), [
+    [0, 10],
+    [20, 80]
+  ])
+  t.deepEqual(tasks[0].children.map(child => child.name), ['ParseHTML'])
+  t.deepEqual(tasks[0].children[0].children.map(child => child.name), [
+    'EvaluateScript'
+  ])
+  t.deepEqual(tasks[1].children.map(child => child.name), [
+    'FunctionCall',
+    'UpdateLayoutTree',
+    'Paint',
+    'Layout'
+  ])
+  t.deepEqual(model.longTasks().map(task => task.startTime), [20])
+  t.is(model.totalBlockingTime(), 30)
+  t.deepEqual(model.renderingDurations(), {
+    style: { duration: 5, count: 1 },
+    layout: { duration: 12, count: 2 },
+    paint: { duration: 4, count: 1 },
+    composite: { duration: 0, count: 0 }
+  })
+})
+
+test('TraceModel should extract the navigation and user timing', t => {
+  const model = TraceModel.parse({ traceEvents })
+  t.deepEqual(model.navigationTiming(), {
+    navigationStart: 0,
+    domContentLoadedEventEnd: 8,
+    firstContentfulPaint: 88,
+    largestContentfulPaint: 94,
+    loadEventEnd: 98
+  })
+  t.deepEqual(model.userTiming(), {
+    marks: [{ name: 'my-mark', startTime: 25 }],
+    measures: [{ name: 'my-measure', startTime: 21, duration: 40 }]
+  })
+  const screenshots = model.screenshots()
+  t.is(screenshots.length, 1)
+  t.is(screenshots[0].timestamp, 50)
+  t.is(screenshots[0].data.toString(), 'jpeg')
+})
+
+test('TraceModel should summarize the activity of the main thread', t => {
+  const summary = TraceModel.parse({ traceEvents }).summary()
+  t.deepEqual(summary.categories, {
+    loading: 4,
+    scripting: 42,
+    rendering: 17,
+    painting: 4,
+    system: 23,
+    idle: 110
+  })
+  t.is(summary.taskCount, 2)
+  t.is(summary.longTaskCount, 1)
+  t.is(summary.longestTask, 80)
+  t.is(summary.totalBlockingTime, 30)
+  t.is(summary.navigationTiming.loadEventEnd, 98)
+})
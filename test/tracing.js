@@ -2,6 +2,7 @@ import test from 'ava'
 import * as fs from 'fs-extra'
 import * as path from 'path'
 import { TestHelper } from './helpers/testHelper'
+import TraceModel from '../lib/TraceModel'
 
 /** @type {TestHelper} */
 let helper
@@ -120,3 +121,30 @@ test.serial('Tracing should support a buffer without a path', async t => {
   const trace = await page.tracing.stop()
   t.true(trace.toString().includes('screenshot'))
 })
+
+test.serial('TraceModel should analyze the trace of a page', async t => {
+  const { page, server } = t.context
+  await page.tracing.start({ screenshots: true })
+  await page.goto(server.PREFIX + '/grid.html')
+  await page.evaluate(() => {
+    window.performance.mark('busy-start')
+    const end = Date.now() + 100
+    while (Date.now() < end) {}
+    window.performance.measure('busy', 'busy-start')
+  })
+  const model = TraceModel.parse(await page.tracing.stop())
+  t.true(model.tasks().length > 0)
+  t.true(model.longTasks().some(task => task.duration >= 100))
+  const { marks, measures } = model.userTiming()
+  t.true(marks.some(mark => mark.name === 'busy-start'))
+  t.true(
+    measures.some(measure => measure.name === 'busy' && measure.duration >= 100)
+  )
+  const timing = model.navigationTiming()
+  t.true(timing.domContentLoadedEventEnd > 0)
+  t.true(timing.loadEventEnd >= timing.domContentLoadedEventEnd)
+  t.true(model.screenshots().length > 0)
+  const summary = model.summary()
+  t.true(summary.categories.scripting >= 100)
+  t.true(summary.rendering.layout.count > 0)
+})
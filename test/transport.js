@@ -0,0 +1,70 @@
+import test from 'ava'
+import { PassThrough } from 'stream'
+import EventEmitter from 'eventemitter3'
+import CRIConnection from '../lib/connection/CRIConnection'
+import PipeTransport from '../lib/connection/PipeTransport'
+
+class EchoTransport extends EventEmitter {
+  constructor () {
+    super()
+    this.sent = []
+    this.closed = false
+  }
+
+  send (message) {
+    const { id, method, params } = JSON.parse(message)
+    this.sent.push(method)
+    setImmediate(() =>
+      this.emit('message', JSON.stringify({ id, result: { method, params } }))
+    )
+  }
+
+  close () {
+    this.closed = true
+    return Promise.resolve()
+  }
+}
+
+test('PipeTransport should split NUL delimited messages', async t => {
+  const pipeWrite = new PassThrough()
+  const pipeRead = new PassThrough()
+  const transport = new PipeTransport(pipeWrite, pipeRead)
+  const messages = []
+  transport.on('message', message => messages.push(message))
+  pipeRead.write('{"id":1}\0{"id"')
+  pipeRead.write(':2}\0')
+  pipeRead.write(Buffer.from('{"s":"é"}\0').slice(0, 7))
+  pipeRead.write(Buffer.from('{"s":"é"}\0').slice(7))
+  await new Promise(resolve => setImmediate(resolve))
+  t.deepEqual(messages, ['{"id":1}', '{"id":2}', '{"s":"é"}'])
+})
+
+test('PipeTransport should NUL terminate sent messages', t => {
+  const pipeWrite = new PassThrough()
+  const transport = new PipeTransport(pipeWrite, new PassThrough())
+  transport.send('{"id":1}')
+  t.is(pipeWrite.read().toString(), '{"id":1}\0')
+})
+
+test('PipeTransport should emit close once the read pipe closes', async t => {
+  const pipeRead = new PassThrough()
+  const transport = new PipeTransport(new PassThrough(), pipeRead)
+  const closed = new Promise(resolve => transport.once('close', resolve))
+  pipeRead.destroy()
+  await closed
+  t.true(transport.closed)
+  t.throws(() => transport.send('{}'))
+})
+
+test('CRIConnection.fromTransport should send commands using the transport', async t => {
+  const transport = new EchoTransport()
+  const connection = await CRIConnection.fromTransport(transport)
+  t.is(connection.transport, transport)
+  const result = await connection.send('Browser.getVersion')
+  t.is(result.method, 'Browser.getVersion')
+  const interop = await connection.Target.getTargets()
+  t.is(interop.method, 'Target.getTargets')
+  t.deepEqual(transport.sent, ['Browser.getVersion', 'Target.getTargets'])
+  await connection.close()
+  t.true(transport.closed)
+})
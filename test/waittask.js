@@ -769,3 +769,115 @@ test.serial(
     t.is(testResult, 'some text')
   }
 )
+
+test.serial(
+  'Page.waitForRole should resolve when an element with the role is added',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<button>Cancel</button>`)
+    let found = false
+    const waitForRole = page
+      .waitForRole('button', { name: 'Submit', polling: 20 })
+      .then(element => {
+        found = true
+        return element
+      })
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 100)))
+    t.false(found)
+    await page.evaluate(() => {
+      const button = document.createElement('button')
+      button.id = 'submit'
+      button.textContent = 'Submit'
+      document.body.appendChild(button)
+    })
+    const element = await waitForRole
+    t.is(await page.evaluate(e => e.id, element), 'submit')
+  }
+)
+
+test.serial(
+  'Page.waitForLabel should resolve with the labelled element',
+  async t => {
+    const { page } = t.context
+    const waitForLabel = page.waitForLabel('Username', { polling: 20 })
+    await page.setContent(`<input id="username" aria-label="Username">`)
+    const element = await waitForLabel
+    t.is(await page.evaluate(e => e.id, element), 'username')
+  }
+)
+
+test.serial('Page.waitForRole should respect timeout', async t => {
+  const { page } = t.context
+  let error = null
+  await page
+    .waitForRole('button', { name: 'Missing', timeout: 50 })
+    .catch(e => (error = e))
+  t.truthy(error)
+  t.true(
+    error.message.includes(
+      'waiting for role "button" named "Missing" failed: timeout'
+    )
+  )
+  t.true(error instanceof TimeoutError)
+})
+
+test.serial(
+  'Page.waitForSelector should pierce closed shadow roots',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<div id="host"></div>`)
+    const waitForSelector = page.waitForSelector('#host >>> .inner')
+    await page.evaluate(() => {
+      const shadowRoot = document
+        .getElementById('host')
+        .attachShadow({ mode: 'closed' })
+      shadowRoot.innerHTML = '<span class="inner">closed</span>'
+    })
+    const element = await waitForSelector
+    t.is(await page.evaluate(e => e.textContent, element), 'closed')
+  }
+)
+
+test.serial(
+  'Page.waitForSelector should wait for pierced elements to be hidden',
+  async t => {
+    const { page } = t.context
+    await page.setContent(`<div id="host"></div>`)
+    await page.evaluate(() => {
+      const shadowRoot = document
+        .getElementById('host')
+        .attachShadow({ mode: 'open' })
+      shadowRoot.innerHTML = '<span class="inner">open</span>'
+    })
+    let hidden = false
+    const waitForHidden = page
+      .waitForSelector('.inner', { pierce: true, hidden: true })
+      .then(() => (hidden = true))
+    await page.evaluate(() => new Promise(resolve => setTimeout(resolve, 150)))
+    t.false(hidden)
+    await page.evaluate(() => {
+      document
+        .getElementById('host')
+        .shadowRoot.querySelector('.inner').style.display = 'none'
+    })
+    t.is(await waitForHidden, true)
+    let error = null
+    await page
+      .waitForSelector('.missing', { pierce: true, timeout: 50 })
+      .catch(e => (error = e))
+    t.true(error instanceof TimeoutError)
+  }
+)
+
+test.serial('Page.waitForSelector should use selector engines', async t => {
+  const { page } = t.context
+  await page.setContent(`<div id="app"></div>`)
+  const waitForSelector = page.waitForSelector('text=Sign in', {
+    visible: true
+  })
+  await page.evaluate(() => {
+    document.getElementById('app').innerHTML = '<button>Sign in</button>'
+  })
+  const element = await waitForSelector
+  t.is(await page.evaluate(e => e.nodeName, element), 'BUTTON')
+})
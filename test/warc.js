@@ -0,0 +1,91 @@
+import test from 'ava'
+import * as os from 'os'
+import * as path from 'path'
+import * as zlib from 'zlib'
+import * as fs from 'fs-extra'
+import { TestHelper } from './helpers/testHelper'
+
+/** @type {TestHelper} */
+let helper
+
+test.serial.before(async t => {
+  helper = await TestHelper.withHTTP(t)
+})
+
+test.serial.beforeEach(async t => {
+  t.context.page = await helper.newPage()
+  t.context.server = helper.server()
+  t.context.warcPath = path.join(os.tmpdir(), `criextra-${Date.now()}.warc.gz`)
+})
+
+test.serial.afterEach.always(async t => {
+  await fs.remove(t.context.warcPath)
+  await helper.cleanup()
+})
+
+test.after.always(async t => {
+  await helper.end()
+})
+
+/**
+ * @param {string} warcPath
+ * @return {Promise<string>}
+ */
+async function readWARC (warcPath) {
+  return zlib.gunzipSync(await fs.readFile(warcPath)).toString()
+}
+
+test.serial(
+  'WARCWriter should write warcinfo, request and response records',
+  async t => {
+    const { page, server, warcPath } = t.context
+    await page.networkManager.startWARC(warcPath)
+    await page.goto(server.PREFIX + '/simple.json')
+    await page.networkManager.stopWARC()
+    const warc = await readWARC(warcPath)
+    t.true(warc.startsWith('WARC/1.1\r\nWARC-Type: warcinfo'))
+    t.true(warc.includes('WARC-Type: response'))
+    t.true(warc.includes('WARC-Type: request'))
+    t.true(warc.includes(`WARC-Target-URI: ${server.PREFIX}/simple.json`))
+    t.true(warc.includes('{"foo": "bar"}'))
+  }
+)
+
+test.serial('WARCWriter should write metadata records when asked', async t => {
+  const { page, server, warcPath } = t.context
+  await page.networkManager.startWARC(warcPath, { metadata: true })
+  await page.goto(server.EMPTY_PAGE)
+  await page.networkManager.stopWARC()
+  const warc = await readWARC(warcPath)
+  t.true(warc.includes('WARC-Type: metadata'))
+  t.true(warc.includes('resourceType: document'))
+})
+
+test.serial('WARCWriter should overwrite an existing WARC', async t => {
+  const { page, server, warcPath } = t.context
+  await page.networkManager.startWARC(warcPath)
+  await page.goto(server.PREFIX + '/simple.json')
+  await page.networkManager.stopWARC()
+  await page.networkManager.startWARC(warcPath)
+  await page.goto(server.EMPTY_PAGE)
+  await page.networkManager.stopWARC()
+  const warc = await readWARC(warcPath)
+  t.is(warc.split('WARC-Type: warcinfo').length, 2)
+  t.false(warc.includes(`WARC-Target-URI: ${server.PREFIX}/simple.json`))
+})
+
+test.serial(
+  'NetworkManager.startWARC should allow starting again after failing',
+  async t => {
+    const { page, warcPath } = t.context
+    const missingDir = path.join(os.tmpdir(), `criextra-missing-${Date.now()}`)
+    await t.throwsAsync(
+      page.networkManager.startWARC(path.join(missingDir, 'a.warc.gz')),
+      { code: 'ENOENT' }
+    )
+    await page.networkManager.startWARC(warcPath)
+    await page.networkManager.stopWARC()
+    const warc = await readWARC(warcPath)
+    t.true(warc.startsWith('WARC/1.1\r\nWARC-Type: warcinfo'))
+  }
+)